@@ -2,7 +2,11 @@ import express from 'express';
 import cron from 'node-cron';
 import morgan from 'morgan';
 import dataRoutes from './src/routes/dataRoutes.js';
-import dataHandler from './src/data/handler.js';
+import adminRoutes from './src/routes/adminRoutes.js';
+import ingestionRoutes from './src/routes/ingestionRoutes.js';
+import { startIngestion, failInterruptedRuns } from './src/data/ingestion.js';
+import { setupTimescale } from './src/data/timescale.js';
+import { migrateUp, getMigrationStatus } from './src/migrations/migrator.js';
 import retry from './src/utils/retry.js';
 
 const app = express();
@@ -11,40 +15,93 @@ const PORT = process.env.DATA_SERVICE_PORT || 3001;
 app.use(express.json());
 app.use(morgan('dev'));
 
+app.use('/api/data/admin', adminRoutes);
+app.use('/api/data/ingestion', ingestionRoutes);
 app.use('/api/data', dataRoutes);
 
 let isRunning = false;
-let cronJob;
+let cronJobs = [];
 let server;
 
-export async function runDataFetch() {
+/**
+ * Starts an ingestion run unless one is already in progress, without waiting for it to finish.
+ * @param {string} trigger - What started the run (see INGESTION_TRIGGERS).
+ * @param {Object} [options] - Options passed to the data handler (see dataHandler).
+ * @returns {Promise<{run: Object, completion: Promise<void>}|null>} The started IngestionRun
+ *   record and a promise that resolves once the run has finished (failures are logged), or null
+ *   if a run is already in progress.
+ * @throws {Error} If the run could not be started.
+ */
+export async function startDataFetch(trigger, options = { incremental: true }) {
   if (isRunning) {
-    console.log('Previous run still in progress, skipping...');
-    return;
+    // Incremental runs catch up on the next tick, from the latest stored timestamps
+    console.log(
+      `Previous run still in progress, skipping the ${options.resolution ?? 'daily'} ${trigger} run...`,
+    );
+    return null;
   }
 
   isRunning = true;
   const startTime = Date.now();
   console.log(`Starting data fetch at ${new Date(startTime).toISOString()}...`);
 
+  let started;
   try {
-    await dataHandler(app);
-    const endTime = Date.now();
-    console.log(
-      `Data fetch completed successfully in ${(endTime - startTime) / 1000} seconds.`,
-    );
+    started = await startIngestion(app, trigger, options);
   } catch (error) {
-    console.error('Error fetching data:', error);
-  } finally {
     isRunning = false;
+    throw error;
+  }
+
+  const completion = started.completion
+    .then((run) => {
+      const endTime = Date.now();
+      console.log(
+        `Data fetch completed successfully in ${(endTime - startTime) / 1000} seconds (run ${run.id}, ${run.status}).`,
+      );
+    })
+    .catch((error) => {
+      console.error('Error fetching data:', error);
+    })
+    .finally(() => {
+      isRunning = false;
+    });
+  return { run: started.run, completion };
+}
+
+/**
+ * Runs an ingestion unless one is already in progress and waits for it to finish, logging
+ * failures instead of throwing them.
+ * @param {string} [trigger='cron'] - What started the run (see INGESTION_TRIGGERS).
+ * @param {Object} [options={incremental: true}] - Options passed to the data handler (see
+ *                                                 dataHandler).
+ * @returns {Promise<void>}
+ */
+export async function runDataFetch(
+  trigger = 'cron',
+  options = { incremental: true },
+) {
+  try {
+    const started = await startDataFetch(trigger, options);
+    await started?.completion;
+  } catch (error) {
+    console.error('Error fetching data:', error);
   }
 }
 
+app.locals.startDataFetch = startDataFetch;
+
 if (process.env.NODE_ENV !== 'test') {
-  cronJob = cron.schedule('0 1 * * *', runDataFetch, {
-    scheduled: true,
-    timezone: 'Etc/UTC',
-  });
+  const cronOptions = { scheduled: true, timezone: 'Etc/UTC' };
+  cronJobs = [
+    cron.schedule('0 1 * * *', () => runDataFetch('cron'), cronOptions),
+    // Hourly series, a few minutes past the hour so that the last hour is complete upstream
+    cron.schedule(
+      '5 * * * *',
+      () => runDataFetch('cron', { incremental: true, resolution: 'hourly' }),
+      cronOptions,
+    ),
+  ];
 }
 
 export function errorHandler(err, req, res) {
@@ -59,7 +116,9 @@ export function validateModels(models) {
     !models ||
     !models.ETHStakingHistorical ||
     !models.TokenPrice ||
-    !models.LPHistorical
+    !models.LPHistorical ||
+    !models.TokenPriceHourly ||
+    !models.LPHistoricalHourly
   ) {
     throw new Error('Database models are not available');
   }
@@ -81,8 +140,25 @@ export async function startServer() {
       { verbose: true, retries: 5, initialDelay: 5000 },
     );
 
-    await sequelize.sync();
-    console.log('Database schema synced');
+    const applied = await migrateUp(sequelize);
+    applied.forEach((name) => {
+      console.log(`Applied migration ${name}`);
+    });
+    const { version } = await getMigrationStatus(sequelize);
+    console.log(`Database schema at version ${version}`);
+
+    const interrupted = await failInterruptedRuns(app);
+    if (interrupted > 0) {
+      console.log(`Marked ${interrupted} interrupted ingestion runs as failed`);
+    }
+
+    app.locals.timescale = await setupTimescale(sequelize);
+    if (app.locals.timescale.available) {
+      console.log(`Using TimescaleDB ${app.locals.timescale.version}`);
+    }
+    app.locals.timescale.warnings.forEach((warning) => {
+      console.warn(`TimescaleDB: ${warning}`);
+    });
 
     validateModels(app.locals.models);
 
@@ -94,14 +170,27 @@ export async function startServer() {
       console.log(
         'Database is empty or partially seeded, seeding historical data...',
       );
-      const startTime = Date.now();
-      await dataHandler(app);
-      const endTime = Date.now();
+      // Through startDataFetch, so that the cron jobs skip their runs while the seed is running
+      const started = await startDataFetch('startup', { incremental: true });
+      await started?.completion;
+    } else {
+      console.log('Database already contains data, skipping seeding');
+    }
+
+    const hourlyPriceCount = await app.locals.models.TokenPriceHourly.count();
+    const hourlyLpCount = await app.locals.models.LPHistoricalHourly.count();
+
+    if (hourlyPriceCount === 0 || hourlyLpCount === 0) {
       console.log(
-        `Database seeded successfully in ${(endTime - startTime) / 1000} seconds`,
+        'Hourly tables are empty or partially seeded, seeding hourly data...',
       );
+      const started = await startDataFetch('startup', {
+        incremental: true,
+        resolution: 'hourly',
+      });
+      await started?.completion;
     } else {
-      console.log('Database already contains data, skipping seeding');
+      console.log('Hourly tables already contain data, skipping seeding');
     }
 
     server = app.listen(PORT, () => {
@@ -116,10 +205,8 @@ export async function startServer() {
 }
 
 export function stopServer() {
-  if (cronJob) {
-    cronJob.stop();
-    cronJob = null;
-  }
+  cronJobs.forEach((job) => job.stop());
+  cronJobs = [];
 
   if (server) {
     server.close();
@@ -0,0 +1,74 @@
+import initializeModels from './src/models/index.js';
+import {
+  BACKFILL_USAGE,
+  parseBackfillArgs,
+  runBackfill,
+} from './src/cli/backfill.js';
+import {
+  MIGRATE_USAGE,
+  parseMigrateArgs,
+  runMigrate,
+} from './src/cli/migrate.js';
+
+const COMMANDS = {
+  backfill: {
+    usage: BACKFILL_USAGE,
+    parse: parseBackfillArgs,
+    run: runBackfill,
+  },
+  migrate: {
+    usage: MIGRATE_USAGE,
+    parse: parseMigrateArgs,
+    run: runMigrate,
+  },
+};
+
+/**
+ * Runs a command of the data service CLI.
+ * @param {string[]} argv - Command-line arguments, starting with the command name
+ * @returns {Promise<number>} Exit code: 0 on success, 1 if the command failed, 2 if the arguments
+ *                            are invalid
+ */
+export default async function main([commandName, ...args]) {
+  const command = COMMANDS[commandName];
+  if (!command) {
+    console.error(
+      `Unknown command: ${commandName ?? '(none)'}. Available commands: ${Object.keys(COMMANDS).join(', ')}`,
+    );
+    return 2;
+  }
+
+  let parsedArgs;
+  try {
+    parsedArgs = command.parse(args);
+  } catch (error) {
+    console.error(`${error.message}\n\n${command.usage}`);
+    return 2;
+  }
+  if (parsedArgs.help) {
+    console.log(command.usage);
+    return 0;
+  }
+
+  let sequelize;
+  try {
+    const initialized = await initializeModels();
+    ({ sequelize } = initialized);
+    await sequelize.authenticate();
+    return await command.run(
+      { locals: { sequelize, models: initialized.models } },
+      parsedArgs,
+    );
+  } catch (error) {
+    console.error(`${commandName} failed:`, error);
+    return 1;
+  } finally {
+    await sequelize?.close();
+  }
+}
+
+if (process.env.NODE_ENV !== 'test') {
+  main(process.argv.slice(2)).then((exitCode) => {
+    process.exitCode = exitCode;
+  });
+}
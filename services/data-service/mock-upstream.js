@@ -0,0 +1,14 @@
+import express from 'express';
+import morgan from 'morgan';
+import createMockUpstream from './src/mockUpstream/app.js';
+import { loadMockConfig } from './src/mockUpstream/config.js';
+
+const PORT = process.env.MOCK_UPSTREAM_PORT || 3003;
+
+const app = express();
+app.use(morgan('dev'));
+app.use(createMockUpstream(loadMockConfig()));
+
+app.listen(PORT, () => {
+  console.log(`Mock upstream running on port ${PORT}`);
+});
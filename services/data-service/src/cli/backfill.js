@@ -0,0 +1,213 @@
+import { parseArgs } from 'node:util';
+import dataHandler from '../data/handler.js';
+import runIngestion from '../data/ingestion.js';
+import { getSourceNames } from '../data/sources.js';
+import { getMigrationStatus } from '../migrations/migrator.js';
+import { RESOLUTIONS, RESOLUTION_INTERVALS } from '../config/resolutions.js';
+
+export const BACKFILL_USAGE = `Usage: node cli.js backfill --from <date> [options]
+
+Fetches, processes and saves the history of a date range.
+
+Options:
+  --from <date>         First day to backfill (ISO date, required)
+  --to <date>           Last day to backfill, included up to its last hour (ISO date,
+                        default: today)
+  --resolution <name>   Resolution of the series (${RESOLUTIONS.join(', ')}; default: daily)
+  --source <name>       Source to fetch from (${getSourceNames().join(', ')}); repeatable
+  --token <symbol>      Token to fetch prices for; repeatable
+  --pool <name|address> Pool to fetch data for; repeatable
+  --overwrite           Replace already stored days instead of keeping them
+  --dry-run             Print what would be written without saving anything
+  -h, --help            Show this help`;
+
+/**
+ * Splits repeated and comma-separated option values into a single list.
+ * @param {string[]} [values] - Values of a repeatable option
+ * @returns {string[]|undefined} Non-empty values, or undefined if the option was not given
+ */
+function splitList(values) {
+  return values
+    ?.flatMap((value) => value.split(','))
+    .map((value) => value.trim())
+    .filter((value) => value !== '');
+}
+
+/**
+ * Parses a date option.
+ * @param {string} value - Date in ISO 8601 format (e.g., "2022-01-01")
+ * @param {string} name - Name of the option, used in error messages
+ * @returns {Date} The parsed date
+ * @throws {Error} If the value is not a valid date
+ */
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid --${name} date: ${value}`);
+  }
+  return date;
+}
+
+/**
+ * Parses the --to option. A date without a time stands for the whole day, so it is moved to the
+ * last millisecond of the day; otherwise the hours of the last day would be left out of an hourly
+ * backfill.
+ * @param {string} value - Date in ISO 8601 format (e.g., "2022-12-31" or "2022-12-31T12:00Z")
+ * @returns {Date} The last instant to backfill
+ * @throws {Error} If the value is not a valid date
+ */
+function parseEndDate(value) {
+  const date = parseDate(value, 'to');
+  return /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(date.getTime() + RESOLUTION_INTERVALS.daily - 1)
+    : date;
+}
+
+/**
+ * Parses the arguments of the backfill command.
+ * @param {string[]} args - Command-line arguments after the command name
+ * @returns {{help: true}|{dryRun: boolean, options: Object}} Whether help was requested, or
+ *   whether to do a dry run and the data handler options of the backfill
+ * @throws {Error} If an argument is unknown, missing or invalid
+ */
+export function parseBackfillArgs(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      from: { type: 'string' },
+      to: { type: 'string' },
+      resolution: { type: 'string', default: 'daily' },
+      source: { type: 'string', multiple: true },
+      token: { type: 'string', multiple: true },
+      pool: { type: 'string', multiple: true },
+      overwrite: { type: 'boolean', default: false },
+      'dry-run': { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+  if (values.help) {
+    return { help: true };
+  }
+
+  if (!values.from) {
+    throw new Error('Missing --from date');
+  }
+  const start = parseDate(values.from, 'from');
+  const end = values.to ? parseEndDate(values.to) : undefined;
+  if (end && start > end) {
+    throw new Error('--from must be before --to');
+  }
+
+  const { resolution } = values;
+  if (!RESOLUTIONS.includes(resolution)) {
+    throw new Error(`Invalid --resolution: ${resolution}`);
+  }
+
+  const sources = splitList(values.source);
+  const unknownSources = (sources || []).filter(
+    (source) => !getSourceNames(resolution).includes(source),
+  );
+  if (unknownSources.length > 0) {
+    throw new Error(`Unknown sources: ${unknownSources.join(', ')}`);
+  }
+
+  const options = {
+    start,
+    end,
+    resolution,
+    sources,
+    tokens: splitList(values.token),
+    pools: splitList(values.pool),
+    onConflict: values.overwrite ? 'overwrite' : 'skip',
+  };
+  return {
+    dryRun: values['dry-run'],
+    options: Object.fromEntries(
+      Object.entries(options).filter(([, value]) => value !== undefined),
+    ),
+  };
+}
+
+/**
+ * Describes the records a dry run would write, one line per table and series.
+ * @param {Object<string, Object<string, Array<{
+ *   timestamp: string,
+ *   isImputed?: boolean
+ * }>>>} pendingRows - Records per table and series (see dataHandler)
+ * @returns {string[]} Lines with the number of records, imputed records and the date range of
+ *                     each series
+ */
+export function describePendingRows(pendingRows) {
+  return Object.entries(pendingRows).flatMap(([table, data]) =>
+    Object.entries(data).map(([seriesName, records]) => {
+      if (!Array.isArray(records) || records.length === 0) {
+        return `${table} '${seriesName}': no records`;
+      }
+      const timestamps = records.map((r) => new Date(r.timestamp).getTime());
+      const from = new Date(Math.min(...timestamps)).toISOString();
+      const to = new Date(Math.max(...timestamps)).toISOString();
+      const imputed = records.filter((r) => r.isImputed).length;
+      return `${table} '${seriesName}': ${records.length} records (${imputed} imputed) from ${from.slice(0, 10)} to ${to.slice(0, 10)}`;
+    }),
+  );
+}
+
+/**
+ * Throws unless every migration of the service is applied, as the backfill would otherwise read
+ * and write tables the schema may not have yet. Unlike the service, the backfill does not apply
+ * the migrations itself.
+ * @param {Sequelize} sequelize - Sequelize instance
+ * @returns {Promise<void>}
+ * @throws {Error} If migrations are pending or unknown to this service
+ */
+async function assertMigrated(sequelize) {
+  const { version, pending, unknown } = await getMigrationStatus(sequelize);
+  if (unknown.length > 0) {
+    throw new Error(
+      `Database schema version ${version} is not known to this service (unknown migrations: ${unknown.join(', ')})`,
+    );
+  }
+  if (pending.length > 0) {
+    throw new Error(
+      `Database schema is not up to date (pending migrations: ${pending.join(', ')}); run "node cli.js migrate up" first`,
+    );
+  }
+}
+
+/**
+ * Runs a backfill. A dry run fetches and processes the data and prints what would be written; a
+ * real run saves it and is recorded in the ingestion_runs ledger with the 'backfill' trigger.
+ *
+ * @param {Object} app - Application object containing the Sequelize instance and database models
+ *                       under `app.locals.sequelize` and `app.locals.models`.
+ * @param {{dryRun: boolean, options: Object}} command - Parsed arguments (see
+ *                                                       parseBackfillArgs).
+ * @returns {Promise<number>} Exit code: 0 on success, 1 if a series failed to fetch.
+ * @throws {Error} If the database schema is not migrated or the backfill fails.
+ */
+export async function runBackfill(app, { dryRun, options }) {
+  await assertMigrated(app.locals.sequelize);
+
+  if (dryRun) {
+    const report = await dataHandler(app, { ...options, dryRun: true });
+    describePendingRows(report.pendingRows).forEach((line) => {
+      console.log(line);
+    });
+    report.failedSeries.forEach(({ source, series, error }) => {
+      console.error(`Failed to fetch ${source} series '${series}': ${error}`);
+    });
+    return report.failedSeries.length > 0 ? 1 : 0;
+  }
+
+  const run = await runIngestion(app, 'backfill', options);
+  Object.entries(run.rows_written).forEach(([table, counts]) => {
+    console.log(
+      `${table}: ${counts.inserted} inserted, ${counts.updated} updated, ${counts.skipped} skipped${counts.unfilled > 0 ? `, ${counts.unfilled} left unfilled` : ''}`,
+    );
+  });
+  run.failed_series.forEach(({ source, series, error }) => {
+    console.error(`Failed to fetch ${source} series '${series}': ${error}`);
+  });
+  console.log(`Backfill finished (run ${run.id}, ${run.status}).`);
+  return run.status === 'succeeded' ? 0 : 1;
+}
@@ -0,0 +1,125 @@
+import { parseArgs } from 'node:util';
+import {
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+} from '../migrations/migrator.js';
+
+export const MIGRATE_USAGE = `Usage: node cli.js migrate <up|down|status> [options]
+
+Applies, reverts or lists the database schema migrations.
+
+Commands:
+  up                    Apply the pending migrations
+  down                  Revert the last applied migration
+  status                List the applied and pending migrations
+
+Options:
+  --to <name>           up: last migration to apply; down: migration to revert to (it stays
+                        applied)
+  --step <count>        down: number of migrations to revert (default: 1)
+  -h, --help            Show this help`;
+
+const ACTIONS = ['up', 'down', 'status'];
+
+/**
+ * Parses the arguments of the migrate command.
+ * @param {string[]} args - Command-line arguments after the command name
+ * @returns {{help: true}|{action: string, options: Object}} Whether help was requested, or the
+ *   action to run and the migrator options
+ * @throws {Error} If an argument is unknown, missing or invalid
+ */
+export function parseMigrateArgs(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      to: { type: 'string' },
+      step: { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+  if (values.help) {
+    return { help: true };
+  }
+
+  const [action, ...extra] = positionals;
+  if (!ACTIONS.includes(action)) {
+    throw new Error(
+      `Invalid action: ${action ?? '(none)'}, must be one of ${ACTIONS.join(', ')}`,
+    );
+  }
+  if (extra.length > 0) {
+    throw new Error(`Unexpected arguments: ${extra.join(' ')}`);
+  }
+  if (values.step !== undefined && action !== 'down') {
+    throw new Error('--step can only be used with down');
+  }
+  if (values.to !== undefined && action === 'status') {
+    throw new Error('--to cannot be used with status');
+  }
+  if (values.step !== undefined && values.to !== undefined) {
+    throw new Error('--step cannot be combined with --to');
+  }
+
+  const options = {};
+  if (values.to !== undefined) {
+    options.to = values.to;
+  }
+  if (values.step !== undefined) {
+    const step = Number(values.step);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(
+        `Invalid --step: ${values.step}, must be a positive integer`,
+      );
+    }
+    options.step = step;
+  }
+  return { action, options };
+}
+
+/**
+ * Runs a migrate action and prints the migrations it applied or reverted, or the status of the
+ * database.
+ *
+ * @param {Object} app - Application object containing the Sequelize instance under
+ *                       `app.locals.sequelize`.
+ * @param {{action: string, options: Object}} command - Parsed arguments (see parseMigrateArgs).
+ * @returns {Promise<number>} Exit code: 0 on success.
+ * @throws {Error} If the database schema is unknown or a migration fails.
+ */
+export async function runMigrate(app, { action, options }) {
+  const { sequelize } = app.locals;
+  if (action === 'status') {
+    const status = await getMigrationStatus(sequelize);
+    status.applied.forEach(({ name, appliedAt }) => {
+      const unknown = status.unknown.includes(name) ? ' (unknown)' : '';
+      console.log(`applied  ${name} at ${appliedAt.toISOString()}${unknown}`);
+    });
+    status.pending.forEach((name) => {
+      console.log(`pending  ${name}`);
+    });
+    console.log(`Schema version: ${status.version ?? 'none'}`);
+    return 0;
+  }
+
+  if (action === 'up') {
+    const applied = await migrateUp(sequelize, options);
+    applied.forEach((name) => {
+      console.log(`Applied ${name}`);
+    });
+    if (applied.length === 0) {
+      console.log('No pending migrations.');
+    }
+    return 0;
+  }
+
+  const reverted = await migrateDown(sequelize, options);
+  reverted.forEach((name) => {
+    console.log(`Reverted ${name}`);
+  });
+  if (reverted.length === 0) {
+    console.log('No migrations to revert.');
+  }
+  return 0;
+}
@@ -0,0 +1,51 @@
+/**
+ * Consecutive failed requests to an upstream endpoint after which its circuit opens, when
+ * CIRCUIT_BREAKER_FAILURE_THRESHOLD is not set.
+ */
+export const DEFAULT_FAILURE_THRESHOLD = 5;
+
+/**
+ * Milliseconds an open circuit rejects requests before letting a trial request through, when
+ * CIRCUIT_BREAKER_RESET_TIMEOUT is not set.
+ */
+export const DEFAULT_RESET_TIMEOUT = 30000;
+
+/**
+ * Reads a positive integer from an environment variable.
+ * @param {string} name - Name of the environment variable
+ * @param {number} defaultValue - Value when the variable is not set
+ * @returns {number} Positive integer
+ * @throws {Error} If the variable is set to anything other than a positive integer.
+ */
+function readPositiveInteger(name, defaultValue) {
+  const value = process.env[name];
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`Invalid ${name}: ${value}, must be a positive integer`);
+  }
+  return number;
+}
+
+/**
+ * Reads the circuit breaker settings of the upstream endpoints from the
+ * CIRCUIT_BREAKER_FAILURE_THRESHOLD and CIRCUIT_BREAKER_RESET_TIMEOUT (milliseconds) environment
+ * variables.
+ *
+ * @returns {{failureThreshold: number, resetTimeout: number}} Circuit breaker settings
+ * @throws {Error} If a variable is set to anything other than a positive integer.
+ */
+export function getCircuitBreakerSettings() {
+  return {
+    failureThreshold: readPositiveInteger(
+      'CIRCUIT_BREAKER_FAILURE_THRESHOLD',
+      DEFAULT_FAILURE_THRESHOLD,
+    ),
+    resetTimeout: readPositiveInteger(
+      'CIRCUIT_BREAKER_RESET_TIMEOUT',
+      DEFAULT_RESET_TIMEOUT,
+    ),
+  };
+}
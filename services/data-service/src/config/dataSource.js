@@ -0,0 +1,44 @@
+import path from 'node:path';
+
+/**
+ * Ways the fetchers can obtain upstream responses:
+ * - live: request the upstream APIs.
+ * - record: request the upstream APIs and save every response as a fixture file.
+ * - replay: serve the saved fixture files without any network access.
+ */
+export const DATA_SOURCE_MODES = Object.freeze(['live', 'record', 'replay']);
+
+/**
+ * Directory fixture files are recorded to and replayed from when DATA_FIXTURES_DIR is not set,
+ * relative to the working directory (the data service package when run through npm).
+ */
+export const DEFAULT_FIXTURES_DIR = 'fixtures';
+
+/**
+ * Reads the data source mode from the DATA_SOURCE_MODE environment variable.
+ *
+ * @returns {string} One of DATA_SOURCE_MODES (default: 'live').
+ * @throws {Error} If DATA_SOURCE_MODE is set to anything else.
+ */
+export function getDataSourceMode() {
+  const value = process.env.DATA_SOURCE_MODE;
+  if (value === undefined || value === '') {
+    return 'live';
+  }
+  if (!DATA_SOURCE_MODES.includes(value)) {
+    throw new Error(
+      `Invalid DATA_SOURCE_MODE: ${value}, must be one of ${DATA_SOURCE_MODES.join(', ')}`,
+    );
+  }
+  return value;
+}
+
+/**
+ * Reads the fixture directory from the DATA_FIXTURES_DIR environment variable.
+ *
+ * @returns {string} Absolute path of the fixture directory; relative paths are resolved against
+ *                   the working directory.
+ */
+export function getFixturesDir() {
+  return path.resolve(process.env.DATA_FIXTURES_DIR || DEFAULT_FIXTURES_DIR);
+}
@@ -0,0 +1,33 @@
+/**
+ * Gap-filling strategy used for each metric when a day is missing from a series
+ * (see fillMissingDates). Levels such as TVL and prices are interpolated, APY is carried
+ * forward from the last published rate, and daily flows are estimated from the surrounding days.
+ */
+export const metricFillStrategies = {
+  apyPercentage: 'carryForward',
+  tvlUsd: 'linear',
+  priceUsd: 'linear',
+  feesUSD: 'timeWeightedMean',
+  volumeUSD: 'timeWeightedMean',
+};
+
+/**
+ * Reads the seed of the random gap-filling strategy from the GAP_FILL_SEED environment variable.
+ *
+ * @returns {number|undefined} Integer seed, undefined if GAP_FILL_SEED is not set (the
+ *                             processor then uses DEFAULT_FILL_SEED).
+ * @throws {Error} If GAP_FILL_SEED is set to anything other than an integer.
+ */
+export function getFillSeed() {
+  const value = process.env.GAP_FILL_SEED;
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const seed = Number(value);
+  if (!Number.isInteger(seed)) {
+    throw new Error(`Invalid GAP_FILL_SEED: ${value}, must be an integer`);
+  }
+  return seed;
+}
+
+export default metricFillStrategies;
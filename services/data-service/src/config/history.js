@@ -0,0 +1,28 @@
+/**
+ * Number of days of history kept per series when HISTORY_DAYS is not set.
+ */
+export const DEFAULT_HISTORY_DAYS = 365;
+
+/**
+ * Reads the configured history depth from the HISTORY_DAYS environment variable.
+ * 'max' requests the full history of every series since its inception.
+ *
+ * @returns {number} Positive number of days, or Infinity for the full history.
+ * @throws {Error} If HISTORY_DAYS is set to anything other than a positive integer or 'max'.
+ */
+export function getHistoryDays() {
+  const value = process.env.HISTORY_DAYS;
+  if (value === undefined || value === '') {
+    return DEFAULT_HISTORY_DAYS;
+  }
+  if (value.toLowerCase() === 'max') {
+    return Infinity;
+  }
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 1) {
+    throw new Error(
+      `Invalid HISTORY_DAYS: ${value}, must be a positive integer or 'max'`,
+    );
+  }
+  return days;
+}
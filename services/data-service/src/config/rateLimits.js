@@ -0,0 +1,84 @@
+/**
+ * Request limits of an upstream host without its own entry in HOST_RATE_LIMITS:
+ *  - concurrency: requests in flight at once
+ *  - requestsPerSecond: rate at which the token bucket refills
+ *  - burst: capacity of the token bucket, i.e. requests that may start back to back
+ */
+export const DEFAULT_RATE_LIMIT = Object.freeze({
+  concurrency: 4,
+  requestsPerSecond: 5,
+  burst: 5,
+});
+
+/**
+ * Request limits of known upstream hosts. The CoinGecko demo plan allows 30 calls per minute.
+ */
+export const HOST_RATE_LIMITS = Object.freeze({
+  'api.coingecko.com': { concurrency: 2, requestsPerSecond: 0.5, burst: 3 },
+});
+
+/**
+ * Checks that a rate limit only has valid settings.
+ * @param {string} name - Name of the host or 'default', for error messages
+ * @param {Object} limit - Rate limit settings
+ * @throws {Error} If a setting is unknown or has an invalid value.
+ */
+function validateRateLimit(name, limit) {
+  if (!limit || typeof limit !== 'object' || Array.isArray(limit)) {
+    throw new Error(`Invalid UPSTREAM_RATE_LIMITS entry for ${name}`);
+  }
+  Object.entries(limit).forEach(([key, value]) => {
+    const isValid =
+      key === 'concurrency'
+        ? Number.isInteger(value) && value > 0
+        : ['requestsPerSecond', 'burst'].includes(key) &&
+          typeof value === 'number' &&
+          Number.isFinite(value) &&
+          value > 0 &&
+          (key !== 'burst' || value >= 1);
+    if (!isValid) {
+      throw new Error(
+        `Invalid UPSTREAM_RATE_LIMITS setting ${key} for ${name}: ${value}`,
+      );
+    }
+  });
+}
+
+/**
+ * Resolves the request limits of an upstream host: DEFAULT_RATE_LIMIT, overridden by the
+ * built-in HOST_RATE_LIMITS and by the UPSTREAM_RATE_LIMITS environment variable, a JSON object
+ * keyed by host (or 'default' for every host), e.g.
+ * {"api.coingecko.com": {"requestsPerSecond": 8, "burst": 10}}.
+ *
+ * @param {string} host - Host of the upstream API, e.g. "api.coingecko.com"
+ * @returns {{concurrency: number, requestsPerSecond: number, burst: number}} Request limits
+ * @throws {Error} If UPSTREAM_RATE_LIMITS is not valid JSON or has invalid settings.
+ */
+export function getRateLimit(host) {
+  const value = process.env.UPSTREAM_RATE_LIMITS;
+  let overrides = {};
+  if (value !== undefined && value !== '') {
+    try {
+      overrides = JSON.parse(value);
+    } catch (error) {
+      throw new Error(`Invalid UPSTREAM_RATE_LIMITS: ${error.message}`);
+    }
+    if (
+      !overrides ||
+      typeof overrides !== 'object' ||
+      Array.isArray(overrides)
+    ) {
+      throw new Error('Invalid UPSTREAM_RATE_LIMITS: must be a JSON object');
+    }
+    Object.entries(overrides).forEach(([name, limit]) =>
+      validateRateLimit(name, limit),
+    );
+  }
+
+  return {
+    ...DEFAULT_RATE_LIMIT,
+    ...overrides.default,
+    ...HOST_RATE_LIMITS[host],
+    ...overrides[host],
+  };
+}
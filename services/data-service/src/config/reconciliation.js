@@ -0,0 +1,40 @@
+/**
+ * Relative difference between the prices of two sources on the same day above which they are
+ * considered divergent when PRICE_DIVERGENCE_THRESHOLD is not set.
+ */
+export const DEFAULT_PRICE_DIVERGENCE_THRESHOLD = 0.05;
+
+/**
+ * What happens to divergent days: 'flag' keeps them and records the divergence in the ingestion
+ * report, 'reject' also drops them so that they are filled like missing days.
+ */
+export const DIVERGENCE_ACTIONS = Object.freeze(['flag', 'reject']);
+
+/**
+ * Reads how token prices are reconciled across sources from the PRICE_DIVERGENCE_THRESHOLD
+ * (a fraction, e.g. 0.05 for 5%) and PRICE_DIVERGENCE_ACTION environment variables.
+ *
+ * @returns {{field: string, threshold: number, action: string}} Compared field, divergence
+ *                                                               threshold and action.
+ * @throws {Error} If the threshold is not a positive number or the action is unknown.
+ */
+export function getPriceReconciliation() {
+  const { PRICE_DIVERGENCE_THRESHOLD: thresholdValue } = process.env;
+  const { PRICE_DIVERGENCE_ACTION: action = 'flag' } = process.env;
+
+  let threshold = DEFAULT_PRICE_DIVERGENCE_THRESHOLD;
+  if (thresholdValue !== undefined && thresholdValue !== '') {
+    threshold = Number(thresholdValue);
+    if (!Number.isFinite(threshold) || threshold <= 0) {
+      throw new Error(
+        `Invalid PRICE_DIVERGENCE_THRESHOLD: ${thresholdValue}, must be a positive number`,
+      );
+    }
+  }
+  if (!DIVERGENCE_ACTIONS.includes(action)) {
+    throw new Error(
+      `Invalid PRICE_DIVERGENCE_ACTION: ${action}, must be one of ${DIVERGENCE_ACTIONS.join(', ')}`,
+    );
+  }
+  return { field: 'priceUsd', threshold, action };
+}
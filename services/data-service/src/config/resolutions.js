@@ -0,0 +1,43 @@
+/**
+ * Resolutions of the stored series, mapped to the spacing of their records in milliseconds.
+ */
+export const RESOLUTION_INTERVALS = Object.freeze({
+  daily: 24 * 60 * 60 * 1000,
+  hourly: 60 * 60 * 1000,
+});
+
+/**
+ * Names of the supported resolutions.
+ */
+export const RESOLUTIONS = Object.freeze(Object.keys(RESOLUTION_INTERVALS));
+
+/**
+ * Number of days of hourly history kept per series when HOURLY_HISTORY_DAYS is not set.
+ */
+export const DEFAULT_HOURLY_HISTORY_DAYS = 30;
+
+/**
+ * Maximum days of hourly history: CoinGecko only returns hourly prices for up to 90 days.
+ */
+export const MAX_HOURLY_HISTORY_DAYS = 90;
+
+/**
+ * Reads the configured hourly history depth from the HOURLY_HISTORY_DAYS environment variable.
+ *
+ * @returns {number} Number of days, between 1 and MAX_HOURLY_HISTORY_DAYS.
+ * @throws {Error} If HOURLY_HISTORY_DAYS is set to anything other than an integer between 1 and
+ *                 MAX_HOURLY_HISTORY_DAYS.
+ */
+export function getHourlyHistoryDays() {
+  const value = process.env.HOURLY_HISTORY_DAYS;
+  if (value === undefined || value === '') {
+    return DEFAULT_HOURLY_HISTORY_DAYS;
+  }
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_HOURLY_HISTORY_DAYS) {
+    throw new Error(
+      `Invalid HOURLY_HISTORY_DAYS: ${value}, must be an integer between 1 and ${MAX_HOURLY_HISTORY_DAYS}`,
+    );
+  }
+  return days;
+}
@@ -0,0 +1,197 @@
+import { RESOLUTION_INTERVALS } from '../config/resolutions.js';
+
+const DAY_MS = RESOLUTION_INTERVALS.daily;
+
+/**
+ * Number of daily returns per year used to annualize volatility: crypto markets trade every day.
+ */
+export const TRADING_DAYS_PER_YEAR = 365;
+
+/**
+ * Rolling volatility windows, in daily returns, used when the windows query parameter is omitted.
+ */
+export const DEFAULT_VOLATILITY_WINDOWS = Object.freeze([7, 30]);
+
+/**
+ * Longest rolling volatility window, in daily returns.
+ */
+export const MAX_VOLATILITY_WINDOW = 365;
+
+/**
+ * Parses the optional windows query parameter of an analytics request.
+ * @param {string} [windows] - Comma-separated numbers of daily returns, each between 2 and
+ *                             MAX_VOLATILITY_WINDOW (DEFAULT_VOLATILITY_WINDOWS if omitted)
+ * @returns {Object} An object containing:
+ *   - {number[]} [windows] - The windows, ascending and without duplicates, if valid, otherwise
+ *                            undefined
+ *   - {string} [errorMsg] - An error message if the parameter is invalid, otherwise undefined
+ */
+export function parseVolatilityWindows(windows) {
+  if (windows === undefined) {
+    return { windows: [...DEFAULT_VOLATILITY_WINDOWS] };
+  }
+  const lengths = windows
+    .split(',')
+    .map((length) => length.trim())
+    .map((length) => (/^\d+$/.test(length) ? Number(length) : NaN));
+  if (
+    lengths.some((length) => !(length >= 2 && length <= MAX_VOLATILITY_WINDOW))
+  ) {
+    return {
+      errorMsg: `Invalid windows parameter, must be a comma-separated list of integers between 2 and ${MAX_VOLATILITY_WINDOW}`,
+    };
+  }
+  return { windows: [...new Set(lengths)].sort((a, b) => a - b) };
+}
+
+/**
+ * Computes the daily log returns of a price series. Returns are only computed between rows one
+ * day apart, so that a missing day does not pass for a single day's move.
+ * @param {Array<{timestamp: (Date|string), price_usd: (string|number)}>} rows - Daily prices,
+ *                                                                             ascending
+ * @returns {Array<{timestamp: string, log_return: number}>} Returns, timestamped by the day they
+ *                                                          end on
+ */
+export function computeLogReturns(rows) {
+  const returns = [];
+  for (let i = 1; i < rows.length; i += 1) {
+    const previous = Number(rows[i - 1].price_usd);
+    const price = Number(rows[i].price_usd);
+    const time = new Date(rows[i].timestamp).getTime();
+    if (
+      time - new Date(rows[i - 1].timestamp).getTime() === DAY_MS &&
+      previous > 0 &&
+      price > 0
+    ) {
+      returns.push({
+        timestamp: new Date(time).toISOString(),
+        log_return: Math.log(price / previous),
+      });
+    }
+  }
+  return returns;
+}
+
+/**
+ * Computes the sample standard deviation of values.
+ * @param {number[]} values - At least two values
+ * @returns {number} Standard deviation
+ */
+function standardDeviation(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance =
+    values.reduce((sum, value) => sum + (value - mean) ** 2, 0) /
+    (values.length - 1);
+  return Math.sqrt(variance);
+}
+
+/**
+ * Computes the annualized rolling volatility of daily log returns: the standard deviation of
+ * each run of `window` consecutive returns, scaled by the square root of TRADING_DAYS_PER_YEAR.
+ * @param {Array<{timestamp: string, log_return: number}>} returns - Returns, ascending (see
+ *                                                                 computeLogReturns)
+ * @param {number} window - Number of returns per window, at least 2
+ * @returns {Array<{timestamp: string, volatility: number}>} Volatility of each window,
+ *                                                          timestamped by its last return
+ */
+export function computeRollingVolatility(returns, window) {
+  const volatility = [];
+  for (let end = window; end <= returns.length; end += 1) {
+    const values = returns
+      .slice(end - window, end)
+      .map(({ log_return: logReturn }) => logReturn);
+    volatility.push({
+      timestamp: returns[end - 1].timestamp,
+      volatility: standardDeviation(values) * Math.sqrt(TRADING_DAYS_PER_YEAR),
+    });
+  }
+  return volatility;
+}
+
+/**
+ * Finds the largest peak-to-trough fall of a price series.
+ * @param {Array<{timestamp: (Date|string), price_usd: (string|number)}>} rows - Prices,
+ *                                                                             ascending
+ * @returns {{value: number, peak: (string|null), trough: (string|null)}} Fall as a fraction of
+ *   the peak price (0 if prices never fell), with the timestamps of the peak and the trough
+ *   (null if prices never fell)
+ */
+export function computeMaxDrawdown(rows) {
+  let peak = null;
+  let maxDrawdown = { value: 0, peak: null, trough: null };
+  rows.forEach((row) => {
+    const price = Number(row.price_usd);
+    if (!peak || price > peak.price) {
+      peak = { price, timestamp: row.timestamp };
+      return;
+    }
+    const drawdown = (peak.price - price) / peak.price;
+    if (drawdown > maxDrawdown.value) {
+      maxDrawdown = {
+        value: drawdown,
+        peak: new Date(peak.timestamp).toISOString(),
+        trough: new Date(row.timestamp).toISOString(),
+      };
+    }
+  });
+  return maxDrawdown;
+}
+
+/**
+ * Computes the Pearson correlation of two return series over the days both have a return.
+ * @param {Array<{timestamp: string, log_return: number}>} a - Returns of the first series
+ * @param {Array<{timestamp: string, log_return: number}>} b - Returns of the second series
+ * @returns {number|null} Correlation, or null with fewer than two common days or a constant
+ *                        series
+ */
+function correlate(a, b) {
+  const returnsByTime = new Map(
+    b.map(({ timestamp, log_return: logReturn }) => [timestamp, logReturn]),
+  );
+  const pairs = a
+    .filter(({ timestamp }) => returnsByTime.has(timestamp))
+    .map(({ timestamp, log_return: logReturn }) => [
+      logReturn,
+      returnsByTime.get(timestamp),
+    ]);
+  if (pairs.length < 2) {
+    return null;
+  }
+  const mean = (index) =>
+    pairs.reduce((sum, pair) => sum + pair[index], 0) / pairs.length;
+  const [meanA, meanB] = [mean(0), mean(1)];
+  let covariance = 0;
+  let varianceA = 0;
+  let varianceB = 0;
+  pairs.forEach(([x, y]) => {
+    covariance += (x - meanA) * (y - meanB);
+    varianceA += (x - meanA) ** 2;
+    varianceB += (y - meanB) ** 2;
+  });
+  if (varianceA === 0 || varianceB === 0) {
+    return null;
+  }
+  return covariance / Math.sqrt(varianceA * varianceB);
+}
+
+/**
+ * Computes the correlation matrix of the daily log returns of several tokens.
+ * @param {Object<string, Array<{timestamp: string, log_return: number}>>} returnsBySymbol -
+ *   Returns of each token (see computeLogReturns)
+ * @returns {Object<string, Object<string, number|null>>} Correlation of every pair of tokens,
+ *   by symbol (see correlate)
+ */
+export function computeCorrelationMatrix(returnsBySymbol) {
+  const symbols = Object.keys(returnsBySymbol);
+  return Object.fromEntries(
+    symbols.map((a) => [
+      a,
+      Object.fromEntries(
+        symbols.map((b) => [
+          b,
+          correlate(returnsBySymbol[a], returnsBySymbol[b]),
+        ]),
+      ),
+    ]),
+  );
+}
@@ -0,0 +1,157 @@
+import { once } from 'node:events';
+import { DEFAULT_PAGE_LIMIT } from './pagination.js';
+
+/**
+ * Response formats of the history routes, mapped to their content type. JSON responses are
+ * paginated; CSV and NDJSON responses stream the whole history.
+ */
+export const EXPORT_FORMATS = Object.freeze({
+  json: 'application/json',
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson',
+});
+
+/**
+ * Number of rows read from the database at a time while streaming an export.
+ */
+export const EXPORT_BATCH_SIZE = DEFAULT_PAGE_LIMIT;
+
+/**
+ * Picks the response format of a history request from its format query parameter or, if it is
+ * omitted, from the first media type of EXPORT_FORMATS listed in its Accept header.
+ * @param {string} [format] - One of EXPORT_FORMATS
+ * @param {string} [accept] - Accept header of the request
+ * @returns {Object} An object containing:
+ *   - {string} [format] - The format ("json" if neither selects another one) if valid, otherwise
+ *                         undefined
+ *   - {string} [errorMsg] - An error message if the format parameter is invalid, otherwise
+ *                           undefined
+ */
+export function parseFormat(format, accept = '') {
+  if (format !== undefined) {
+    return Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)
+      ? { format }
+      : {
+          errorMsg: `Invalid format parameter, must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`,
+        };
+  }
+  const mediaTypes = accept
+    .split(',')
+    .map((mediaType) => mediaType.split(';')[0].trim().toLowerCase());
+  const accepted = mediaTypes
+    .map((mediaType) =>
+      Object.keys(EXPORT_FORMATS).find(
+        (name) => EXPORT_FORMATS[name] === mediaType,
+      ),
+    )
+    .find(Boolean);
+  return { format: accepted ?? 'json' };
+}
+
+/**
+ * Formats a value as a CSV cell: dates as ISO 8601, null as an empty cell, and cells containing
+ * separators, quotes or line breaks quoted (RFC 4180).
+ * @param {*} value - Value of a column
+ * @returns {string} CSV cell
+ */
+function formatCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats a row of an export.
+ * @param {Object} row - Row of the history
+ * @param {string[]} fields - Columns to write, in order
+ * @param {string} format - "csv" or "ndjson"
+ * @returns {string} Line of the export, ending with a line break
+ */
+export function formatRow(row, fields, format) {
+  if (format === 'csv') {
+    return `${fields.map((field) => formatCsvValue(row[field])).join(',')}\r\n`;
+  }
+  return `${JSON.stringify(Object.fromEntries(fields.map((field) => [field, row[field]])))}\n`;
+}
+
+/**
+ * Writes a chunk to a response, waiting for the client to read the buffered data first.
+ * @param {http.ServerResponse} res - Response
+ * @param {string} chunk - Data to write
+ * @returns {Promise<void>}
+ */
+async function write(res, chunk) {
+  if (!res.write(chunk)) {
+    await once(res, 'drain');
+  }
+}
+
+/**
+ * Streams a history as a CSV or NDJSON attachment, reading it from the database in batches of
+ * EXPORT_BATCH_SIZE rows that each start after the timestamp of the last row of the previous
+ * one, so that only one batch is held in memory. Stops when the client disconnects.
+ *
+ * Errors of the first batch are thrown before the response starts, so that the route can answer
+ * with an error status. Later errors are logged and abort the response, which the client sees as
+ * a truncated download.
+ *
+ * @param {http.ServerResponse} res - Response of the route
+ * @param {Object} options - Options
+ * @param {string} options.format - "csv" or "ndjson"
+ * @param {string[]} options.fields - Columns to write, in order
+ * @param {string} options.filename - Name of the attachment, without extension
+ * @param {function(Date|undefined, number): Promise<Array<Object>>} options.readBatch - Reads up
+ *   to the given number of rows ordered by timestamp, after the cursor if one is given
+ * @param {Date} [options.cursor] - Timestamp to start after
+ * @param {number} [options.limit=Infinity] - Maximum number of rows to write
+ * @returns {Promise<number>} Number of rows written
+ * @throws {Error} If the first batch cannot be read
+ */
+export async function streamHistory(
+  res,
+  {
+    format,
+    fields,
+    filename,
+    readBatch,
+    cursor,
+    limit = Infinity,
+  },
+) {
+  let batch = await readBatch(cursor, Math.min(EXPORT_BATCH_SIZE, limit));
+  res.status(200);
+  res.set({
+    'Content-Type': `${EXPORT_FORMATS[format]}; charset=utf-8`,
+    'Content-Disposition': `attachment; filename="${filename}.${format}"`,
+  });
+
+  let written = 0;
+  try {
+    if (format === 'csv') {
+      await write(res, `${fields.join(',')}\r\n`);
+    }
+    // Batches are read one after the other, each starting after the previous one.
+    /* eslint-disable no-await-in-loop */
+    while (batch.length > 0 && !res.destroyed) {
+      await write(
+        res,
+        batch.map((row) => formatRow(row, fields, format)).join(''),
+      );
+      written += batch.length;
+      const remaining = limit - written;
+      if (batch.length < EXPORT_BATCH_SIZE || remaining <= 0) {
+        break;
+      }
+      const last = new Date(batch[batch.length - 1].timestamp);
+      batch = await readBatch(last, Math.min(EXPORT_BATCH_SIZE, remaining));
+    }
+    /* eslint-enable no-await-in-loop */
+    res.end();
+  } catch (error) {
+    console.error(`Error while exporting ${filename}.${format}:`, error);
+    res.destroy(error);
+  }
+  return written;
+}
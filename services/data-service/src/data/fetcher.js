@@ -1,19 +1,197 @@
 import axios from 'axios';
 import { request, gql } from 'graphql-request';
-import { poolIds, tokenAddresses, poolAddresses } from '../config/pools.js';
 import retry from '../utils/retry.js';
+import { getHostScheduler } from '../utils/scheduler.js';
+import { getCircuitBreaker } from '../utils/circuitBreaker.js';
+import { withFixture } from './fixtures.js';
+import { getDataSourceMode } from '../config/dataSource.js';
+import { MAX_HOURLY_HISTORY_DAYS } from '../config/resolutions.js';
 
 /**
- * Fetches APY and TVL data from DeFi Llama for each pool in poolIds.
+ * Resolves a fetch option that is either shared by every series or given per series.
+ * @param {number|Object<string, number>} option - Shared value, or values keyed by series name.
+ * @param {string} key - Series name to resolve the option for.
+ * @param {number} defaultValue - Value used when the option is not set for the series.
+ * @returns {number} The option value for the series.
+ */
+function resolveSeriesOption(option, key, defaultValue) {
+  if (option && typeof option === 'object') {
+    return option[key] ?? defaultValue;
+  }
+  return option ?? defaultValue;
+}
+
+/**
+ * Describes the number of days requested for logging.
+ * @param {number|Object<string, number>} numDaysAgo - Shared or per-series number of days.
+ * @returns {string} e.g. "365 days", "up to 365 days" or "the full history".
+ */
+function describeDays(numDaysAgo) {
+  const isPerSeries = numDaysAgo && typeof numDaysAgo === 'object';
+  const days = isPerSeries
+    ? Math.max(0, ...Object.values(numDaysAgo))
+    : numDaysAgo;
+  const description = Number.isFinite(days)
+    ? `${days} days`
+    : 'the full history';
+  return isPerSeries ? `up to ${description}` : description;
+}
+
+/**
+ * Builds the retry options of a request to an upstream API: the request waits for the scheduler
+ * of its host and goes through the circuit breaker of the API, and retries are spread out with
+ * full jitter so that the series of a run do not retry in lockstep.
+ * @param {string} endpoint - Base URL of the upstream API
+ * @param {string} url - URL of the request
+ * @returns {Object} Options for retry
+ */
+function upstreamRetryOptions(endpoint, url = endpoint) {
+  return {
+    jitter: 'full',
+    scheduler: getHostScheduler(url),
+    circuitBreaker: getCircuitBreaker(endpoint),
+  };
+}
+
+/**
+ * Maximum number of entities The Graph returns for a single query.
+ */
+export const SUBGRAPH_PAGE_SIZE = 1000;
+
+/**
+ * Fetches every entity of a pool after the given time from the Uniswap Subgraph. Pages are
+ * requested in ascending time order, using the last time of each page as the cursor for the
+ * next one, until a page is not full.
+ *
+ * @param {Object} entity - Subgraph entity
+ * @param {string} entity.name - Name of the entity collection, e.g. "poolDayDatas".
+ * @param {string} entity.timeField - Field holding the Unix timestamp of an entity.
+ * @param {string[]} entity.fields - Fields to select besides the timestamp.
+ * @param {string} address - Subgraph pool address.
+ * @param {number} fromTimestamp - Unix timestamp (in seconds); only entities after it are fetched.
+ * @param {number} pageSize - Number of entities requested per page.
+ * @returns {Promise<Array<Object>>} Entities ordered from most recent to oldest.
+ * @throws {Error} If a page has an invalid format or a request fails after retries.
+ */
+async function fetchPaginatedPoolEntities(
+  { name, timeField, fields },
+  address,
+  fromTimestamp,
+  pageSize,
+) {
+  const entities = [];
+  let cursor = fromTimestamp;
+  let hasMorePages = true;
+
+  /* eslint-disable no-await-in-loop */
+  while (hasMorePages) {
+    const query = gql`
+      {
+        ${name}(
+          first: ${pageSize}
+          orderBy: ${timeField}
+          where: {pool: "${address}", ${timeField}_gt: ${cursor}}
+          orderDirection: asc
+        ) {
+          ${[timeField, ...fields].join('\n          ')}
+        }
+      }
+    `;
+    const response = await retry(
+      () => request(process.env.GRAPH_API_URL, query),
+      upstreamRetryOptions(process.env.GRAPH_API_URL),
+    ); // Each page depends on the cursor of the previous one
+    if (!Array.isArray(response?.[name])) {
+      throw new Error(`Invalid ${name} format`);
+    }
+    const page = response[name];
+    entities.push(...page);
+
+    const lastTime = page[page.length - 1]?.[timeField];
+    hasMorePages =
+      page.length === pageSize &&
+      typeof lastTime === 'number' &&
+      lastTime > cursor;
+    cursor = lastTime;
+  }
+  /* eslint-enable no-await-in-loop */
+
+  return entities.reverse();
+}
+
+/**
+ * Fetches every day of data of a pool after the given date from the Uniswap Subgraph.
+ * Pages are requested in ascending date order, using the last date of each page as the
+ * cursor for the next one, until a page is not full.
+ *
+ * @param {string} address - Subgraph pool address.
+ * @param {number} fromTimestamp - Unix timestamp (in seconds); only days after it are fetched.
+ * @param {number} [pageSize=SUBGRAPH_PAGE_SIZE] - Number of days requested per page.
+ * @returns {Promise<Array<Object>>} Pool day data (date, feesUSD, volumeUSD) ordered from most
+ *                                   recent to oldest.
+ * @throws {Error} If a page has an invalid format or a request fails after retries.
+ */
+export async function fetchPaginatedPoolDayDatas(
+  address,
+  fromTimestamp,
+  pageSize = SUBGRAPH_PAGE_SIZE,
+) {
+  return fetchPaginatedPoolEntities(
+    {
+      name: 'poolDayDatas',
+      timeField: 'date',
+      fields: ['feesUSD', 'volumeUSD'],
+    },
+    address,
+    fromTimestamp,
+    pageSize,
+  );
+}
+
+/**
+ * Fetches every hour of data of a pool after the given time from the Uniswap Subgraph, page by
+ * page like fetchPaginatedPoolDayDatas.
  *
+ * @param {string} address - Subgraph pool address.
+ * @param {number} fromTimestamp - Unix timestamp (in seconds); only hours after it are fetched.
+ * @param {number} [pageSize=SUBGRAPH_PAGE_SIZE] - Number of hours requested per page.
+ * @returns {Promise<Array<Object>>} Pool hour data (periodStartUnix, feesUSD, volumeUSD, tvlUSD)
+ *                                   ordered from most recent to oldest.
+ * @throws {Error} If a page has an invalid format or a request fails after retries.
+ */
+export async function fetchPaginatedPoolHourDatas(
+  address,
+  fromTimestamp,
+  pageSize = SUBGRAPH_PAGE_SIZE,
+) {
+  return fetchPaginatedPoolEntities(
+    {
+      name: 'poolHourDatas',
+      timeField: 'periodStartUnix',
+      fields: ['feesUSD', 'volumeUSD', 'tvlUSD'],
+    },
+    address,
+    fromTimestamp,
+    pageSize,
+  );
+}
+
+/**
+ * Fetches APY and TVL data from DeFi Llama for each pool in poolIds. Responses are recorded or
+ * replayed by pool id according to DATA_SOURCE_MODE (see withFixture).
+ *
+ * @param {Object<string, string>} poolIds - DeFi Llama pool ids keyed by pool name.
+ * @param {function(string, Error): void} [onError] - Called with the pool name and the error of
+ *                                                   each pool whose request failed.
  * @returns {Promise<Object>} A promise that resolves to an object where keys are pool names and
  *                            values are arrays of objects containing pool data (e.g., timestamp,
  *                            tvlUsd, apy). If a request fails, the corresponding pool's value is
  *                            set to null.
- * @throws {Error} If DEFILLAMA_API_URL is not set in the environment variables.
+ * @throws {Error} If DEFILLAMA_API_URL is not set in the environment variables outside of replay
+ *                 mode.
  */
-export async function fetchPoolData() {
-  if (!process.env.DEFILLAMA_API_URL) {
+export async function fetchPoolData(poolIds = {}, onError = () => {}) {
+  if (getDataSourceMode() !== 'replay' && !process.env.DEFILLAMA_API_URL) {
     throw new Error(
       'DEFILLAMA_API_URL is not set in the environment variables.',
     );
@@ -30,17 +208,24 @@ export async function fetchPoolData() {
     Object.entries(poolIds).map(async ([poolName, id]) => {
       try {
         const url = `${process.env.DEFILLAMA_API_URL}${id}`;
-        const response = await retry(() => axios.get(url, { timeout: 10000 }));
-        if (!Array.isArray(response.data?.data)) {
+        const body = await withFixture('defillama', id, async () => {
+          const response = await retry(
+            () => axios.get(url, { timeout: 10000 }),
+            upstreamRetryOptions(process.env.DEFILLAMA_API_URL, url),
+          );
+          return response.data;
+        });
+        if (!Array.isArray(body?.data)) {
           throw new Error('Invalid response format');
         }
-        poolsData[poolName] = response.data.data;
+        poolsData[poolName] = body.data;
       } catch (error) {
         console.error(
           `Error fetching APY and TVL data for ${poolName} after retries:`,
           error.message,
         );
         poolsData[poolName] = null;
+        onError(poolName, error);
       }
     }),
   );
@@ -54,17 +239,38 @@ export async function fetchPoolData() {
 }
 
 /**
- * Fetches historical price data from CoinGecko for each token in tokenAddresses.
+ * Fetches historical price data from CoinGecko for each token in tokenAddresses. Responses are
+ * recorded or replayed by contract address according to DATA_SOURCE_MODE (see withFixture); a
+ * replayed response covers the days that were requested when it was recorded.
  *
- * @param {number} [numDaysAgo=365] - Number of days of historical data to fetch (default: 365).
+ * @param {Object<string, string>} tokenAddresses - CoinGecko contract addresses keyed by token
+ *                                                  name.
+ * @param {number|Object<string, number>} [numDaysAgo=365] - Number of days of historical data to
+ *                                                          fetch, either for every token or
+ *                                                          keyed by token name (default: 365).
+ *                                                          Infinity requests the full history.
+ * @param {function(string, Error): void} [onError] - Called with the token name and the error of
+ *                                                   each token whose request failed.
+ * @param {string} [resolution='daily'] - 'daily' or 'hourly' prices. Hourly prices are recorded
+ *                                        as 'coingecko-hourly' fixtures and CoinGecko only
+ *                                        returns them for 2 to 90 days, so the number of days is
+ *                                        clamped to that range.
  * @returns {Promise<Object>} A promise that resolves to an object where keys are token names
  *                            and values are arrays of arrays containing timestamp and price data.
  *                            If a request fails, the corresponding token's value is set to null.
  * @throws {Error} If COINGECKO_API_URL or COINGECKO_API_KEY is not set in the environment
- *                 variables.
+ *                 variables outside of replay mode.
  */
-export async function fetchPriceData(numDaysAgo = 365) {
-  if (!process.env.COINGECKO_API_URL || !process.env.COINGECKO_API_KEY) {
+export async function fetchPriceData(
+  tokenAddresses = {},
+  numDaysAgo = 365,
+  onError = () => {},
+  resolution = 'daily',
+) {
+  if (
+    getDataSourceMode() !== 'replay' &&
+    (!process.env.COINGECKO_API_URL || !process.env.COINGECKO_API_KEY)
+  ) {
     throw new Error(
       'COINGECKO_API_URL or COINGECKO_API_KEY is not set in the environment variables.',
     );
@@ -75,31 +281,51 @@ export async function fetchPriceData(numDaysAgo = 365) {
     return {};
   }
 
+  const isHourly = resolution === 'hourly';
   console.log(
-    `Fetching price data for ${Object.keys(tokenAddresses).length} tokens over ${numDaysAgo} days...`,
+    `Fetching ${resolution} price data for ${Object.keys(tokenAddresses).length} tokens over ${describeDays(numDaysAgo)}...`,
   );
   const pricesData = {};
   await Promise.all(
     Object.entries(tokenAddresses).map(async ([tokenName, address]) => {
       try {
         const url = `${process.env.COINGECKO_API_URL}${address}/market_chart`;
-        const response = await retry(() =>
-          axios.get(url, {
-            headers: { 'x-cg-demo-api-key': process.env.COINGECKO_API_KEY },
-            params: { vs_currency: 'usd', days: numDaysAgo, interval: 'daily' },
-            timeout: 10000,
-          }),
-        );
-        if (!Array.isArray(response.data?.prices)) {
+        const days = resolveSeriesOption(numDaysAgo, tokenName, 365);
+        // Without an interval, CoinGecko returns hourly prices for 2 to 90 days
+        const params = isHourly
+          ? {
+              vs_currency: 'usd',
+              days: Math.min(Math.max(days, 2), MAX_HOURLY_HISTORY_DAYS),
+            }
+          : {
+              vs_currency: 'usd',
+              days: Number.isFinite(days) ? days : 'max',
+              interval: 'daily',
+            };
+        const fixtureSource = isHourly ? 'coingecko-hourly' : 'coingecko';
+        const body = await withFixture(fixtureSource, address, async () => {
+          const response = await retry(
+            () =>
+              axios.get(url, {
+                headers: { 'x-cg-demo-api-key': process.env.COINGECKO_API_KEY },
+                params,
+                timeout: 10000,
+              }),
+            upstreamRetryOptions(process.env.COINGECKO_API_URL, url),
+          );
+          return response.data;
+        });
+        if (!Array.isArray(body?.prices)) {
           throw new Error('Invalid prices format');
         }
-        pricesData[tokenName] = response.data.prices;
+        pricesData[tokenName] = body.prices;
       } catch (error) {
         console.error(
           `Error fetching price data for ${tokenName} after retries:`,
           error.message,
         );
         pricesData[tokenName] = null;
+        onError(tokenName, error);
       }
     }),
   );
@@ -113,22 +339,42 @@ export async function fetchPriceData(numDaysAgo = 365) {
 }
 
 /**
- * Fetches historical data from Uniswap Subgraph for each pool in poolAddresses.
+ * Fetches historical data from Uniswap Subgraph for each pool in poolAddresses, paging through
+ * the full requested window (see fetchPaginatedPoolDayDatas). The pages of each pool are
+ * recorded or replayed together by subgraph address according to DATA_SOURCE_MODE (see
+ * withFixture).
  *
- * @param {number} [numDaysAgo=365] - Number of days of historical data to fetch (default: 365).
- * @param {number} [startTimestamp=1620086400] - Unix timestamp to filter data after this date
- *                                               (default: May 4, 2021).
+ * @param {Object<string, string>} poolAddresses - Subgraph pool addresses keyed by pool name.
+ * @param {number|Object<string, number>} [numDaysAgo=365] - Number of days of historical data to
+ *                                                          fetch, either for every pool or keyed
+ *                                                          by pool name (default: 365).
+ *                                                          Infinity fetches every day after
+ *                                                          startTimestamp.
+ * @param {number|Object<string, number>} [startTimestamp=1620086400] - Unix timestamp to filter
+ *                                                                      data after this date, either
+ *                                                                      for every pool or keyed by
+ *                                                                      pool name (default: May 4,
+ *                                                                      2021).
+ * @param {function(string, Error): void} [onError] - Called with the pool name and the error of
+ *                                                   each pool whose requests failed.
+ * @param {string} [resolution='daily'] - 'daily' data (poolDayDatas) or 'hourly' data
+ *                                        (poolHourDatas, see fetchPaginatedPoolHourDatas),
+ *                                        recorded as 'uniswap-hourly' fixtures.
  * @returns {Promise<Object>} A promise that resolves to an object where keys are pool names
  *                            and values are arrays of objects containing pool data (date, feesUSD,
  *                            volumeUSD). If a request fails, the corresponding pool's value is set
  *                            to null.
- * @throws {Error} If GRAPH_API_URL is not set in the environment variables.
+ * @throws {Error} If GRAPH_API_URL is not set in the environment variables outside of replay
+ *                 mode.
  */
 export async function fetchUniswapPoolData(
+  poolAddresses = {},
   numDaysAgo = 365,
   startTimestamp = 1620086400,
+  onError = () => {},
+  resolution = 'daily',
 ) {
-  if (!process.env.GRAPH_API_URL) {
+  if (getDataSourceMode() !== 'replay' && !process.env.GRAPH_API_URL) {
     throw new Error('GRAPH_API_URL is not set in the environment variables.');
   }
 
@@ -137,40 +383,42 @@ export async function fetchUniswapPoolData(
     return {};
   }
 
+  const isHourly = resolution === 'hourly';
+  const entity = isHourly ? 'poolHourDatas' : 'poolDayDatas';
+  const fetchPages = isHourly
+    ? fetchPaginatedPoolHourDatas
+    : fetchPaginatedPoolDayDatas;
   console.log(
-    `Fetching Uniswap data for ${Object.keys(poolAddresses).length} pools over ${numDaysAgo} days...`,
+    `Fetching ${resolution} Uniswap data for ${Object.keys(poolAddresses).length} pools over ${describeDays(numDaysAgo)}...`,
   );
   const poolsData = {};
   await Promise.all(
     Object.entries(poolAddresses).map(async ([poolName, address]) => {
       try {
-        const query = gql`
-          {
-            poolDayDatas(
-              first: ${numDaysAgo}
-              orderBy: date
-              where: {pool: "${address}", date_gt: ${startTimestamp}}
-              orderDirection: desc
-            ) {
-              date
-              feesUSD
-              volumeUSD
-            }
-          }
-        `;
-        const response = await retry(() =>
-          request(process.env.GRAPH_API_URL, query),
+        const days = resolveSeriesOption(numDaysAgo, poolName, 365);
+        const dateGt = resolveSeriesOption(
+          startTimestamp,
+          poolName,
+          1620086400,
         );
-        if (!Array.isArray(response?.poolDayDatas)) {
-          throw new Error('Invalid poolDayDatas format');
+        const fromTimestamp = Number.isFinite(days)
+          ? Math.max(dateGt, Math.floor(Date.now() / 1000) - days * 86400)
+          : dateGt;
+        const fixtureSource = isHourly ? 'uniswap-hourly' : 'uniswap';
+        const body = await withFixture(fixtureSource, address, async () => ({
+          [entity]: await fetchPages(address, fromTimestamp),
+        }));
+        if (!Array.isArray(body?.[entity])) {
+          throw new Error(`Invalid ${entity} format`);
         }
-        poolsData[poolName] = response.poolDayDatas;
+        poolsData[poolName] = body[entity];
       } catch (error) {
         console.error(
           `Error fetching Uniswap pool data for ${poolName} after retries:`,
           error.message,
         );
         poolsData[poolName] = null;
+        onError(poolName, error);
       }
     }),
   );
@@ -182,3 +430,104 @@ export async function fetchUniswapPoolData(
   );
   return poolsData;
 }
+
+/**
+ * Unix timestamp (August 1, 2015, right after Ethereum's launch) from which the full price
+ * history is requested from the DeFi Llama coins API.
+ */
+export const LLAMA_COINS_HISTORY_START = 1438387200;
+
+/**
+ * Fetches daily historical prices from the DeFi Llama coins API for each token in
+ * tokenAddresses, as a second price source next to CoinGecko. Responses are recorded or replayed
+ * by contract address according to DATA_SOURCE_MODE (see withFixture).
+ *
+ * @param {Object<string, string>} tokenAddresses - Ethereum contract addresses keyed by token
+ *                                                  name.
+ * @param {number|Object<string, number>} [numDaysAgo=365] - Number of days of historical data to
+ *                                                          fetch, either for every token or
+ *                                                          keyed by token name (default: 365).
+ *                                                          Infinity requests the full history.
+ * @param {function(string, Error): void} [onError] - Called with the token name and the error of
+ *                                                   each token whose request failed.
+ * @returns {Promise<Object>} A promise that resolves to an object where keys are token names
+ *                            and values are arrays of [timestamp (ms), price] pairs, the format
+ *                            of fetchPriceData. If a request fails, the corresponding token's
+ *                            value is set to null.
+ * @throws {Error} If DEFILLAMA_COINS_API_URL is not set in the environment variables outside of
+ *                 replay mode.
+ */
+export async function fetchLlamaPriceData(
+  tokenAddresses = {},
+  numDaysAgo = 365,
+  onError = () => {},
+) {
+  if (
+    getDataSourceMode() !== 'replay' &&
+    !process.env.DEFILLAMA_COINS_API_URL
+  ) {
+    throw new Error(
+      'DEFILLAMA_COINS_API_URL is not set in the environment variables.',
+    );
+  }
+
+  if (Object.keys(tokenAddresses).length === 0) {
+    console.warn('No tokens to fetch DeFi Llama prices for.');
+    return {};
+  }
+
+  console.log(
+    `Fetching DeFi Llama prices for ${Object.keys(tokenAddresses).length} tokens over ${describeDays(numDaysAgo)}...`,
+  );
+  const today = Math.floor(Date.now() / 86400000) * 86400;
+  const pricesData = {};
+  await Promise.all(
+    Object.entries(tokenAddresses).map(async ([tokenName, address]) => {
+      try {
+        const coin = `ethereum:${address}`;
+        const days = resolveSeriesOption(numDaysAgo, tokenName, 365);
+        const start = Number.isFinite(days)
+          ? today - days * 86400
+          : LLAMA_COINS_HISTORY_START;
+        const url = `${process.env.DEFILLAMA_COINS_API_URL}${coin}`;
+        const body = await withFixture('defillama-coins', address, async () => {
+          const response = await retry(
+            () =>
+              axios.get(url, {
+                params: {
+                  start,
+                  span: (today - start) / 86400 + 1,
+                  period: '1d',
+                },
+                timeout: 10000,
+              }),
+            upstreamRetryOptions(process.env.DEFILLAMA_COINS_API_URL, url),
+          );
+          return response.data;
+        });
+        const prices = body?.coins?.[coin]?.prices;
+        if (!Array.isArray(prices)) {
+          throw new Error('Invalid prices format');
+        }
+        pricesData[tokenName] = prices.map(({ timestamp, price }) => [
+          timestamp * 1000,
+          price,
+        ]);
+      } catch (error) {
+        console.error(
+          `Error fetching DeFi Llama prices for ${tokenName} after retries:`,
+          error.message,
+        );
+        pricesData[tokenName] = null;
+        onError(tokenName, error);
+      }
+    }),
+  );
+  const successfulFetches = Object.values(pricesData).filter(
+    (data) => data !== null,
+  ).length;
+  console.log(
+    `Successfully fetched DeFi Llama prices for ${successfulFetches} out of ${Object.keys(tokenAddresses).length} tokens.`,
+  );
+  return pricesData;
+}
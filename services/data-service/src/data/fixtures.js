@@ -0,0 +1,92 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { getDataSourceMode, getFixturesDir } from '../config/dataSource.js';
+
+/**
+ * Format version of fixture files. Files of another version are rejected on replay and must be
+ * recorded again.
+ */
+export const FIXTURE_VERSION = 1;
+
+/**
+ * Builds the path of the fixture file of an upstream request.
+ * @param {string} source - Upstream source (e.g., "coingecko").
+ * @param {string} key - Identifier of the series within the source (e.g., a contract address).
+ * @returns {string} Path of the fixture file: <fixtures dir>/<source>/<key>.json, with characters
+ *                   that are unsafe in file names replaced by underscores.
+ */
+export function getFixturePath(source, key) {
+  return path.join(
+    getFixturesDir(),
+    source,
+    `${String(key).replace(/[^\w.-]/g, '_')}.json`,
+  );
+}
+
+/**
+ * Reads the recorded response body of an upstream request.
+ * @param {string} source - Upstream source.
+ * @param {string} key - Identifier of the series within the source.
+ * @returns {Promise<*>} The recorded response body.
+ * @throws {Error} If no fixture is recorded or it has another format version.
+ */
+export async function readFixture(source, key) {
+  let contents;
+  try {
+    contents = await fs.readFile(getFixturePath(source, key), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`No ${source} fixture recorded for '${key}'`);
+    }
+    throw error;
+  }
+  const fixture = JSON.parse(contents);
+  if (fixture.version !== FIXTURE_VERSION) {
+    throw new Error(
+      `Unsupported ${source} fixture version for '${key}': ${fixture.version}, expected ${FIXTURE_VERSION}`,
+    );
+  }
+  return fixture.body;
+}
+
+/**
+ * Records the response body of an upstream request, replacing any earlier recording.
+ * @param {string} source - Upstream source.
+ * @param {string} key - Identifier of the series within the source.
+ * @param {*} body - Response body to record.
+ * @returns {Promise<void>}
+ */
+export async function writeFixture(source, key, body) {
+  const fixturePath = getFixturePath(source, key);
+  await fs.mkdir(path.dirname(fixturePath), { recursive: true });
+  const fixture = {
+    version: FIXTURE_VERSION,
+    source,
+    key,
+    recordedAt: new Date().toISOString(),
+    body,
+  };
+  await fs.writeFile(fixturePath, `${JSON.stringify(fixture, null, 2)}\n`);
+}
+
+/**
+ * Obtains the response body of an upstream request according to DATA_SOURCE_MODE: requested
+ * live, requested and recorded, or replayed from the recorded fixture without a request.
+ *
+ * @param {string} source - Upstream source.
+ * @param {string} key - Identifier of the series within the source.
+ * @param {function(): Promise<*>} requestBody - Requests the response body from the source.
+ * @returns {Promise<*>} The response body.
+ * @throws {Error} If the request fails, or no valid fixture is recorded in replay mode.
+ */
+export async function withFixture(source, key, requestBody) {
+  const mode = getDataSourceMode();
+  if (mode === 'replay') {
+    return readFixture(source, key);
+  }
+  const body = await requestBody();
+  if (mode === 'record') {
+    await writeFixture(source, key, body);
+  }
+  return body;
+}
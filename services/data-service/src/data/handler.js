@@ -1,12 +1,9 @@
-import {
-  fetchPoolData,
-  fetchPriceData,
-  fetchUniswapPoolData,
-} from './fetcher.js';
 import {
   saveStakingData,
   saveTokenPriceData,
   saveLiquidityPoolData,
+  saveHourlyTokenPriceData,
+  saveHourlyLiquidityPoolData,
 } from './saver.js';
 import {
   trimData,
@@ -15,85 +12,288 @@ import {
   fillMissingDates,
   formatLiquidityPoolData,
   addSymbolToPriceData,
-  processPoolDataResponse,
-  processPriceDataResponse,
-  processUniswapPoolDataResponse,
+  filterDataAfter,
+  filterDataInRange,
+  reconcileSourceData,
 } from './processor.js';
+import loadRegistry, { selectSeries } from './registry.js';
+import { DATASETS, getSources, getSourceNames } from './sources.js';
+import {
+  findLatestTimestamps,
+  buildFetchWindows,
+  daysToFetch,
+} from './incremental.js';
+import { getHistoryDays } from '../config/history.js';
+import {
+  RESOLUTIONS,
+  RESOLUTION_INTERVALS,
+  MAX_HOURLY_HISTORY_DAYS,
+  getHourlyHistoryDays,
+} from '../config/resolutions.js';
+import { metricFillStrategies, getFillSeed } from '../config/gapFilling.js';
+import { getPriceReconciliation } from '../config/reconciliation.js';
+import {
+  createIngestionReport,
+  recordFetchError,
+  recordFetchResults,
+  recordRecoveredSeries,
+} from './ingestionReport.js';
+
+/**
+ * Builds the range a source fetches: the history depth of the run, or in an incremental run the
+ * windows of the series groups its datasets belong to.
+ * @param {Object} source - Source adapter (see SourceAdapter).
+ * @param {Object|null} windows - Incremental fetch windows (see buildFetchWindows), if any.
+ * @param {number} historyDays - Days of history of the run.
+ * @returns {Object} Fetch range (see FetchRange).
+ */
+function getFetchRange(source, windows, historyDays) {
+  if (!windows) {
+    return { days: historyDays };
+  }
+  const groups = [
+    ...new Set(source.datasets.map((dataset) => DATASETS[dataset])),
+  ];
+  return {
+    days: Object.assign({}, ...groups.map((group) => windows.days[group])),
+    startTimestamps: Object.assign(
+      {},
+      ...groups.map((group) => windows.startTimestamps[group]),
+    ),
+  };
+}
+
+/**
+ * Savers of the series of each resolution. There is no hourly staking series.
+ */
+const SAVERS = {
+  daily: {
+    staking: saveStakingData,
+    tokenPrices: saveTokenPriceData,
+    liquidityPools: saveLiquidityPoolData,
+  },
+  hourly: {
+    tokenPrices: saveHourlyTokenPriceData,
+    liquidityPools: saveHourlyLiquidityPoolData,
+  },
+};
 
 /**
  * Fetches, processes, and saves data to the database for use in running simulations.
+ * The pools and tokens to fetch are read from the database registry on every run, and fetched
+ * from every registered source adapter (see registerSource). The normalized data of each dataset
+ * is merged with failover to later sources, and token prices are reconciled across sources
+ * (see reconcileSourceData and getPriceReconciliation).
+ *
+ * Missing days are filled with the gap-filling strategy configured for each metric
+ * (see metricFillStrategies), the random strategy drawing from the configured seed
+ * (see getFillSeed).
+ *
+ * In incremental mode, only the days after the latest stored timestamp of each series are
+ * requested and kept; series without stored data are fetched in full.
+ *
+ * A run can be narrowed down to some sources, tokens and pools (see selectSeries) and to a date
+ * range. With a start date, the history from that date on is fetched regardless of the stored
+ * data and of the configured history depth.
+ *
+ * Hourly runs fetch from the sources of the hourly resolution instead of the daily ones, fill
+ * missing hours instead of missing days and save to the hourly tables. Their history depth is
+ * capped at MAX_HOURLY_HISTORY_DAYS.
  * @param {Object} app - Application object containing database models under `app.locals.models`.
- * @throws {Error} If an error occurs during fetching, processing, or saving data to the database.
+ * @param {Object} [options] - Run options
+ * @param {boolean} [options.incremental=false] - Whether to only fetch days newer than the
+ *                                                stored data.
+ * @param {string} [options.resolution='daily'] - Resolution of the run, one of RESOLUTIONS.
+ * @param {number} [options.historyDays] - Maximum days of history per series, or Infinity for
+ *                                         the full history (default: HISTORY_DAYS or 365, or
+ *                                         HOURLY_HISTORY_DAYS or 30 in hourly runs).
+ * @param {string} [options.onConflict='skip'] - Whether already stored days are kept ('skip')
+ *                                               or replaced ('overwrite').
+ * @param {string[]} [options.sources] - Sources to fetch from (default: all registered sources
+ *                                       of the resolution).
+ * @param {string[]} [options.tokens] - Symbols of the tokens to fetch (default: all).
+ * @param {string[]} [options.pools] - Names or addresses of the pools to fetch (default: all).
+ * @param {string|Date} [options.start] - Earliest day to fetch and save.
+ * @param {string|Date} [options.end] - Latest day to save.
+ * @param {number} [options.fillSeed] - Seed of the random gap-filling strategy (default:
+ *                                       GAP_FILL_SEED or DEFAULT_FILL_SEED).
+ * @param {boolean} [options.dryRun=false] - Whether to return the rows that would be saved
+ *                                            instead of saving them.
+ * @param {Object} [options.report] - Ingestion report to fill in (see createIngestionReport);
+ *                                    it keeps the progress made before an error is thrown.
+ * @returns {Promise<Object>} The ingestion report, with fetch results per registered source
+ *                            (e.g., 'defillama', 'coingecko', 'uniswap'), the failed series,
+ *                            the divergences found between sources and the row counts of
+ *                            each table ('staking', 'tokenPrices', 'liquidityPools'). In a
+ *                            dry run, 'pendingRows' holds the records that would be saved per
+ *                            table and series instead of the row counts.
+ * @throws {Error} If the resolution is invalid, a selected source has another resolution, or an
+ *                 error occurs during fetching, processing, or saving data to the database.
  */
-export default async function dataHandler(app) {
+export default async function dataHandler(
+  app,
+  {
+    incremental = false,
+    resolution = 'daily',
+    historyDays: configuredHistoryDays,
+    onConflict = 'skip',
+    sources,
+    tokens,
+    pools,
+    start,
+    end,
+    fillSeed,
+    dryRun = false,
+    report = createIngestionReport(),
+  } = {},
+) {
   try {
-    const [apyTvlData, priceData, uniswapPoolsData] = await Promise.all([
-      fetchPoolData(),
-      fetchPriceData(),
-      fetchUniswapPoolData(),
-    ]);
-
-    const [processedApyData, processedTvlData] =
-      processPoolDataResponse(apyTvlData);
-    const processedPriceData = processPriceDataResponse(priceData);
-    const processedUniswapPoolsData =
-      processUniswapPoolDataResponse(uniswapPoolsData);
-
-    const cleanApyData = removeDuplicateTimestamps(processedApyData);
-    const cleanTvlData = removeDuplicateTimestamps(processedTvlData);
-    const cleanPriceData = removeDuplicateTimestamps(processedPriceData);
-    const cleanUniswapPoolsData = removeDuplicateTimestamps(
-      processedUniswapPoolsData,
+    if (!RESOLUTIONS.includes(resolution)) {
+      throw new Error(
+        `Invalid resolution: ${resolution}, must be one of ${RESOLUTIONS.join(', ')}`,
+      );
+    }
+    const isHourly = resolution === 'hourly';
+    const resolutionSources = getSourceNames(resolution);
+    const otherSources = (sources ?? []).filter(
+      (name) => !resolutionSources.includes(name),
     );
+    if (otherSources.length > 0) {
+      throw new Error(
+        `Sources not available at the ${resolution} resolution: ${otherSources.join(', ')}`,
+      );
+    }
+    const selectedSources = sources ?? resolutionSources;
 
-    const trimmedApyData = trimData(cleanApyData);
-    const trimmedTvlData = trimData(cleanTvlData);
-    const trimmedPriceData = trimData(cleanPriceData);
-    const trimmedUniswapPoolsData = trimData(cleanUniswapPoolsData);
+    const registry = selectSeries(await loadRegistry(app), {
+      sources: selectedSources,
+      tokens,
+      pools,
+    });
+    const reconciliation = { prices: getPriceReconciliation() };
+    const fillOptions = {
+      strategies: metricFillStrategies,
+      seed: fillSeed ?? getFillSeed(),
+    };
+    const maxHistoryDays = isHourly ? MAX_HOURLY_HISTORY_DAYS : Infinity;
+    const historyDays = Math.min(
+      start
+        ? daysToFetch(start, new Date(), Infinity)
+        : (configuredHistoryDays ??
+            (isHourly ? getHourlyHistoryDays() : getHistoryDays())),
+      maxHistoryDays,
+    );
+    const windows =
+      incremental && !start
+        ? buildFetchWindows(
+            await findLatestTimestamps(app, registry, resolution),
+            new Date(),
+            historyDays,
+          )
+        : null;
 
-    const missingApyDates = findMissingDates(trimmedApyData);
-    const missingTvlDates = findMissingDates(trimmedTvlData);
-    const missingPriceDates = findMissingDates(trimmedPriceData);
-    const missingUniswapDates = findMissingDates(trimmedUniswapPoolsData);
+    // Sources that were not selected are never called, so that their upstream need not be
+    // configured
+    const normalizedData = await Promise.all(
+      getSources(resolutionSources)
+        .filter((source) => selectedSources.includes(source.name))
+        .map(async (source) => {
+          const rawData = await source.fetch(
+            source.series(registry),
+            getFetchRange(source, windows, historyDays),
+            recordFetchError(report, source.name),
+          );
+          recordFetchResults(report, source.name, rawData);
+          return { source, data: source.normalize(rawData) };
+        }),
+    );
 
-    const filledApyData =
-      Object.keys(missingApyDates).length > 0
-        ? trimData(fillMissingDates(trimmedApyData, missingApyDates))
-        : trimmedApyData;
-    const filledTvlData =
-      Object.keys(missingTvlDates).length > 0
-        ? trimData(fillMissingDates(trimmedTvlData, missingTvlDates))
-        : trimmedTvlData;
-    const filledPriceData =
-      Object.keys(missingPriceDates).length > 0
-        ? trimData(fillMissingDates(trimmedPriceData, missingPriceDates))
-        : trimmedPriceData;
-    const filledUniswapPoolsData =
-      Object.keys(missingUniswapDates).length > 0
+    const interval = RESOLUTION_INTERVALS[resolution];
+    const maxRecords = historyDays * (RESOLUTION_INTERVALS.daily / interval);
+    const prepare = (data, cutoffs) => {
+      const trimmedData = trimData(
+        filterDataInRange(
+          filterDataAfter(removeDuplicateTimestamps(data), cutoffs),
+          start,
+          end,
+        ),
+        maxRecords,
+      );
+      const missingDates = findMissingDates(trimmedData, interval);
+      return Object.keys(missingDates).length > 0
         ? trimData(
-            fillMissingDates(trimmedUniswapPoolsData, missingUniswapDates),
+            fillMissingDates(trimmedData, missingDates, fillOptions),
+            maxRecords,
           )
-        : trimmedUniswapPoolsData;
+        : trimmedData;
+    };
+    const datasets = Object.fromEntries(
+      Object.entries(DATASETS).map(([dataset, group]) => {
+        const { data, divergences } = reconcileSourceData(
+          normalizedData
+            .filter(({ source }) => source.datasets.includes(dataset))
+            .map(({ source, data: sourceData }) => ({
+              source: source.name,
+              data: sourceData[dataset],
+            })),
+          reconciliation[dataset],
+        );
+        report.divergences.push(
+          ...divergences.map((divergence) => ({ dataset, ...divergence })),
+        );
+        return [dataset, prepare(data, windows?.cutoffs[group])];
+      }),
+    );
+    recordRecoveredSeries(
+      report,
+      normalizedData.map(({ source }) => source),
+      datasets,
+    );
 
     const liquidityPoolData = formatLiquidityPoolData(
-      filledTvlData,
-      filledUniswapPoolsData,
+      datasets.tvl,
+      datasets.volumes,
+      registry.poolAddresses,
     );
-    const tokenPriceData = addSymbolToPriceData(filledPriceData);
+    const tokenPriceData = addSymbolToPriceData(datasets.prices);
 
-    await saveStakingData(filledApyData, app).catch((err) => {
-      console.error('Failed to save staking data:', err);
-      throw err;
-    });
-    await saveTokenPriceData(tokenPriceData, app).catch((err) => {
-      console.error('Failed to save token price data:', err);
-      throw err;
-    });
-    await saveLiquidityPoolData(liquidityPoolData, app).catch((err) => {
-      console.error('Failed to save liquidity pool data:', err);
-      throw err;
-    });
+    if (dryRun) {
+      console.log('Dry run: skipping save');
+      return {
+        ...report,
+        pendingRows: {
+          ...(!isHourly && { staking: datasets.staking }),
+          tokenPrices: tokenPriceData,
+          liquidityPools: liquidityPoolData,
+        },
+      };
+    }
+
+    const saveOptions = { onConflict };
+    const savers = SAVERS[resolution];
+    const { rowsWritten } = report;
+    if (savers.staking) {
+      rowsWritten.staking = await savers
+        .staking(datasets.staking, app, saveOptions)
+        .catch((err) => {
+          console.error('Failed to save staking data:', err);
+          throw err;
+        });
+    }
+    rowsWritten.tokenPrices = await savers
+      .tokenPrices(tokenPriceData, app, saveOptions)
+      .catch((err) => {
+        console.error('Failed to save token price data:', err);
+        throw err;
+      });
+    rowsWritten.liquidityPools = await savers
+      .liquidityPools(liquidityPoolData, app, saveOptions)
+      .catch((err) => {
+        console.error('Failed to save liquidity pool data:', err);
+        throw err;
+      });
     console.log('All data saved successfully');
+    return report;
   } catch (error) {
     console.error('Error in dataHandler:', error);
     throw error;
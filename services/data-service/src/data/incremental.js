@@ -0,0 +1,152 @@
+import { fn, col } from 'sequelize';
+import { getHistoryDays } from '../config/history.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Calculates how many days must be requested to cover everything after the latest stored
+ * timestamp. One extra day is requested so that the window overlaps the stored data.
+ * @param {Date|string|null} latestTimestamp - Latest stored timestamp of the series, if any.
+ * @param {Date} [now=new Date()] - Current time.
+ * @param {number} [historyDays=getHistoryDays()] - Configured history depth (may be Infinity).
+ * @returns {number} Number of days to request, capped at historyDays.
+ */
+export function daysToFetch(
+  latestTimestamp,
+  now = new Date(),
+  historyDays = getHistoryDays(),
+) {
+  const latest = latestTimestamp ? new Date(latestTimestamp) : null;
+  if (!latest || Number.isNaN(latest.getTime())) {
+    return historyDays;
+  }
+  const days = Math.ceil((now.getTime() - latest.getTime()) / DAY_MS) + 1;
+  return Math.min(Math.max(days, 1), historyDays);
+}
+
+/**
+ * Models of the stored series of each resolution, by series group. There is no hourly staking
+ * series.
+ */
+const SERIES_MODELS = {
+  daily: {
+    staking: 'ETHStakingHistorical',
+    prices: 'TokenPrice',
+    pools: 'LPHistorical',
+  },
+  hourly: {
+    prices: 'TokenPriceHourly',
+    pools: 'LPHistoricalHourly',
+  },
+};
+
+/**
+ * Looks up the latest stored timestamp of every registered series.
+ * @param {Object} app - Application object containing database models under `app.locals.models`.
+ * @param {Object} registry - Registry lookup maps as returned by loadRegistry.
+ * @param {string} [resolution='daily'] - Resolution of the stored series (see RESOLUTIONS).
+ * @returns {Promise<{
+ *   staking: Object<string, Date|null>,
+ *   prices: Object<string, Date|null>,
+ *   pools: Object<string, Date|null>
+ * }>} Latest timestamps keyed by staking series, token and pool name (null if none are stored).
+ *     Hourly runs have no staking series.
+ * @throws {Error} If the database models are unavailable.
+ */
+export async function findLatestTimestamps(
+  app,
+  registry,
+  resolution = 'daily',
+) {
+  const models = app?.locals?.models;
+  const modelNames = SERIES_MODELS[resolution] ?? {};
+  if (
+    !modelNames.prices ||
+    Object.values(modelNames).some((name) => !models?.[name])
+  ) {
+    throw new Error('Database models are not available');
+  }
+
+  const [latestStaking, latestPrices, latestPools] = await Promise.all([
+    modelNames.staking ? models[modelNames.staking].max('timestamp') : null,
+    models[modelNames.prices].findAll({
+      attributes: ['token_symbol', [fn('MAX', col('timestamp')), 'latest']],
+      group: ['token_symbol'],
+      raw: true,
+    }),
+    models[modelNames.pools].findAll({
+      attributes: ['pool_address', [fn('MAX', col('timestamp')), 'latest']],
+      group: ['pool_address'],
+      raw: true,
+    }),
+  ]);
+
+  const latestBySymbol = new Map(
+    latestPrices.map((row) => [row.token_symbol, row.latest]),
+  );
+  const latestByAddress = new Map(
+    latestPools.map((row) => [row.pool_address, row.latest]),
+  );
+
+  const staking = {};
+  if (modelNames.staking) {
+    Object.keys(registry.poolIds).forEach((name) => {
+      if (!Object.prototype.hasOwnProperty.call(registry.poolAddresses, name)) {
+        staking[name] = latestStaking || null;
+      }
+    });
+  }
+  const prices = Object.fromEntries(
+    Object.keys(registry.tokenAddresses).map((name) => [
+      name,
+      latestBySymbol.get(name.toUpperCase()) || null,
+    ]),
+  );
+  const pools = Object.fromEntries(
+    Object.entries(registry.poolAddresses).map(([name, address]) => [
+      name,
+      latestByAddress.get(address) || null,
+    ]),
+  );
+
+  return { staking, prices, pools };
+}
+
+/**
+ * Builds the per-series fetch windows for an incremental run. Series without stored data get
+ * the full configured history window.
+ * @param {Object} latestTimestamps - Latest stored timestamps as returned by findLatestTimestamps.
+ * @param {Date} [now=new Date()] - Current time.
+ * @param {number} [historyDays=getHistoryDays()] - Configured history depth (may be Infinity).
+ * @returns {{
+ *   days: Object<string, Object<string, number>>,
+ *   startTimestamps: Object<string, Object<string, number>>,
+ *   cutoffs: {
+ *     staking: Object<string, Date|null>,
+ *     prices: Object<string, Date|null>,
+ *     pools: Object<string, Date|null>
+ *   }
+ * }} Days to fetch and Unix timestamps to fetch after (only for series with stored data), keyed
+ *    by group ('staking', 'prices', 'pools') and series name, and the cutoffs to drop already
+ *    stored records.
+ */
+export function buildFetchWindows(
+  latestTimestamps,
+  now = new Date(),
+  historyDays = getHistoryDays(),
+) {
+  const days = {};
+  const startTimestamps = {};
+  Object.entries(latestTimestamps).forEach(([group, latestBySeries]) => {
+    days[group] = {};
+    startTimestamps[group] = {};
+    Object.entries(latestBySeries).forEach(([name, latest]) => {
+      days[group][name] = daysToFetch(latest, now, historyDays);
+      if (latest) {
+        startTimestamps[group][name] =
+          Math.floor(new Date(latest).getTime() / 1000) - DAY_MS / 1000;
+      }
+    });
+  });
+  return { days, startTimestamps, cutoffs: latestTimestamps };
+}
@@ -0,0 +1,127 @@
+import dataHandler from './handler.js';
+import { createIngestionReport, getMissingSeries } from './ingestionReport.js';
+
+/**
+ * Ways an ingestion run can be started.
+ */
+export const INGESTION_TRIGGERS = Object.freeze([
+  'cron',
+  'startup',
+  'manual',
+  'backfill',
+]);
+
+/**
+ * Message recorded for runs that were still running when the service stopped.
+ */
+export const INTERRUPTED_RUN_MESSAGE =
+  'Interrupted: the service stopped during the run';
+
+/**
+ * Marks the runs that the service left 'running' when it stopped, e.g. on a crash or a restart
+ * during a run, as failed. Backfill runs are left alone: they run in their own process, which may
+ * still be running.
+ *
+ * @param {Object} app - Application object containing database models under `app.locals.models`.
+ * @returns {Promise<number>} Number of runs marked as failed.
+ * @throws {Error} If the IngestionRun model is unavailable.
+ */
+export async function failInterruptedRuns(app) {
+  if (!app?.locals?.models?.IngestionRun) {
+    throw new Error('Database model IngestionRun is not available');
+  }
+  const [count] = await app.locals.models.IngestionRun.update(
+    {
+      status: 'failed',
+      finished_at: new Date(),
+      error_message: INTERRUPTED_RUN_MESSAGE,
+    },
+    {
+      where: {
+        status: 'running',
+        trigger: INGESTION_TRIGGERS.filter((trigger) => trigger !== 'backfill'),
+      },
+    },
+  );
+  return count;
+}
+
+/**
+ * Records a new run in the ingestion_runs ledger and starts the data handler without waiting for
+ * it. When the handler is done, the run is updated with its end time, fetch results per source,
+ * failed series, divergences between sources, rows written and the error message if it failed.
+ * A run in which some series failed to fetch and no other source filled them in is recorded as
+ * 'partial'.
+ *
+ * @param {Object} app - Application object containing database models under `app.locals.models`.
+ * @param {string} trigger - What started the run, one of INGESTION_TRIGGERS.
+ * @param {Object} [options] - Options passed to the data handler (see dataHandler).
+ * @returns {Promise<{run: Object, completion: Promise<Object>}>} The IngestionRun record as
+ *   created, and a promise of the finished record that rejects with the handler's error (after
+ *   the failure is recorded).
+ * @throws {Error} If the IngestionRun model is unavailable or the trigger is invalid.
+ */
+export async function startIngestion(app, trigger, options = {}) {
+  if (!app?.locals?.models?.IngestionRun) {
+    throw new Error('Database model IngestionRun is not available');
+  }
+  if (!INGESTION_TRIGGERS.includes(trigger)) {
+    throw new Error(
+      `Invalid trigger: ${trigger}, must be one of ${INGESTION_TRIGGERS.join(', ')}`,
+    );
+  }
+
+  const run = await app.locals.models.IngestionRun.create({
+    trigger,
+    resolution: options.resolution ?? 'daily',
+    status: 'running',
+    started_at: new Date(),
+  });
+  const report = createIngestionReport();
+  const summarize = () => ({
+    finished_at: new Date(),
+    sources: report.sources,
+    failed_series: report.failedSeries,
+    divergences: report.divergences,
+    rows_written: report.rowsWritten,
+  });
+
+  const completion = dataHandler(app, { ...options, report }).then(
+    () =>
+      run.update({
+        ...summarize(),
+        status: getMissingSeries(report).length > 0 ? 'partial' : 'succeeded',
+      }),
+    async (error) => {
+      await run
+        .update({
+          ...summarize(),
+          status: 'failed',
+          error_message: error.message,
+        })
+        .catch((updateError) => {
+          console.error(
+            `Failed to record the failure of ingestion run ${run.id}:`,
+            updateError,
+          );
+        });
+      throw error;
+    },
+  );
+  return { run, completion };
+}
+
+/**
+ * Runs the data handler and records the run in the ingestion_runs ledger (see startIngestion).
+ *
+ * @param {Object} app - Application object containing database models under `app.locals.models`.
+ * @param {string} trigger - What started the run, one of INGESTION_TRIGGERS.
+ * @param {Object} [options] - Options passed to the data handler (see dataHandler).
+ * @returns {Promise<Object>} The finished IngestionRun record.
+ * @throws {Error} If the IngestionRun model is unavailable, the trigger is invalid or the data
+ *                 handler fails (after the failure is recorded).
+ */
+export default async function runIngestion(app, trigger, options = {}) {
+  const { completion } = await startIngestion(app, trigger, options);
+  return completion;
+}
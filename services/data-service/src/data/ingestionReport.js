@@ -0,0 +1,81 @@
+/**
+ * Creates an empty report that the data handler fills in while it runs, so that what happened
+ * before a failure is still known.
+ * @returns {{
+ *   sources: Object<string, {requested: number, succeeded: number, failed: number}>,
+ *   failedSeries: Array<{source: string, series: string, error: string, recovered?: true}>,
+ *   divergences: Array<Object>,
+ *   rowsWritten: Object<string, {
+ *     inserted: number, updated: number, skipped: number, unfilled: number
+ *   }>
+ * }} Empty ingestion report.
+ */
+export function createIngestionReport() {
+  return {
+    sources: {},
+    failedSeries: [],
+    divergences: [],
+    rowsWritten: {},
+  };
+}
+
+/**
+ * Creates a fetch error callback that records each failed series in the report.
+ * @param {Object} report - Ingestion report (see createIngestionReport).
+ * @param {string} source - Name of the data source (e.g., "coingecko").
+ * @returns {function(string, Error): void} Callback taking the series name and its error.
+ */
+export function recordFetchError(report, source) {
+  return (series, error) => {
+    report.failedSeries.push({ source, series, error: error.message });
+  };
+}
+
+/**
+ * Records how many series of a source were requested and fetched successfully.
+ * @param {Object} report - Ingestion report (see createIngestionReport).
+ * @param {string} source - Name of the data source (e.g., "coingecko").
+ * @param {Object<string, Array|null>} data - Fetched data keyed by series name, null if the
+ *                                            series failed.
+ */
+export function recordFetchResults(report, source, data) {
+  const results = Object.values(data || {});
+  const failed = results.filter((result) => result === null).length;
+  const { sources } = report;
+  sources[source] = {
+    requested: results.length,
+    succeeded: results.length - failed,
+    failed,
+  };
+}
+
+/**
+ * Flags the failed series that another source filled in as recovered, e.g. the prices of a token
+ * that CoinGecko failed to fetch and DeFi Llama provided. Only series left without data make a
+ * run partial.
+ * @param {Object} report - Ingestion report (see createIngestionReport).
+ * @param {Object[]} sources - Source adapters of the run (see SourceAdapter).
+ * @param {Object<string, Object<string, Array<Object>>>} datasets - Merged records keyed by
+ *                                                                  dataset and series name.
+ */
+export function recordRecoveredSeries(report, sources, datasets) {
+  const { failedSeries } = report;
+  failedSeries.forEach((failure, index) => {
+    const source = sources.find(({ name }) => name === failure.source);
+    const recovered = source?.datasets.some(
+      (dataset) => datasets[dataset]?.[failure.series]?.length > 0,
+    );
+    if (recovered) {
+      failedSeries[index] = { ...failure, recovered: true };
+    }
+  });
+}
+
+/**
+ * Lists the failed series that no source filled in (see recordRecoveredSeries).
+ * @param {Object} report - Ingestion report (see createIngestionReport).
+ * @returns {Array<{source: string, series: string, error: string}>} Series left without data.
+ */
+export function getMissingSeries(report) {
+  return report.failedSeries.filter((failure) => !failure.recovered);
+}
@@ -0,0 +1,61 @@
+import { RESOLUTION_INTERVALS } from '../config/resolutions.js';
+import { getSeriesFields } from './resampling.js';
+
+/**
+ * Number of record intervals after which the latest row of a series is stale. Just before an
+ * ingestion run, the latest row is up to two intervals old: the row of the last complete day or
+ * hour is written once it is over. A third interval means that a scheduled run was missed.
+ */
+export const STALE_AFTER_INTERVALS = 3;
+
+/**
+ * Age after which the latest row of a series is stale.
+ * @param {string} resolution - Resolution of the series, one of RESOLUTIONS
+ * @returns {number} Age in milliseconds
+ */
+export function getStaleAfter(resolution) {
+  return STALE_AFTER_INTERVALS * RESOLUTION_INTERVALS[resolution];
+}
+
+/**
+ * Reads the latest row of each series of a model.
+ * @param {Object} model - Model of the series
+ * @param {string} [keyColumn] - Column holding the key of a series, if the model has several
+ * @param {string[]} [keys] - Keys of the series to read
+ * @returns {Promise<Array<Object|null>>} Latest row of each series, in the order of the keys (a
+ *                                        single row without a key column), null if the series
+ *                                        has no rows
+ */
+export function findLatestRows(model, keyColumn, keys = []) {
+  const findLatest = (where) =>
+    model.findOne({ where, order: [['timestamp', 'DESC']], raw: true });
+  if (!keyColumn) {
+    return Promise.all([findLatest({})]);
+  }
+  return Promise.all(keys.map((key) => findLatest({ [keyColumn]: key })));
+}
+
+/**
+ * Describes the latest row of a series: its columns, its age and whether it is stale (see
+ * STALE_AFTER_INTERVALS).
+ * @param {Object|null} row - Latest row of the series, null if it has none
+ * @param {string} modelName - Name of the model of the series, one of RESAMPLED_SERIES
+ * @param {string} resolution - Resolution of the series, one of RESOLUTIONS
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Object} Columns of the row (null if the series has no rows), 'age_seconds' since
+ *                   its timestamp (null without a row) and 'is_stale' (true without a row)
+ */
+export function describeLatestRow(row, modelName, resolution, now = new Date()) {
+  const columns = Object.fromEntries(
+    getSeriesFields(modelName).map((field) => [field, row?.[field] ?? null]),
+  );
+  if (!row) {
+    return { ...columns, age_seconds: null, is_stale: true };
+  }
+  const age = now.getTime() - new Date(row.timestamp).getTime();
+  return {
+    ...columns,
+    age_seconds: Math.round(age / 1000),
+    is_stale: age > getStaleAfter(resolution),
+  };
+}
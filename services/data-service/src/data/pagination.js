@@ -0,0 +1,116 @@
+/**
+ * Number of rows returned per page when a cursor is given without a limit. Requests without
+ * either get the whole history, as they did before pagination.
+ */
+export const DEFAULT_PAGE_LIMIT = 1000;
+
+/**
+ * Largest number of rows a single page may hold.
+ */
+export const MAX_PAGE_LIMIT = 10000;
+
+/**
+ * Sort orders accepted by the order query parameter; rows are sorted by timestamp.
+ */
+export const SORT_ORDERS = Object.freeze(['asc', 'desc']);
+
+/**
+ * Validates the optional limit, cursor and order query parameters of a history request.
+ * @param {string} [limit] - Number of rows per page, between 1 and MAX_PAGE_LIMIT
+ *                           (DEFAULT_PAGE_LIMIT if omitted)
+ * @param {string} [cursor] - Timestamp of the last row of the previous page, in ISO 8601 format;
+ *                            the page starts after it in the requested order
+ * @param {string} [order] - One of SORT_ORDERS, "asc" if omitted
+ * @returns {Object} An object containing:
+ *   - {number} [limit] - The page size if the parameters are valid, otherwise undefined
+ *   - {Date} [cursor] - The cursor if provided and valid, otherwise undefined
+ *   - {string} [order] - The sort order if the parameters are valid, otherwise undefined
+ *   - {string} [errorMsg] - An error message if the parameters are invalid, otherwise undefined
+ */
+export function parsePagination(limit, cursor, order = 'asc') {
+  let pageLimit = DEFAULT_PAGE_LIMIT;
+  if (limit !== undefined) {
+    pageLimit = /^\d+$/.test(limit) ? Number(limit) : NaN;
+    if (!(pageLimit >= 1 && pageLimit <= MAX_PAGE_LIMIT)) {
+      return {
+        errorMsg: `Invalid limit parameter, must be an integer between 1 and ${MAX_PAGE_LIMIT}`,
+      };
+    }
+  }
+
+  let cursorDate;
+  if (cursor !== undefined) {
+    cursorDate = new Date(cursor);
+    if (Number.isNaN(cursorDate.getTime())) {
+      return { errorMsg: 'Invalid cursor parameter' };
+    }
+  }
+
+  if (!SORT_ORDERS.includes(order)) {
+    return {
+      errorMsg: `Invalid order parameter, must be one of ${SORT_ORDERS.join(', ')}`,
+    };
+  }
+  return { limit: pageLimit, cursor: cursorDate, order };
+}
+
+/**
+ * Validates the optional fields query parameter of a history request.
+ * @param {string} [fields] - Comma-separated columns to return
+ * @param {string[]} availableFields - Columns of the rows of the history
+ * @returns {Object} An object containing:
+ *   - {string[]} [fields] - The columns if provided and valid, otherwise undefined (every column)
+ *   - {string} [errorMsg] - An error message if a column is unknown, otherwise undefined
+ */
+export function parseFields(fields, availableFields) {
+  if (fields === undefined) {
+    return {};
+  }
+  const names = [...new Set(fields.split(',').map((name) => name.trim()))];
+  if (names.some((name) => !availableFields.includes(name))) {
+    return {
+      errorMsg: `Invalid fields parameter, must be a comma-separated list of ${availableFields.join(', ')}`,
+    };
+  }
+  return { fields: names };
+}
+
+/**
+ * Metadata of a page of history.
+ * @typedef {Object} PageMeta
+ * @property {number} count - Number of rows in the page
+ * @property {number|null} limit - Page size, null if the whole history was returned
+ * @property {string} order - Sort order of the rows by timestamp
+ * @property {string|null} nextCursor - Cursor of the next page, or null if this is the last one
+ */
+
+/**
+ * Turns the rows of a query limited to one row more than the page size into a page: the extra
+ * row only tells that there is a next page.
+ * @param {Array<Object>} rows - Rows ordered by timestamp, at most limit + 1
+ * @param {Object} options - Options
+ * @param {number} [options.limit] - Page size (default: none, the rows are the whole history)
+ * @param {string} options.order - Sort order of the rows
+ * @param {string[]} [options.fields] - Columns to keep in each row (default: every column)
+ * @returns {{rows: Array<Object>, meta: PageMeta}} Rows of the page and its metadata
+ */
+export function buildPage(rows, { limit, order, fields }) {
+  const pageRows = rows.slice(0, limit);
+  const nextCursor =
+    limit !== undefined && rows.length > limit
+      ? new Date(pageRows[pageRows.length - 1].timestamp).toISOString()
+      : null;
+  return {
+    rows: fields
+      ? pageRows.map((row) =>
+          Object.fromEntries(fields.map((field) => [field, row[field]])),
+        )
+      : pageRows,
+    meta: {
+      count: pageRows.length,
+      limit: limit ?? null,
+      order,
+      nextCursor,
+    },
+  };
+}
@@ -0,0 +1,106 @@
+import { QueryTypes } from 'sequelize';
+
+/**
+ * Windows the pool metrics are averaged over, mapped to their length in days. Windows end at the
+ * latest daily row of each pool, so that a pool whose ingestion lags still gets full averages.
+ */
+export const POOL_METRIC_WINDOWS = Object.freeze({ '7d': 7, '30d': 30 });
+
+/**
+ * Columns of the daily pool rows that are reported and averaged.
+ */
+const METRIC_COLUMNS = ['tvl_usd', 'volume_24h_usd', 'fees_24h_usd'];
+
+/**
+ * Annualized fee yield in percent of the TVL, from daily fees and TVL (SQL expressions).
+ * @param {string} fees - Daily fees
+ * @param {string} tvl - TVL
+ * @returns {string} SQL expression, null when the TVL is zero or unknown
+ */
+function feeApr(fees, tvl) {
+  return `ROUND(${fees} / NULLIF(${tvl}, 0) * 365 * 100, 4)`;
+}
+
+/**
+ * Builds the query of the latest daily metrics of pools and their averages over each window of
+ * POOL_METRIC_WINDOWS, with the fee APR derived from the fees and TVL of the day or window.
+ * @returns {string} Query with an `addresses` replacement listing the pool addresses
+ */
+export function buildPoolMetricsQuery() {
+  const windows = Object.entries(POOL_METRIC_WINDOWS);
+  const longest = Math.max(...windows.map(([, days]) => days));
+  const averages = windows.flatMap(([name, days]) => {
+    const average = (column) =>
+      `AVG(h.${column}) FILTER (WHERE h.timestamp > latest.timestamp - INTERVAL '${days} days')`;
+    return [
+      ...METRIC_COLUMNS.map(
+        (column) => `ROUND(${average(column)}, 6) AS "${column}_${name}"`,
+      ),
+      `${feeApr(average('fees_24h_usd'), average('tvl_usd'))} AS "fee_apr_percentage_${name}"`,
+    ];
+  });
+  const latestColumns = METRIC_COLUMNS.map((column) => `latest.${column}`);
+
+  return `WITH latest AS (
+    SELECT DISTINCT ON (pool_address) pool_address, "timestamp", ${METRIC_COLUMNS.join(', ')}
+    FROM lp_historical
+    WHERE pool_address IN (:addresses)
+    ORDER BY pool_address, "timestamp" DESC
+  )
+  SELECT latest.pool_address, latest.timestamp, ${latestColumns.join(', ')},
+    ${feeApr('latest.fees_24h_usd', 'latest.tvl_usd')} AS fee_apr_percentage,
+    ${averages.join(',\n    ')}
+  FROM latest
+  JOIN lp_historical h ON h.pool_address = latest.pool_address
+    AND h.timestamp > latest.timestamp - INTERVAL '${longest} days'
+  GROUP BY latest.pool_address, latest.timestamp, ${latestColumns.join(', ')}`;
+}
+
+/**
+ * Latest daily metrics of a pool and their averages.
+ * @typedef {Object} PoolMetrics
+ * @property {Date} timestamp - Day of the latest row
+ * @property {string|null} tvl_usd - TVL of the latest day
+ * @property {string|null} volume_24h_usd - Volume of the latest day
+ * @property {string|null} fees_24h_usd - Fees of the latest day
+ * @property {string|null} fee_apr_percentage - Fees of the latest day, annualized, in percent of
+ *                                              the TVL
+ * @property {Object<string, Object>} averages - Average 'tvl_usd', 'volume_24h_usd',
+ *                                               'fees_24h_usd' and 'fee_apr_percentage' over
+ *                                               each window of POOL_METRIC_WINDOWS, by name
+ */
+
+/**
+ * Reads the latest daily metrics of pools from the LPHistorical table.
+ * @param {Sequelize} sequelize - Sequelize instance
+ * @param {string[]} addresses - Addresses of the pools
+ * @returns {Promise<Object<string, PoolMetrics>>} Metrics by pool address; pools without daily
+ *                                                 rows are left out
+ */
+export async function findPoolMetrics(sequelize, addresses) {
+  if (addresses.length === 0) {
+    return {};
+  }
+  const rows = await sequelize.query(buildPoolMetricsQuery(), {
+    replacements: { addresses },
+    type: QueryTypes.SELECT,
+  });
+  const fields = [...METRIC_COLUMNS, 'fee_apr_percentage'];
+  return Object.fromEntries(
+    rows.map((row) => [
+      row.pool_address,
+      {
+        timestamp: row.timestamp,
+        ...Object.fromEntries(fields.map((field) => [field, row[field]])),
+        averages: Object.fromEntries(
+          Object.keys(POOL_METRIC_WINDOWS).map((name) => [
+            name,
+            Object.fromEntries(
+              fields.map((field) => [field, row[`${field}_${name}`]]),
+            ),
+          ]),
+        ),
+      },
+    ]),
+  );
+}
@@ -1,4 +1,7 @@
-import { poolAddresses } from '../config/pools.js';
+import { stakingPoolIds } from '../config/pools.js';
+import { RESOLUTION_INTERVALS } from '../config/resolutions.js';
+
+const DAY_MS = RESOLUTION_INTERVALS.daily;
 
 /**
  * Converts a date string or timestamp to an ISO string.
@@ -105,13 +108,15 @@ export function formatPoolData(rawData, options) {
 }
 
 /**
- * Formats raw daily token price data from CoinGecko.
+ * Formats raw token price data from CoinGecko.
  * @param {Array<Array<number>>} rawData - Raw price data array, each item is
  *                                         [timestamp (number), price (number)].
+ * @param {number} [interval=DAY_MS] - Spacing of the records in milliseconds (see
+ *                                     RESOLUTION_INTERVALS); timestamps are rounded down to it.
  * @returns {Array<Object>} Processed token price data with 'timestamp' (ISO string) and 'priceUsd'
  *                          or an empty array if the input is invalid.
  */
-export function formatPriceData(rawData) {
+export function formatPriceData(rawData, interval = DAY_MS) {
   if (!Array.isArray(rawData)) {
     console.warn('rawData is not an array');
     return [];
@@ -125,13 +130,15 @@ export function formatPriceData(rawData) {
         typeof day[1] === 'number',
     )
     .map((day) => {
-      const timestamp = convertToISOString(day[0]);
+      const timestamp = convertToISOString(
+        Math.floor(day[0] / interval) * interval,
+      );
       const priceUsd = roundToDecimal(day[1], 6);
       if (timestamp === null || priceUsd === null) {
         console.warn(`Invalid price data: ${JSON.stringify(day)}`);
         return null;
       }
-      return { timestamp: `${timestamp.slice(0, 10)}T00:00:00.000Z`, priceUsd };
+      return { timestamp, priceUsd };
     })
     .filter((item) => item !== null);
 }
@@ -172,7 +179,55 @@ export function formatUniswapPoolData(rawData) {
 }
 
 /**
- * Processes APY and TVL data for each pool.
+ * Formats raw hourly pool data from Uniswap Subgraph.
+ * @param {Array<Object>} rawData - Raw data array with objects containing 'periodStartUnix'
+ *                                  (number), 'feesUSD', 'volumeUSD' and 'tvlUSD' (strings).
+ * @returns {Array<Object>} Processed hourly pool data arranged from oldest to most recent with
+ *                          'timestamp', 'feesUSD', 'volumeUSD', 'tvlUsd' or an empty array if the
+ *                          input is invalid.
+ */
+export function formatUniswapPoolHourData(rawData) {
+  if (!Array.isArray(rawData)) {
+    console.warn('rawData is not an array');
+    return [];
+  }
+  const reversedData = [...rawData].reverse();
+  return reversedData
+    .filter(
+      (hour) =>
+        hour &&
+        typeof hour.periodStartUnix === 'number' &&
+        typeof hour.feesUSD === 'string' &&
+        typeof hour.volumeUSD === 'string' &&
+        typeof hour.tvlUSD === 'string',
+    )
+    .map((hour) => {
+      const timestamp = convertToISOString(hour.periodStartUnix * 1000);
+      const feesUSD = roundToDecimal(parseFloat(hour.feesUSD), 6);
+      const volumeUSD = roundToDecimal(parseFloat(hour.volumeUSD), 6);
+      const tvlUsd = roundToDecimal(parseFloat(hour.tvlUSD), 6);
+      if (
+        timestamp === null ||
+        feesUSD === null ||
+        volumeUSD === null ||
+        tvlUsd === null
+      ) {
+        console.warn(`Invalid Uniswap pool hour data: ${JSON.stringify(hour)}`);
+        return null;
+      }
+      return {
+        timestamp,
+        feesUSD,
+        volumeUSD,
+        tvlUsd,
+      };
+    })
+    .filter((item) => item !== null);
+}
+
+/**
+ * Processes APY and TVL data for each pool. Staking series (see stakingPoolIds) yield APY data,
+ * every other pool yields TVL data.
  * @param {Object<string, Array<Object>>} apyTvlData - Pool data with keys as pool names and values
  *                                                     as arrays of pool data objects.
  * @returns {Array<Object<string, Array<Object>>>} [APY data object, TVL data object] with
@@ -197,7 +252,7 @@ export function processPoolDataResponse(apyTvlData) {
       console.error(`Data for pool ${poolName} is not an array`);
       return;
     }
-    if (poolName === 'lidoEth') {
+    if (Object.prototype.hasOwnProperty.call(stakingPoolIds, poolName)) {
       processedApyData[poolName] = formatPoolData(data, {
         valueField: 'apy',
         outputField: 'apyPercentage',
@@ -219,10 +274,12 @@ export function processPoolDataResponse(apyTvlData) {
  * @param {Object<string, Array<Array<number>>>} priceData - Token data with keys as token names
  *                                                           and values as arrays of
  *                                                           [timestamp, price] pairs.
+ * @param {number} [interval=DAY_MS] - Spacing of the records in milliseconds (see
+ *                                     formatPriceData).
  * @returns {Object<string, Array<Object>>} Token data with formatted price objects.
  *                                          Empty object if the input is invalid.
  */
-export function processPriceDataResponse(priceData) {
+export function processPriceDataResponse(priceData, interval = DAY_MS) {
   if (!priceData || typeof priceData !== 'object' || Array.isArray(priceData)) {
     console.error('priceData must be a non-null object');
     return {};
@@ -233,7 +290,7 @@ export function processPriceDataResponse(priceData) {
         console.error(`Data for token ${tokenName} is not an array`);
         return [tokenName, []];
       }
-      return [tokenName, formatPriceData(data)];
+      return [tokenName, formatPriceData(data, interval)];
     }),
   );
 }
@@ -265,6 +322,46 @@ export function processUniswapPoolDataResponse(uniswapPoolsData) {
   );
 }
 
+/**
+ * Processes hourly Uniswap pool data for each pool, split into TVL records and fee and volume
+ * records like the daily DeFi Llama TVL and Uniswap data (see formatLiquidityPoolData).
+ * @param {Object<string, Array<Object>>} uniswapPoolsData - Pool data with keys as pool names and
+ *                                                           values as arrays of pool hour data
+ *                                                           objects.
+ * @returns {Array<Object<string, Array<Object>>>} [TVL data object, fee and volume data object]
+ *                                                 with formatted pool data. Pool data objects
+ *                                                 may be empty if the input is invalid.
+ */
+export function processUniswapPoolHourDataResponse(uniswapPoolsData) {
+  const processedTvlData = {};
+  const processedVolumeData = {};
+  if (
+    !uniswapPoolsData ||
+    typeof uniswapPoolsData !== 'object' ||
+    Array.isArray(uniswapPoolsData)
+  ) {
+    console.error('uniswapPoolsData must be a non-null object');
+    return [processedTvlData, processedVolumeData];
+  }
+  Object.entries(uniswapPoolsData).forEach(([poolName, data]) => {
+    if (!Array.isArray(data)) {
+      console.error(`Data for Uniswap pool ${poolName} is not an array`);
+      processedTvlData[poolName] = [];
+      processedVolumeData[poolName] = [];
+      return;
+    }
+    const records = formatUniswapPoolHourData(data);
+    processedTvlData[poolName] = records.map(({ timestamp, tvlUsd }) => ({
+      timestamp,
+      tvlUsd,
+    }));
+    processedVolumeData[poolName] = records.map(
+      ({ timestamp, feesUSD, volumeUSD }) => ({ timestamp, feesUSD, volumeUSD }),
+    );
+  });
+  return [processedTvlData, processedVolumeData];
+}
+
 /**
  * Removes duplicate timestamps from each array within the given data object, keeping the last
  * occurrence.
@@ -309,7 +406,8 @@ export function removeDuplicateTimestamps(data) {
 /**
  * Trims each array in the data object to the specified maxLength, keeping the most recent entries.
  * @param {Object<string, Array<Object>>} data - Object with keys mapping to arrays of objects.
- * @param {number} [maxLength=365] - Positive integer specifying maximum entries to keep.
+ * @param {number} [maxLength=365] - Non-negative integer specifying maximum entries to keep, or
+ *                                   Infinity to keep every entry.
  * @returns {Object<string, Array<Object>>} Trimmed data object, or empty object if
  *                                          input is invalid.
  */
@@ -318,7 +416,10 @@ export function trimData(data, maxLength = 365) {
     console.error('Invalid data: must be a non-null object');
     return {};
   }
-  if (!Number.isInteger(maxLength) || maxLength < 0) {
+  if (
+    maxLength !== Infinity &&
+    (!Number.isInteger(maxLength) || maxLength < 0)
+  ) {
     console.error(
       `Invalid maxLength: ${maxLength}, must be a non-negative integer; returning original data`,
     );
@@ -340,18 +441,94 @@ export function trimData(data, maxLength = 365) {
 }
 
 /**
- * Identifies missing dates in each array of the data object based on timestamps.
+ * Removes records that are not newer than the cutoff timestamp of their key. Keys without a
+ * cutoff are kept in full.
  * @param {Object<string, Array<{timestamp: string}>>} data - Object with arrays of objects
  *                                                            containing 'timestamp' strings.
+ * @param {Object<string, string|Date|null>} cutoffs - Latest already stored timestamp per key.
+ * @returns {Object<string, Array<{timestamp: string}>>} Filtered data object, or empty object if
+ *                                                       input is invalid.
+ */
+export function filterDataAfter(data, cutoffs) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    console.error('Invalid data: must be a non-null object');
+    return {};
+  }
+  if (!cutoffs || typeof cutoffs !== 'object' || Array.isArray(cutoffs)) {
+    return data;
+  }
+  const filteredData = {};
+  Object.entries(data).forEach(([key, records]) => {
+    const cutoff = cutoffs[key] ? new Date(cutoffs[key]) : null;
+    if (!Array.isArray(records)) {
+      console.warn(`Data for key '${key}' is not an array`);
+      filteredData[key] = [];
+    } else if (!cutoff || Number.isNaN(cutoff.getTime())) {
+      filteredData[key] = records;
+    } else {
+      filteredData[key] = records.filter(
+        (r) => r && new Date(r.timestamp) > cutoff,
+      );
+    }
+  });
+  return filteredData;
+}
+
+/**
+ * Keeps the records whose timestamp lies within a date range (both ends inclusive).
+ * @param {Object<string, Array<{timestamp: string}>>} data - Object with arrays of objects
+ *                                                            containing 'timestamp' strings.
+ * @param {string|Date} [start] - Earliest timestamp to keep; no lower bound if omitted.
+ * @param {string|Date} [end] - Latest timestamp to keep; no upper bound if omitted.
+ * @returns {Object<string, Array<{timestamp: string}>>} Filtered data object, the data itself if
+ *                                                       no bound is given, or empty object if
+ *                                                       input is invalid.
+ */
+export function filterDataInRange(data, start, end) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    console.error('Invalid data: must be a non-null object');
+    return {};
+  }
+  if (!start && !end) {
+    return data;
+  }
+  const startTime = start ? new Date(start).getTime() : -Infinity;
+  const endTime = end ? new Date(end).getTime() : Infinity;
+  const filteredData = {};
+  Object.entries(data).forEach(([key, records]) => {
+    if (!Array.isArray(records)) {
+      console.warn(`Data for key '${key}' is not an array`);
+      filteredData[key] = [];
+    } else {
+      filteredData[key] = records.filter((r) => {
+        const time = r ? new Date(r.timestamp).getTime() : NaN;
+        return time >= startTime && time <= endTime;
+      });
+    }
+  });
+  return filteredData;
+}
+
+/**
+ * Identifies missing dates in each array of the data object based on timestamps, for series with
+ * one record per interval (a day by default). Timestamps are rounded down to the interval.
+ * @param {Object<string, Array<{timestamp: string}>>} data - Object with arrays of objects
+ *                                                            containing 'timestamp' strings.
+ * @param {number} [interval=DAY_MS] - Expected spacing of the records in milliseconds (see
+ *                                     RESOLUTION_INTERVALS).
  * @returns {Object<string, Array<string>>} Object mapping keys to arrays of missing date
  *                                          ISO strings. Empty object if input is invalid or
  *                                          does not contain any missing dates.
  */
-export function findMissingDates(data) {
+export function findMissingDates(data, interval = DAY_MS) {
   if (!data || typeof data !== 'object' || Array.isArray(data)) {
     console.error('Invalid data: must be a non-null object');
     return {};
   }
+  if (!Number.isInteger(interval) || interval < 1) {
+    console.error(`Invalid interval: ${interval}, must be a positive integer`);
+    return {};
+  }
   const missingDatesByKey = {};
   Object.entries(data).forEach(([key, records]) => {
     if (!Array.isArray(records)) {
@@ -365,10 +542,8 @@ export function findMissingDates(data) {
           typeof r.timestamp === 'string' &&
           /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/.test(r.timestamp)
         ) {
-          const d = new Date(r.timestamp);
-          return new Date(
-            Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()),
-          );
+          const time = new Date(r.timestamp).getTime();
+          return Math.floor(time / interval) * interval;
         }
         console.warn(
           `Invalid timestamp in record for key '${key}': ${JSON.stringify(r)}`,
@@ -382,11 +557,12 @@ export function findMissingDates(data) {
 
     const missingDates = [];
     for (let i = 0; i < dates.length - 1; i += 1) {
-      const expectedDate = new Date(dates[i].getTime());
-      expectedDate.setUTCDate(expectedDate.getUTCDate() + 1);
-      while (expectedDate < dates[i + 1]) {
-        missingDates.push(expectedDate.toISOString());
-        expectedDate.setUTCDate(expectedDate.getUTCDate() + 1);
+      for (
+        let expected = dates[i] + interval;
+        expected < dates[i + 1];
+        expected += interval
+      ) {
+        missingDates.push(new Date(expected).toISOString());
       }
     }
     if (missingDates.length > 0) {
@@ -421,109 +597,46 @@ export function findDateOffset(date, numDays) {
 }
 
 /**
- * Calculates a date a specified number of days before the given date.
- * @param {Date} date - Starting date.
- * @param {number} numDays - Non-negative integer days to subtract.
- * @returns {string|null} ISO string of the resulting date, or null if inputs are invalid.
+ * Seed used for the random gap-filling strategy when none is given.
  */
-export function findDateBefore(date, numDays) {
-  if (numDays < 0) {
-    console.warn(`Invalid numDays: ${numDays}, must be non-negative`);
-    return null;
-  }
-  return findDateOffset(date, -numDays);
-}
+export const DEFAULT_FILL_SEED = 1;
 
 /**
- * Calculates a date a specified number of days after the given date.
- * @param {Date} date - Starting date.
- * @param {number} numDays - Non-negative integer days to add.
- * @returns {string|null} ISO string of the resulting date, or null if inputs are invalid.
- */
-export function findDateAfter(date, numDays) {
-  if (numDays < 0) {
-    console.warn(`Invalid numDays: ${numDays}, must be non-negative`);
-    return null;
-  }
-  return findDateOffset(date, numDays);
-}
-
-/**
- * Finds up to two valid dates before and after a missing date within a maximum number of days.
- * @param {Date} missingDate - The missing date.
- * @param {string[]} timestamps - Array of existing ISO timestamp strings.
- * @param {number} [maxDays=7] - Maximum days to search (positive integer).
- * @returns {[string[], string[]]} Two arrays: dates before and after the missing date.
- */
-export function findValidDates(missingDate, timestamps, maxDays = 7) {
-  if (
-    !(missingDate instanceof Date) ||
-    Number.isNaN(missingDate.getTime()) ||
-    !Array.isArray(timestamps) ||
-    !Number.isInteger(maxDays) ||
-    maxDays < 1
-  ) {
-    console.warn(
-      `Invalid inputs: missingDate=${missingDate}, timestamps=${timestamps}, maxDays=${maxDays}`,
-    );
-    return [[], []];
-  }
-  const timestampSet = new Set(timestamps);
-  const beforeDates = [];
-  const afterDates = [];
-  for (
-    let i = 1;
-    i <= maxDays && (beforeDates.length < 2 || afterDates.length < 2);
-    i += 1
-  ) {
-    if (beforeDates.length < 2) {
-      const beforeDay = findDateBefore(missingDate, i);
-      if (beforeDay && timestampSet.has(beforeDay)) beforeDates.push(beforeDay);
-    }
-    if (afterDates.length < 2) {
-      const afterDay = findDateAfter(missingDate, i);
-      if (afterDay && timestampSet.has(afterDay)) afterDates.push(afterDay);
-    }
-  }
-  return [beforeDates, afterDates];
-}
-
-/**
- * Retrieves metrics from records for the given valid dates.
- * @param {string[]} validDates - Array of ISO timestamp strings.
- * @param {Map<string, Object>} recordMap - Map of timestamps to records with metric
- *                                          key-value pairs.
- * @returns {Object<string, Array<number>>} Metrics object with arrays of values per metric.
+ * Creates a seeded pseudo-random number generator (mulberry32), so that random fills are
+ * identical across runs.
+ * @param {number} [seed=DEFAULT_FILL_SEED] - Integer seed.
+ * @returns {function(): number} Function returning numbers in [0, 1).
  */
-export function getMetrics(validDates, recordMap) {
-  if (!Array.isArray(validDates) || !(recordMap instanceof Map)) {
-    console.warn(
-      `Invalid inputs: validDates=${validDates}, recordMap=${recordMap}`,
-    );
-    return {};
+export function createSeededRandom(seed = DEFAULT_FILL_SEED) {
+  if (!Number.isInteger(seed)) {
+    console.warn(`Invalid seed: ${seed}, defaulting to ${DEFAULT_FILL_SEED}`);
+    return createSeededRandom(DEFAULT_FILL_SEED);
   }
-  const metrics = {};
-  validDates.forEach((timestamp) => {
-    const record = recordMap.get(timestamp);
-    if (record) {
-      Object.entries(record).forEach(([key, value]) => {
-        if (key !== 'timestamp') {
-          if (!metrics[key]) metrics[key] = [];
-          metrics[key].push(value);
-        }
-      });
-    }
-  });
-  return metrics;
+  /* eslint-disable no-bitwise */
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  /* eslint-enable no-bitwise */
 }
 
 /**
  * Simulates metrics for a missing date based on before and after metrics.
  * @param {Object<string, number[]>} metricsBefore - Metrics before the missing date.
  * @param {Object<string, number[]>} metricsAfter - Metrics after the missing date.
- * @returns {Object<string, number>} Simulated metrics as integers.
+ * @param {function(): number} [random=createSeededRandom()] - Random number generator returning
+ *                                                            numbers in [0, 1).
+ * @returns {Object<string, number>} Simulated metrics.
  */
-export function simulateMetrics(metricsBefore, metricsAfter) {
+export function simulateMetrics(
+  metricsBefore,
+  metricsAfter,
+  random = createSeededRandom(),
+) {
   if (
     typeof metricsBefore !== 'object' ||
     typeof metricsAfter !== 'object' ||
@@ -561,15 +674,13 @@ export function simulateMetrics(metricsBefore, metricsAfter) {
         afterValues.reduce((a, b) => a + b, 0) / afterValues.length;
       const min = Math.min(avgBefore, avgAfter);
       const max = Math.max(avgBefore, avgAfter);
-      simulatedValue = Math.floor(Math.random() * (max - min) + min);
+      simulatedValue = random() * (max - min) + min;
     } else if (beforeValues.length > 0) {
-      simulatedValue = Math.floor(
-        beforeValues.reduce((a, b) => a + b, 0) / beforeValues.length,
-      );
+      simulatedValue =
+        beforeValues.reduce((a, b) => a + b, 0) / beforeValues.length;
     } else if (afterValues.length > 0) {
-      simulatedValue = Math.floor(
-        afterValues.reduce((a, b) => a + b, 0) / afterValues.length,
-      );
+      simulatedValue =
+        afterValues.reduce((a, b) => a + b, 0) / afterValues.length;
     } else {
       simulatedValue = 0;
       console.warn(`No numeric data for metric '${metric}', defaulting to 0`);
@@ -580,14 +691,92 @@ export function simulateMetrics(metricsBefore, metricsAfter) {
 }
 
 /**
- * Fills missing dates in the data object with simulated metrics.
+ * Gap-filling strategies, keyed by name. Each one receives the known values of a metric nearest
+ * to the missing date (up to two on each side, nearest first) and returns the filled value.
+ * Strategies that need both sides fall back to the nearest known value at the edges of a series.
+ */
+const fillStrategies = {
+  /** Interpolates linearly between the nearest known values before and after. */
+  linear: ({ before, after, time }) => {
+    const [previous] = before;
+    const [next] = after;
+    if (!previous || !next) return (previous ?? next).value;
+    const ratio = (time - previous.time) / (next.time - previous.time);
+    return previous.value + (next.value - previous.value) * ratio;
+  },
+  /** Carries the nearest known value before forward (or the next one at the start). */
+  carryForward: ({ before, after }) => (before[0] ?? after[0]).value,
+  /** Averages the known values around the date, weighted by the inverse of their distance. */
+  timeWeightedMean: ({ before, after, time }) => {
+    const neighbours = [...before, ...after];
+    const weights = neighbours.map((point) => 1 / Math.abs(point.time - time));
+    const totalWeight = weights.reduce((a, b) => a + b, 0);
+    return neighbours.reduce(
+      (sum, point, i) => sum + (point.value * weights[i]) / totalWeight,
+      0,
+    );
+  },
+  /** Leaves the metric empty. */
+  leaveNull: () => null,
+  /** Draws a value between the averages of both sides with the seeded RNG. */
+  random: ({ before, after, ...context }) =>
+    simulateMetrics(
+      { [context.metric]: before.map((point) => point.value) },
+      { [context.metric]: after.map((point) => point.value) },
+      context.random,
+    )[context.metric],
+};
+
+/**
+ * Names of the strategies accepted by fillMissingDates.
+ */
+export const FILL_STRATEGIES = Object.freeze(Object.keys(fillStrategies));
+
+/**
+ * Strategy used for metrics without a configured strategy.
+ */
+export const DEFAULT_FILL_STRATEGY = 'linear';
+
+/**
+ * Collects the known numeric values of a metric, ordered by time.
+ * @param {Array<Object>} records - Records with 'timestamp' and metric key-value pairs.
+ * @param {string} metric - Metric name.
+ * @returns {Array<{time: number, value: number}>} Known values with their time in milliseconds.
+ */
+function collectKnownValues(records, metric) {
+  return records
+    .map((record) => ({
+      time: new Date(record.timestamp).getTime(),
+      value: record[metric],
+    }))
+    .filter(
+      ({ time, value }) =>
+        !Number.isNaN(time) &&
+        typeof value === 'number' &&
+        Number.isFinite(value),
+    )
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Fills missing dates in the data object, choosing a gap-filling strategy per metric.
+ * Filled values only depend on the known records (and the seed for the random strategy), so
+ * repeated runs on the same data produce identical output.
  * @param {Object<string, Array<{timestamp: string, [key: string]: number}>>} data -
  *    Object with arrays of objects containing 'timestamp' (string) and metric key-value pairs.
  * @param {Object<string, Array<string>>} missingDates - Missing dates as ISO strings per key.
- * @returns {Object<string, Array<{timestamp: string, [key: string]: number}>>}
- *    Data with filled missing dates.
+ * @param {Object} [options] - Gap-filling options
+ * @param {string} [options.strategy=DEFAULT_FILL_STRATEGY] - Strategy for metrics not listed in
+ *                                                            options.strategies.
+ * @param {Object<string, string>} [options.strategies={}] - Strategies keyed by metric name
+ *                                                           (e.g., { apyPercentage:
+ *                                                           'carryForward' }).
+ * @param {number} [options.seed=DEFAULT_FILL_SEED] - Seed for the random strategy.
+ * @returns {Object<string, Array<{timestamp: string, [key: string]: number|null}>>}
+ *    Data with filled missing dates. Filled records are flagged with 'isImputed: true'; metrics
+ *    without any known value are left null.
  */
-export function fillMissingDates(data, missingDates) {
+export function fillMissingDates(data, missingDates, options = {}) {
   if (
     typeof data !== 'object' ||
     typeof missingDates !== 'object' ||
@@ -601,6 +790,21 @@ export function fillMissingDates(data, missingDates) {
     );
     return data || {};
   }
+  const {
+    strategy: defaultStrategy = DEFAULT_FILL_STRATEGY,
+    strategies = {},
+    seed = DEFAULT_FILL_SEED,
+  } = options;
+  const resolveStrategy = (metric) => {
+    const strategy = strategies[metric] ?? defaultStrategy;
+    if (FILL_STRATEGIES.includes(strategy)) return strategy;
+    console.warn(
+      `Unknown fill strategy '${strategy}' for metric '${metric}', using '${DEFAULT_FILL_STRATEGY}'`,
+    );
+    return DEFAULT_FILL_STRATEGY;
+  };
+  const random = createSeededRandom(seed);
+
   const filledData = {};
   Object.entries(missingDates).forEach(([key, dates]) => {
     if (!Array.isArray(dates)) {
@@ -612,50 +816,56 @@ export function fillMissingDates(data, missingDates) {
       console.warn(`Data for key '${key}' is not an array`);
       return;
     }
-    const newRecords = [];
-    const recordMap = new Map(records.map((r) => [r.timestamp, r]));
-    const timestamps = records.map((r) => r.timestamp);
+    if (records.length === 0) {
+      console.error(`No data available for '${key}'. Skipping.`);
+      return;
+    }
+    const metrics = [
+      ...new Set(records.flatMap((record) => Object.keys(record))),
+    ].filter((metric) => metric !== 'timestamp' && metric !== 'isImputed');
+    const knownValues = Object.fromEntries(
+      metrics.map((metric) => [metric, collectKnownValues(records, metric)]),
+    );
 
+    const newRecords = [];
     dates.forEach((date) => {
       const missingDate = new Date(date);
       if (Number.isNaN(missingDate.getTime())) {
         console.warn(`Invalid date '${date}' for key '${key}'`);
         return;
       }
-      const [validDatesBefore, validDatesAfter] = findValidDates(
-        missingDate,
-        timestamps,
-      );
-      if (validDatesBefore.length > 0 || validDatesAfter.length > 0) {
-        const metricsBefore = getMetrics(validDatesBefore, recordMap);
-        const metricsAfter = getMetrics(validDatesAfter, recordMap);
-        const simulatedMetrics = simulateMetrics(metricsBefore, metricsAfter);
-        newRecords.push({
-          timestamp: missingDate.toISOString(),
-          ...simulatedMetrics,
-        });
-      } else {
-        console.warn(`No valid dates found for ${date} in '${key}'`);
-        if (records.length === 0) {
-          console.error(`No data available for '${key}'. Skipping.`);
+      const time = missingDate.getTime();
+      const filledMetrics = {};
+      metrics.forEach((metric) => {
+        const values = knownValues[metric];
+        if (values.length === 0) {
+          console.warn(`No known values for '${metric}' in '${key}'`);
+          filledMetrics[metric] = null;
           return;
         }
-        const sampleRecord = records[0];
-        const simulatedMetrics = {};
-        Object.keys(sampleRecord).forEach((k) => {
-          if (k !== 'timestamp') simulatedMetrics[k] = 0;
+        const index = values.findIndex((point) => point.time > time);
+        const splitIndex = index === -1 ? values.length : index;
+        filledMetrics[metric] = fillStrategies[resolveStrategy(metric)]({
+          before: values
+            .slice(Math.max(0, splitIndex - 2), splitIndex)
+            .reverse(),
+          after: values.slice(splitIndex, splitIndex + 2),
+          time,
+          metric,
+          random,
         });
-        newRecords.push({
-          timestamp: missingDate.toISOString(),
-          ...simulatedMetrics,
-        });
-      }
+      });
+      newRecords.push({
+        timestamp: missingDate.toISOString(),
+        ...filledMetrics,
+        isImputed: true,
+      });
     });
     filledData[key] = [...records, ...newRecords].sort(
       (a, b) => new Date(a.timestamp) - new Date(b.timestamp),
     );
   });
-  return Object.keys(filledData).length > 0 ? filledData : data;
+  return Object.keys(filledData).length > 0 ? { ...data, ...filledData } : data;
 }
 
 /**
@@ -719,30 +929,41 @@ export function checkTimestampAlignment(tvlData, uniswapPoolsData) {
  *   timestamp: string,
  *   [key: string]: number
  * }>>} uniswapPoolsData - Uniswap data per pool.
+ * @param {Object<string, string>} poolAddresses - Pool addresses keyed by pool name.
  * @returns {Object<string, Array<{
  *   timestamp: string,
  *   poolAddress: string,
  *   tvlUsd: number,
+ *   isImputed?: boolean,
  *   [key: string]: any
- * }>>} Formatted data or empty object if not aligned.
+ * }>>} Formatted data or empty object if not aligned. A day is flagged as imputed if either its
+ *      TVL or its Uniswap data was imputed.
  */
-export function formatLiquidityPoolData(tvlData, uniswapPoolsData) {
+export function formatLiquidityPoolData(
+  tvlData,
+  uniswapPoolsData,
+  poolAddresses = {},
+) {
   const liquidityPoolData = {};
   const isAligned = checkTimestampAlignment(tvlData, uniswapPoolsData);
   if (isAligned) {
     Object.entries(uniswapPoolsData).forEach(([poolName, data]) => {
       const tvlDataOfPool = tvlData[poolName];
-      const poolAddress = poolAddresses[poolName];
+      const poolAddress = poolAddresses?.[poolName];
       if (!poolAddress) {
         console.warn(`No pool address for '${poolName}'`);
         return;
       }
       liquidityPoolData[poolName] = data.map((poolDataForDay, i) => {
         const tvlForDay = tvlDataOfPool[i];
+        const isImputed = Boolean(
+          poolDataForDay.isImputed || tvlForDay.isImputed,
+        );
         return {
           ...poolDataForDay,
           poolAddress,
           tvlUsd: tvlForDay.tvlUsd,
+          ...(isImputed && { isImputed }),
         };
       });
     });
@@ -787,3 +1008,129 @@ export function addSymbolToPriceData(priceData) {
   });
   return priceDataWithSymbol;
 }
+
+/**
+ * Merges the records of a dataset fetched from several sources and reconciles the sources on
+ * the days they overlap.
+ *
+ * - Failover: each series is taken from the first source, in the given order, that returned
+ *   records for it, so later sources fill in for series an earlier one failed to fetch.
+ * - Reconciliation: if a field and threshold are given, the values of the chosen source are
+ *   compared with those of every other source on the days both have. Days on which the
+ *   relative difference (|value - reference| / |reference|) exceeds the threshold are
+ *   divergent; they are kept with the 'flag' action and dropped with the 'reject' action.
+ *
+ * @param {Array<{
+ *   source: string,
+ *   data: Object<string, Array<Object>>
+ * }>} sourceData - Formatted records keyed by series name per source, in order of precedence.
+ * @param {Object} [options] - Reconciliation options
+ * @param {string} [options.field] - Value field to compare (e.g., 'priceUsd'); without it, the
+ *                                   sources are only merged.
+ * @param {number} [options.threshold] - Largest relative difference that is not divergent.
+ * @param {string} [options.action='flag'] - 'flag' or 'reject' divergent days.
+ * @returns {{
+ *   data: Object<string, Array<Object>>,
+ *   divergences: Array<{
+ *     series: string,
+ *     source: string,
+ *     reference: string,
+ *     days: number,
+ *     from: string,
+ *     to: string,
+ *     maxDivergence: number,
+ *     action: string
+ *   }>
+ * }} Merged records keyed by series name, and a summary of the divergent days per series and
+ *    pair of sources.
+ */
+export function reconcileSourceData(
+  sourceData,
+  { field, threshold, action = 'flag' } = {},
+) {
+  const hasRecords = (data, series) =>
+    Array.isArray(data?.[series]) && data[series].length > 0;
+  const seriesNames = [
+    ...new Set(sourceData.flatMap(({ data }) => Object.keys(data || {}))),
+  ];
+  const mergedData = {};
+  const divergences = [];
+
+  seriesNames.forEach((series) => {
+    const candidates = sourceData.filter(({ data }) =>
+      hasRecords(data, series),
+    );
+    if (candidates.length === 0) {
+      mergedData[series] = [];
+      return;
+    }
+    const [chosen, ...references] = candidates;
+    const skippedSources = sourceData
+      .slice(0, sourceData.indexOf(chosen))
+      .filter(({ data }) =>
+        Object.prototype.hasOwnProperty.call(data || {}, series),
+      )
+      .map(({ source }) => source);
+    if (skippedSources.length > 0) {
+      console.warn(
+        `Using ${chosen.source} data for '${series}', ${skippedSources.join(', ')} returned none`,
+      );
+    }
+
+    let records = chosen.data[series];
+    if (field && threshold !== undefined) {
+      references.forEach((reference) => {
+        const referenceValues = new Map(
+          reference.data[series].map((record) => [
+            record.timestamp,
+            record[field],
+          ]),
+        );
+        const divergentTimestamps = [];
+        let maxDivergence = 0;
+        records.forEach((record) => {
+          const value = record[field];
+          const referenceValue = referenceValues.get(record.timestamp);
+          if (
+            typeof value !== 'number' ||
+            typeof referenceValue !== 'number' ||
+            referenceValue === 0
+          ) {
+            return;
+          }
+          const divergence =
+            Math.abs(value - referenceValue) / Math.abs(referenceValue);
+          if (divergence > threshold) {
+            divergentTimestamps.push(record.timestamp);
+            maxDivergence = Math.max(maxDivergence, divergence);
+          }
+        });
+        if (divergentTimestamps.length === 0) {
+          return;
+        }
+
+        console.warn(
+          `${divergentTimestamps.length} days of '${series}' from ${chosen.source} diverge from ${reference.source} by more than ${threshold * 100}%`,
+        );
+        const sortedTimestamps = [...divergentTimestamps].sort();
+        divergences.push({
+          series,
+          source: chosen.source,
+          reference: reference.source,
+          days: divergentTimestamps.length,
+          from: sortedTimestamps[0],
+          to: sortedTimestamps.at(-1),
+          maxDivergence: roundToDecimal(maxDivergence, 4),
+          action,
+        });
+        if (action === 'reject') {
+          const rejected = new Set(divergentTimestamps);
+          records = records.filter((record) => !rejected.has(record.timestamp));
+        }
+      });
+    }
+    mergedData[series] = records;
+  });
+
+  return { data: mergedData, divergences };
+}
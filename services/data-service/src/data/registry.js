@@ -0,0 +1,169 @@
+import { stakingPoolIds } from '../config/pools.js';
+import { getSources, getSourceNames } from './sources.js';
+
+/**
+ * Loads the active pool and token registry from the database.
+ *
+ * The registry is returned as name-keyed lookup maps, which is the shape the fetcher and
+ * processor functions operate on:
+ *  - poolIds: DeFi Llama ids of the staking series and of every pool
+ *  - tokenAddresses: CoinGecko contract addresses keyed by lowercase token symbol
+ *  - poolAddresses: database pool addresses keyed by pool name
+ *  - subgraphAddresses: Uniswap Subgraph pool ids keyed by pool name (falls back to the
+ *                       pool address)
+ *
+ * @param {Object} app - Application object containing database models under `app.locals.models`.
+ * @returns {Promise<{
+ *   poolIds: Object<string, string>,
+ *   tokenAddresses: Object<string, string>,
+ *   poolAddresses: Object<string, string>,
+ *   subgraphAddresses: Object<string, string>
+ * }>} Lookup maps for the active registry.
+ * @throws {Error} If the Token or Pool models are unavailable.
+ */
+export default async function loadRegistry(app) {
+  const models = app?.locals?.models;
+  if (!models?.Token || !models?.Pool) {
+    throw new Error('Database models Token and Pool are not available');
+  }
+
+  const [tokens, pools] = await Promise.all([
+    models.Token.findAll({ where: { is_active: true } }),
+    models.Pool.findAll({ where: { is_active: true } }),
+  ]);
+
+  const registry = {
+    poolIds: { ...stakingPoolIds },
+    tokenAddresses: {},
+    poolAddresses: {},
+    subgraphAddresses: {},
+  };
+
+  tokens.forEach((token) => {
+    if (token.coingecko_address) {
+      registry.tokenAddresses[token.token_symbol.toLowerCase()] =
+        token.coingecko_address;
+    }
+  });
+
+  pools.forEach((pool) => {
+    // Pools named like a staking series would overwrite its DeFi Llama id; the admin endpoint
+    // rejects such names, but rows inserted by other means may still use one.
+    if (Object.prototype.hasOwnProperty.call(stakingPoolIds, pool.pool_name)) {
+      console.warn(
+        `Skipping pool ${pool.pool_address}: pool_name ${pool.pool_name} is reserved for a staking series`,
+      );
+      return;
+    }
+    registry.poolIds[pool.pool_name] = pool.defillama_id;
+    registry.poolAddresses[pool.pool_name] = pool.pool_address;
+    registry.subgraphAddresses[pool.pool_name] =
+      pool.subgraph_address || pool.pool_address;
+  });
+
+  return registry;
+}
+
+/**
+ * Tells whether a pool selector matches a pool of the registry by name or address,
+ * case-insensitively.
+ * @param {Object} registry - Registry lookup maps as returned by loadRegistry.
+ * @param {string} selector - Name or address of a pool.
+ * @param {string} name - Name of a registered pool.
+ * @returns {boolean} Whether the selector designates the pool.
+ */
+function matchesPool(registry, selector, name) {
+  return [name, registry.poolAddresses[name]].some(
+    (value) => value.toLowerCase() === selector.toLowerCase(),
+  );
+}
+
+/**
+ * Checks that the tokens and pools of a targeted run are in the active registry.
+ * @param {Object} registry - Registry lookup maps as returned by loadRegistry.
+ * @param {Object} [selection] - Series to check
+ * @param {string[]} [selection.tokens] - Symbols of the tokens to fetch.
+ * @param {string[]} [selection.pools] - Names or addresses of the pools to fetch.
+ * @returns {string|undefined} A message listing the unknown or inactive tokens or pools, or
+ *                             undefined if all of them are registered.
+ */
+export function findUnknownSeries(registry, { tokens, pools } = {}) {
+  const tokenNames = Object.keys(registry.tokenAddresses);
+  const poolNames = Object.keys(registry.poolAddresses);
+
+  const unknownTokens = (tokens || []).filter(
+    (symbol) => !tokenNames.includes(symbol.toLowerCase()),
+  );
+  if (unknownTokens.length > 0) {
+    return `Unknown or inactive tokens: ${unknownTokens.join(', ')}`;
+  }
+  const unknownPools = (pools || []).filter(
+    (selector) =>
+      !poolNames.some((name) => matchesPool(registry, selector, name)),
+  );
+  if (unknownPools.length > 0) {
+    return `Unknown or inactive pools: ${unknownPools.join(', ')}`;
+  }
+  return undefined;
+}
+
+/**
+ * Narrows a registry down to the series of a targeted run.
+ *
+ * - Series are kept if the selected sources provide their datasets (see DATASETS): staking
+ *   series need staking data, tokens need prices, and liquidity pools need both TVL and volumes,
+ *   e.g. DeFi Llama and the Uniswap Subgraph together.
+ * - Tokens are matched by symbol and pools by name or address, case-insensitively. Omitting
+ *   tokens or pools keeps all of them; an empty array keeps none.
+ *
+ * @param {Object} registry - Registry lookup maps as returned by loadRegistry.
+ * @param {Object} [selection] - Series to keep
+ * @param {string[]} [selection.sources] - Sources to fetch from (default: all registered
+ *                                        sources).
+ * @param {string[]} [selection.tokens] - Symbols of the tokens to fetch.
+ * @param {string[]} [selection.pools] - Names or addresses of the pools to fetch.
+ * @returns {Object} Registry lookup maps containing only the selected series.
+ * @throws {Error} If a source is unknown, or a token or pool is not in the active registry.
+ */
+export function selectSeries(
+  registry,
+  { sources = getSourceNames(), tokens, pools } = {},
+) {
+  const datasets = new Set(
+    getSources(sources).flatMap((source) => source.datasets),
+  );
+
+  const unknownSeries = findUnknownSeries(registry, { tokens, pools });
+  if (unknownSeries) {
+    throw new Error(unknownSeries);
+  }
+  const tokenNames = Object.keys(registry.tokenAddresses);
+  const poolNames = Object.keys(registry.poolAddresses);
+
+  const selectedTokens = datasets.has('prices')
+    ? tokenNames.filter(
+        (name) =>
+          !tokens || tokens.some((symbol) => symbol.toLowerCase() === name),
+      )
+    : [];
+  const selectedPools =
+    datasets.has('tvl') && datasets.has('volumes')
+      ? poolNames.filter(
+          (name) =>
+            !pools ||
+            pools.some((selector) => matchesPool(registry, selector, name)),
+        )
+      : [];
+  const stakingNames = datasets.has('staking')
+    ? Object.keys(registry.poolIds).filter((name) => !poolNames.includes(name))
+    : [];
+  const pick = (map, names) =>
+    Object.fromEntries(names.map((name) => [name, map[name]]));
+
+  return {
+    poolIds: pick(registry.poolIds, [...stakingNames, ...selectedPools]),
+    tokenAddresses: pick(registry.tokenAddresses, selectedTokens),
+    poolAddresses: pick(registry.poolAddresses, selectedPools),
+    subgraphAddresses: pick(registry.subgraphAddresses, selectedPools),
+  };
+}
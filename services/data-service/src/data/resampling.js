@@ -0,0 +1,324 @@
+import {
+  Op,
+  fn,
+  col,
+  cast,
+  where,
+} from 'sequelize';
+import { RESOLUTION_INTERVALS } from '../config/resolutions.js';
+
+const HOUR_MS = RESOLUTION_INTERVALS.hourly;
+const DAY_MS = RESOLUTION_INTERVALS.daily;
+
+/**
+ * Bucket widths accepted by the interval query parameter, mapped to the PostgreSQL interval
+ * passed to time_bucket and their approximate length in milliseconds, which is only used to
+ * reject buckets shorter than the stored resolution.
+ */
+export const BUCKET_INTERVALS = Object.freeze({
+  '1h': { sql: '1 hour', ms: HOUR_MS },
+  '4h': { sql: '4 hours', ms: 4 * HOUR_MS },
+  '1d': { sql: '1 day', ms: DAY_MS },
+  '1w': { sql: '1 week', ms: 7 * DAY_MS },
+  '1M': { sql: '1 month', ms: 30 * DAY_MS },
+  '3M': { sql: '3 months', ms: 91 * DAY_MS },
+  '1y': { sql: '1 year', ms: 365 * DAY_MS },
+});
+
+/**
+ * Aggregations accepted by the agg query parameter:
+ *  - last: the last value of every column in the bucket
+ *  - mean: the average of every column over the bucket
+ *  - ohlc: open, high, low and close of the level column, flows are summed
+ *  - sum: flows are summed, levels are averaged
+ */
+export const AGGREGATIONS = Object.freeze(['last', 'mean', 'ohlc', 'sum']);
+
+/**
+ * Columns of each resampled model: the series key columns grouped on next to the bucket, levels
+ * (TVL, prices, APY) that describe a point in time and flows (volumes, fees) that accumulate
+ * over it, and the aggregation used when only an interval is requested.
+ */
+export const RESAMPLED_SERIES = Object.freeze({
+  ETHStakingHistorical: {
+    keys: [],
+    levels: ['apy_percentage'],
+    flows: [],
+    defaultAggregation: 'mean',
+  },
+  TokenPrice: {
+    keys: ['token_symbol'],
+    levels: ['price_usd'],
+    flows: [],
+    defaultAggregation: 'ohlc',
+  },
+  TokenPriceHourly: {
+    keys: ['token_symbol'],
+    levels: ['price_usd'],
+    flows: [],
+    defaultAggregation: 'ohlc',
+  },
+  LPHistorical: {
+    keys: ['pool_address'],
+    levels: ['tvl_usd'],
+    flows: ['volume_24h_usd', 'fees_24h_usd'],
+    defaultAggregation: 'sum',
+  },
+  LPHistoricalHourly: {
+    keys: ['pool_address'],
+    levels: ['tvl_usd'],
+    flows: ['volume_1h_usd', 'fees_1h_usd'],
+    defaultAggregation: 'sum',
+  },
+});
+
+/**
+ * Lists the aggregations that apply to the columns of a model: OHLC candles need a single level
+ * column and sums need flows.
+ * @param {string} modelName - Name of a model of RESAMPLED_SERIES
+ * @returns {string[]} Aggregation names, in the order of AGGREGATIONS
+ */
+export function getAggregations(modelName) {
+  const { levels, flows } = RESAMPLED_SERIES[modelName];
+  return AGGREGATIONS.filter(
+    (aggregation) =>
+      (aggregation !== 'ohlc' || levels.length === 1) &&
+      (aggregation !== 'sum' || flows.length > 0),
+  );
+}
+
+/**
+ * Lists the columns of the rows of a series, as stored or resampled with an aggregation.
+ * @param {string} modelName - Name of a model of RESAMPLED_SERIES
+ * @param {string} [aggregation] - Aggregation of the buckets, if the series is resampled
+ * @returns {string[]} Column names, in the order of the rows
+ */
+export function getSeriesFields(modelName, aggregation) {
+  const { keys, levels, flows } = RESAMPLED_SERIES[modelName];
+  return [
+    'timestamp',
+    ...keys,
+    ...(aggregation === 'ohlc' ? ['open', 'high', 'low', 'close'] : levels),
+    ...flows,
+    'is_imputed',
+  ];
+}
+
+/**
+ * Validates the optional interval and agg query parameters of a history request.
+ * @param {string} [interval] - Bucket width, one of BUCKET_INTERVALS
+ * @param {string} [agg] - Aggregation, one of getAggregations(modelName); requires an interval
+ * @param {string} modelName - Name of the model queried, one of RESAMPLED_SERIES
+ * @param {string} resolution - Resolution of the stored rows, one of RESOLUTIONS
+ * @returns {Object} An object containing:
+ *   - {string} [interval] - The interval if provided and valid, otherwise undefined
+ *   - {string} [aggregation] - The aggregation (the default of the model if agg is omitted) if
+ *                              an interval is provided, otherwise undefined
+ *   - {string} [errorMsg] - An error message if the parameters are invalid, otherwise undefined
+ */
+export function parseResampling(interval, agg, modelName, resolution) {
+  if (interval === undefined) {
+    return agg === undefined
+      ? {}
+      : { errorMsg: 'The agg parameter requires an interval parameter' };
+  }
+  if (!Object.prototype.hasOwnProperty.call(BUCKET_INTERVALS, interval)) {
+    return {
+      errorMsg: `Invalid interval parameter, must be one of ${Object.keys(BUCKET_INTERVALS).join(', ')}`,
+    };
+  }
+  if (BUCKET_INTERVALS[interval].ms < RESOLUTION_INTERVALS[resolution]) {
+    return {
+      errorMsg: `Interval ${interval} is shorter than the ${resolution} resolution`,
+    };
+  }
+  const aggregations = getAggregations(modelName);
+  const aggregation = agg ?? RESAMPLED_SERIES[modelName].defaultAggregation;
+  if (!aggregations.includes(aggregation)) {
+    return {
+      errorMsg: `Invalid agg parameter, must be one of ${aggregations.join(', ')}`,
+    };
+  }
+  return { interval, aggregation };
+}
+
+/**
+ * Builds the query options that resample a series into TimescaleDB time_bucket buckets. A bucket
+ * is imputed only if every row in it is.
+ * @param {string} modelName - Name of the model queried, one of RESAMPLED_SERIES
+ * @param {string} interval - Bucket width, one of BUCKET_INTERVALS
+ * @param {string} aggregation - Aggregation, one of getAggregations(modelName)
+ * @param {Object} [page] - Page of buckets to read
+ * @param {string} [page.order='asc'] - Sort order of the buckets
+ * @param {Date} [page.cursor] - Start of the last bucket of the previous page
+ * @param {number} [page.limit] - Number of buckets to read (default: every bucket)
+ * @returns {{attributes: Array, group: Array, order: Array, raw: boolean}} Options to pass to
+ *          findAll next to the where clause. Rows have the bucket start as 'timestamp', the
+ *          series key columns, the aggregated columns ('open', 'high', 'low' and 'close' in place
+ *          of the level for OHLC) and 'is_imputed', ordered by timestamp.
+ */
+export function buildResampleQuery(
+  modelName,
+  interval,
+  aggregation,
+  { order = 'asc', cursor, limit } = {},
+) {
+  const { keys, levels, flows } = RESAMPLED_SERIES[modelName];
+  const bucket = fn(
+    'time_bucket',
+    cast(BUCKET_INTERVALS[interval].sql, 'INTERVAL'),
+    col('timestamp'),
+  );
+
+  const aggregate = (column) => {
+    if (aggregation === 'last') {
+      return [fn('last', col(column), col('timestamp')), column];
+    }
+    if (aggregation === 'mean' || !flows.includes(column)) {
+      return [fn('AVG', col(column)), column];
+    }
+    return [fn('SUM', col(column)), column];
+  };
+
+  const values =
+    aggregation === 'ohlc'
+      ? [
+          [fn('first', col(levels[0]), col('timestamp')), 'open'],
+          [fn('MAX', col(levels[0])), 'high'],
+          [fn('MIN', col(levels[0])), 'low'],
+          [fn('last', col(levels[0]), col('timestamp')), 'close'],
+          ...flows.map((column) => aggregate(column)),
+        ]
+      : [...levels, ...flows].map((column) => aggregate(column));
+
+  return {
+    attributes: [
+      [bucket, 'timestamp'],
+      ...keys,
+      ...values,
+      [fn('bool_and', col('is_imputed')), 'is_imputed'],
+    ],
+    group: [bucket, ...keys],
+    // Buckets are filtered after grouping, so that the rows of the cursor bucket are not
+    // aggregated again into a partial bucket
+    ...(cursor && {
+      having: where(bucket, { [order === 'asc' ? Op.gt : Op.lt]: cursor }),
+    }),
+    order: [[bucket, order.toUpperCase()]],
+    ...(limit && { limit }),
+    raw: true,
+  };
+}
+
+/**
+ * Aggregates a continuous aggregate stores for every level and flow column, named
+ * `<column>_<aggregate>`, so that each aggregation can be read from it (see
+ * buildContinuousAggregateQuery).
+ */
+const CONTINUOUS_AGGREGATE_COLUMNS = {
+  levels: {
+    open: (column) => `first(${column}, "timestamp")`,
+    high: (column) => `MAX(${column})`,
+    low: (column) => `MIN(${column})`,
+    close: (column) => `last(${column}, "timestamp")`,
+    mean: (column) => `AVG(${column})`,
+  },
+  flows: {
+    last: (column) => `last(${column}, "timestamp")`,
+    mean: (column) => `AVG(${column})`,
+    sum: (column) => `SUM(${column})`,
+  },
+};
+
+/**
+ * Columns of a continuous aggregate read for each aggregation, by kind of column. OHLC candles
+ * read the open, high, low and close columns of the level instead.
+ */
+const CONTINUOUS_AGGREGATE_READS = {
+  last: { levels: 'close', flows: 'last' },
+  mean: { levels: 'mean', flows: 'mean' },
+  ohlc: { flows: 'sum' },
+  sum: { levels: 'mean', flows: 'sum' },
+};
+
+/**
+ * Builds the query defining a continuous aggregate of a series, with one row per bucket and
+ * series key holding every aggregate of CONTINUOUS_AGGREGATE_COLUMNS.
+ * @param {string} modelName - Name of the aggregated model, one of RESAMPLED_SERIES
+ * @param {string} table - Table of the model
+ * @param {string} interval - Bucket width, one of BUCKET_INTERVALS
+ * @returns {string} SELECT statement grouping the table into time_bucket buckets
+ */
+export function buildContinuousAggregateSelect(modelName, table, interval) {
+  const { keys, levels, flows } = RESAMPLED_SERIES[modelName];
+  const columns = [
+    ...levels.flatMap((column) =>
+      Object.entries(CONTINUOUS_AGGREGATE_COLUMNS.levels).map(
+        ([name, aggregate]) => `${aggregate(column)} AS ${column}_${name}`,
+      ),
+    ),
+    ...flows.flatMap((column) =>
+      Object.entries(CONTINUOUS_AGGREGATE_COLUMNS.flows).map(
+        ([name, aggregate]) => `${aggregate(column)} AS ${column}_${name}`,
+      ),
+    ),
+  ];
+  return [
+    `SELECT time_bucket(INTERVAL '${BUCKET_INTERVALS[interval].sql}', "timestamp") AS bucket`,
+    ...keys,
+    ...columns,
+    'bool_and(is_imputed) AS is_imputed',
+  ]
+    .join(', ')
+    .concat(` FROM ${table} GROUP BY ${['bucket', ...keys].join(', ')}`);
+}
+
+/**
+ * Builds the query reading the resampled history of a series from one of its continuous
+ * aggregates, with the rows buildResampleQuery would return for the full history.
+ * @param {string} view - Name of the continuous aggregate
+ * @param {string} modelName - Name of the aggregated model, one of RESAMPLED_SERIES
+ * @param {string} aggregation - Aggregation, one of getAggregations(modelName)
+ * @param {string} [key] - Value of the series key column to read the rows of, if the model has
+ *                         one
+ * @param {Object} [page] - Page of buckets to read (see buildResampleQuery)
+ * @returns {{sql: string, replacements: Object}} Query and its replacements
+ */
+export function buildContinuousAggregateQuery(
+  view,
+  modelName,
+  aggregation,
+  key,
+  { order = 'asc', cursor, limit } = {},
+) {
+  const { keys, levels, flows } = RESAMPLED_SERIES[modelName];
+  const reads = CONTINUOUS_AGGREGATE_READS[aggregation];
+  const values = [
+    ...(aggregation === 'ohlc'
+      ? ['open', 'high', 'low', 'close'].map(
+          (name) => `${levels[0]}_${name} AS ${name}`,
+        )
+      : levels.map((column) => `${column}_${reads.levels} AS ${column}`)),
+    ...flows.map((column) => `${column}_${reads.flows} AS ${column}`),
+  ];
+  const columns = [
+    'bucket AS "timestamp"',
+    ...keys,
+    ...values,
+    'is_imputed',
+  ].join(', ');
+  const conditions = [
+    ...(keys.length > 0 ? [`${keys[0]} = :key`] : []),
+    ...(cursor ? [`bucket ${order === 'asc' ? '>' : '<'} :cursor`] : []),
+  ];
+  const filter =
+    conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+  return {
+    sql: `SELECT ${columns} FROM ${view}${filter} ORDER BY bucket ${order.toUpperCase()}${limit ? ' LIMIT :limit' : ''}`,
+    replacements: {
+      ...(keys.length > 0 && { key }),
+      ...(cursor && { cursor }),
+      ...(limit && { limit }),
+    },
+  };
+}
@@ -1,200 +1,451 @@
+import { Op } from 'sequelize';
+
+/**
+ * Number of records written per bulk insert when no batch size is given.
+ */
+export const DEFAULT_BATCH_SIZE = 1000;
+
+/**
+ * Ways to handle records that are already stored:
+ * - skip: keep the stored values.
+ * - overwrite: replace the stored values with the new ones (e.g., corrected upstream data).
+ */
+export const CONFLICT_STRATEGIES = Object.freeze(['skip', 'overwrite']);
+
+/**
+ * Validates the save options and applies their defaults.
+ * @param {Object} [options] - Save options
+ * @param {string} [options.onConflict='skip'] - One of CONFLICT_STRATEGIES.
+ * @param {number} [options.batchSize=DEFAULT_BATCH_SIZE] - Records written per bulk insert.
+ * @returns {{onConflict: string, batchSize: number}} Validated options.
+ * @throws {Error} If onConflict or batchSize is invalid.
+ */
+function resolveSaveOptions({
+  onConflict = 'skip',
+  batchSize = DEFAULT_BATCH_SIZE,
+} = {}) {
+  if (!CONFLICT_STRATEGIES.includes(onConflict)) {
+    throw new Error(
+      `Invalid onConflict: ${onConflict}, must be one of ${CONFLICT_STRATEGIES.join(', ')}`,
+    );
+  }
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error(
+      `Invalid batchSize: ${batchSize}, must be a positive integer`,
+    );
+  }
+  return { onConflict, batchSize };
+}
+
+/**
+ * Row counts of a save.
+ * @typedef {Object} SaveCounts
+ * @property {number} inserted - Rows inserted
+ * @property {number} updated - Stored rows replaced
+ * @property {number} skipped - Records not written: stored days that were kept, duplicates and
+ *                              invalid records
+ * @property {number} unfilled - Imputed records not written because the gap filling left their
+ *                               metrics empty (leaveNull strategy)
+ */
+
+/**
+ * Adds the counts of a series to the running totals.
+ * @param {SaveCounts} totals - Running totals.
+ * @param {SaveCounts} counts - Counts of a series.
+ * @returns {SaveCounts} New totals.
+ */
+function addCounts(totals, counts) {
+  return {
+    inserted: totals.inserted + counts.inserted,
+    updated: totals.updated + counts.updated,
+    skipped: totals.skipped + counts.skipped,
+    unfilled: totals.unfilled + counts.unfilled,
+  };
+}
+
+/**
+ * Checks whether a record is a missing day that the gap filling left without metrics.
+ * @param {Object} record - Record to save.
+ * @param {function(Object): boolean} isValid - Whether a record can be saved.
+ * @returns {boolean} Whether the record is imputed and cannot be saved.
+ */
+function isUnfilled(record, isValid) {
+  return Boolean(record?.isImputed) && !isValid(record);
+}
+
+/**
+ * Finds the rows of a batch that would overwrite a stored, non-imputed row with an imputed one.
+ * @param {Object} model - Sequelize model of the table.
+ * @param {Object[]} batch - Rows to write.
+ * @param {Object} where - Condition selecting the stored rows of the batch.
+ * @param {Object} transaction - Transaction of the series.
+ * @returns {Promise<Set<Object>>} Rows of the batch to leave out.
+ */
+async function findImputedOverwrites(model, batch, where, transaction) {
+  const imputedRows = batch.filter((row) => row.is_imputed);
+  if (imputedRows.length === 0) {
+    return new Set();
+  }
+  const storedRows = await model.findAll({
+    attributes: ['timestamp'],
+    where: {
+      ...where,
+      timestamp: { [Op.in]: imputedRows.map((row) => row.timestamp) },
+      is_imputed: false,
+    },
+    raw: true,
+    transaction,
+  });
+  const storedTimes = new Set(
+    storedRows.map((row) => new Date(row.timestamp).getTime()),
+  );
+  return new Set(
+    imputedRows.filter((row) =>
+      storedTimes.has(new Date(row.timestamp).getTime()),
+    ),
+  );
+}
+
+/**
+ * Upserts the rows of a single series in batches, inside one transaction so that a failure
+ * leaves the series untouched. Rows sharing a timestamp are reduced to the last one.
+ *
+ * @param {Object} model - Sequelize model of the table.
+ * @param {Object[]} rows - Rows to write, all belonging to the same series.
+ * @param {Object} table - Table description
+ * @param {string} [table.seriesField] - Column identifying the series (besides the timestamp)
+ *                                       in the primary key, if any.
+ * @param {string[]} table.valueFields - Columns replaced when overwriting stored rows. Imputed
+ *                                       rows never overwrite stored rows that are not imputed.
+ * @param {{onConflict: string, batchSize: number}} options - Validated save options.
+ * @returns {Promise<SaveCounts>} Row counts.
+ * @throws {Error} If a batch fails; the transaction is rolled back.
+ */
+async function upsertSeries(model, rows, table, options) {
+  const uniqueRows = [
+    ...new Map(
+      rows.map((row) => [new Date(row.timestamp).toISOString(), row]),
+    ).values(),
+  ];
+  const counts = {
+    inserted: 0,
+    updated: 0,
+    skipped: rows.length - uniqueRows.length,
+    unfilled: 0,
+  };
+  if (uniqueRows.length === 0) {
+    return counts;
+  }
+
+  return model.sequelize.transaction(async (transaction) => {
+    /* eslint-disable no-await-in-loop */
+    for (let i = 0; i < uniqueRows.length; i += options.batchSize) {
+      const batch = uniqueRows.slice(i, i + options.batchSize);
+      const where = {
+        timestamp: { [Op.in]: batch.map((row) => row.timestamp) },
+      };
+      if (table.seriesField) {
+        where[table.seriesField] = batch[0][table.seriesField];
+      }
+      const storedCount = await model.count({ where, transaction });
+
+      if (options.onConflict === 'overwrite') {
+        const kept = await findImputedOverwrites(
+          model,
+          batch,
+          where,
+          transaction,
+        );
+        const rowsToWrite = batch.filter((row) => !kept.has(row));
+        if (rowsToWrite.length > 0) {
+          await model.bulkCreate(rowsToWrite, {
+            updateOnDuplicate: table.valueFields,
+            transaction,
+          });
+        }
+        counts.updated += storedCount - kept.size;
+        counts.skipped += kept.size;
+      } else {
+        await model.bulkCreate(batch, { ignoreDuplicates: true, transaction });
+        counts.skipped += storedCount;
+      }
+      counts.inserted += batch.length - storedCount;
+    }
+    /* eslint-enable no-await-in-loop */
+    return counts;
+  });
+}
+
 /**
- * Saves staking APY data to the database, handling small batches of records (up to 365 records).
- * Each record is inserted individually to handle potential duplicates and errors gracefully.
+ * Saves every series of a dataset, one transaction per series. Series are written one after the
+ * other to keep the number of open connections low.
+ *
+ * @param {Object} model - Sequelize model of the table.
+ * @param {Object<string, Object[]>} data - Records keyed by series name.
+ * @param {Object} table - Table description
+ * @param {string} table.label - Name of the data used in log messages (e.g., "staking").
+ * @param {string} table.seriesLabel - Name of a series used in log messages (e.g., "pool").
+ * @param {function(Object): boolean} table.isValid - Whether a record can be saved.
+ * @param {function(Object): Object} table.toRow - Maps a record to a table row.
+ * @param {string} [table.seriesField] - See upsertSeries.
+ * @param {string[]} table.valueFields - See upsertSeries.
+ * @param {Object} [saveOptions] - Save options (see resolveSaveOptions).
+ * @returns {Promise<SaveCounts>} Row counts over all series.
+ */
+async function saveSeries(model, data, table, saveOptions) {
+  const options = resolveSaveOptions(saveOptions);
+  let totals = {
+    inserted: 0,
+    updated: 0,
+    skipped: 0,
+    unfilled: 0,
+  };
+
+  /* eslint-disable no-await-in-loop, no-restricted-syntax */
+  for (const [seriesName, records] of Object.entries(data || {})) {
+    if (!Array.isArray(records)) {
+      console.warn(
+        `Skipping invalid data for ${table.seriesLabel} '${seriesName}': not an array`,
+      );
+    } else {
+      const validRecords = records.filter(table.isValid);
+      const unfilled = records.filter((record) =>
+        isUnfilled(record, table.isValid),
+      ).length;
+      try {
+        const counts = await upsertSeries(
+          model,
+          validRecords.map(table.toRow),
+          table,
+          options,
+        );
+        counts.skipped += records.length - validRecords.length - unfilled;
+        counts.unfilled = unfilled;
+        console.log(
+          `Saved ${table.label} data for '${seriesName}': ${counts.inserted} inserted, ${counts.updated} updated, ${counts.skipped} skipped${unfilled > 0 ? `, ${unfilled} left unfilled` : ''}`,
+        );
+        totals = addCounts(totals, counts);
+      } catch (error) {
+        console.error(
+          `Error saving ${table.label} data for '${seriesName}':`,
+          error,
+        );
+        throw error;
+      }
+    }
+  }
+  /* eslint-enable no-await-in-loop, no-restricted-syntax */
+  return totals;
+}
+
+/**
+ * Table description of token prices, shared by the daily and hourly tables (see saveSeries).
+ */
+const tokenPriceTable = {
+  label: 'token price',
+  seriesLabel: 'token',
+  isValid: (priceDataForDay) =>
+    Boolean(priceDataForDay?.timestamp) &&
+    Boolean(priceDataForDay?.tokenSymbol) &&
+    typeof priceDataForDay.priceUsd === 'number',
+  toRow: (priceDataForDay) => ({
+    timestamp: priceDataForDay.timestamp,
+    token_symbol: priceDataForDay.tokenSymbol,
+    price_usd: priceDataForDay.priceUsd,
+    is_imputed: Boolean(priceDataForDay.isImputed),
+  }),
+  seriesField: 'token_symbol',
+  valueFields: ['price_usd', 'is_imputed'],
+};
+
+/**
+ * Saves staking APY data to the database with batched upserts, one transaction per series.
  *
  * @param {Object<string, {
  *   timestamp: string,
- *   apyPercentage: number
+ *   apyPercentage: number,
+ *   isImputed?: boolean
  * }[]>} apyData - Staking APY data, keyed by pool name with arrays of daily records.
  * @param {Object} app - Application object containing database models under `app.locals.models`.
- * @throws {Error} If the database model is unavailable or an insertion error
- *                 occurs (beyond unique constraint violations).
+ * @param {Object} [options] - Save options
+ * @param {string} [options.onConflict='skip'] - 'skip' keeps stored days, 'overwrite' replaces
+ *                                               them.
+ * @param {number} [options.batchSize=DEFAULT_BATCH_SIZE] - Records written per bulk insert.
+ * @returns {Promise<SaveCounts>} Row counts.
+ * @throws {Error} If the database model is unavailable, the options are invalid or a series
+ *                 fails to save.
  */
-export function saveStakingData(apyData, app) {
+export async function saveStakingData(apyData, app, options) {
   if (!app?.locals?.models?.ETHStakingHistorical) {
-    return Promise.reject(
-      new Error('Database model ETHStakingHistorical is not available'),
-    );
+    throw new Error('Database model ETHStakingHistorical is not available');
   }
 
-  return Promise.all(
-    Object.entries(apyData || {})
-      .filter(([poolName, dailyApyData]) => {
-        if (!Array.isArray(dailyApyData)) {
-          console.warn(
-            `Skipping invalid data for pool '${poolName}': not an array`,
-          );
-          return false;
-        }
-        return true;
-      })
-      .flatMap(([, dailyApyData]) =>
-        dailyApyData
-          .filter(
-            (apyDataForDay) =>
-              apyDataForDay?.timestamp &&
-              typeof apyDataForDay.apyPercentage === 'number',
-          )
-          .map((apyDataForDay) =>
-            app.locals.models.ETHStakingHistorical.create({
-              timestamp: apyDataForDay.timestamp,
-              apy_percentage: apyDataForDay.apyPercentage,
-            })
-              .then(() => {
-                console.log(
-                  `Inserted staking record for timestamp: ${apyDataForDay.timestamp}`,
-                );
-              })
-              .catch((error) => {
-                if (error.name === 'SequelizeUniqueConstraintError') {
-                  console.log(
-                    `Skipped duplicate staking record for timestamp: ${apyDataForDay.timestamp}`,
-                  );
-                } else {
-                  console.error('Error inserting staking record:', error);
-                  throw error;
-                }
-              }),
-          ),
-      ),
+  return saveSeries(
+    app.locals.models.ETHStakingHistorical,
+    apyData,
+    {
+      label: 'staking',
+      seriesLabel: 'pool',
+      isValid: (apyDataForDay) =>
+        Boolean(apyDataForDay?.timestamp) &&
+        typeof apyDataForDay.apyPercentage === 'number',
+      toRow: (apyDataForDay) => ({
+        timestamp: apyDataForDay.timestamp,
+        apy_percentage: apyDataForDay.apyPercentage,
+        is_imputed: Boolean(apyDataForDay.isImputed),
+      }),
+      valueFields: ['apy_percentage', 'is_imputed'],
+    },
+    options,
   );
 }
 
 /**
- * Saves token price data to the database, handling small batches of records (up to 365 records).
- * Each record is inserted individually to handle potential duplicates and errors gracefully.
+ * Saves token price data to the database with batched upserts, one transaction per token.
  *
  * @param {Object<string, {
  *   timestamp: string,
  *   tokenSymbol: string,
- *   priceUsd: number
+ *   priceUsd: number,
+ *   isImputed?: boolean
  * }[]>} priceData - Token price data, keyed by token name with arrays of daily records.
  * @param {Object} app - Application object containing database models under `app.locals.models`.
- * @throws {Error} If the database model is unavailable or an insertion error occurs
- *                 (beyond unique constraint violations).
+ * @param {Object} [options] - Save options (see saveStakingData)
+ * @returns {Promise<SaveCounts>} Row counts.
+ * @throws {Error} If the database model is unavailable, the options are invalid or a token
+ *                 fails to save.
  */
-export function saveTokenPriceData(priceData, app) {
+export async function saveTokenPriceData(priceData, app, options) {
   if (!app?.locals?.models?.TokenPrice) {
-    return Promise.reject(
-      new Error('Database model TokenPrice is not available'),
-    );
+    throw new Error('Database model TokenPrice is not available');
   }
 
-  return Promise.all(
-    Object.entries(priceData || {})
-      .filter(([tokenName, dailyPriceData]) => {
-        if (!Array.isArray(dailyPriceData)) {
-          console.warn(
-            `Skipping invalid data for token '${tokenName}': not an array`,
-          );
-          return false;
-        }
-        return true;
-      })
-      .flatMap(([, dailyPriceData]) =>
-        dailyPriceData
-          .filter(
-            (priceDataForDay) =>
-              priceDataForDay?.timestamp &&
-              priceDataForDay?.tokenSymbol &&
-              typeof priceDataForDay.priceUsd === 'number',
-          )
-          .map((priceDataForDay) =>
-            app.locals.models.TokenPrice.create({
-              timestamp: priceDataForDay.timestamp,
-              token_symbol: priceDataForDay.tokenSymbol,
-              price_usd: priceDataForDay.priceUsd,
-            })
-              .then(() => {
-                console.log(
-                  `Inserted token price record for ${priceDataForDay.tokenSymbol} at ${priceDataForDay.timestamp}`,
-                );
-              })
-              .catch((error) => {
-                if (error.name === 'SequelizeUniqueConstraintError') {
-                  console.log(
-                    `Skipped duplicate token price record for ${priceDataForDay.tokenSymbol} at ${priceDataForDay.timestamp}`,
-                  );
-                } else {
-                  console.error('Error inserting token price record:', error);
-                  throw error;
-                }
-              }),
-          ),
-      ),
+  return saveSeries(
+    app.locals.models.TokenPrice,
+    priceData,
+    tokenPriceTable,
+    options,
+  );
+}
+
+/**
+ * Saves hourly token price data to the token_prices_hourly table like saveTokenPriceData.
+ *
+ * @param {Object<string, Object[]>} priceData - Token price data, keyed by token name with arrays
+ *                                               of hourly records (see saveTokenPriceData).
+ * @param {Object} app - Application object containing database models under `app.locals.models`.
+ * @param {Object} [options] - Save options (see saveStakingData)
+ * @returns {Promise<SaveCounts>} Row counts.
+ * @throws {Error} If the database model is unavailable, the options are invalid or a token
+ *                 fails to save.
+ */
+export async function saveHourlyTokenPriceData(priceData, app, options) {
+  if (!app?.locals?.models?.TokenPriceHourly) {
+    throw new Error('Database model TokenPriceHourly is not available');
+  }
+
+  return saveSeries(
+    app.locals.models.TokenPriceHourly,
+    priceData,
+    { ...tokenPriceTable, label: 'hourly token price' },
+    options,
   );
 }
 
 /**
- * Saves liquidity pool data to the database, handling small batches of records (up to 365 records).
- * Each record is inserted individually to handle potential duplicates and errors gracefully.
+ * Saves liquidity pool data to the database with batched upserts, one transaction per pool.
  *
  * @param {Record<string, {
  *   timestamp: string,
  *   poolAddress: string,
  *   tvlUsd: number,
  *   volumeUSD: number,
- *   feesUSD: number
+ *   feesUSD: number,
+ *   isImputed?: boolean
  * }[]>} liquidityPoolData - Liquidity pool data, keyed by pool name with daily records.
  * @param {Object} app - Application object containing database models under `app.locals.models`.
- * @throws {Error} If the database model is unavailable or an insertion error occurs
- *                 (beyond unique constraint violations).
+ * @param {Object} [options] - Save options (see saveStakingData)
+ * @returns {Promise<SaveCounts>} Row counts.
+ * @throws {Error} If the database model is unavailable, the options are invalid or a pool fails
+ *                 to save.
  */
-export function saveLiquidityPoolData(liquidityPoolData, app) {
+export async function saveLiquidityPoolData(liquidityPoolData, app, options) {
   if (!app?.locals?.models?.LPHistorical) {
-    return Promise.reject(
-      new Error('Database model LPHistorical is not available'),
-    );
+    throw new Error('Database model LPHistorical is not available');
   }
 
-  return Promise.all(
-    Object.entries(liquidityPoolData || {})
-      .filter(([poolName, dailyLpData]) => {
-        if (!Array.isArray(dailyLpData)) {
-          console.warn(
-            `Skipping invalid data for pool '${poolName}': not an array`,
-          );
-          return false;
-        }
-        return true;
-      })
-      .flatMap(([, dailyLpData]) =>
-        dailyLpData
-          .filter(
-            (lpDataForDay) =>
-              lpDataForDay?.timestamp &&
-              lpDataForDay?.poolAddress &&
-              typeof lpDataForDay.tvlUsd === 'number' &&
-              typeof lpDataForDay.volumeUSD === 'number' &&
-              typeof lpDataForDay.feesUSD === 'number',
-          )
-          .map((lpDataForDay) =>
-            app.locals.models.LPHistorical.create({
-              timestamp: lpDataForDay.timestamp,
-              pool_address: lpDataForDay.poolAddress,
-              tvl_usd: lpDataForDay.tvlUsd,
-              volume_24h_usd: lpDataForDay.volumeUSD,
-              fees_24h_usd: lpDataForDay.feesUSD,
-            })
-              .then(() => {
-                console.log(
-                  `Inserted liquidity pool record for ${lpDataForDay.poolAddress} at ${lpDataForDay.timestamp}`,
-                );
-              })
-              .catch((error) => {
-                if (error.name === 'SequelizeUniqueConstraintError') {
-                  console.log(
-                    `Skipped duplicate liquidity pool record for ${lpDataForDay.poolAddress} at ${lpDataForDay.timestamp}`,
-                  );
-                } else {
-                  console.error(
-                    'Error inserting liquidity pool record:',
-                    error,
-                  );
-                  throw error;
-                }
-              }),
-          ),
-      ),
+  return saveSeries(
+    app.locals.models.LPHistorical,
+    liquidityPoolData,
+    {
+      label: 'liquidity pool',
+      seriesLabel: 'pool',
+      isValid: (lpDataForDay) =>
+        Boolean(lpDataForDay?.timestamp) &&
+        Boolean(lpDataForDay?.poolAddress) &&
+        typeof lpDataForDay.tvlUsd === 'number' &&
+        typeof lpDataForDay.volumeUSD === 'number' &&
+        typeof lpDataForDay.feesUSD === 'number',
+      toRow: (lpDataForDay) => ({
+        timestamp: lpDataForDay.timestamp,
+        pool_address: lpDataForDay.poolAddress,
+        tvl_usd: lpDataForDay.tvlUsd,
+        volume_24h_usd: lpDataForDay.volumeUSD,
+        fees_24h_usd: lpDataForDay.feesUSD,
+        is_imputed: Boolean(lpDataForDay.isImputed),
+      }),
+      seriesField: 'pool_address',
+      valueFields: ['tvl_usd', 'volume_24h_usd', 'fees_24h_usd', 'is_imputed'],
+    },
+    options,
+  );
+}
+
+/**
+ * Saves hourly liquidity pool data to the lp_historical_hourly table like saveLiquidityPoolData,
+ * with the fees and volume of each hour.
+ *
+ * @param {Record<string, Object[]>} liquidityPoolData - Liquidity pool data, keyed by pool name
+ *                                                       with hourly records (see
+ *                                                       saveLiquidityPoolData).
+ * @param {Object} app - Application object containing database models under `app.locals.models`.
+ * @param {Object} [options] - Save options (see saveStakingData)
+ * @returns {Promise<SaveCounts>} Row counts.
+ * @throws {Error} If the database model is unavailable, the options are invalid or a pool fails
+ *                 to save.
+ */
+export async function saveHourlyLiquidityPoolData(
+  liquidityPoolData,
+  app,
+  options,
+) {
+  if (!app?.locals?.models?.LPHistoricalHourly) {
+    throw new Error('Database model LPHistoricalHourly is not available');
+  }
+
+  return saveSeries(
+    app.locals.models.LPHistoricalHourly,
+    liquidityPoolData,
+    {
+      label: 'hourly liquidity pool',
+      seriesLabel: 'pool',
+      isValid: (lpDataForHour) =>
+        Boolean(lpDataForHour?.timestamp) &&
+        Boolean(lpDataForHour?.poolAddress) &&
+        typeof lpDataForHour.tvlUsd === 'number' &&
+        typeof lpDataForHour.volumeUSD === 'number' &&
+        typeof lpDataForHour.feesUSD === 'number',
+      toRow: (lpDataForHour) => ({
+        timestamp: lpDataForHour.timestamp,
+        pool_address: lpDataForHour.poolAddress,
+        tvl_usd: lpDataForHour.tvlUsd,
+        volume_1h_usd: lpDataForHour.volumeUSD,
+        fees_1h_usd: lpDataForHour.feesUSD,
+        is_imputed: Boolean(lpDataForHour.isImputed),
+      }),
+      seriesField: 'pool_address',
+      valueFields: ['tvl_usd', 'volume_1h_usd', 'fees_1h_usd', 'is_imputed'],
+    },
+    options,
   );
 }
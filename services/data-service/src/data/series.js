@@ -0,0 +1,183 @@
+import { RESOLUTION_INTERVALS } from '../config/resolutions.js';
+import { RESAMPLED_SERIES, getSeriesFields } from './resampling.js';
+
+/**
+ * Types of series that can be combined by the /series route: the model of each resolution, the
+ * column holding the key of a series and the registry model the key is looked up in. Staking has
+ * a single, daily series and no key.
+ */
+export const SERIES_TYPES = Object.freeze({
+  price: {
+    models: { daily: 'TokenPrice', hourly: 'TokenPriceHourly' },
+    keyColumn: 'token_symbol',
+    registryModel: 'Token',
+  },
+  pool: {
+    models: { daily: 'LPHistorical', hourly: 'LPHistoricalHourly' },
+    keyColumn: 'pool_address',
+    registryModel: 'Pool',
+  },
+  staking: {
+    models: { daily: 'ETHStakingHistorical' },
+  },
+});
+
+/**
+ * Largest number of series a single request may combine.
+ */
+export const MAX_SERIES = 10;
+
+/**
+ * Names a series the way it is listed in the series parameter, e.g. "price:WETH" or "staking".
+ * @param {{type: string, key: (string|undefined)}} spec - Series
+ * @returns {string} Name of the series
+ */
+export function getSeriesName({ type, key }) {
+  return key === undefined ? type : `${type}:${key}`;
+}
+
+/**
+ * Parses the series query parameter of a /series request.
+ * @param {string} [series] - Comma-separated series, each "price:<token symbol>",
+ *                            "pool:<pool address>" or "staking" (e.g.,
+ *                            "price:WETH,price:USDC,pool:0x88e6...,staking")
+ * @returns {Object} An object containing:
+ *   - {Array<{type: string, key: (string|undefined)}>} [specs] - The series, without
+ *     duplicates, if valid, otherwise undefined. Token symbols are upper-cased and pool
+ *     addresses lower-cased, like the keys of the registry.
+ *   - {string} [errorMsg] - An error message if the parameter is missing or invalid, otherwise
+ *                           undefined
+ */
+export function parseSeriesSpecs(series) {
+  if (!series) {
+    return { errorMsg: 'Missing series parameter' };
+  }
+  const parsed = series.split(',').map((name) => {
+    const [type, key, ...rest] = name.trim().split(':');
+    if (!Object.prototype.hasOwnProperty.call(SERIES_TYPES, type)) {
+      return null;
+    }
+    if (type === 'staking') {
+      return key === undefined ? { type } : null;
+    }
+    if (!key || rest.length > 0) {
+      return null;
+    }
+    return {
+      type,
+      key: type === 'price' ? key.toUpperCase() : key.toLowerCase(),
+    };
+  });
+  if (parsed.some((spec) => spec === null)) {
+    return {
+      errorMsg:
+        'Invalid series parameter, must be a comma-separated list of price:<token>, pool:<address> or staking',
+    };
+  }
+  const specs = [
+    ...new Map(parsed.map((spec) => [getSeriesName(spec), spec])).values(),
+  ];
+  if (specs.length > MAX_SERIES) {
+    return {
+      errorMsg: `Invalid series parameter, must list at most ${MAX_SERIES} series`,
+    };
+  }
+  return { specs };
+}
+
+/**
+ * Lists the value columns of a series: every column of its model except the timestamp and the
+ * key of the series.
+ * @param {string} modelName - Name of a model of RESAMPLED_SERIES
+ * @returns {string[]} Column names
+ */
+export function getValueFields(modelName) {
+  const { keys } = RESAMPLED_SERIES[modelName];
+  return getSeriesFields(modelName).filter(
+    (field) => field !== 'timestamp' && !keys.includes(field),
+  );
+}
+
+/**
+ * Groups consecutive missing timestamps into ranges.
+ * @param {number[]} missing - Missing times in milliseconds, ascending
+ * @param {number} interval - Spacing of the records in milliseconds
+ * @returns {Array<{start: string, end: string, count: number}>} Gaps, with the first and last
+ *                                                              missing timestamps
+ */
+function groupGaps(missing, interval) {
+  const gaps = [];
+  missing.forEach((time) => {
+    const last = gaps[gaps.length - 1];
+    if (last && time - last.endTime === interval) {
+      last.endTime = time;
+      last.count += 1;
+    } else {
+      gaps.push({ startTime: time, endTime: time, count: 1 });
+    }
+  });
+  return gaps.map(({ startTime, endTime, count }) => ({
+    start: new Date(startTime).toISOString(),
+    end: new Date(endTime).toISOString(),
+    count,
+  }));
+}
+
+/**
+ * Aligns several series on a common timeline: one row per record interval from the first to the
+ * last timestamp of any series, holding the values of each series at that time, or null where a
+ * series has no record. Timestamps are floored to the resolution, as when gaps are filled (see
+ * findMissingDates).
+ * @param {Array<{name: string, fields: string[], rows: Array<Object>}>} series - Rows of each
+ *   series, with the value columns to keep
+ * @param {string} resolution - Resolution of the rows, one of RESOLUTIONS
+ * @returns {{rows: Array<Object>, gaps: Object<string, Array<Object>>}} Rows of the table, each
+ *   with a 'timestamp' and a property per series name, and the gaps of each series on the
+ *   timeline (see groupGaps)
+ */
+export function alignSeries(series, resolution) {
+  const interval = RESOLUTION_INTERVALS[resolution];
+  const floor = (timestamp) =>
+    Math.floor(new Date(timestamp).getTime() / interval) * interval;
+  const valuesByTime = series.map(
+    ({ fields, rows }) =>
+      new Map(
+        rows.map((row) => [
+          floor(row.timestamp),
+          Object.fromEntries(fields.map((field) => [field, row[field]])),
+        ]),
+      ),
+  );
+
+  const times = valuesByTime.flatMap((values) => [...values.keys()]);
+  if (times.length === 0) {
+    return {
+      rows: [],
+      gaps: Object.fromEntries(series.map(({ name }) => [name, []])),
+    };
+  }
+  const first = times.reduce((min, time) => Math.min(min, time));
+  const last = times.reduce((max, time) => Math.max(max, time));
+
+  const rows = [];
+  const missing = series.map(() => []);
+  for (let time = first; time <= last; time += interval) {
+    const row = { timestamp: new Date(time).toISOString() };
+    series.forEach(({ name }, index) => {
+      row[name] = valuesByTime[index].get(time) ?? null;
+      if (row[name] === null) {
+        missing[index].push(time);
+      }
+    });
+    rows.push(row);
+  }
+  return {
+    rows,
+    gaps: Object.fromEntries(
+      series.map(({ name }, index) => [
+        name,
+        groupGaps(missing[index], interval),
+      ]),
+    ),
+  };
+}
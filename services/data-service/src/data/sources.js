@@ -0,0 +1,254 @@
+import {
+  fetchPoolData,
+  fetchPriceData,
+  fetchUniswapPoolData,
+  fetchLlamaPriceData,
+} from './fetcher.js';
+import {
+  processPoolDataResponse,
+  processPriceDataResponse,
+  processUniswapPoolDataResponse,
+  processUniswapPoolHourDataResponse,
+} from './processor.js';
+import { RESOLUTIONS, RESOLUTION_INTERVALS } from '../config/resolutions.js';
+import { getDataSourceMode } from '../config/dataSource.js';
+
+/**
+ * Datasets a source adapter can normalize its data into, mapped to the group of stored series
+ * they belong to (see findLatestTimestamps):
+ *  - staking: APY records of the ETH staking series
+ *  - tvl: TVL records of the liquidity pools
+ *  - prices: price records of the tokens
+ *  - volumes: fee and volume records of the liquidity pools
+ */
+export const DATASETS = Object.freeze({
+  staking: 'staking',
+  tvl: 'pools',
+  prices: 'prices',
+  volumes: 'pools',
+});
+
+/**
+ * A source adapter connects one upstream provider to the data handler.
+ * @typedef {Object} SourceAdapter
+ * @property {string} name - Source name used in run options, ingestion reports and fixtures.
+ * @property {string[]} datasets - Datasets the source provides (see DATASETS).
+ * @property {string} [resolution='daily'] - Resolution of the series the source provides, one of
+ *                                           RESOLUTIONS; a run only fetches from the sources of
+ *                                           its resolution.
+ * @property {function(Object): Object<string, string>} series - Picks the upstream ids of the
+ *           series to fetch, keyed by series name, from the registry lookup maps (see
+ *           loadRegistry).
+ * @property {function(Object<string, string>, FetchRange, function(string, Error): void):
+ *           Promise<Object<string, *>>} fetch - Fetches the raw data of each series, keyed by
+ *           series name, null for a series that failed; the error callback is called with the
+ *           series name and its error.
+ * @property {function(Object<string, *>): Object<string, Object<string, Array<Object>>>}
+ *           normalize - Formats the raw data into records keyed by dataset and series name.
+ */
+
+/**
+ * Days of history to fetch. Sources that cannot request part of a history ignore it.
+ * @typedef {Object} FetchRange
+ * @property {number|Object<string, number>} days - Days to fetch, either for every series or
+ *                                                  keyed by series name (Infinity for the full
+ *                                                  history).
+ * @property {Object<string, number>} [startTimestamps] - Unix timestamps to fetch after, keyed by
+ *                                                        series name.
+ */
+
+/** @type {SourceAdapter} */
+export const defiLlamaSource = {
+  name: 'defillama',
+  datasets: ['staking', 'tvl'],
+  series: (registry) => registry.poolIds,
+  fetch: (series, range, onError) => fetchPoolData(series, onError),
+  normalize: (raw) => {
+    const [staking, tvl] = processPoolDataResponse(raw);
+    return { staking, tvl };
+  },
+};
+
+/** @type {SourceAdapter} */
+export const coinGeckoSource = {
+  name: 'coingecko',
+  datasets: ['prices'],
+  series: (registry) => registry.tokenAddresses,
+  fetch: (series, range, onError) =>
+    fetchPriceData(series, range.days, onError),
+  normalize: (raw) => ({ prices: processPriceDataResponse(raw) }),
+};
+
+/** @type {SourceAdapter} */
+export const uniswapSource = {
+  name: 'uniswap',
+  datasets: ['volumes'],
+  series: (registry) => registry.subgraphAddresses,
+  fetch: (series, range, onError) =>
+    fetchUniswapPoolData(series, range.days, range.startTimestamps, onError),
+  normalize: (raw) => ({ volumes: processUniswapPoolDataResponse(raw) }),
+};
+
+/**
+ * Second price source: the token prices of a source registered earlier (CoinGecko) take
+ * precedence, and these fill in for tokens it failed to fetch and are compared with them (see
+ * reconcileSourceData). As a fallback, it is skipped with a warning rather than failing the run
+ * while DEFILLAMA_COINS_API_URL is not set.
+ * @type {SourceAdapter}
+ */
+export const defiLlamaCoinsSource = {
+  name: 'defillama-coins',
+  datasets: ['prices'],
+  series: (registry) => registry.tokenAddresses,
+  fetch: async (series, range, onError) => {
+    if (
+      getDataSourceMode() !== 'replay' &&
+      !process.env.DEFILLAMA_COINS_API_URL
+    ) {
+      console.warn(
+        'DEFILLAMA_COINS_API_URL is not set, skipping the defillama-coins price source.',
+      );
+      return {};
+    }
+    return fetchLlamaPriceData(series, range.days, onError);
+  },
+  normalize: (raw) => ({ prices: processPriceDataResponse(raw) }),
+};
+
+/**
+ * Hourly token prices, for up to 90 days (see fetchPriceData).
+ * @type {SourceAdapter}
+ */
+export const coinGeckoHourlySource = {
+  name: 'coingecko-hourly',
+  resolution: 'hourly',
+  datasets: ['prices'],
+  series: (registry) => registry.tokenAddresses,
+  fetch: (series, range, onError) =>
+    fetchPriceData(series, range.days, onError, 'hourly'),
+  normalize: (raw) => ({
+    prices: processPriceDataResponse(raw, RESOLUTION_INTERVALS.hourly),
+  }),
+};
+
+/**
+ * Hourly TVL, fees and volumes of the liquidity pools, from the poolHourDatas of the Uniswap
+ * Subgraph.
+ * @type {SourceAdapter}
+ */
+export const uniswapHourlySource = {
+  name: 'uniswap-hourly',
+  resolution: 'hourly',
+  datasets: ['tvl', 'volumes'],
+  series: (registry) => registry.subgraphAddresses,
+  fetch: (series, range, onError) =>
+    fetchUniswapPoolData(
+      series,
+      range.days,
+      range.startTimestamps,
+      onError,
+      'hourly',
+    ),
+  normalize: (raw) => {
+    const [tvl, volumes] = processUniswapPoolHourDataResponse(raw);
+    return { tvl, volumes };
+  },
+};
+
+const sources = new Map();
+
+/**
+ * Registers a source adapter, so that it is fetched from on every run. When several sources
+ * provide the same dataset, the series of the source registered first take precedence.
+ * @param {SourceAdapter} adapter - Source adapter
+ * @throws {Error} If the adapter does not implement the contract or its name is taken.
+ */
+export function registerSource(adapter) {
+  const name = adapter?.name;
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw new Error('Source adapter must have a name');
+  }
+  if (
+    !Array.isArray(adapter.datasets) ||
+    adapter.datasets.length === 0 ||
+    adapter.datasets.some(
+      (dataset) => !Object.prototype.hasOwnProperty.call(DATASETS, dataset),
+    )
+  ) {
+    throw new Error(
+      `Source adapter '${name}' must provide some of the datasets ${Object.keys(DATASETS).join(', ')}`,
+    );
+  }
+  if (
+    adapter.resolution !== undefined &&
+    !RESOLUTIONS.includes(adapter.resolution)
+  ) {
+    throw new Error(
+      `Source adapter '${name}' must have one of the resolutions ${RESOLUTIONS.join(', ')}`,
+    );
+  }
+  ['series', 'fetch', 'normalize'].forEach((method) => {
+    if (typeof adapter[method] !== 'function') {
+      throw new Error(`Source adapter '${name}' must implement ${method}()`);
+    }
+  });
+  if (sources.has(name)) {
+    throw new Error(`Source adapter '${name}' is already registered`);
+  }
+  sources.set(name, adapter);
+}
+
+/**
+ * Removes a source adapter, e.g. to replace a provider with another one.
+ * @param {string} name - Source name
+ * @returns {boolean} Whether an adapter was registered under the name.
+ */
+export function unregisterSource(name) {
+  return sources.delete(name);
+}
+
+/**
+ * Lists the names of the registered sources in registration order.
+ * @param {string} [resolution] - Only list the sources of this resolution (default: all).
+ * @returns {string[]} Source names
+ */
+export function getSourceNames(resolution) {
+  return [...sources.values()]
+    .filter(
+      (adapter) =>
+        !resolution || (adapter.resolution ?? 'daily') === resolution,
+    )
+    .map((adapter) => adapter.name);
+}
+
+/**
+ * Looks up registered source adapters.
+ * @param {string[]} [names] - Source names (default: all registered sources).
+ * @returns {SourceAdapter[]} Source adapters in the order of the names.
+ * @throws {Error} If a name is not registered.
+ */
+export function getSources(names = getSourceNames()) {
+  const unknownSources = names.filter((name) => !sources.has(name));
+  if (unknownSources.length > 0) {
+    throw new Error(`Unknown sources: ${unknownSources.join(', ')}`);
+  }
+  return names.map((name) => sources.get(name));
+}
+
+/**
+ * Restores the built-in DeFi Llama, CoinGecko, Uniswap Subgraph and DeFi Llama coins adapters and
+ * the hourly CoinGecko and Uniswap Subgraph adapters as the only registered sources.
+ */
+export function resetSources() {
+  sources.clear();
+  [
+    defiLlamaSource,
+    coinGeckoSource,
+    uniswapSource,
+    defiLlamaCoinsSource,
+    coinGeckoHourlySource,
+    uniswapHourlySource,
+  ].forEach(registerSource);
+}
+
+resetSources();
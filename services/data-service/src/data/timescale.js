@@ -0,0 +1,282 @@
+import { QueryTypes } from 'sequelize';
+import { getHourlyHistoryDays } from '../config/resolutions.js';
+import { buildContinuousAggregateSelect } from './resampling.js';
+
+/**
+ * Series tables that should be hypertables, mapped to the time range of their chunks. Migrations
+ * create them as plain tables, they are converted on startup.
+ */
+export const HYPERTABLES = Object.freeze({
+  token_prices: '1 month',
+  lp_historical: '1 month',
+  eth_staking_historical: '1 month',
+  token_prices_hourly: '1 week',
+  lp_historical_hourly: '1 week',
+});
+
+/**
+ * Raw hourly tables that are compressed and expire after the hourly history depth, mapped to the
+ * series key column their compressed chunks are segmented by.
+ */
+export const HOURLY_TABLES = Object.freeze({
+  token_prices_hourly: 'token_symbol',
+  lp_historical_hourly: 'pool_address',
+});
+
+/**
+ * Age in days after which hourly chunks are compressed. Incremental runs rewrite the last day of
+ * a series, so recent chunks stay uncompressed.
+ */
+export const COMPRESS_AFTER_DAYS = 7;
+
+/**
+ * Continuous aggregates maintained by the service, with the model and table they aggregate and
+ * their bucket width (see BUCKET_INTERVALS).
+ */
+export const CONTINUOUS_AGGREGATES = Object.freeze({
+  token_prices_weekly: {
+    modelName: 'TokenPrice',
+    table: 'token_prices',
+    interval: '1w',
+  },
+  token_prices_monthly: {
+    modelName: 'TokenPrice',
+    table: 'token_prices',
+    interval: '1M',
+  },
+  lp_historical_weekly: {
+    modelName: 'LPHistorical',
+    table: 'lp_historical',
+    interval: '1w',
+  },
+  lp_historical_monthly: {
+    modelName: 'LPHistorical',
+    table: 'lp_historical',
+    interval: '1M',
+  },
+});
+
+/**
+ * TimescaleDB features of the database the service runs against.
+ * @typedef {Object} TimescaleStatus
+ * @property {boolean} available - Whether the TimescaleDB extension is installed.
+ * @property {string|null} version - Version of the extension.
+ * @property {string[]} hypertables - Tables of HYPERTABLES that are hypertables.
+ * @property {string[]} plainTables - Tables of HYPERTABLES that are plain Postgres tables.
+ * @property {string[]} continuousAggregates - Continuous aggregates of CONTINUOUS_AGGREGATES
+ *                                             that exist.
+ * @property {string[]} warnings - Features that are missing or could not be set up.
+ */
+
+/**
+ * Runs a query and returns its rows.
+ * @param {Sequelize} sequelize - Sequelize instance
+ * @param {string} sql - Query
+ * @param {Object} [replacements] - Values of the named replacements of the query
+ * @returns {Promise<Object[]>} Rows
+ */
+function select(sequelize, sql, replacements = {}) {
+  return sequelize.query(sql, { replacements, type: QueryTypes.SELECT });
+}
+
+/**
+ * Looks up the TimescaleDB extension and the hypertables and continuous aggregates of the
+ * database.
+ * @param {Sequelize} sequelize - Sequelize instance
+ * @returns {Promise<TimescaleStatus>} Status, with a warning for every missing feature
+ */
+export async function detectTimescale(sequelize) {
+  const [extension] = await select(
+    sequelize,
+    "SELECT extversion FROM pg_extension WHERE extname = 'timescaledb'",
+  );
+  const tables = Object.keys(HYPERTABLES);
+  if (!extension) {
+    return {
+      available: false,
+      version: null,
+      hypertables: [],
+      plainTables: tables,
+      continuousAggregates: [],
+      warnings: [
+        'TimescaleDB extension is not installed: series are stored in plain tables and history cannot be resampled',
+      ],
+    };
+  }
+
+  const [hypertableRows, aggregateRows] = await Promise.all([
+    select(
+      sequelize,
+      'SELECT hypertable_name FROM timescaledb_information.hypertables WHERE hypertable_schema = current_schema()',
+    ),
+    select(
+      sequelize,
+      'SELECT view_name FROM timescaledb_information.continuous_aggregates WHERE view_schema = current_schema()',
+    ),
+  ]);
+  const hypertableNames = hypertableRows.map((row) => row.hypertable_name);
+  const aggregateNames = aggregateRows.map((row) => row.view_name);
+
+  const hypertables = tables.filter((table) => hypertableNames.includes(table));
+  const plainTables = tables.filter((table) => !hypertableNames.includes(table));
+  const continuousAggregates = Object.keys(CONTINUOUS_AGGREGATES).filter(
+    (view) => aggregateNames.includes(view),
+  );
+  return {
+    available: true,
+    version: extension.extversion,
+    hypertables,
+    plainTables,
+    continuousAggregates,
+    warnings: [
+      ...plainTables.map((table) => `${table} is not a hypertable`),
+      ...Object.keys(CONTINUOUS_AGGREGATES)
+        .filter((view) => !continuousAggregates.includes(view))
+        .map((view) => `Continuous aggregate ${view} does not exist`),
+    ],
+  };
+}
+
+/**
+ * Converts a plain series table into a hypertable, moving its rows into chunks.
+ * @param {Sequelize} sequelize - Sequelize instance
+ * @param {string} table - Table of HYPERTABLES
+ * @returns {Promise<void>}
+ */
+async function createHypertable(sequelize, table) {
+  await sequelize.query(
+    "SELECT create_hypertable(:table, by_range('timestamp', CAST(:chunkInterval AS INTERVAL)), migrate_data => TRUE)",
+    { replacements: { table, chunkInterval: HYPERTABLES[table] } },
+  );
+}
+
+/**
+ * Compresses the chunks of a raw hourly table after COMPRESS_AFTER_DAYS and drops them once they
+ * are older than the hourly history depth. The retention policy is replaced on every call, so
+ * that it follows HOURLY_HISTORY_DAYS.
+ * @param {Sequelize} sequelize - Sequelize instance
+ * @param {string} table - Table of HOURLY_TABLES
+ * @param {number} retentionDays - Days of hourly history to keep
+ * @returns {Promise<void>}
+ */
+async function addHourlyPolicies(sequelize, table, retentionDays) {
+  const [{ compression_enabled: compressionEnabled }] = await select(
+    sequelize,
+    'SELECT compression_enabled FROM timescaledb_information.hypertables WHERE hypertable_schema = current_schema() AND hypertable_name = :table',
+    { table },
+  );
+  if (!compressionEnabled) {
+    await sequelize.query(
+      `ALTER TABLE ${table} SET (timescaledb.compress, timescaledb.compress_segmentby = '${HOURLY_TABLES[table]}', timescaledb.compress_orderby = '"timestamp" DESC')`,
+    );
+  }
+  await sequelize.query(
+    'SELECT add_compression_policy(:table, compress_after => CAST(:compressAfter AS INTERVAL), if_not_exists => TRUE)',
+    {
+      replacements: { table, compressAfter: `${COMPRESS_AFTER_DAYS} days` },
+    },
+  );
+  await sequelize.query(
+    'SELECT remove_retention_policy(:table, if_exists => TRUE)',
+    { replacements: { table } },
+  );
+  await sequelize.query(
+    'SELECT add_retention_policy(:table, drop_after => CAST(:dropAfter AS INTERVAL))',
+    { replacements: { table, dropAfter: `${retentionDays} days` } },
+  );
+}
+
+/**
+ * Creates a continuous aggregate with the rows stored so far, refreshed every hour. Real-time
+ * aggregation adds the rows written since the last refresh when it is queried.
+ * @param {Sequelize} sequelize - Sequelize instance
+ * @param {string} view - Continuous aggregate of CONTINUOUS_AGGREGATES
+ * @returns {Promise<void>}
+ */
+async function createContinuousAggregate(sequelize, view) {
+  const { modelName, table, interval } = CONTINUOUS_AGGREGATES[view];
+  await sequelize.query(
+    `CREATE MATERIALIZED VIEW ${view} WITH (timescaledb.continuous, timescaledb.materialized_only = false) AS ${buildContinuousAggregateSelect(modelName, table, interval)}`,
+  );
+  await sequelize.query(
+    "SELECT add_continuous_aggregate_policy(:view, start_offset => NULL, end_offset => INTERVAL '1 day', schedule_interval => INTERVAL '1 hour', if_not_exists => TRUE)",
+    { replacements: { view } },
+  );
+}
+
+/**
+ * Sets up the TimescaleDB features the service relies on: converts series tables that are not
+ * hypertables yet, adds the compression and retention policies of the raw hourly tables and
+ * creates the missing continuous aggregates. Features that cannot be set up are reported as
+ * warnings instead of failing startup, e.g. when running against vanilla Postgres.
+ * @param {Sequelize} sequelize - Sequelize instance
+ * @param {Object} [options] - Options
+ * @param {number} [options.hourlyRetentionDays=getHourlyHistoryDays()] - Days of raw hourly
+ *                                                                       history to keep
+ * @returns {Promise<TimescaleStatus>} Status after the setup
+ */
+export async function setupTimescale(
+  sequelize,
+  { hourlyRetentionDays = getHourlyHistoryDays() } = {},
+) {
+  const initial = await detectTimescale(sequelize);
+  if (!initial.available) {
+    return initial;
+  }
+
+  const warnings = [];
+  const attempt = async (description, operation) => {
+    try {
+      await operation();
+    } catch (error) {
+      warnings.push(`Could not ${description}: ${error.message}`);
+    }
+  };
+
+  // Sequential: Timescale DDL takes locks on the tables and their chunks.
+  /* eslint-disable no-await-in-loop, no-restricted-syntax */
+  for (const table of initial.plainTables) {
+    await attempt(`convert ${table} to a hypertable`, () =>
+      createHypertable(sequelize, table),
+    );
+  }
+  const status = await detectTimescale(sequelize);
+
+  for (const table of Object.keys(HOURLY_TABLES)) {
+    if (status.hypertables.includes(table)) {
+      await attempt(`add the policies of ${table}`, () =>
+        addHourlyPolicies(sequelize, table, hourlyRetentionDays),
+      );
+    }
+  }
+  for (const [view, { table }] of Object.entries(CONTINUOUS_AGGREGATES)) {
+    if (
+      !status.continuousAggregates.includes(view) &&
+      status.hypertables.includes(table)
+    ) {
+      await attempt(`create the continuous aggregate ${view}`, () =>
+        createContinuousAggregate(sequelize, view),
+      );
+    }
+  }
+  /* eslint-enable no-await-in-loop, no-restricted-syntax */
+
+  const final = await detectTimescale(sequelize);
+  return { ...final, warnings: [...warnings, ...final.warnings] };
+}
+
+/**
+ * Looks up the continuous aggregate that resamples a model to an interval.
+ * @param {TimescaleStatus} [status] - Status of the database, if it was detected
+ * @param {string} modelName - Name of the model queried
+ * @param {string} interval - Bucket width, one of BUCKET_INTERVALS
+ * @returns {string|undefined} Name of an existing continuous aggregate, or undefined if there is
+ *                             none
+ */
+export function findContinuousAggregate(status, modelName, interval) {
+  return status?.continuousAggregates.find(
+    (view) =>
+      CONTINUOUS_AGGREGATES[view].modelName === modelName &&
+      CONTINUOUS_AGGREGATES[view].interval === interval,
+  );
+}
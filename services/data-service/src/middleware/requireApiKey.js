@@ -0,0 +1,41 @@
+import { timingSafeEqual } from 'node:crypto';
+
+/**
+ * Compares a provided key with the expected one in constant time, so that the response time does
+ * not reveal how much of the key matched.
+ * @param {string|undefined} provided - Key sent by the client
+ * @param {string} expected - Configured key
+ * @returns {boolean} True if the keys are equal
+ */
+function isValidKey(provided, expected) {
+  const providedBuffer = Buffer.from(provided ?? '');
+  const expectedBuffer = Buffer.from(expected);
+  return (
+    providedBuffer.length === expectedBuffer.length &&
+    timingSafeEqual(providedBuffer, expectedBuffer)
+  );
+}
+
+/**
+ * Rejects requests that do not carry the admin API key in the 'x-api-key' header.
+ * The key is read from ADMIN_API_KEY on every request; if it is not set, admin
+ * endpoints are disabled entirely.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ * @throws {401} If the API key is missing or does not match
+ * @throws {503} If ADMIN_API_KEY is not set in the environment variables
+ */
+export default function requireApiKey(req, res, next) {
+  if (!process.env.ADMIN_API_KEY) {
+    return res
+      .status(503)
+      .json({ message: 'Admin endpoints are not configured' });
+  }
+  if (!isValidKey(req.get('x-api-key'), process.env.ADMIN_API_KEY)) {
+    return res.status(401).json({ message: 'Unauthorized' });
+  }
+  return next();
+}
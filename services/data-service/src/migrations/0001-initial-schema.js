@@ -0,0 +1,90 @@
+/**
+ * Initial schema: the registry and daily series as init.sql created them before migrations
+ * existed, and the hourly series and ingestion ledger. Tables are only created if they do not
+ * exist, so that the data of databases initialized by init.sql is kept; 0002-adopt-init-schema
+ * adds the registry metadata and is_imputed columns to both. Series tables are converted to
+ * hypertables by setupTimescale on startup.
+ */
+
+const STATEMENTS = [
+  'CREATE TABLE IF NOT EXISTS tokens (token_symbol TEXT PRIMARY KEY)',
+  `CREATE TABLE IF NOT EXISTS pools (
+    pool_address TEXT PRIMARY KEY,
+    token0_symbol TEXT REFERENCES tokens(token_symbol),
+    token1_symbol TEXT REFERENCES tokens(token_symbol)
+  )`,
+  `CREATE TABLE IF NOT EXISTS token_prices (
+    timestamp TIMESTAMPTZ NOT NULL,
+    token_symbol TEXT REFERENCES tokens(token_symbol),
+    price_usd NUMERIC NOT NULL,
+    PRIMARY KEY (timestamp, token_symbol)
+  )`,
+  `CREATE TABLE IF NOT EXISTS lp_historical (
+    timestamp TIMESTAMPTZ NOT NULL,
+    pool_address TEXT REFERENCES pools(pool_address),
+    tvl_usd NUMERIC,
+    volume_24h_usd NUMERIC,
+    fees_24h_usd NUMERIC,
+    PRIMARY KEY (timestamp, pool_address)
+  )`,
+  `CREATE TABLE IF NOT EXISTS token_prices_hourly (
+    timestamp TIMESTAMPTZ NOT NULL,
+    token_symbol TEXT REFERENCES tokens(token_symbol),
+    price_usd NUMERIC NOT NULL,
+    is_imputed BOOLEAN NOT NULL DEFAULT false,
+    PRIMARY KEY (timestamp, token_symbol)
+  )`,
+  `CREATE TABLE IF NOT EXISTS lp_historical_hourly (
+    timestamp TIMESTAMPTZ NOT NULL,
+    pool_address TEXT REFERENCES pools(pool_address),
+    tvl_usd NUMERIC,
+    volume_1h_usd NUMERIC,
+    fees_1h_usd NUMERIC,
+    is_imputed BOOLEAN NOT NULL DEFAULT false,
+    PRIMARY KEY (timestamp, pool_address)
+  )`,
+  `CREATE TABLE IF NOT EXISTS eth_staking_historical (
+    timestamp TIMESTAMPTZ PRIMARY KEY,
+    apy_percentage NUMERIC
+  )`,
+  `CREATE TABLE IF NOT EXISTS ingestion_runs (
+    id SERIAL PRIMARY KEY,
+    trigger TEXT NOT NULL CHECK (trigger IN ('cron', 'startup', 'manual', 'backfill')),
+    resolution TEXT NOT NULL DEFAULT 'daily' CHECK (resolution IN ('daily', 'hourly')),
+    status TEXT NOT NULL DEFAULT 'running'
+      CHECK (status IN ('running', 'succeeded', 'partial', 'failed')),
+    started_at TIMESTAMPTZ NOT NULL,
+    finished_at TIMESTAMPTZ,
+    sources JSONB NOT NULL DEFAULT '{}',
+    failed_series JSONB NOT NULL DEFAULT '[]',
+    divergences JSONB NOT NULL DEFAULT '[]',
+    rows_written JSONB NOT NULL DEFAULT '{}',
+    error_message TEXT
+  )`,
+  'CREATE INDEX IF NOT EXISTS ingestion_runs_started_at ON ingestion_runs (started_at)',
+];
+
+/**
+ * Creates the tables that do not exist yet.
+ * @param {MigrationContext} context - Sequelize instance and transaction of the migration
+ * @returns {Promise<void>}
+ */
+export async function up({ sequelize, transaction }) {
+  /* eslint-disable no-await-in-loop, no-restricted-syntax */
+  for (const statement of STATEMENTS) {
+    await sequelize.query(statement, { transaction });
+  }
+  /* eslint-enable no-await-in-loop, no-restricted-syntax */
+}
+
+/**
+ * Drops every table, with the data, views and continuous aggregates that depend on them.
+ * @param {MigrationContext} context - Sequelize instance and transaction of the migration
+ * @returns {Promise<void>}
+ */
+export async function down({ sequelize, transaction }) {
+  await sequelize.query(
+    'DROP TABLE IF EXISTS ingestion_runs, eth_staking_historical, lp_historical_hourly, token_prices_hourly, lp_historical, token_prices, pools, tokens CASCADE',
+    { transaction },
+  );
+}
@@ -0,0 +1,68 @@
+/**
+ * Adds the registry metadata and the is_imputed flag of the series to the tables of
+ * 0001-initial-schema, which have the columns of an earlier init.sql. Columns are only added if
+ * they do not exist, in case a database was patched by hand. pool_name and defillama_id are
+ * added without their NOT NULL and UNIQUE constraints, which 0003-seed-registry sets once it
+ * filled them in.
+ */
+
+/**
+ * Columns added to each table, with their type and constraints.
+ */
+const COLUMNS = {
+  tokens: {
+    name: 'TEXT',
+    decimals: 'INTEGER',
+    chain: "TEXT NOT NULL DEFAULT 'ethereum'",
+    coingecko_address: 'TEXT',
+    is_active: 'BOOLEAN NOT NULL DEFAULT TRUE',
+  },
+  pools: {
+    pool_name: 'TEXT',
+    chain: "TEXT NOT NULL DEFAULT 'ethereum'",
+    fee_tier: 'INTEGER',
+    defillama_id: 'TEXT',
+    subgraph_address: 'TEXT',
+    is_active: 'BOOLEAN NOT NULL DEFAULT TRUE',
+  },
+  token_prices: { is_imputed: 'BOOLEAN NOT NULL DEFAULT false' },
+  lp_historical: { is_imputed: 'BOOLEAN NOT NULL DEFAULT false' },
+  eth_staking_historical: { is_imputed: 'BOOLEAN NOT NULL DEFAULT false' },
+};
+
+/**
+ * Adds the missing columns.
+ * @param {MigrationContext} context - Sequelize instance and transaction of the migration
+ * @returns {Promise<void>}
+ */
+export async function up({ sequelize, transaction }) {
+  /* eslint-disable no-await-in-loop, no-restricted-syntax */
+  for (const [table, columns] of Object.entries(COLUMNS)) {
+    const additions = Object.entries(columns).map(
+      ([column, type]) => `ADD COLUMN IF NOT EXISTS ${column} ${type}`,
+    );
+    await sequelize.query(`ALTER TABLE ${table} ${additions.join(', ')}`, {
+      transaction,
+    });
+  }
+  /* eslint-enable no-await-in-loop, no-restricted-syntax */
+}
+
+/**
+ * Drops the added columns with their data. The continuous aggregates built on is_imputed are
+ * dropped with them; setupTimescale creates them again on the next startup.
+ * @param {MigrationContext} context - Sequelize instance and transaction of the migration
+ * @returns {Promise<void>}
+ */
+export async function down({ sequelize, transaction }) {
+  /* eslint-disable no-await-in-loop, no-restricted-syntax */
+  for (const [table, columns] of Object.entries(COLUMNS).reverse()) {
+    const removals = Object.keys(columns).map(
+      (column) => `DROP COLUMN IF EXISTS ${column} CASCADE`,
+    );
+    await sequelize.query(`ALTER TABLE ${table} ${removals.join(', ')}`, {
+      transaction,
+    });
+  }
+  /* eslint-enable no-await-in-loop, no-restricted-syntax */
+}
@@ -0,0 +1,134 @@
+/**
+ * Seeds the token and pool registry with the assets tracked since the first release. Values
+ * already stored are kept, so that registry edits made through the admin API are not reverted,
+ * but the empty columns of existing rows are filled in: the tokens and pools of an earlier
+ * init.sql only have their symbols and addresses. Pools need a pool_name and a defillama_id to be
+ * fetched, so their NOT NULL and UNIQUE constraints are set once they are filled in.
+ */
+
+/**
+ * Seeded tokens: symbol, name, decimals and contract address.
+ */
+export const TOKENS = [
+  [
+    'WETH',
+    'Wrapped Ether',
+    18,
+    '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+  ],
+  ['USDC', 'USD Coin', 6, '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48'],
+  [
+    'DAI',
+    'Dai Stablecoin',
+    18,
+    '0x6B175474E89094C44Da98b954EedeAC495271d0F',
+  ],
+  ['WBTC', 'Wrapped BTC', 8, '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599'],
+];
+
+/**
+ * Seeded pools: address, name, token0 and token1 symbols, fee tier and DeFi Llama id.
+ */
+export const POOLS = [
+  [
+    '0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640',
+    'wethUsdc',
+    'USDC',
+    'WETH',
+    500,
+    '665dc8bc-c79d-4800-97f7-304bf368e547',
+  ],
+  [
+    '0x99ac8ca7087fa4a2a1fb6357269965a2014abc35',
+    'wbtcUsdc',
+    'WBTC',
+    'USDC',
+    3000,
+    'bbecbf69-a4f7-43e3-8b72-de180d106e2c',
+  ],
+  [
+    '0xcbcdf9626bc03e24f779434178a73a0b4bad62ed',
+    'wbtcWeth',
+    'WBTC',
+    'WETH',
+    3000,
+    'd59a5728-d391-4989-86f6-a94e11e0eb3b',
+  ],
+  [
+    '0x5777d92f208679db4b9778590fa3cab3ac9e2168',
+    'daiUsdc',
+    'DAI',
+    'USDC',
+    100,
+    '1193ef25-862b-43c1-a545-91bbb9678d30',
+  ],
+];
+
+/**
+ * Inserts the missing registry rows and fills the empty columns of the existing ones.
+ * @param {MigrationContext} context - Sequelize instance and transaction of the migration
+ * @returns {Promise<void>}
+ * @throws {Error} If pools outside the seed have no pool_name or defillama_id
+ */
+export async function up({ sequelize, transaction }) {
+  await sequelize.query(
+    `INSERT INTO tokens (token_symbol, name, decimals, coingecko_address) VALUES ?
+    ON CONFLICT (token_symbol) DO UPDATE SET
+      name = COALESCE(tokens.name, EXCLUDED.name),
+      decimals = COALESCE(tokens.decimals, EXCLUDED.decimals),
+      coingecko_address = COALESCE(tokens.coingecko_address, EXCLUDED.coingecko_address)`,
+    { replacements: [TOKENS], transaction },
+  );
+  await sequelize.query(
+    `INSERT INTO pools (pool_address, pool_name, token0_symbol, token1_symbol, fee_tier, defillama_id) VALUES ?
+    ON CONFLICT (pool_address) DO UPDATE SET
+      pool_name = COALESCE(pools.pool_name, EXCLUDED.pool_name),
+      token0_symbol = COALESCE(pools.token0_symbol, EXCLUDED.token0_symbol),
+      token1_symbol = COALESCE(pools.token1_symbol, EXCLUDED.token1_symbol),
+      fee_tier = COALESCE(pools.fee_tier, EXCLUDED.fee_tier),
+      defillama_id = COALESCE(pools.defillama_id, EXCLUDED.defillama_id)`,
+    { replacements: [POOLS], transaction },
+  );
+
+  const [incomplete] = await sequelize.query(
+    'SELECT pool_address FROM pools WHERE pool_name IS NULL OR defillama_id IS NULL ORDER BY pool_address',
+    { transaction },
+  );
+  if (incomplete.length > 0) {
+    throw new Error(
+      `Pools without a pool_name or defillama_id: ${incomplete.map(({ pool_address: address }) => address).join(', ')}`,
+    );
+  }
+  await sequelize.query(
+    'ALTER TABLE pools ALTER COLUMN pool_name SET NOT NULL, ALTER COLUMN defillama_id SET NOT NULL',
+    { transaction },
+  );
+  await sequelize.query(
+    'CREATE UNIQUE INDEX IF NOT EXISTS pools_pool_name_key ON pools (pool_name)',
+    { transaction },
+  );
+}
+
+/**
+ * Lifts the constraints on pool_name and defillama_id and deletes the seeded registry rows.
+ * Fails if series are still stored for them.
+ * @param {MigrationContext} context - Sequelize instance and transaction of the migration
+ * @returns {Promise<void>}
+ */
+export async function down({ sequelize, transaction }) {
+  await sequelize.query('DROP INDEX IF EXISTS pools_pool_name_key', {
+    transaction,
+  });
+  await sequelize.query(
+    'ALTER TABLE pools ALTER COLUMN pool_name DROP NOT NULL, ALTER COLUMN defillama_id DROP NOT NULL',
+    { transaction },
+  );
+  await sequelize.query('DELETE FROM pools WHERE pool_address IN (:pools)', {
+    replacements: { pools: POOLS.map(([address]) => address) },
+    transaction,
+  });
+  await sequelize.query('DELETE FROM tokens WHERE token_symbol IN (:tokens)', {
+    replacements: { tokens: TOKENS.map(([symbol]) => symbol) },
+    transaction,
+  });
+}
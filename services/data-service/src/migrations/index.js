@@ -0,0 +1,31 @@
+import * as initialSchema from './0001-initial-schema.js';
+import * as adoptInitSchema from './0002-adopt-init-schema.js';
+import * as seedRegistry from './0003-seed-registry.js';
+
+/**
+ * Context passed to the up and down functions of a migration.
+ * @typedef {Object} MigrationContext
+ * @property {Sequelize} sequelize - Sequelize instance
+ * @property {Transaction} transaction - Transaction the migration runs in
+ */
+
+/**
+ * Migration of the database schema.
+ * @typedef {Object} Migration
+ * @property {string} name - Name of the migration, recorded in the migrations table
+ * @property {function(MigrationContext): Promise<void>} up - Applies the migration
+ * @property {function(MigrationContext): Promise<void>} down - Reverts the migration
+ */
+
+/**
+ * Migrations of the service, in the order they are applied. New migrations are appended with
+ * the next number; applied migrations must never be renamed or edited.
+ * @type {Migration[]}
+ */
+const MIGRATIONS = [
+  { name: '0001-initial-schema', ...initialSchema },
+  { name: '0002-adopt-init-schema', ...adoptInitSchema },
+  { name: '0003-seed-registry', ...seedRegistry },
+];
+
+export default MIGRATIONS;
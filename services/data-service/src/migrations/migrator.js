@@ -0,0 +1,163 @@
+import { QueryTypes } from 'sequelize';
+import MIGRATIONS from './index.js';
+
+/**
+ * Applied and pending migrations of a database.
+ * @typedef {Object} MigrationStatus
+ * @property {string|null} version - Name of the last applied migration, or null if none is
+ * @property {Array<{name: string, appliedAt: Date}>} applied - Applied migrations, in the order
+ *                                                               they were applied
+ * @property {string[]} pending - Migrations that are not applied yet, in order
+ * @property {string[]} unknown - Applied migrations this version of the service does not know,
+ *                                e.g. after a rollback of the service
+ */
+
+/**
+ * Creates the table recording the applied migrations if it does not exist.
+ * @param {Sequelize} sequelize - Sequelize instance
+ * @returns {Promise<void>}
+ */
+async function createMigrationsTable(sequelize) {
+  await sequelize.query(
+    'CREATE TABLE IF NOT EXISTS migrations (name TEXT PRIMARY KEY, applied_at TIMESTAMPTZ NOT NULL DEFAULT now())',
+  );
+}
+
+/**
+ * Looks up the applied migrations and compares them with the migrations of the service.
+ * @param {Sequelize} sequelize - Sequelize instance
+ * @param {Migration[]} [migrations=MIGRATIONS] - Migrations of the service, in order
+ * @returns {Promise<MigrationStatus>} Status of the database
+ */
+export async function getMigrationStatus(sequelize, migrations = MIGRATIONS) {
+  await createMigrationsTable(sequelize);
+  const rows = await sequelize.query(
+    'SELECT name, applied_at FROM migrations ORDER BY applied_at, name',
+    { type: QueryTypes.SELECT },
+  );
+  const names = migrations.map(({ name }) => name);
+  const appliedNames = rows.map(({ name }) => name);
+  const known = names.filter((name) => appliedNames.includes(name));
+  return {
+    version: rows.length > 0 ? rows[rows.length - 1].name : null,
+    applied: rows.map(({ name, applied_at: appliedAt }) => ({
+      name,
+      appliedAt: new Date(appliedAt),
+    })),
+    pending: names.filter((name) => !known.includes(name)),
+    unknown: appliedNames.filter((name) => !names.includes(name)),
+  };
+}
+
+/**
+ * Throws if the database has migrations the service does not know: its schema is newer than the
+ * code and neither applying nor reverting migrations is safe.
+ * @param {MigrationStatus} status - Status of the database
+ * @returns {void}
+ * @throws {Error} If unknown migrations are applied
+ */
+function assertKnownVersion(status) {
+  if (status.unknown.length > 0) {
+    throw new Error(
+      `Database schema version ${status.version} is not known to this service (unknown migrations: ${status.unknown.join(', ')})`,
+    );
+  }
+}
+
+/**
+ * Finds a migration by name.
+ * @param {Migration[]} migrations - Migrations of the service
+ * @param {string} name - Name of the migration
+ * @returns {number} Index of the migration
+ * @throws {Error} If there is no migration with this name
+ */
+function findMigration(migrations, name) {
+  const index = migrations.findIndex((migration) => migration.name === name);
+  if (index === -1) {
+    throw new Error(`Unknown migration: ${name}`);
+  }
+  return index;
+}
+
+/**
+ * Applies the pending migrations in order, each one in its own transaction together with its
+ * record in the migrations table.
+ * @param {Sequelize} sequelize - Sequelize instance
+ * @param {Object} [options] - Options
+ * @param {string} [options.to] - Last migration to apply (default: all pending migrations)
+ * @param {Migration[]} [options.migrations=MIGRATIONS] - Migrations of the service, in order
+ * @returns {Promise<string[]>} Names of the applied migrations
+ * @throws {Error} If the database has unknown migrations, `to` is not a migration or a migration
+ *                 fails; migrations applied before the failure stay applied
+ */
+export async function migrateUp(
+  sequelize,
+  { to, migrations = MIGRATIONS } = {},
+) {
+  const status = await getMigrationStatus(sequelize, migrations);
+  assertKnownVersion(status);
+  const last =
+    to === undefined ? migrations.length - 1 : findMigration(migrations, to);
+  const pending = migrations
+    .slice(0, last + 1)
+    .filter(({ name }) => status.pending.includes(name));
+
+  /* eslint-disable no-await-in-loop, no-restricted-syntax */
+  for (const migration of pending) {
+    await sequelize.transaction(async (transaction) => {
+      await migration.up({ sequelize, transaction });
+      await sequelize.query('INSERT INTO migrations (name) VALUES (:name)', {
+        replacements: { name: migration.name },
+        transaction,
+      });
+    });
+  }
+  /* eslint-enable no-await-in-loop, no-restricted-syntax */
+  return pending.map(({ name }) => name);
+}
+
+/**
+ * Reverts applied migrations, latest first, each one in its own transaction together with the
+ * deletion of its record.
+ * @param {Sequelize} sequelize - Sequelize instance
+ * @param {Object} [options] - Options
+ * @param {string} [options.to] - Migration to revert to: the migrations applied after it are
+ *                                reverted, it stays applied
+ * @param {number} [options.step=1] - Number of migrations to revert, if `to` is not given
+ * @param {Migration[]} [options.migrations=MIGRATIONS] - Migrations of the service, in order
+ * @returns {Promise<string[]>} Names of the reverted migrations, in the order they were reverted
+ * @throws {Error} If the database has unknown migrations, `to` is not an applied migration or a
+ *                 migration fails; migrations reverted before the failure stay reverted
+ */
+export async function migrateDown(
+  sequelize,
+  { to, step = 1, migrations = MIGRATIONS } = {},
+) {
+  const status = await getMigrationStatus(sequelize, migrations);
+  assertKnownVersion(status);
+  const applied = migrations
+    .filter(({ name }) => !status.pending.includes(name))
+    .reverse();
+  let count = step;
+  if (to !== undefined) {
+    findMigration(migrations, to);
+    count = applied.findIndex(({ name }) => name === to);
+    if (count === -1) {
+      throw new Error(`Migration ${to} is not applied`);
+    }
+  }
+  const reverted = applied.slice(0, count);
+
+  /* eslint-disable no-await-in-loop, no-restricted-syntax */
+  for (const migration of reverted) {
+    await sequelize.transaction(async (transaction) => {
+      await migration.down({ sequelize, transaction });
+      await sequelize.query('DELETE FROM migrations WHERE name = :name', {
+        replacements: { name: migration.name },
+        transaction,
+      });
+    });
+  }
+  /* eslint-enable no-await-in-loop, no-restricted-syntax */
+  return reverted.map(({ name }) => name);
+}
@@ -0,0 +1,270 @@
+import express from 'express';
+import { createSeededRandom } from '../data/processor.js';
+import { createMockConfig, getSeriesConfig } from './config.js';
+import {
+  generateSeries,
+  toDefiLlamaChart,
+  toCoinGeckoMarketChart,
+  toLlamaCoinsChart,
+  toPoolDayDatas,
+  toPoolHourDatas,
+} from './series.js';
+import {
+  RESOLUTION_INTERVALS,
+  MAX_HOURLY_HISTORY_DAYS,
+} from '../config/resolutions.js';
+
+/**
+ * Generates the hourly series of a key, which covers at most the last MAX_HOURLY_HISTORY_DAYS
+ * days to keep responses small.
+ * @param {string} key - Pool id or address of the series
+ * @param {Object} seriesConfig - Settings of the series (see getSeriesConfig)
+ * @returns {Array<Object>} Hourly records (see generateSeries)
+ */
+function generateHourlySeries(key, seriesConfig) {
+  return generateSeries(
+    key,
+    {
+      ...seriesConfig,
+      historyDays: Math.min(seriesConfig.historyDays, MAX_HOURLY_HISTORY_DAYS),
+    },
+    new Date(),
+    RESOLUTION_INTERVALS.hourly,
+  );
+}
+
+/**
+ * Parses the arguments of a poolDayDatas query as sent by fetchPaginatedPoolDayDatas.
+ * @param {string} [query] - GraphQL query
+ * @returns {{
+ *   pool: string,
+ *   first: number,
+ *   dateGt: number,
+ *   orderDirection: string
+ * }|null} Query arguments, or null if the query does not select poolDayDatas of a pool
+ */
+export function parsePoolDayDatasQuery(query) {
+  if (typeof query !== 'string' || !/\bpoolDayDatas\s*\(/.test(query)) {
+    return null;
+  }
+  const pool = query.match(/\bpool:\s*"([^"]+)"/)?.[1];
+  if (!pool) {
+    return null;
+  }
+  return {
+    pool,
+    first: Number(query.match(/\bfirst:\s*(\d+)/)?.[1] ?? 100),
+    dateGt: Number(query.match(/\bdate_gt:\s*(\d+)/)?.[1] ?? 0),
+    orderDirection: query.match(/\borderDirection:\s*(asc|desc)/)?.[1] ?? 'asc',
+  };
+}
+
+/**
+ * Parses the arguments of a poolHourDatas query as sent by fetchPaginatedPoolHourDatas.
+ * @param {string} [query] - GraphQL query
+ * @returns {{
+ *   pool: string,
+ *   first: number,
+ *   periodStartUnixGt: number,
+ *   orderDirection: string
+ * }|null} Query arguments, or null if the query does not select poolHourDatas of a pool
+ */
+export function parsePoolHourDatasQuery(query) {
+  if (typeof query !== 'string' || !/\bpoolHourDatas\s*\(/.test(query)) {
+    return null;
+  }
+  const pool = query.match(/\bpool:\s*"([^"]+)"/)?.[1];
+  if (!pool) {
+    return null;
+  }
+  return {
+    pool,
+    first: Number(query.match(/\bfirst:\s*(\d+)/)?.[1] ?? 100),
+    periodStartUnixGt: Number(
+      query.match(/\bperiodStartUnix_gt:\s*(\d+)/)?.[1] ?? 0,
+    ),
+    orderDirection: query.match(/\borderDirection:\s*(asc|desc)/)?.[1] ?? 'asc',
+  };
+}
+
+/**
+ * Creates an Express app that stands in for DeFi Llama, CoinGecko and the Uniswap Subgraph, with
+ * synthetic series and configurable gaps, duplicates, invalid days, malformed payloads and
+ * errors (see DEFAULT_MOCK_CONFIG).
+ *
+ * Endpoints:
+ *  - GET /chart/:poolId (DEFILLAMA_API_URL: <base>/chart/)
+ *  - GET /coins/:platform/contract/:address/market_chart (COINGECKO_API_URL:
+ *    <base>/coins/ethereum/contract/); like CoinGecko, requests without an interval for up to
+ *    90 days get hourly prices
+ *  - GET /llama-coins/chart/:coin (DEFILLAMA_COINS_API_URL: <base>/llama-coins/chart/); prices
+ *    of a coin follow the CoinGecko prices of its address, faults are configured per coin id
+ *  - POST /subgraph (GRAPH_API_URL: <base>/subgraph) for poolDayDatas and poolHourDatas queries
+ *  - GET and PUT /__config to read and replace the configuration at runtime
+ *
+ * @param {Object} [settings] - Settings that differ from DEFAULT_MOCK_CONFIG
+ * @returns {Object} Express app
+ * @throws {Error} If a setting has an invalid value.
+ */
+export default function createMockUpstream(settings = {}) {
+  const app = express();
+  app.use(express.json());
+
+  let config = createMockConfig(settings);
+  let random = createSeededRandom(config.seed);
+  const requestCounts = new Map();
+
+  /**
+   * Answers a request with an injected error if the series is configured to fail it.
+   * @param {Object} res - Express response object
+   * @param {string} key - Pool id or address of the series
+   * @param {Object} seriesConfig - Settings of the series
+   * @returns {boolean} Whether an error was sent
+   */
+  function injectError(res, key, seriesConfig) {
+    const count = (requestCounts.get(key.toLowerCase()) ?? 0) + 1;
+    requestCounts.set(key.toLowerCase(), count);
+
+    let status;
+    if (count <= seriesConfig.failures) {
+      [status] = seriesConfig.errorStatuses;
+    } else if (random() < seriesConfig.errorRate) {
+      const { errorStatuses } = seriesConfig;
+      status = errorStatuses[Math.floor(random() * errorStatuses.length)];
+    }
+    if (!status) {
+      return false;
+    }
+    if (status === 429) {
+      res.set('Retry-After', '1');
+    }
+    res.status(status).json({ error: `Injected ${status} error` });
+    return true;
+  }
+
+  app.get('/chart/:poolId', (req, res) => {
+    const { poolId } = req.params;
+    const seriesConfig = getSeriesConfig(config, poolId);
+    if (injectError(res, poolId, seriesConfig)) {
+      return undefined;
+    }
+    if (random() < seriesConfig.malformedRate) {
+      return res.json({ status: 'success', data: { message: 'malformed' } });
+    }
+    return res.json(toDefiLlamaChart(generateSeries(poolId, seriesConfig)));
+  });
+
+  app.get('/coins/:platform/contract/:address/market_chart', (req, res) => {
+    const { address } = req.params;
+    const { days } = req.query;
+    if (!req.get('x-cg-demo-api-key')) {
+      return res.status(401).json({ error: 'Missing API key' });
+    }
+    if (
+      req.query.vs_currency !== 'usd' ||
+      (days !== 'max' && !(Number(days) > 0))
+    ) {
+      return res.status(400).json({ error: 'Invalid vs_currency or days' });
+    }
+    const seriesConfig = getSeriesConfig(config, address);
+    if (injectError(res, address, seriesConfig)) {
+      return undefined;
+    }
+    if (random() < seriesConfig.malformedRate) {
+      return res.json({ prices: 'malformed' });
+    }
+    const isHourly =
+      req.query.interval === undefined &&
+      days !== 'max' &&
+      Number(days) <= MAX_HOURLY_HISTORY_DAYS;
+    return res.json(
+      toCoinGeckoMarketChart(
+        isHourly
+          ? generateHourlySeries(address, seriesConfig)
+          : generateSeries(address, seriesConfig),
+        days === 'max' ? days : Number(days),
+      ),
+    );
+  });
+
+  app.get('/llama-coins/chart/:coin', (req, res) => {
+    const { coin } = req.params;
+    const start = Number(req.query.start);
+    const span = Number(req.query.span);
+    const address = coin.split(':')[1];
+    if (
+      !address ||
+      req.query.period !== '1d' ||
+      !Number.isInteger(start) ||
+      !(span > 0)
+    ) {
+      return res
+        .status(400)
+        .json({ error: 'Invalid coin, start, span or period' });
+    }
+    const seriesConfig = getSeriesConfig(config, coin);
+    if (injectError(res, coin, seriesConfig)) {
+      return undefined;
+    }
+    if (random() < seriesConfig.malformedRate) {
+      return res.json({ coins: { [coin]: { prices: 'malformed' } } });
+    }
+    return res.json(
+      toLlamaCoinsChart(generateSeries(address, seriesConfig), coin, {
+        start,
+        span,
+      }),
+    );
+  });
+
+  app.post('/subgraph', (req, res) => {
+    const dayQuery = parsePoolDayDatasQuery(req.body?.query);
+    const hourQuery = dayQuery
+      ? null
+      : parsePoolHourDatasQuery(req.body?.query);
+    const query = dayQuery ?? hourQuery;
+    if (!query) {
+      return res.json({
+        errors: [
+          {
+            message:
+              'Only poolDayDatas and poolHourDatas queries of a pool are supported',
+          },
+        ],
+      });
+    }
+    const entity = dayQuery ? 'poolDayDatas' : 'poolHourDatas';
+    const seriesConfig = getSeriesConfig(config, query.pool);
+    if (injectError(res, query.pool, seriesConfig)) {
+      return undefined;
+    }
+    if (random() < seriesConfig.malformedRate) {
+      return res.json({ data: { [entity]: null } });
+    }
+    return res.json({
+      data: {
+        [entity]: dayQuery
+          ? toPoolDayDatas(generateSeries(query.pool, seriesConfig), query)
+          : toPoolHourDatas(
+              generateHourlySeries(query.pool, seriesConfig),
+              query,
+            ),
+      },
+    });
+  });
+
+  app.get('/__config', (req, res) => res.json(config));
+
+  app.put('/__config', (req, res) => {
+    try {
+      config = createMockConfig(req.body);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+    random = createSeededRandom(config.seed);
+    requestCounts.clear();
+    return res.json(config);
+  });
+
+  return app;
+}
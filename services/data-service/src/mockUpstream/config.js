@@ -0,0 +1,136 @@
+/**
+ * Behavior of the mock upstream when no configuration is given: complete, well-formed series
+ * and no injected errors.
+ * - seed: Seed of the synthetic series; the same seed always produces the same values.
+ * - historyDays: Number of days of history every series has.
+ * - gapRate: Share of days left out of a series.
+ * - duplicateRate: Share of days returned twice, the second time with a different value.
+ * - invalidRecordRate: Share of days returned with a missing or mistyped value.
+ * - malformedRate: Share of requests answered with a payload of the wrong shape.
+ * - errorRate: Share of requests answered with one of errorStatuses.
+ * - errorStatuses: HTTP statuses used for injected errors (429 responses carry Retry-After).
+ * - failures: Number of requests of a series answered with the first of errorStatuses before
+ *             it is served normally.
+ * - series: Overrides of the settings above keyed by DeFi Llama pool id, CoinGecko contract
+ *           address or subgraph pool address (case-insensitive).
+ */
+export const DEFAULT_MOCK_CONFIG = Object.freeze({
+  seed: 1,
+  historyDays: 1500,
+  gapRate: 0,
+  duplicateRate: 0,
+  invalidRecordRate: 0,
+  malformedRate: 0,
+  errorRate: 0,
+  errorStatuses: [429, 500, 503],
+  failures: 0,
+  series: {},
+});
+
+const RATE_SETTINGS = [
+  'gapRate',
+  'duplicateRate',
+  'invalidRecordRate',
+  'malformedRate',
+  'errorRate',
+];
+
+/**
+ * Validates the settings of a mock upstream configuration or of a series override.
+ * @param {Object} settings - Settings to validate
+ * @param {string} label - Description of the settings used in error messages
+ * @returns {void}
+ * @throws {Error} If a setting has an invalid value.
+ */
+function validateSettings(settings, label) {
+  RATE_SETTINGS.forEach((name) => {
+    const value = settings[name];
+    if (
+      value !== undefined &&
+      (typeof value !== 'number' || value < 0 || value > 1)
+    ) {
+      throw new Error(
+        `Invalid ${name} in ${label}: ${value}, must be between 0 and 1`,
+      );
+    }
+  });
+  ['seed', 'historyDays', 'failures'].forEach((name) => {
+    const value = settings[name];
+    if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+      throw new Error(
+        `Invalid ${name} in ${label}: ${value}, must be a non-negative integer`,
+      );
+    }
+  });
+  const { errorStatuses } = settings;
+  if (
+    errorStatuses !== undefined &&
+    (!Array.isArray(errorStatuses) ||
+      errorStatuses.length === 0 ||
+      errorStatuses.some(
+        (status) => !Number.isInteger(status) || status < 400 || status > 599,
+      ))
+  ) {
+    throw new Error(
+      `Invalid errorStatuses in ${label}: must be a non-empty array of HTTP error statuses`,
+    );
+  }
+}
+
+/**
+ * Merges settings into the default mock upstream configuration and validates the result.
+ * @param {Object} [settings] - Settings that differ from DEFAULT_MOCK_CONFIG
+ * @returns {Object} The complete configuration, with series keys in lowercase.
+ * @throws {Error} If a setting has an invalid value.
+ */
+export function createMockConfig(settings = {}) {
+  const config = { ...DEFAULT_MOCK_CONFIG, ...settings };
+  validateSettings(config, 'mock upstream config');
+  if (!config.series || typeof config.series !== 'object') {
+    throw new Error(
+      'Invalid series in mock upstream config: must be an object',
+    );
+  }
+  Object.entries(config.series).forEach(([key, overrides]) => {
+    validateSettings(overrides, `series '${key}'`);
+  });
+  return {
+    ...config,
+    series: Object.fromEntries(
+      Object.entries(config.series).map(([key, overrides]) => [
+        key.toLowerCase(),
+        overrides,
+      ]),
+    ),
+  };
+}
+
+/**
+ * Reads the mock upstream configuration from the environment: MOCK_UPSTREAM_CONFIG may hold a
+ * JSON object of settings (see DEFAULT_MOCK_CONFIG).
+ * @returns {Object} The complete configuration.
+ * @throws {Error} If MOCK_UPSTREAM_CONFIG is not a valid JSON object of settings.
+ */
+export function loadMockConfig() {
+  const value = process.env.MOCK_UPSTREAM_CONFIG;
+  if (!value) {
+    return createMockConfig();
+  }
+  let settings;
+  try {
+    settings = JSON.parse(value);
+  } catch (error) {
+    throw new Error(`Invalid MOCK_UPSTREAM_CONFIG: ${error.message}`);
+  }
+  return createMockConfig(settings);
+}
+
+/**
+ * Resolves the settings of a single series.
+ * @param {Object} config - Complete configuration (see createMockConfig)
+ * @param {string} key - Pool id or address of the series
+ * @returns {Object} Settings of the series: the configuration with its overrides applied.
+ */
+export function getSeriesConfig(config, key) {
+  return { ...config, ...config.series[key.toLowerCase()] };
+}
@@ -0,0 +1,255 @@
+import { createSeededRandom } from '../data/processor.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FEE_TIERS = [0.0001, 0.0005, 0.003, 0.01];
+
+/**
+ * Hashes a series key into a non-negative integer, so that every series gets its own values.
+ * @param {string} key - Pool id or address of the series
+ * @returns {number} Hash of the lowercase key.
+ */
+function hashKey(key) {
+  return [...key.toLowerCase()].reduce(
+    (hash, char) => (hash * 31 + char.charCodeAt(0)) % 2147483647,
+    7,
+  );
+}
+
+/**
+ * Rounds a number to a number of decimal places.
+ * @param {number} value - Number to round
+ * @param {number} decimalPlaces - Number of decimal places
+ * @returns {number} Rounded number.
+ */
+function round(value, decimalPlaces) {
+  const factor = 10 ** decimalPlaces;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Generates a synthetic daily series ending today (UTC), or an hourly series ending this hour.
+ * Values follow seeded random walks, so the same key and settings always produce the same
+ * series, and a series only grows by one record per interval.
+ *
+ * Gaps, duplicated records (with a different value) and invalid records are added according to
+ * the gapRate, duplicateRate and invalidRecordRate settings.
+ *
+ * @param {string} key - Pool id or address of the series
+ * @param {Object} settings - Settings of the series (see getSeriesConfig)
+ * @param {Date} [now=new Date()] - Current time
+ * @param {number} [interval=DAY_MS] - Spacing of the records in milliseconds; hourly series cover
+ *                                     the same number of days with smaller moves and volumes.
+ * @returns {Array<{
+ *   time: number,
+ *   tvlUsd: number,
+ *   apy: number,
+ *   priceUsd: number,
+ *   volumeUSD: number,
+ *   feesUSD: number,
+ *   isInvalid?: boolean
+ * }>} Records from oldest to most recent; time is the UTC start of the day (or hour) in
+ *    milliseconds.
+ */
+export function generateSeries(
+  key,
+  settings,
+  now = new Date(),
+  interval = DAY_MS,
+) {
+  const random = createSeededRandom(settings.seed + hashKey(key));
+  const faultRandom = createSeededRandom(settings.seed + hashKey(key) + 1);
+  const latest = Math.floor(now.getTime() / interval) * interval;
+  const scale = interval / DAY_MS;
+  const volatility = Math.sqrt(scale);
+
+  let tvlUsd = 10 ** (7 + random() * 2);
+  let priceUsd = 10 ** (random() * 4.5);
+  let apy = 2 + random() * 4;
+  const feeTier = FEE_TIERS[Math.floor(random() * FEE_TIERS.length)];
+
+  const records = [];
+  for (let i = Math.round(settings.historyDays / scale) - 1; i >= 0; i -= 1) {
+    tvlUsd *= 1 + (random() - 0.5) * 0.06 * volatility;
+    priceUsd *= 1 + (random() - 0.5) * 0.08 * volatility;
+    apy = Math.max(0.1, apy + (3.5 - apy) * 0.1 + (random() - 0.5) * 0.3);
+    const volumeUSD = tvlUsd * (0.05 + random() * 0.45) * scale;
+    const record = {
+      time: latest - i * interval,
+      tvlUsd,
+      apy,
+      priceUsd,
+      volumeUSD,
+      feesUSD: volumeUSD * feeTier,
+    };
+
+    // Always draw three numbers per record, so faults stay on the same records across requests
+    const [gapDraw, invalidDraw, duplicateDraw] = [
+      faultRandom(),
+      faultRandom(),
+      faultRandom(),
+    ];
+    if (gapDraw >= settings.gapRate) {
+      records.push(
+        invalidDraw < settings.invalidRecordRate
+          ? { ...record, isInvalid: true }
+          : record,
+      );
+      if (duplicateDraw < settings.duplicateRate) {
+        records.push({
+          ...record,
+          tvlUsd: record.tvlUsd * 1.01,
+          apy: record.apy * 1.01,
+          priceUsd: record.priceUsd * 1.01,
+        });
+      }
+    }
+  }
+  return records;
+}
+
+/**
+ * Formats a series as a DeFi Llama /chart/:poolId response body. Invalid days have a null TVL
+ * and a textual APY.
+ * @param {Array<Object>} records - Daily records (see generateSeries)
+ * @returns {{status: string, data: Array<Object>}} Response body with the full history.
+ */
+export function toDefiLlamaChart(records) {
+  return {
+    status: 'success',
+    data: records.map((record) => ({
+      timestamp: new Date(record.time + 7 * 60 * 1000).toISOString(),
+      tvlUsd: record.isInvalid ? null : Math.round(record.tvlUsd),
+      apy: record.isInvalid ? 'n/a' : round(record.apy, 5),
+      apyBase: record.isInvalid ? null : round(record.apy, 5),
+      apyReward: null,
+      il7d: null,
+      apyBase7d: null,
+    })),
+  };
+}
+
+/**
+ * Formats a series as a CoinGecko /coins/:platform/contract/:address/market_chart response body
+ * with daily or hourly data. Invalid records have a null price.
+ * @param {Array<Object>} records - Daily or hourly records (see generateSeries)
+ * @param {number|string} days - Number of days requested, or 'max' for the full history
+ * @returns {{
+ *   prices: Array<Array<number>>,
+ *   market_caps: Array<Array<number>>,
+ *   total_volumes: Array<Array<number>>
+ * }} Response body with the requested days.
+ */
+export function toCoinGeckoMarketChart(records, days) {
+  const selected =
+    days === 'max'
+      ? records
+      : records.filter(
+          (record) => record.time >= records.at(-1).time - days * DAY_MS,
+        );
+  return {
+    prices: selected.map((record) => [
+      record.time,
+      record.isInvalid ? null : round(record.priceUsd, 8),
+    ]),
+    market_caps: selected.map((record) => [
+      record.time,
+      round(record.priceUsd * 1e7, 2),
+    ]),
+    total_volumes: selected.map((record) => [
+      record.time,
+      round(record.volumeUSD, 2),
+    ]),
+  };
+}
+
+/**
+ * Formats a series as a DeFi Llama coins /chart/:coins response body with daily prices. Invalid
+ * days have a null price.
+ * @param {Array<Object>} records - Daily records (see generateSeries)
+ * @param {string} coin - Coin id, e.g. "ethereum:0x..."
+ * @param {Object} query - Query parameters
+ * @param {number} query.start - Unix timestamp of the first day
+ * @param {number} query.span - Number of days
+ * @returns {{
+ *   coins: Object<string, {
+ *     symbol: string,
+ *     confidence: number,
+ *     prices: Array<{timestamp: number, price: number|null}>
+ *   }>
+ * }} Response body with the requested days.
+ */
+export function toLlamaCoinsChart(records, coin, { start, span }) {
+  const selected = records
+    .filter((record) => record.time >= start * 1000)
+    .slice(0, span);
+  return {
+    coins: {
+      [coin]: {
+        symbol: 'MOCK',
+        confidence: 0.99,
+        prices: selected.map((record) => ({
+          timestamp: record.time / 1000,
+          price: record.isInvalid ? null : round(record.priceUsd, 8),
+        })),
+      },
+    },
+  };
+}
+
+/**
+ * Formats a series as the poolDayDatas of a Uniswap Subgraph query. Invalid days have null
+ * fees.
+ * @param {Array<Object>} records - Daily records (see generateSeries)
+ * @param {Object} query - Arguments of the query
+ * @param {number} query.first - Maximum number of days returned
+ * @param {number} query.dateGt - Only days after this Unix timestamp (in seconds) are returned
+ * @param {string} query.orderDirection - 'asc' or 'desc' by date
+ * @returns {Array<{date: number, feesUSD: string|null, volumeUSD: string}>} Pool day data.
+ */
+export function toPoolDayDatas(records, { first, dateGt, orderDirection }) {
+  const poolDayDatas = records
+    .map((record) => ({
+      date: record.time / 1000,
+      feesUSD: record.isInvalid ? null : record.feesUSD.toFixed(10),
+      volumeUSD: record.volumeUSD.toFixed(10),
+    }))
+    .filter((day) => day.date > dateGt);
+  if (orderDirection === 'desc') {
+    poolDayDatas.reverse();
+  }
+  return poolDayDatas.slice(0, first);
+}
+
+/**
+ * Formats an hourly series as the poolHourDatas of a Uniswap Subgraph query. Invalid hours have
+ * null fees.
+ * @param {Array<Object>} records - Hourly records (see generateSeries)
+ * @param {Object} query - Arguments of the query
+ * @param {number} query.first - Maximum number of hours returned
+ * @param {number} query.periodStartUnixGt - Only hours after this Unix timestamp (in seconds)
+ *                                           are returned
+ * @param {string} query.orderDirection - 'asc' or 'desc' by time
+ * @returns {Array<{
+ *   periodStartUnix: number,
+ *   feesUSD: string|null,
+ *   volumeUSD: string,
+ *   tvlUSD: string
+ * }>} Pool hour data.
+ */
+export function toPoolHourDatas(
+  records,
+  { first, periodStartUnixGt, orderDirection },
+) {
+  const poolHourDatas = records
+    .map((record) => ({
+      periodStartUnix: record.time / 1000,
+      feesUSD: record.isInvalid ? null : record.feesUSD.toFixed(10),
+      volumeUSD: record.volumeUSD.toFixed(10),
+      tvlUSD: record.tvlUsd.toFixed(10),
+    }))
+    .filter((hour) => hour.periodStartUnix > periodStartUnixGt);
+  if (orderDirection === 'desc') {
+    poolHourDatas.reverse();
+  }
+  return poolHourDatas.slice(0, first);
+}
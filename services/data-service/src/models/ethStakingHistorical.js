@@ -9,7 +9,12 @@ export default class ETHStakingHistorical extends Model {
           primaryKey: true,
         },
         apy_percentage: {
-          type: DataTypes.DECIMAL(5, 2),
+          type: DataTypes.DECIMAL,
+        },
+        is_imputed: {
+          type: DataTypes.BOOLEAN,
+          allowNull: false,
+          defaultValue: false,
         },
       },
       {
@@ -3,7 +3,10 @@ import Token from './token.js';
 import Pool from './pool.js';
 import TokenPrice from './tokenPrice.js';
 import LPHistorical from './lpHistorical.js';
+import TokenPriceHourly from './tokenPriceHourly.js';
+import LPHistoricalHourly from './lpHistoricalHourly.js';
 import ETHStakingHistorical from './ethStakingHistorical.js';
+import IngestionRun from './ingestionRun.js';
 
 export default async function initializeModels() {
   const sequelize = new Sequelize(process.env.DB_URL, {
@@ -17,7 +20,10 @@ export default async function initializeModels() {
     Pool: Pool.init(sequelize),
     TokenPrice: TokenPrice.init(sequelize),
     LPHistorical: LPHistorical.init(sequelize),
+    TokenPriceHourly: TokenPriceHourly.init(sequelize),
+    LPHistoricalHourly: LPHistoricalHourly.init(sequelize),
     ETHStakingHistorical: ETHStakingHistorical.init(sequelize),
+    IngestionRun: IngestionRun.init(sequelize),
   };
 
   models.Pool.belongsTo(models.Token, {
@@ -44,5 +50,17 @@ export default async function initializeModels() {
   models.LPHistorical.belongsTo(models.Pool, { foreignKey: 'pool_address' });
   models.Pool.hasMany(models.LPHistorical, { foreignKey: 'pool_address' });
 
+  models.TokenPriceHourly.belongsTo(models.Token, {
+    foreignKey: 'token_symbol',
+  });
+  models.Token.hasMany(models.TokenPriceHourly, { foreignKey: 'token_symbol' });
+
+  models.LPHistoricalHourly.belongsTo(models.Pool, {
+    foreignKey: 'pool_address',
+  });
+  models.Pool.hasMany(models.LPHistoricalHourly, {
+    foreignKey: 'pool_address',
+  });
+
   return { sequelize, models };
 }
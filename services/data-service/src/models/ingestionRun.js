@@ -0,0 +1,75 @@
+import { Model, DataTypes } from 'sequelize';
+
+export default class IngestionRun extends Model {
+  static init(sequelize) {
+    return super.init(
+      {
+        id: {
+          type: DataTypes.INTEGER,
+          autoIncrement: true,
+          primaryKey: true,
+        },
+        trigger: {
+          type: DataTypes.TEXT,
+          allowNull: false,
+          validate: {
+            isIn: [['cron', 'startup', 'manual', 'backfill']],
+          },
+        },
+        resolution: {
+          type: DataTypes.TEXT,
+          allowNull: false,
+          defaultValue: 'daily',
+          validate: {
+            isIn: [['daily', 'hourly']],
+          },
+        },
+        status: {
+          type: DataTypes.TEXT,
+          allowNull: false,
+          defaultValue: 'running',
+          validate: {
+            isIn: [['running', 'succeeded', 'partial', 'failed']],
+          },
+        },
+        started_at: {
+          type: DataTypes.DATE,
+          allowNull: false,
+        },
+        finished_at: {
+          type: DataTypes.DATE,
+        },
+        sources: {
+          type: DataTypes.JSONB,
+          allowNull: false,
+          defaultValue: {},
+        },
+        failed_series: {
+          type: DataTypes.JSONB,
+          allowNull: false,
+          defaultValue: [],
+        },
+        divergences: {
+          type: DataTypes.JSONB,
+          allowNull: false,
+          defaultValue: [],
+        },
+        rows_written: {
+          type: DataTypes.JSONB,
+          allowNull: false,
+          defaultValue: {},
+        },
+        error_message: {
+          type: DataTypes.TEXT,
+        },
+      },
+      {
+        sequelize,
+        modelName: 'IngestionRun',
+        tableName: 'ingestion_runs',
+        timestamps: false,
+        indexes: [{ fields: ['started_at'] }],
+      },
+    );
+  }
+}
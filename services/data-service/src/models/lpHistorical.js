@@ -18,13 +18,18 @@ export default class LPHistorical extends Model {
           },
         },
         tvl_usd: {
-          type: DataTypes.DECIMAL(18, 6),
+          type: DataTypes.DECIMAL,
         },
         volume_24h_usd: {
-          type: DataTypes.DECIMAL(18, 6),
+          type: DataTypes.DECIMAL,
         },
         fees_24h_usd: {
-          type: DataTypes.DECIMAL(18, 6),
+          type: DataTypes.DECIMAL,
+        },
+        is_imputed: {
+          type: DataTypes.BOOLEAN,
+          allowNull: false,
+          defaultValue: false,
         },
       },
       {
@@ -0,0 +1,43 @@
+import { Model, DataTypes } from 'sequelize';
+
+export default class LPHistoricalHourly extends Model {
+  static init(sequelize) {
+    return super.init(
+      {
+        timestamp: {
+          type: DataTypes.DATE,
+          allowNull: false,
+          primaryKey: true,
+        },
+        pool_address: {
+          type: DataTypes.TEXT,
+          primaryKey: true,
+          references: {
+            model: 'pools',
+            key: 'pool_address',
+          },
+        },
+        tvl_usd: {
+          type: DataTypes.DECIMAL,
+        },
+        volume_1h_usd: {
+          type: DataTypes.DECIMAL,
+        },
+        fees_1h_usd: {
+          type: DataTypes.DECIMAL,
+        },
+        is_imputed: {
+          type: DataTypes.BOOLEAN,
+          allowNull: false,
+          defaultValue: false,
+        },
+      },
+      {
+        sequelize,
+        modelName: 'LPHistoricalHourly',
+        tableName: 'lp_historical_hourly',
+        timestamps: false,
+      },
+    );
+  }
+}
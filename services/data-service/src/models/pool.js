@@ -8,6 +8,11 @@ export default class Pool extends Model {
           type: DataTypes.TEXT,
           primaryKey: true,
         },
+        pool_name: {
+          type: DataTypes.TEXT,
+          allowNull: false,
+          unique: true,
+        },
         token0_symbol: {
           type: DataTypes.TEXT,
           references: {
@@ -22,6 +27,26 @@ export default class Pool extends Model {
             key: 'token_symbol',
           },
         },
+        chain: {
+          type: DataTypes.TEXT,
+          allowNull: false,
+          defaultValue: 'ethereum',
+        },
+        fee_tier: {
+          type: DataTypes.INTEGER,
+        },
+        defillama_id: {
+          type: DataTypes.TEXT,
+          allowNull: false,
+        },
+        subgraph_address: {
+          type: DataTypes.TEXT,
+        },
+        is_active: {
+          type: DataTypes.BOOLEAN,
+          allowNull: false,
+          defaultValue: true,
+        },
       },
       {
         sequelize,
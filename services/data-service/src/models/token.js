@@ -8,6 +8,25 @@ export default class Token extends Model {
           type: DataTypes.TEXT,
           primaryKey: true,
         },
+        name: {
+          type: DataTypes.TEXT,
+        },
+        decimals: {
+          type: DataTypes.INTEGER,
+        },
+        chain: {
+          type: DataTypes.TEXT,
+          allowNull: false,
+          defaultValue: 'ethereum',
+        },
+        coingecko_address: {
+          type: DataTypes.TEXT,
+        },
+        is_active: {
+          type: DataTypes.BOOLEAN,
+          allowNull: false,
+          defaultValue: true,
+        },
       },
       {
         sequelize,
@@ -18,9 +18,14 @@ export default class TokenPrice extends Model {
           },
         },
         price_usd: {
-          type: DataTypes.DECIMAL(18, 6),
+          type: DataTypes.DECIMAL,
           allowNull: false,
         },
+        is_imputed: {
+          type: DataTypes.BOOLEAN,
+          allowNull: false,
+          defaultValue: false,
+        },
       },
       {
         sequelize,
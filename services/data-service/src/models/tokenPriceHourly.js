@@ -0,0 +1,38 @@
+import { Model, DataTypes } from 'sequelize';
+
+export default class TokenPriceHourly extends Model {
+  static init(sequelize) {
+    return super.init(
+      {
+        timestamp: {
+          type: DataTypes.DATE,
+          allowNull: false,
+          primaryKey: true,
+        },
+        token_symbol: {
+          type: DataTypes.TEXT,
+          primaryKey: true,
+          references: {
+            model: 'tokens',
+            key: 'token_symbol',
+          },
+        },
+        price_usd: {
+          type: DataTypes.DECIMAL,
+          allowNull: false,
+        },
+        is_imputed: {
+          type: DataTypes.BOOLEAN,
+          allowNull: false,
+          defaultValue: false,
+        },
+      },
+      {
+        sequelize,
+        modelName: 'TokenPriceHourly',
+        tableName: 'token_prices_hourly',
+        timestamps: false,
+      },
+    );
+  }
+}
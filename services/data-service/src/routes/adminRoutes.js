@@ -0,0 +1,320 @@
+import express from 'express';
+import { UniqueConstraintError } from 'sequelize';
+import requireApiKey from '../middleware/requireApiKey.js';
+import { stakingPoolIds } from '../config/pools.js';
+import { detectTimescale } from '../data/timescale.js';
+
+const router = express.Router();
+
+router.use(requireApiKey);
+
+/**
+ * Picks the given fields from a request body, dropping the ones that were not provided.
+ * @param {Object} body - Request body
+ * @param {string[]} fields - Names of the fields to pick
+ * @returns {Object} Object containing only the provided fields
+ */
+function pickFields(body, fields) {
+  return Object.fromEntries(
+    fields
+      .filter((field) => body?.[field] !== undefined)
+      .map((field) => [field, body[field]]),
+  );
+}
+
+/**
+ * Returns the first required field that is missing or not a non-empty string.
+ * @param {Object} body - Request body
+ * @param {string[]} fields - Names of the required string fields
+ * @returns {string|undefined} Name of the first missing field, or undefined if all are present
+ */
+function findMissingField(body, fields) {
+  return fields.find(
+    (field) => typeof body?.[field] !== 'string' || body[field].trim() === '',
+  );
+}
+
+/**
+ * Returns the first optional field that is provided but not a non-empty string.
+ * @param {Object} body - Request body
+ * @param {string[]} fields - Names of the optional string fields
+ * @returns {string|undefined} Name of the first invalid field, or undefined if all are valid
+ */
+function findInvalidOptionalField(body, fields) {
+  return findMissingField(
+    body,
+    fields.filter((field) => body?.[field] !== undefined),
+  );
+}
+
+/**
+ * Describes a unique constraint violation of a registry entry, e.g. a pool_name taken by
+ * another pool.
+ * @param {UniqueConstraintError} error - Error thrown by the database
+ * @param {string} entity - Kind of registry entry ("token" or "pool")
+ * @returns {string} Message of the 409 response
+ */
+function describeConflict(error, entity) {
+  const fields = Object.keys(error.fields ?? {});
+  return fields.length > 0
+    ? `${fields.join(', ')} already used by another ${entity}`
+    : `Conflicting ${entity}`;
+}
+
+/**
+ * Registers a token, or updates and reactivates it if it is already registered.
+ *
+ * @param {string} req.body.token_symbol - Token symbol (e.g., "WETH"), stored uppercase
+ * @param {string} [req.body.name] - Token name (e.g., "Wrapped Ether")
+ * @param {number} [req.body.decimals] - Number of decimals of the token contract
+ * @param {string} [req.body.chain] - Chain the token lives on (default: "ethereum")
+ * @param {string} [req.body.coingecko_address] - Contract address used to query CoinGecko prices;
+ *                                                tokens without one are not fetched
+ * @returns {Object} JSON object with a 'token' property containing the registry entry
+ *                   (201 if created, 200 if updated)
+ * @throws {400} If token_symbol is missing, name, chain or coingecko_address is not a non-empty
+ *               string or decimals is not a non-negative integer
+ * @throws {409} If the token conflicts with another registered token
+ * @throws {500} If an unexpected server error occurs
+ */
+router.post('/tokens', async (req, res) => {
+  try {
+    const missingField = findMissingField(req.body, ['token_symbol']);
+    if (missingField) {
+      return res.status(400).json({ message: `Missing ${missingField}` });
+    }
+    const invalidField = findInvalidOptionalField(req.body, [
+      'name',
+      'chain',
+      'coingecko_address',
+    ]);
+    if (invalidField) {
+      return res
+        .status(400)
+        .json({ message: `${invalidField} must be a non-empty string` });
+    }
+    const { decimals } = req.body;
+    if (
+      decimals !== undefined &&
+      (!Number.isInteger(decimals) || decimals < 0)
+    ) {
+      return res
+        .status(400)
+        .json({ message: 'decimals must be a non-negative integer' });
+    }
+
+    if (!req.app.locals.models?.Token) {
+      throw new Error('Token model is not available');
+    }
+
+    const values = {
+      ...pickFields(req.body, [
+        'name',
+        'decimals',
+        'chain',
+        'coingecko_address',
+      ]),
+      token_symbol: req.body.token_symbol.trim().toUpperCase(),
+      is_active: true,
+    };
+
+    const existing = await req.app.locals.models.Token.findByPk(
+      values.token_symbol,
+    );
+    if (existing) {
+      const token = await existing.update(values);
+      return res.json({ token });
+    }
+    const token = await req.app.locals.models.Token.create(values);
+    return res.status(201).json({ token });
+  } catch (error) {
+    if (error instanceof UniqueConstraintError) {
+      return res
+        .status(409)
+        .json({ message: describeConflict(error, 'token') });
+    }
+    console.error('Error in POST /admin/tokens:', error);
+    return res.status(500).json({ message: 'An unexpected error occurred.' });
+  }
+});
+
+/**
+ * Deactivates a token so that its prices are no longer fetched. Stored prices are kept.
+ *
+ * @param {string} req.params.symbol - Symbol of the token to deactivate
+ * @returns {Object} JSON object with a 'token' property containing the updated registry entry
+ * @throws {404} If the token is not registered
+ * @throws {500} If an unexpected server error occurs
+ */
+router.delete('/tokens/:symbol', async (req, res) => {
+  try {
+    if (!req.app.locals.models?.Token) {
+      throw new Error('Token model is not available');
+    }
+    const existing = await req.app.locals.models.Token.findByPk(
+      req.params.symbol.toUpperCase(),
+    );
+    if (!existing) {
+      return res.status(404).json({ message: 'Token not found' });
+    }
+    const token = await existing.update({ is_active: false });
+    return res.json({ token });
+  } catch (error) {
+    console.error(`Error in DELETE /admin/tokens/${req.params.symbol}:`, error);
+    return res.status(500).json({ message: 'An unexpected error occurred.' });
+  }
+});
+
+/**
+ * Registers a pool, or updates and reactivates it if it is already registered.
+ * Both tokens of the pool must be registered first.
+ *
+ * @param {string} req.body.pool_address - Pool contract address
+ * @param {string} req.body.pool_name - Unique name of the pool (e.g., "wethUsdc"); the names of the
+ *                                      staking series (e.g., "lidoEth") are reserved
+ * @param {string} req.body.token0_symbol - Symbol of the pool's token0
+ * @param {string} req.body.token1_symbol - Symbol of the pool's token1
+ * @param {string} req.body.defillama_id - DeFi Llama pool id used to fetch TVL
+ * @param {number} [req.body.fee_tier] - Uniswap fee tier in hundredths of a bip (e.g., 500)
+ * @param {string} [req.body.chain] - Chain the pool lives on (default: "ethereum")
+ * @param {string} [req.body.subgraph_address] - Pool id in the Uniswap Subgraph if it differs
+ *                                               from pool_address
+ * @returns {Object} JSON object with a 'pool' property containing the registry entry
+ *                   (201 if created, 200 if updated)
+ * @throws {400} If a required field is missing, pool_name is reserved, chain or subgraph_address
+ *               is not a non-empty string, fee_tier is invalid or a token is not registered
+ * @throws {409} If pool_name is taken by another pool
+ * @throws {500} If an unexpected server error occurs
+ */
+router.post('/pools', async (req, res) => {
+  try {
+    const missingField = findMissingField(req.body, [
+      'pool_address',
+      'pool_name',
+      'token0_symbol',
+      'token1_symbol',
+      'defillama_id',
+    ]);
+    if (missingField) {
+      return res.status(400).json({ message: `Missing ${missingField}` });
+    }
+    if (
+      Object.prototype.hasOwnProperty.call(stakingPoolIds, req.body.pool_name)
+    ) {
+      return res.status(400).json({
+        message: `pool_name ${req.body.pool_name} is reserved for a staking series`,
+      });
+    }
+    const invalidField = findInvalidOptionalField(req.body, [
+      'chain',
+      'subgraph_address',
+    ]);
+    if (invalidField) {
+      return res
+        .status(400)
+        .json({ message: `${invalidField} must be a non-empty string` });
+    }
+    const { fee_tier: feeTier } = req.body;
+    if (feeTier !== undefined && (!Number.isInteger(feeTier) || feeTier < 0)) {
+      return res
+        .status(400)
+        .json({ message: 'fee_tier must be a non-negative integer' });
+    }
+
+    if (!req.app.locals.models?.Pool || !req.app.locals.models?.Token) {
+      throw new Error('Pool or Token model is not available');
+    }
+
+    const values = {
+      ...pickFields(req.body, [
+        'pool_name',
+        'defillama_id',
+        'fee_tier',
+        'chain',
+        'subgraph_address',
+      ]),
+      pool_address: req.body.pool_address.trim().toLowerCase(),
+      token0_symbol: req.body.token0_symbol.trim().toUpperCase(),
+      token1_symbol: req.body.token1_symbol.trim().toUpperCase(),
+      is_active: true,
+    };
+
+    const tokens = await Promise.all(
+      [values.token0_symbol, values.token1_symbol].map((symbol) =>
+        req.app.locals.models.Token.findByPk(symbol),
+      ),
+    );
+    if (tokens.some((token) => !token)) {
+      return res
+        .status(400)
+        .json({ message: 'Pool tokens must be registered' });
+    }
+
+    const existing = await req.app.locals.models.Pool.findByPk(
+      values.pool_address,
+    );
+    if (existing) {
+      const pool = await existing.update(values);
+      return res.json({ pool });
+    }
+    const pool = await req.app.locals.models.Pool.create(values);
+    return res.status(201).json({ pool });
+  } catch (error) {
+    if (error instanceof UniqueConstraintError) {
+      return res.status(409).json({ message: describeConflict(error, 'pool') });
+    }
+    console.error('Error in POST /admin/pools:', error);
+    return res.status(500).json({ message: 'An unexpected error occurred.' });
+  }
+});
+
+/**
+ * Deactivates a pool so that its data is no longer fetched. Stored pool data is kept.
+ *
+ * @param {string} req.params.address - Address of the pool to deactivate
+ * @returns {Object} JSON object with a 'pool' property containing the updated registry entry
+ * @throws {404} If the pool is not registered
+ * @throws {500} If an unexpected server error occurs
+ */
+router.delete('/pools/:address', async (req, res) => {
+  try {
+    if (!req.app.locals.models?.Pool) {
+      throw new Error('Pool model is not available');
+    }
+    const existing = await req.app.locals.models.Pool.findByPk(
+      req.params.address.toLowerCase(),
+    );
+    if (!existing) {
+      return res.status(404).json({ message: 'Pool not found' });
+    }
+    const pool = await existing.update({ is_active: false });
+    return res.json({ pool });
+  } catch (error) {
+    console.error(`Error in DELETE /admin/pools/${req.params.address}:`, error);
+    return res.status(500).json({ message: 'An unexpected error occurred.' });
+  }
+});
+
+/**
+ * Reports the TimescaleDB features of the database: whether the extension is installed, which
+ * series tables are hypertables and which continuous aggregates exist. Warnings list what is
+ * missing, e.g. when the service runs against vanilla Postgres.
+ *
+ * @returns {Object} JSON object with a 'timescale' property containing 'available', 'version',
+ *                   'hypertables', 'plainTables', 'continuousAggregates' and 'warnings'
+ * @throws {500} If an unexpected server error occurs
+ */
+router.get('/database', async (req, res) => {
+  try {
+    if (!req.app.locals.sequelize) {
+      throw new Error('Database connection is not available');
+    }
+    const timescale = await detectTimescale(req.app.locals.sequelize);
+    return res.json({ timescale });
+  } catch (error) {
+    console.error('Error in GET /admin/database:', error);
+    return res.status(500).json({ message: 'An unexpected error occurred.' });
+  }
+});
+
+export default router;
@@ -1,20 +1,78 @@
 import express from 'express';
-import { Op } from 'sequelize';
-import { poolAddresses, tokenAddresses } from '../config/pools.js';
+import { Op, QueryTypes } from 'sequelize';
+import { getHistoryDays } from '../config/history.js';
+import {
+  RESOLUTIONS,
+  RESOLUTION_INTERVALS,
+  getHourlyHistoryDays,
+} from '../config/resolutions.js';
+import {
+  RESAMPLED_SERIES,
+  parseResampling,
+  buildResampleQuery,
+  buildContinuousAggregateQuery,
+  getSeriesFields,
+} from '../data/resampling.js';
+import { parsePagination, parseFields, buildPage } from '../data/pagination.js';
+import { parseFormat, streamHistory } from '../data/export.js';
+import { findContinuousAggregate } from '../data/timescale.js';
+import { findPoolMetrics } from '../data/poolMetrics.js';
+import { findLatestRows, describeLatestRow } from '../data/latest.js';
+import {
+  parseVolatilityWindows,
+  computeLogReturns,
+  computeRollingVolatility,
+  computeMaxDrawdown,
+  computeCorrelationMatrix,
+} from '../data/analytics.js';
+import {
+  SERIES_TYPES,
+  parseSeriesSpecs,
+  getSeriesName,
+  getValueFields,
+  alignSeries,
+} from '../data/series.js';
 
 const router = express.Router();
 
+/**
+ * Validates the optional days query parameter of a history request against the depth of history
+ * the service keeps at the resolution (HISTORY_DAYS or HOURLY_HISTORY_DAYS).
+ * @param {string} days - Number of days of history to return
+ * @param {string} resolution - Valid resolution of the history
+ * @returns {Object} An object containing:
+ *   - {number} [count] - The number of days if valid, otherwise undefined
+ *   - {string} [errorMsg] - An error message if the number of days is invalid, otherwise
+ *                           undefined
+ */
+function parseHistoryDays(days, resolution) {
+  const maxDays =
+    resolution === 'hourly' ? getHourlyHistoryDays() : getHistoryDays();
+  const count = Number(days);
+  if (!/^\d+$/.test(days) || count < 1 || count > maxDays) {
+    return {
+      errorMsg: Number.isFinite(maxDays)
+        ? `Invalid days parameter, must be an integer between 1 and ${maxDays}`
+        : 'Invalid days parameter, must be a positive integer',
+    };
+  }
+  return { count };
+}
+
 /**
  * Validates optional start and end query parameters of a request.
  * @param {string} [start] - Optional start date in ISO 8601 format (e.g., "2023-01-01")
  * @param {string} [end] - Optional end date in ISO 8601 format (e.g., "2023-12-31")
+ * @param {string} [days] - Optional number of days before the end (or now) to start at, in place
+ *                          of a start date (see parseHistoryDays)
+ * @param {string} [resolution='daily'] - Valid resolution of the history, which bounds days
  * @returns {Object} An object containing:
  *   - {Date} [startDate] - The start date if provided and valid, otherwise undefined
  *   - {Date} [endDate] - The end date if provided and valid, otherwise undefined
- *   - {string} [errorMsg] - An error message if dates are invalid or start is after end,
- *                           otherwise undefined
+ *   - {string} [errorMsg] - An error message if dates or days are invalid, start is after end,
+ *                           or both start and days are given, otherwise undefined
  */
-function validateRequestDates(start, end) {
+function validateRequestDates(start, end, days, resolution = 'daily') {
   let startDate;
   let endDate;
   let errorMsg;
@@ -36,9 +94,114 @@ function validateRequestDates(start, end) {
     errorMsg = 'Start date must be before end date';
     return { startDate, endDate, errorMsg };
   }
+  if (days !== undefined) {
+    if (start) {
+      errorMsg = 'The start and days parameters cannot be combined';
+      return { startDate, endDate, errorMsg };
+    }
+    const { count, errorMsg: daysErrorMsg } = parseHistoryDays(
+      days,
+      resolution,
+    );
+    if (daysErrorMsg) {
+      return { startDate, endDate, errorMsg: daysErrorMsg };
+    }
+    startDate = new Date(
+      (endDate ?? new Date()).getTime() - count * RESOLUTION_INTERVALS.daily,
+    );
+  }
   return { startDate, endDate, errorMsg };
 }
 
+/**
+ * Parses the optional excludeImputed query parameter of a request.
+ * @param {string} [excludeImputed] - "true" to exclude rows created by gap filling, "false" or
+ *                                    omitted to include them
+ * @returns {boolean|null} Whether imputed rows should be excluded, or null if the value is invalid
+ */
+function parseExcludeImputed(excludeImputed) {
+  if (excludeImputed === undefined || excludeImputed === 'false') {
+    return false;
+  }
+  return excludeImputed === 'true' ? true : null;
+}
+
+/**
+ * Parses the optional resolution query parameter of a request.
+ * @param {string} [resolution] - One of RESOLUTIONS, "daily" if omitted
+ * @returns {string|null} The resolution, or null if the value is invalid
+ */
+function parseResolution(resolution = 'daily') {
+  return RESOLUTIONS.includes(resolution) ? resolution : null;
+}
+
+/**
+ * Parses the optional tokens query parameter of a request.
+ * @param {string} [tokens] - Comma-separated token symbols, case-insensitive
+ * @returns {string[]|null|undefined} Upper-cased symbols without duplicates, undefined if the
+ *                                    parameter is omitted, or null if it lists an empty symbol
+ */
+function parseTokens(tokens) {
+  if (tokens === undefined) {
+    return undefined;
+  }
+  const symbols = tokens.split(',').map((symbol) => symbol.trim().toUpperCase());
+  return symbols.some((symbol) => !symbol) ? null : [...new Set(symbols)];
+}
+
+/**
+ * Validates the query parameters of a history request that shape its response: the format, the
+ * page and the fields to return.
+ * @param {Object} req - Request with optional 'format', 'limit', 'cursor', 'order' and 'fields'
+ *                       query parameters and an Accept header (see parseFormat, parsePagination
+ *                       and parseFields)
+ * @param {string} modelName - Name of the model queried
+ * @param {string} [aggregation] - Valid aggregation, if the history is resampled
+ * @returns {Object} An object containing the 'output' options ('format', 'limit', 'cursor',
+ *                   'order', 'fields' and whether the limit was given, 'isLimited'), or an
+ *                   'errorMsg' if a parameter is invalid
+ */
+function parseOutputParameters(req, modelName, aggregation) {
+  const { query } = req;
+  const { format, errorMsg: formatErrorMsg } = parseFormat(
+    query.format,
+    req.headers.accept,
+  );
+  if (formatErrorMsg) {
+    return { errorMsg: formatErrorMsg };
+  }
+  const pagination = parsePagination(query.limit, query.cursor, query.order);
+  if (pagination.errorMsg) {
+    return pagination;
+  }
+  const { fields, errorMsg } = parseFields(
+    query.fields,
+    getSeriesFields(modelName, aggregation),
+  );
+  if (errorMsg) {
+    return { errorMsg };
+  }
+  return {
+    output: {
+      ...pagination,
+      format,
+      fields,
+      isLimited: query.limit !== undefined,
+    },
+  };
+}
+
+/**
+ * Checks that the history of a request can be resampled: time_bucket is a TimescaleDB function.
+ * @param {Object} app - Application object containing the detected TimescaleDB status under
+ *                       `app.locals.timescale`
+ * @param {string} [interval] - Requested bucket width
+ * @returns {boolean} False if an interval is requested while TimescaleDB is known to be missing
+ */
+function canResample(app, interval) {
+  return !interval || app.locals.timescale?.available !== false;
+}
+
 /**
  * Adds valid start and end dates to the where clause of a database query.
  * @param {Object} whereClause - Where clause of a query to add start and end dates to
@@ -59,47 +222,265 @@ function addDatesToWhereClause(whereClause, startDate, endDate) {
   return result;
 }
 
+/**
+ * Adds a cursor to the where clause of a database query, so that it only matches the rows after
+ * the cursor in the sort order.
+ * @param {Object} whereClause - Where clause of a query, with optional start and end dates
+ * @param {Date} cursor - Timestamp of the last row of the previous page
+ * @param {string} order - Sort order of the rows by timestamp
+ * @returns {Object} Updated where clause
+ */
+function addCursorToWhereClause(whereClause, cursor, order) {
+  return {
+    ...whereClause,
+    timestamp: {
+      ...whereClause.timestamp,
+      [order === 'asc' ? Op.gt : Op.lt]: cursor,
+    },
+  };
+}
+
+/**
+ * Queries a batch of the rows of a history, resampled into buckets when an interval is requested.
+ * The full resampled history of a series is read from the continuous aggregate of the interval
+ * when the service maintains one (see setupTimescale).
+ * @param {Object} app - Application object containing the database under `app.locals`
+ * @param {string} modelName - Name of the model queried
+ * @param {Object} whereClause - Where clause of the query
+ * @param {Object} options - Options
+ * @param {string} [options.interval] - Valid bucket width (see parseResampling)
+ * @param {string} [options.aggregation] - Valid aggregation (see parseResampling)
+ * @param {number} [options.limit] - Number of rows to read (default: every row)
+ * @param {Date} [options.cursor] - Timestamp to read the rows after, in the sort order
+ * @param {string} options.order - Sort order of the rows by timestamp
+ * @returns {Promise<Array<Object>>} Rows ordered by timestamp, at most limit
+ */
+async function findHistory(
+  app,
+  modelName,
+  whereClause,
+  {
+    interval,
+    aggregation,
+    limit,
+    cursor,
+    order,
+  },
+) {
+  const { keys } = RESAMPLED_SERIES[modelName];
+  const page = { order, cursor, limit };
+  const view = interval
+    ? findContinuousAggregate(app.locals.timescale, modelName, interval)
+    : undefined;
+  const isFullHistory = Object.keys(whereClause).every((column) =>
+    keys.includes(column),
+  );
+  if (view && isFullHistory) {
+    const { sql, replacements } = buildContinuousAggregateQuery(
+      view,
+      modelName,
+      aggregation,
+      whereClause[keys[0]],
+      page,
+    );
+    return app.locals.sequelize.query(sql, {
+      replacements,
+      type: QueryTypes.SELECT,
+    });
+  }
+  if (interval) {
+    return app.locals.models[modelName].findAll({
+      where: whereClause,
+      ...buildResampleQuery(modelName, interval, aggregation, page),
+    });
+  }
+  return app.locals.models[modelName].findAll({
+    where: cursor
+      ? addCursorToWhereClause(whereClause, cursor, order)
+      : whereClause,
+    order: [['timestamp', order.toUpperCase()]],
+    limit,
+  });
+}
+
+/**
+ * Sends a history as JSON, or streams it in an export format (see streamHistory), starting after
+ * the cursor and capped at the limit if one was given. JSON responses are pages only if a limit
+ * or a cursor was given, so that clients unaware of pagination still get the whole history.
+ * @param {Object} req - Request, with the application under `req.app`
+ * @param {Object} res - Response
+ * @param {Object} options - Options
+ * @param {string} options.property - Property of the JSON response holding the rows
+ * @param {string} options.filename - Name of the exported file, without extension
+ * @param {string} options.modelName - Name of the model queried
+ * @param {Object} options.whereClause - Where clause of the query
+ * @param {string} [options.interval] - Valid bucket width (see parseResampling)
+ * @param {string} [options.aggregation] - Valid aggregation (see parseResampling)
+ * @param {Object} options.output - Valid output options (see parseOutputParameters)
+ * @returns {Promise<Object>} The response
+ */
+async function sendHistory(
+  req,
+  res,
+  {
+    property,
+    filename,
+    modelName,
+    whereClause,
+    interval,
+    aggregation,
+    output,
+  },
+) {
+  const {
+    format,
+    limit,
+    cursor,
+    order,
+    fields,
+    isLimited,
+  } = output;
+  const readRows = (after, count) =>
+    findHistory(req.app, modelName, whereClause, {
+      interval,
+      aggregation,
+      limit: count,
+      cursor: after,
+      order,
+    });
+
+  if (format !== 'json') {
+    await streamHistory(res, {
+      format,
+      fields: fields ?? getSeriesFields(modelName, aggregation),
+      filename,
+      readBatch: readRows,
+      cursor,
+      limit: isLimited ? limit : Infinity,
+    });
+    return res;
+  }
+
+  if (!isLimited && !cursor) {
+    const history = buildPage(await readRows(), { order, fields });
+    return res.json({ [property]: history.rows, meta: history.meta });
+  }
+  // One row more than the page tells buildPage whether there is a next page
+  const page = buildPage(await readRows(cursor, limit + 1), {
+    limit,
+    order,
+    fields,
+  });
+  return res.json({ [property]: page.rows, meta: page.meta });
+}
+
 /**
  * Retrieves the APY history from the ETHStakingHistorical table,
  * optionally filtered by a date range.
  *
  * Frontend Uses:
- *  - Display the current APY on the simulation home page
  *  - Display APY history on the staking simulation page
  * Backend Uses:
  *  - Used to run simulations
  *
  * @param {string} [req.query.start] - Optional start date in ISO 8601 format (e.g., "2023-01-01")
  * @param {string} [req.query.end] - Optional end date in ISO 8601 format (e.g., "2023-12-31")
- * @returns {Object} JSON object with a 'apyHistory' property containing an array of objects, each
- *                   with 'timestamp' and 'apy_percentage', ordered by timestamp ascending
- * @throws {400} If start/end parameters are invalid or start is after end
+ * @param {string} [req.query.days] - Optional number of days before the end date (or now) to
+ *                                    return, in place of a start date; at most HISTORY_DAYS
+ *                                    (HOURLY_HISTORY_DAYS at the hourly resolution)
+ * @param {string} [req.query.excludeImputed] - Optional "true" to leave out imputed rows
+ * @param {string} [req.query.interval] - Optional bucket width to resample to (e.g., "1w", "1M")
+ * @param {string} [req.query.agg] - Optional "mean" (default), "last" or "ohlc" aggregation of
+ *                                   the buckets
+ * @param {string} [req.query.limit] - Optional number of rows per page, at most 10000 (default:
+ *                                     every row, or 1000 with a cursor)
+ * @param {string} [req.query.cursor] - Optional 'nextCursor' of the previous page
+ * @param {string} [req.query.order] - Optional "asc" (default) or "desc" order by timestamp
+ * @param {string} [req.query.fields] - Optional comma-separated columns to return
+ * @param {string} [req.query.format] - Optional "json" (default), "csv" or "ndjson"; if omitted,
+ *                                      the Accept header may ask for "text/csv" or
+ *                                      "application/x-ndjson"
+ * @returns {Object} JSON object with a 'apyHistory' property containing a page of objects, each
+ *                   with 'timestamp', 'apy_percentage' ('open', 'high', 'low' and 'close' for
+ *                   OHLC buckets) and 'is_imputed' (or the selected fields), ordered by timestamp,
+ *                   and a 'meta' property with the 'count' of rows, the page 'limit', the
+ *                   'order' and the 'nextCursor' of the next page (null on the last page; the
+ *                   'limit' is null and every row is returned without a limit or a cursor). In
+ *                   the CSV and NDJSON formats, an attachment with every row after the cursor, up
+ *                   to the limit if one is given
+ * @throws {400} If start/end, days, excludeImputed, interval, agg, limit, cursor, order, fields
+ *               or format parameters are invalid, start is after end or both start and days are
+ *               given
+ * @throws {501} If an interval is requested while TimescaleDB is not installed
  * @throws {500} If an unexpected server error occurs
  */
 router.get('/apy-history', async (req, res) => {
   try {
-    const { start, end } = req.query;
+    const { start, end, days } = req.query;
 
-    const { startDate, endDate, errorMsg } = validateRequestDates(start, end);
+    const { startDate, endDate, errorMsg } = validateRequestDates(
+      start,
+      end,
+      days,
+    );
     if (errorMsg) {
       return res.status(400).json({ message: errorMsg });
     }
 
+    const excludeImputed = parseExcludeImputed(req.query.excludeImputed);
+    if (excludeImputed === null) {
+      return res
+        .status(400)
+        .json({ message: 'Invalid excludeImputed parameter' });
+    }
+
+    const {
+      interval,
+      aggregation,
+      errorMsg: resamplingErrorMsg,
+    } = parseResampling(
+      req.query.interval,
+      req.query.agg,
+      'ETHStakingHistorical',
+      'daily',
+    );
+    if (resamplingErrorMsg) {
+      return res.status(400).json({ message: resamplingErrorMsg });
+    }
+    if (!canResample(req.app, interval)) {
+      return res
+        .status(501)
+        .json({ message: 'Resampling requires the TimescaleDB extension' });
+    }
+
+    const { output, errorMsg: outputErrorMsg } = parseOutputParameters(
+      req,
+      'ETHStakingHistorical',
+      aggregation,
+    );
+    if (outputErrorMsg) {
+      return res.status(400).json({ message: outputErrorMsg });
+    }
+
     if (!req.app.locals.models?.ETHStakingHistorical) {
       throw new Error('ETHStakingHistorical model is not available');
     }
 
     let whereClause = {};
     whereClause = addDatesToWhereClause(whereClause, startDate, endDate);
+    if (excludeImputed) {
+      whereClause.is_imputed = false;
+    }
 
-    const apyHistory = await req.app.locals.models.ETHStakingHistorical.findAll(
-      {
-        where: whereClause,
-        order: [['timestamp', 'ASC']],
-      },
-    );
-
-    return res.json({ apyHistory });
+    return await sendHistory(req, res, {
+      property: 'apyHistory',
+      filename: 'apy-history',
+      modelName: 'ETHStakingHistorical',
+      whereClause,
+      interval,
+      aggregation,
+      output,
+    });
   } catch (error) {
     console.error('Error in /apy-history:', error);
     return res.status(500).json({ message: 'An unexpected error occurred.' });
@@ -107,23 +488,105 @@ router.get('/apy-history', async (req, res) => {
 });
 
 /**
- * Retrieves pool addresses and token names for each pool in the Pool table.
+ * Retrieves the latest row of the APY history from the ETHStakingHistorical table.
  *
  * Frontend Uses:
- *  - Display available LPs on the simulation home page
+ *  - Display the current APY on the simulation home page
+ *
+ * @returns {Object} JSON object with an 'apy' property containing the 'timestamp',
+ *                   'apy_percentage' and 'is_imputed' of the latest row (null if there is none),
+ *                   its 'age_seconds' and whether it 'is_stale' (see STALE_AFTER_INTERVALS)
+ * @throws {500} If an unexpected server error occurs
+ */
+router.get('/apy/latest', async (req, res) => {
+  try {
+    const model = req.app.locals.models?.ETHStakingHistorical;
+    if (!model) {
+      throw new Error('ETHStakingHistorical model is not available');
+    }
+    const [row] = await findLatestRows(model);
+    return res.json({
+      apy: describeLatestRow(row, 'ETHStakingHistorical', 'daily'),
+    });
+  } catch (error) {
+    console.error('Error in /apy/latest:', error);
+    return res.status(500).json({ message: 'An unexpected error occurred.' });
+  }
+});
+
+/**
+ * Columns of the tokens of a pool included in the pool responses.
+ */
+const POOL_TOKEN_ATTRIBUTES = [
+  'token_symbol',
+  'name',
+  'decimals',
+  'chain',
+  'coingecko_address',
+];
+
+/**
+ * Options of the Pool queries of the pool routes, joining the tokens of each pool.
+ * @param {Object} models - Database models
+ * @returns {Object} Query options
+ */
+function poolQueryOptions(models) {
+  return {
+    include: ['token0', 'token1'].map((as) => ({
+      model: models.Token,
+      as,
+      attributes: POOL_TOKEN_ATTRIBUTES,
+    })),
+  };
+}
+
+/**
+ * Adds the latest daily metrics of each pool to the Pool registry entries.
+ * @param {Object} app - Application object containing the database under `app.locals`
+ * @param {Array<Object>} pools - Pool instances
+ * @returns {Promise<Array<Object>>} Pool entries, each with a 'metrics' property (see
+ *                                   findPoolMetrics), null if the pool has no daily rows
+ */
+async function addPoolMetrics(app, pools) {
+  const metrics = await findPoolMetrics(
+    app.locals.sequelize,
+    pools.map((pool) => pool.pool_address),
+  );
+  return pools.map((pool) => ({
+    ...pool.toJSON(),
+    metrics: metrics[pool.pool_address] ?? null,
+  }));
+}
+
+/**
+ * Retrieves the active pools of the Pool table, with their tokens and latest metrics.
+ *
+ * Frontend Uses:
+ *  - Display the cards of the available LPs on the simulation home page
  *    (use pool_address to query data for a particular pool)
  *
- * @returns {Object} JSON object with a 'pools' property containing an array of objects,
- *                   each with 'pool_address', 'token0_symbol', and 'token1_symbol'
+ * @returns {Object} JSON object with a 'pools' property containing an array of Pool registry
+ *                   entries ordered by address, each with 'pool_address', 'pool_name',
+ *                   'token0_symbol', 'token1_symbol', 'chain', 'fee_tier', 'defillama_id',
+ *                   'subgraph_address' and 'is_active', the 'token_symbol', 'name', 'decimals',
+ *                   'chain' and 'coingecko_address' of its 'token0' and 'token1', and its latest
+ *                   daily 'metrics' (null before the first ingestion): 'timestamp', 'tvl_usd',
+ *                   'volume_24h_usd', 'fees_24h_usd' and 'fee_apr_percentage', and their
+ *                   '7d' and '30d' 'averages'
  * @throws {500} If an unexpected server error occurs
  */
 router.get('/pools', async (req, res) => {
   try {
-    if (!req.app.locals.models?.Pool) {
-      throw new Error('Pool model is not available');
+    const { models } = req.app.locals;
+    if (!models?.Pool || !models?.Token) {
+      throw new Error('Pool and Token models are not available');
     }
-    const pools = await req.app.locals.models.Pool.findAll();
-    return res.json({ pools });
+    const pools = await models.Pool.findAll({
+      where: { is_active: true },
+      order: [['pool_address', 'ASC']],
+      ...poolQueryOptions(models),
+    });
+    return res.json({ pools: await addPoolMetrics(req.app, pools) });
   } catch (error) {
     console.error('Error in /pools:', error);
     return res.status(500).json({ message: 'An unexpected error occurred.' });
@@ -131,55 +594,223 @@ router.get('/pools', async (req, res) => {
 });
 
 /**
- * Retrieves historical data for a given pool address from the LPHistorical table,
- * optionally filtered by a date range.
+ * Retrieves the latest row of each active pool from the LPHistorical table, or the
+ * LPHistoricalHourly table at the hourly resolution.
+ *
+ * Frontend Uses:
+ *  - Display the current TVL, volume and fees of the LPs on the simulation home page
+ *
+ * @param {string} [req.query.resolution] - Optional "daily" (default) or "hourly"
+ * @returns {Object} JSON object with a 'pools' property containing an array, ordered by address,
+ *                   with the 'pool_name' and the columns of the latest row of each pool (see
+ *                   GET /pool; null if the pool has no rows), its 'age_seconds' and whether it
+ *                   'is_stale' (see STALE_AFTER_INTERVALS)
+ * @throws {400} If resolution parameter is invalid
+ * @throws {500} If an unexpected server error occurs
+ */
+router.get('/pools/latest', async (req, res) => {
+  try {
+    const resolution = parseResolution(req.query.resolution);
+    if (!resolution) {
+      return res.status(400).json({ message: 'Invalid resolution parameter' });
+    }
+    const modelName =
+      resolution === 'hourly' ? 'LPHistoricalHourly' : 'LPHistorical';
+
+    const { models } = req.app.locals;
+    if (!models?.Pool) {
+      throw new Error('Pool model is not available');
+    }
+    if (!models?.[modelName]) {
+      throw new Error(`${modelName} model is not available`);
+    }
+
+    const pools = await models.Pool.findAll({
+      where: { is_active: true },
+      order: [['pool_address', 'ASC']],
+    });
+    const rows = await findLatestRows(
+      models[modelName],
+      'pool_address',
+      pools.map((pool) => pool.pool_address),
+    );
+    const now = new Date();
+    return res.json({
+      pools: pools.map((pool, index) => ({
+        ...describeLatestRow(rows[index], modelName, resolution, now),
+        pool_address: pool.pool_address,
+        pool_name: pool.pool_name,
+      })),
+    });
+  } catch (error) {
+    console.error('Error in /pools/latest:', error);
+    return res.status(500).json({ message: 'An unexpected error occurred.' });
+  }
+});
+
+/**
+ * Retrieves a single pool of the Pool table, with its tokens and latest metrics.
+ *
+ * Frontend Uses:
+ *  - Display LP's details on its simulation page
+ *
+ * @param {string} req.params.address - Address of the pool, in any case
+ * @returns {Object} JSON object with a 'pool' property (see GET /pools for its fields)
+ * @throws {404} If the pool is not registered
+ * @throws {500} If an unexpected server error occurs
+ */
+router.get('/pools/:address', async (req, res) => {
+  try {
+    const { models } = req.app.locals;
+    if (!models?.Pool || !models?.Token) {
+      throw new Error('Pool and Token models are not available');
+    }
+    const pool = await models.Pool.findByPk(
+      req.params.address.toLowerCase(),
+      poolQueryOptions(models),
+    );
+    if (!pool) {
+      return res.status(404).json({ message: 'Pool not found' });
+    }
+    const [entry] = await addPoolMetrics(req.app, [pool]);
+    return res.json({ pool: entry });
+  } catch (error) {
+    console.error(`Error in /pools/${req.params.address}:`, error);
+    return res.status(500).json({ message: 'An unexpected error occurred.' });
+  }
+});
+
+/**
+ * Retrieves historical data for a given pool address from the LPHistorical table, or the
+ * LPHistoricalHourly table at the hourly resolution, optionally filtered by a date range.
  *
  * Frontend Uses:
  *  - Display LP's details on its simulation page
  * Backend Uses:
  *  - Used to run simulations
  *
- * @param {string} req.query.address - The address of the pool to retrieve data for
+ * @param {string} req.query.address - The address of a registered pool to retrieve data for, in
+ *                                     any case
  * @param {string} [req.query.start] - Optional start date in ISO 8601 format (e.g., "2023-01-01")
  * @param {string} [req.query.end] - Optional end date in ISO 8601 format (e.g., "2023-12-31")
- * @returns {Object} JSON object with a 'poolData' property containing an array of objects, each
- *                   with 'timestamp', 'pool_address', 'tvl_usd', 'volume_24h_usd', and
- *                   'fees_24h_usd', ordered by timestamp ascending
- * @throws {400} If address parameter is missing or invalid, or if start/end parameters are invalid
- *               or start is after end
+ * @param {string} [req.query.days] - Optional number of days before the end date (or now) to
+ *                                    return, in place of a start date; at most HISTORY_DAYS
+ *                                    (HOURLY_HISTORY_DAYS at the hourly resolution)
+ * @param {string} [req.query.excludeImputed] - Optional "true" to leave out imputed rows
+ * @param {string} [req.query.resolution] - Optional "daily" (default) or "hourly"
+ * @param {string} [req.query.interval] - Optional bucket width to resample to (e.g., "1w", "1M")
+ * @param {string} [req.query.agg] - Optional "sum" (default: summed volume and fees, averaged
+ *                                   TVL), "mean", "last" or "ohlc" aggregation of the buckets
+ * @param {string} [req.query.limit] - Optional number of rows per page, at most 10000 (default:
+ *                                     every row, or 1000 with a cursor)
+ * @param {string} [req.query.cursor] - Optional 'nextCursor' of the previous page
+ * @param {string} [req.query.order] - Optional "asc" (default) or "desc" order by timestamp
+ * @param {string} [req.query.fields] - Optional comma-separated columns to return
+ * @param {string} [req.query.format] - Optional "json" (default), "csv" or "ndjson"; if omitted,
+ *                                      the Accept header may ask for "text/csv" or
+ *                                      "application/x-ndjson"
+ * @returns {Object} JSON object with a 'poolData' property containing a page of objects, each
+ *                   with 'timestamp', 'pool_address', 'tvl_usd', 'volume_24h_usd',
+ *                   'fees_24h_usd' and 'is_imputed' ('volume_1h_usd' and 'fees_1h_usd' at the
+ *                   hourly resolution, 'open', 'high', 'low' and 'close' in place of 'tvl_usd'
+ *                   for OHLC buckets; or the selected fields), ordered by timestamp,
+ *                   and a 'meta' property with the 'count' of rows, the page 'limit', the
+ *                   'order' and the 'nextCursor' of the next page (null on the last page; the
+ *                   'limit' is null and every row is returned without a limit or a cursor). In
+ *                   the CSV and NDJSON formats, an attachment with every row after the cursor, up
+ *                   to the limit if one is given
+ * @throws {400} If address parameter is missing or invalid, or if start/end, excludeImputed,
+ *               days, resolution, interval, agg, limit, cursor, order, fields or format
+ *               parameters are invalid, start is after end or both start and days are given
+ * @throws {501} If an interval is requested while TimescaleDB is not installed
  * @throws {500} If an unexpected server error occurs
  */
 router.get('/pool', async (req, res) => {
   try {
-    const { address, start, end } = req.query;
+    const { start, end } = req.query;
+    // Pools are registered by their lower-case address
+    const address = req.query.address?.toLowerCase();
 
     if (!address) {
       return res.status(400).json({ message: 'Missing address parameter' });
     }
-    if (!Object.values(poolAddresses).includes(address)) {
-      return res.status(400).json({ message: 'Invalid address parameter' });
+
+    const resolution = parseResolution(req.query.resolution);
+    if (!resolution) {
+      return res.status(400).json({ message: 'Invalid resolution parameter' });
     }
+    const modelName =
+      resolution === 'hourly' ? 'LPHistoricalHourly' : 'LPHistorical';
 
-    const { startDate, endDate, errorMsg } = validateRequestDates(start, end);
+    const { startDate, endDate, errorMsg } = validateRequestDates(
+      start,
+      end,
+      req.query.days,
+      resolution,
+    );
     if (errorMsg) {
       return res.status(400).json({ message: errorMsg });
     }
 
-    if (!req.app.locals.models?.LPHistorical) {
-      throw new Error('LPHistorical model is not available');
+    const excludeImputed = parseExcludeImputed(req.query.excludeImputed);
+    if (excludeImputed === null) {
+      return res
+        .status(400)
+        .json({ message: 'Invalid excludeImputed parameter' });
+    }
+
+    const {
+      interval,
+      aggregation,
+      errorMsg: resamplingErrorMsg,
+    } = parseResampling(req.query.interval, req.query.agg, modelName, resolution);
+    if (resamplingErrorMsg) {
+      return res.status(400).json({ message: resamplingErrorMsg });
+    }
+    if (!canResample(req.app, interval)) {
+      return res
+        .status(501)
+        .json({ message: 'Resampling requires the TimescaleDB extension' });
+    }
+
+    const { output, errorMsg: outputErrorMsg } = parseOutputParameters(
+      req,
+      modelName,
+      aggregation,
+    );
+    if (outputErrorMsg) {
+      return res.status(400).json({ message: outputErrorMsg });
+    }
+
+    if (!req.app.locals.models?.Pool) {
+      throw new Error('Pool model is not available');
+    }
+    if (!req.app.locals.models?.[modelName]) {
+      throw new Error(`${modelName} model is not available`);
+    }
+
+    const pool = await req.app.locals.models.Pool.findByPk(address);
+    if (!pool) {
+      return res.status(400).json({ message: 'Invalid address parameter' });
     }
 
     let whereClause = {
       pool_address: address,
     };
     whereClause = addDatesToWhereClause(whereClause, startDate, endDate);
+    if (excludeImputed) {
+      whereClause.is_imputed = false;
+    }
 
-    const poolData = await req.app.locals.models.LPHistorical.findAll({
-      where: whereClause,
-      order: [['timestamp', 'ASC']],
+    return await sendHistory(req, res, {
+      property: 'poolData',
+      filename: `pool-${address}`,
+      modelName,
+      whereClause,
+      interval,
+      aggregation,
+      output,
     });
-
-    return res.json({ poolData });
   } catch (error) {
     console.error(`Error in /pool for pool ${req.query.address}:`, error);
     return res.status(500).json({ message: 'An unexpected error occurred.' });
@@ -187,22 +818,46 @@ router.get('/pool', async (req, res) => {
 });
 
 /**
- * Retrieves historical price data for a token from the TokenPrice table,
- * optionally filtered by a date range.
+ * Retrieves historical price data for a token from the TokenPrice table, or the TokenPriceHourly
+ * table at the hourly resolution, optionally filtered by a date range.
  *
  * Frontend Uses:
  *  - Display price history on the staking & LP simulation pages
  * Backend Uses:
  *  - Used to run simulations
  *
- * @param {string} req.query.token - The symbol of the token to retrieve data for (e.g., "WETH")
+ * @param {string} req.query.token - The symbol of a registered token (e.g., "WETH")
  * @param {string} [req.query.start] - Optional start date in ISO 8601 format (e.g., "2023-01-01")
  * @param {string} [req.query.end] - Optional end date in ISO 8601 format (e.g., "2023-12-31")
- * @returns {Object} JSON object with a 'priceData' property containing an array of objects, each
- *                   with 'timestamp', 'token_symbol', and 'price_usd', ordered by timestamp
- *                   ascending
- * @throws {400} If token parameter is missing or invalid, or if start/end parameters are invalid
- *               or start is after end
+ * @param {string} [req.query.days] - Optional number of days before the end date (or now) to
+ *                                    return, in place of a start date; at most HISTORY_DAYS
+ *                                    (HOURLY_HISTORY_DAYS at the hourly resolution)
+ * @param {string} [req.query.excludeImputed] - Optional "true" to leave out imputed rows
+ * @param {string} [req.query.resolution] - Optional "daily" (default) or "hourly"
+ * @param {string} [req.query.interval] - Optional bucket width to resample to (e.g., "1w", "1M")
+ * @param {string} [req.query.agg] - Optional "ohlc" (default), "mean" or "last" aggregation of
+ *                                   the buckets
+ * @param {string} [req.query.limit] - Optional number of rows per page, at most 10000 (default:
+ *                                     every row, or 1000 with a cursor)
+ * @param {string} [req.query.cursor] - Optional 'nextCursor' of the previous page
+ * @param {string} [req.query.order] - Optional "asc" (default) or "desc" order by timestamp
+ * @param {string} [req.query.fields] - Optional comma-separated columns to return
+ * @param {string} [req.query.format] - Optional "json" (default), "csv" or "ndjson"; if omitted,
+ *                                      the Accept header may ask for "text/csv" or
+ *                                      "application/x-ndjson"
+ * @returns {Object} JSON object with a 'priceData' property containing a page of objects, each
+ *                   with 'timestamp', 'token_symbol', 'price_usd' ('open', 'high', 'low' and
+ *                   'close' for OHLC buckets) and 'is_imputed' (or the selected fields), ordered
+ *                   by timestamp,
+ *                   and a 'meta' property with the 'count' of rows, the page 'limit', the
+ *                   'order' and the 'nextCursor' of the next page (null on the last page; the
+ *                   'limit' is null and every row is returned without a limit or a cursor). In
+ *                   the CSV and NDJSON formats, an attachment with every row after the cursor, up
+ *                   to the limit if one is given
+ * @throws {400} If token parameter is missing or invalid, or if start/end, excludeImputed,
+ *               days, resolution, interval, agg, limit, cursor, order, fields or format
+ *               parameters are invalid, start is after end or both start and days are given
+ * @throws {501} If an interval is requested while TimescaleDB is not installed
  * @throws {500} If an unexpected server error occurs
  */
 router.get('/price-history', async (req, res) => {
@@ -212,34 +867,446 @@ router.get('/price-history', async (req, res) => {
     if (!token) {
       return res.status(400).json({ message: 'Missing token parameter' });
     }
-    const tokenName = token.toLowerCase();
-    if (!Object.keys(tokenAddresses).includes(tokenName)) {
-      return res.status(400).json({ message: 'Invalid token parameter' });
+
+    const resolution = parseResolution(req.query.resolution);
+    if (!resolution) {
+      return res.status(400).json({ message: 'Invalid resolution parameter' });
     }
+    const modelName =
+      resolution === 'hourly' ? 'TokenPriceHourly' : 'TokenPrice';
 
-    const { startDate, endDate, errorMsg } = validateRequestDates(start, end);
+    const { startDate, endDate, errorMsg } = validateRequestDates(
+      start,
+      end,
+      req.query.days,
+      resolution,
+    );
     if (errorMsg) {
       return res.status(400).json({ message: errorMsg });
     }
 
-    if (!req.app.locals.models?.TokenPrice) {
-      throw new Error('TokenPrice model is not available');
+    const excludeImputed = parseExcludeImputed(req.query.excludeImputed);
+    if (excludeImputed === null) {
+      return res
+        .status(400)
+        .json({ message: 'Invalid excludeImputed parameter' });
+    }
+
+    const {
+      interval,
+      aggregation,
+      errorMsg: resamplingErrorMsg,
+    } = parseResampling(req.query.interval, req.query.agg, modelName, resolution);
+    if (resamplingErrorMsg) {
+      return res.status(400).json({ message: resamplingErrorMsg });
+    }
+    if (!canResample(req.app, interval)) {
+      return res
+        .status(501)
+        .json({ message: 'Resampling requires the TimescaleDB extension' });
+    }
+
+    const { output, errorMsg: outputErrorMsg } = parseOutputParameters(
+      req,
+      modelName,
+      aggregation,
+    );
+    if (outputErrorMsg) {
+      return res.status(400).json({ message: outputErrorMsg });
+    }
+
+    if (!req.app.locals.models?.Token) {
+      throw new Error('Token model is not available');
+    }
+    if (!req.app.locals.models?.[modelName]) {
+      throw new Error(`${modelName} model is not available`);
+    }
+
+    const registeredToken = await req.app.locals.models.Token.findByPk(
+      token.toUpperCase(),
+    );
+    if (!registeredToken) {
+      return res.status(400).json({ message: 'Invalid token parameter' });
     }
 
     let whereClause = {
       token_symbol: token.toUpperCase(),
     };
     whereClause = addDatesToWhereClause(whereClause, startDate, endDate);
+    if (excludeImputed) {
+      whereClause.is_imputed = false;
+    }
+
+    return await sendHistory(req, res, {
+      property: 'priceData',
+      filename: `price-history-${token.toUpperCase()}`,
+      modelName,
+      whereClause,
+      interval,
+      aggregation,
+      output,
+    });
+  } catch (error) {
+    console.error(
+      `Error in /price-history for token ${req.query.token}:`,
+      error,
+    );
+    return res.status(500).json({ message: 'An unexpected error occurred.' });
+  }
+});
+
+/**
+ * Retrieves the latest price of tokens from the TokenPrice table, or the TokenPriceHourly table
+ * at the hourly resolution.
+ *
+ * Frontend Uses:
+ *  - Display the current token prices on the simulation pages
+ *
+ * @param {string} [req.query.tokens] - Optional comma-separated symbols of registered tokens
+ *                                      (e.g., "WETH,WBTC"); every active token if omitted
+ * @param {string} [req.query.resolution] - Optional "daily" (default) or "hourly"
+ * @returns {Object} JSON object with a 'prices' property containing an array, in the order of
+ *                   the tokens parameter (by symbol if omitted), with the 'timestamp',
+ *                   'token_symbol', 'price_usd' and 'is_imputed' of the latest row of each token
+ *                   (null if the token has no rows), its 'age_seconds' and whether it
+ *                   'is_stale' (see STALE_AFTER_INTERVALS)
+ * @throws {400} If tokens parameter is invalid or lists unknown tokens, or if resolution
+ *               parameter is invalid
+ * @throws {500} If an unexpected server error occurs
+ */
+router.get('/prices/latest', async (req, res) => {
+  try {
+    const symbols = parseTokens(req.query.tokens);
+    if (symbols === null) {
+      return res.status(400).json({ message: 'Invalid tokens parameter' });
+    }
+
+    const resolution = parseResolution(req.query.resolution);
+    if (!resolution) {
+      return res.status(400).json({ message: 'Invalid resolution parameter' });
+    }
+    const modelName =
+      resolution === 'hourly' ? 'TokenPriceHourly' : 'TokenPrice';
+
+    const { models } = req.app.locals;
+    if (!models?.Token) {
+      throw new Error('Token model is not available');
+    }
+    if (!models?.[modelName]) {
+      throw new Error(`${modelName} model is not available`);
+    }
+
+    const tokens = await models.Token.findAll({
+      where: symbols ? { token_symbol: symbols } : { is_active: true },
+      order: [['token_symbol', 'ASC']],
+    });
+    const registered = tokens.map((token) => token.token_symbol);
+    const unknown = (symbols ?? []).filter(
+      (symbol) => !registered.includes(symbol),
+    );
+    if (unknown.length > 0) {
+      return res
+        .status(400)
+        .json({ message: `Unknown tokens: ${unknown.join(', ')}` });
+    }
+
+    const selected = symbols ?? registered;
+    const rows = await findLatestRows(
+      models[modelName],
+      'token_symbol',
+      selected,
+    );
+    const now = new Date();
+    return res.json({
+      prices: selected.map((symbol, index) => ({
+        ...describeLatestRow(rows[index], modelName, resolution, now),
+        token_symbol: symbol,
+      })),
+    });
+  } catch (error) {
+    console.error('Error in /prices/latest:', error);
+    return res.status(500).json({ message: 'An unexpected error occurred.' });
+  }
+});
 
-    const priceData = await req.app.locals.models.TokenPrice.findAll({
+/**
+ * Retrieves several token price, pool and staking series aligned on a common timeline, so that a
+ * simulation can read all of its inputs in one request instead of joining them on the timestamp.
+ *
+ * Frontend Uses:
+ *  - Chart a pool next to the prices of its tokens on the LP simulation page
+ * Backend Uses:
+ *  - Used to run simulations
+ *
+ * @param {string} req.query.series - Comma-separated series, each "price:<token symbol>",
+ *                                    "pool:<pool address>" or "staking" (at most 10)
+ * @param {string} [req.query.start] - Optional start date in ISO 8601 format (e.g., "2023-01-01")
+ * @param {string} [req.query.end] - Optional end date in ISO 8601 format (e.g., "2023-12-31")
+ * @param {string} [req.query.days] - Optional number of days before the end date (or now) to
+ *                                    return, in place of a start date; at most HISTORY_DAYS
+ *                                    (HOURLY_HISTORY_DAYS at the hourly resolution)
+ * @param {string} [req.query.excludeImputed] - Optional "true" to leave out imputed rows, which
+ *                                              are then reported as gaps
+ * @param {string} [req.query.resolution] - Optional "daily" (default) or "hourly"; staking is
+ *                                          only available daily
+ * @returns {Object} JSON object with a 'series' property listing each series with its 'name',
+ *                   'type', 'key', value 'fields', 'count' of rows and 'gaps' (ranges of
+ *                   missing timestamps with their 'start', 'end' and 'count'), and a 'rows'
+ *                   property with one object per timestamp from the first to the last row of any
+ *                   series, holding the 'timestamp' and, under each series name, an object with
+ *                   its fields, or null where the series has no row
+ * @throws {400} If series parameter is missing, invalid or names an unknown token or pool, or if
+ *               start/end, days, excludeImputed or resolution parameters are invalid, start is
+ *               after end or both start and days are given, or if staking is requested at the
+ *               hourly resolution
+ * @throws {500} If an unexpected server error occurs
+ */
+router.get('/series', async (req, res) => {
+  try {
+    const { start, end } = req.query;
+
+    const { specs, errorMsg: seriesErrorMsg } = parseSeriesSpecs(
+      req.query.series,
+    );
+    if (seriesErrorMsg) {
+      return res.status(400).json({ message: seriesErrorMsg });
+    }
+
+    const resolution = parseResolution(req.query.resolution);
+    if (!resolution) {
+      return res.status(400).json({ message: 'Invalid resolution parameter' });
+    }
+
+    const { startDate, endDate, errorMsg } = validateRequestDates(
+      start,
+      end,
+      req.query.days,
+      resolution,
+    );
+    if (errorMsg) {
+      return res.status(400).json({ message: errorMsg });
+    }
+
+    const excludeImputed = parseExcludeImputed(req.query.excludeImputed);
+    if (excludeImputed === null) {
+      return res
+        .status(400)
+        .json({ message: 'Invalid excludeImputed parameter' });
+    }
+
+    const unavailable = specs.find(
+      ({ type }) => !SERIES_TYPES[type].models[resolution],
+    );
+    if (unavailable) {
+      return res.status(400).json({
+        message: `Series ${getSeriesName(unavailable)} has no ${resolution} resolution`,
+      });
+    }
+
+    const { models } = req.app.locals;
+    specs.forEach(({ type }) => {
+      const { models: modelNames, registryModel } = SERIES_TYPES[type];
+      [modelNames[resolution], registryModel]
+        .filter(Boolean)
+        .forEach((modelName) => {
+          if (!models?.[modelName]) {
+            throw new Error(`${modelName} model is not available`);
+          }
+        });
+    });
+
+    // Every token and pool must be registered; parseSeriesSpecs already normalized the case
+    // of the keys to the registry's
+    const registered = await Promise.all(
+      specs.map(async (spec) => {
+        const { keyColumn, registryModel } = SERIES_TYPES[spec.type];
+        if (!registryModel) {
+          return spec;
+        }
+        const entry = await models[registryModel].findByPk(spec.key);
+        return entry && { ...spec, key: entry[keyColumn] };
+      }),
+    );
+    const unknown = specs.filter((_, index) => !registered[index]);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        message: `Unknown series: ${unknown.map(getSeriesName).join(', ')}`,
+      });
+    }
+
+    const series = await Promise.all(
+      registered.map(async (spec) => {
+        const { models: modelNames, keyColumn } = SERIES_TYPES[spec.type];
+        const modelName = modelNames[resolution];
+        const fields = getValueFields(modelName);
+        let whereClause = keyColumn ? { [keyColumn]: spec.key } : {};
+        whereClause = addDatesToWhereClause(whereClause, startDate, endDate);
+        if (excludeImputed) {
+          whereClause.is_imputed = false;
+        }
+        const rows = await models[modelName].findAll({
+          attributes: ['timestamp', ...fields],
+          where: whereClause,
+          order: [['timestamp', 'ASC']],
+          raw: true,
+        });
+        return {
+          ...spec,
+          name: getSeriesName(spec),
+          fields,
+          rows,
+        };
+      }),
+    );
+
+    const { rows, gaps } = alignSeries(series, resolution);
+    return res.json({
+      series: series.map(
+        ({
+          name,
+          type,
+          key,
+          fields,
+          rows: seriesRows,
+        }) => ({
+          name,
+          type,
+          key: key ?? null,
+          fields,
+          count: seriesRows.length,
+          gaps: gaps[name],
+        }),
+      ),
+      rows,
+    });
+  } catch (error) {
+    console.error(`Error in /series for ${req.query.series}:`, error);
+    return res.status(500).json({ message: 'An unexpected error occurred.' });
+  }
+});
+
+/**
+ * Computes risk analytics of token prices from the TokenPrice table: daily log returns, rolling
+ * volatility, maximum drawdown and the correlation of the returns of the tokens, optionally over
+ * a date range.
+ *
+ * Frontend Uses:
+ *  - Display the risk view of the tokens of a simulation
+ *
+ * @param {string} req.query.tokens - Comma-separated symbols of registered tokens
+ *                                    (e.g., "WETH,WBTC")
+ * @param {string} [req.query.start] - Optional start date in ISO 8601 format (e.g., "2023-01-01")
+ * @param {string} [req.query.end] - Optional end date in ISO 8601 format (e.g., "2023-12-31")
+ * @param {string} [req.query.days] - Optional number of days before the end date (or now) to
+ *                                    analyze, in place of a start date; at most HISTORY_DAYS
+ * @param {string} [req.query.excludeImputed] - Optional "true" to leave out imputed prices
+ * @param {string} [req.query.windows] - Optional comma-separated rolling volatility windows in
+ *                                       days (default: "7,30", each between 2 and 365)
+ * @returns {Object} JSON object with a 'tokens' property containing, in the order of the tokens
+ *                   parameter, objects with the 'token_symbol', the 'count' of prices, their
+ *                   daily 'returns' ('timestamp' and 'log_return'), the annualized 'volatility'
+ *                   of each window by name (e.g., '7d': [{ timestamp, volatility }, ...]) and
+ *                   the 'max_drawdown' ('value', 'peak' and 'trough'), a 'windows' property
+ *                   listing the windows and a 'correlations' property with the correlation of
+ *                   the returns of every pair of tokens (null with fewer than two common days)
+ * @throws {400} If tokens parameter is missing, invalid or lists unknown tokens, or if
+ *               start/end, days, excludeImputed or windows parameters are invalid, start is after
+ *               end or both start and days are given
+ * @throws {500} If an unexpected server error occurs
+ */
+router.get('/analytics/price', async (req, res) => {
+  try {
+    const { tokens, start, end } = req.query;
+
+    if (!tokens) {
+      return res.status(400).json({ message: 'Missing tokens parameter' });
+    }
+    const symbols = parseTokens(tokens);
+    if (!symbols) {
+      return res.status(400).json({ message: 'Invalid tokens parameter' });
+    }
+
+    const { startDate, endDate, errorMsg } = validateRequestDates(
+      start,
+      end,
+      req.query.days,
+    );
+    if (errorMsg) {
+      return res.status(400).json({ message: errorMsg });
+    }
+
+    const excludeImputed = parseExcludeImputed(req.query.excludeImputed);
+    if (excludeImputed === null) {
+      return res
+        .status(400)
+        .json({ message: 'Invalid excludeImputed parameter' });
+    }
+
+    const { windows, errorMsg: windowsErrorMsg } = parseVolatilityWindows(
+      req.query.windows,
+    );
+    if (windowsErrorMsg) {
+      return res.status(400).json({ message: windowsErrorMsg });
+    }
+
+    const { models } = req.app.locals;
+    if (!models?.Token || !models?.TokenPrice) {
+      throw new Error('Token and TokenPrice models are not available');
+    }
+
+    const registered = (
+      await models.Token.findAll({ where: { token_symbol: symbols } })
+    ).map((token) => token.token_symbol);
+    const unknown = symbols.filter((symbol) => !registered.includes(symbol));
+    if (unknown.length > 0) {
+      return res
+        .status(400)
+        .json({ message: `Unknown tokens: ${unknown.join(', ')}` });
+    }
+
+    let whereClause = { token_symbol: symbols };
+    whereClause = addDatesToWhereClause(whereClause, startDate, endDate);
+    if (excludeImputed) {
+      whereClause.is_imputed = false;
+    }
+    const rows = await models.TokenPrice.findAll({
+      attributes: ['timestamp', 'token_symbol', 'price_usd'],
       where: whereClause,
       order: [['timestamp', 'ASC']],
+      raw: true,
     });
 
-    return res.json({ priceData });
+    const analytics = symbols.map((symbol) => {
+      const prices = rows.filter((row) => row.token_symbol === symbol);
+      const returns = computeLogReturns(prices);
+      return {
+        token_symbol: symbol,
+        count: prices.length,
+        returns,
+        volatility: Object.fromEntries(
+          windows.map((window) => [
+            `${window}d`,
+            computeRollingVolatility(returns, window),
+          ]),
+        ),
+        max_drawdown: computeMaxDrawdown(prices),
+      };
+    });
+    return res.json({
+      tokens: analytics,
+      windows,
+      correlations: computeCorrelationMatrix(
+        Object.fromEntries(
+          analytics.map(({ token_symbol: symbol, returns }) => [
+            symbol,
+            returns,
+          ]),
+        ),
+      ),
+    });
   } catch (error) {
     console.error(
-      `Error in /price-history for token ${req.query.token}:`,
+      `Error in /analytics/price for tokens ${req.query.tokens}:`,
       error,
     );
     return res.status(500).json({ message: 'An unexpected error occurred.' });
@@ -0,0 +1,244 @@
+import express from 'express';
+import requireApiKey from '../middleware/requireApiKey.js';
+import { INGESTION_TRIGGERS } from '../data/ingestion.js';
+import { getSourceNames } from '../data/sources.js';
+import loadRegistry, { findUnknownSeries } from '../data/registry.js';
+import { CONFLICT_STRATEGIES } from '../data/saver.js';
+import { RESOLUTIONS } from '../config/resolutions.js';
+
+const router = express.Router();
+
+const DEFAULT_RUNS_LIMIT = 20;
+const MAX_RUNS_LIMIT = 100;
+const RUN_STATUSES = ['running', 'succeeded', 'partial', 'failed'];
+
+/**
+ * Checks that a value is omitted or an array of non-empty strings.
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is valid
+ */
+function isOptionalStringArray(value) {
+  return (
+    value === undefined ||
+    (Array.isArray(value) &&
+      value.every((item) => typeof item === 'string' && item.trim() !== ''))
+  );
+}
+
+/**
+ * Validates the body of an ingestion request and turns it into data handler options.
+ * @param {Object} [body] - Request body
+ * @returns {{options?: Object, errorMsg?: string}} Data handler options, or an error message if
+ *                                                  the body is invalid
+ */
+function parseIngestionRequest(body = {}) {
+  const { sources, tokens, pools } = body;
+  const { start, end, onConflict } = body;
+  const { resolution } = body;
+
+  if (resolution !== undefined && !RESOLUTIONS.includes(resolution)) {
+    return { errorMsg: 'Invalid resolution parameter' };
+  }
+  if (
+    !isOptionalStringArray(sources) ||
+    sources?.length === 0 ||
+    sources?.some(
+      (source) => !getSourceNames(resolution ?? 'daily').includes(source),
+    )
+  ) {
+    return { errorMsg: 'Invalid sources parameter' };
+  }
+  if (!isOptionalStringArray(tokens)) {
+    return { errorMsg: 'Invalid tokens parameter' };
+  }
+  if (!isOptionalStringArray(pools)) {
+    return { errorMsg: 'Invalid pools parameter' };
+  }
+  const startDate = start === undefined ? undefined : new Date(start);
+  if (
+    startDate &&
+    (typeof start !== 'string' || Number.isNaN(startDate.getTime()))
+  ) {
+    return { errorMsg: 'Invalid start date' };
+  }
+  const endDate = end === undefined ? undefined : new Date(end);
+  if (endDate && (typeof end !== 'string' || Number.isNaN(endDate.getTime()))) {
+    return { errorMsg: 'Invalid end date' };
+  }
+  if (startDate && endDate && startDate > endDate) {
+    return { errorMsg: 'Start date must be before end date' };
+  }
+  if (onConflict !== undefined && !CONFLICT_STRATEGIES.includes(onConflict)) {
+    return { errorMsg: 'Invalid onConflict parameter' };
+  }
+
+  return {
+    options: Object.fromEntries(
+      Object.entries({
+        incremental: !startDate,
+        resolution,
+        sources,
+        tokens,
+        pools,
+        start: startDate,
+        end: endDate,
+        onConflict,
+      }).filter(([, value]) => value !== undefined),
+    ),
+  };
+}
+
+/**
+ * Starts an ingestion run of the full pipeline or of a subset of it and responds without waiting
+ * for it to finish; poll GET /runs/:id for its progress. Requires the admin API key in the
+ * 'x-api-key' header.
+ *
+ * Without a start date the run is incremental, like the nightly cron job.
+ *
+ * @param {string} [req.body.resolution] - "daily" (default) or "hourly" series to ingest
+ * @param {string[]} [req.body.sources] - Registered sources of the resolution to fetch from
+ *                                        (e.g., "defillama", "coingecko", "uniswap"; default:
+ *                                        all)
+ * @param {string[]} [req.body.tokens] - Symbols of the tokens to fetch (default: all active)
+ * @param {string[]} [req.body.pools] - Names or addresses of the pools to fetch (default: all
+ *                                      active)
+ * @param {string} [req.body.start] - Optional ISO date to fetch and save from
+ * @param {string} [req.body.end] - Optional ISO date to save until
+ * @param {string} [req.body.onConflict] - "skip" (default) or "overwrite" already stored days
+ * @returns {Object} 202 with a JSON object containing the started 'run' and its 'statusUrl'
+ * @throws {400} If a parameter is invalid, or a token or pool is not in the active registry
+ * @throws {409} If an ingestion run is already in progress
+ * @throws {500} If an unexpected server error occurs
+ */
+router.post('/', requireApiKey, async (req, res) => {
+  try {
+    const { options, errorMsg } = parseIngestionRequest(req.body);
+    if (errorMsg) {
+      return res.status(400).json({ message: errorMsg });
+    }
+
+    if (options.tokens || options.pools) {
+      const unknownSeries = findUnknownSeries(
+        await loadRegistry(req.app),
+        options,
+      );
+      if (unknownSeries) {
+        return res.status(400).json({ message: unknownSeries });
+      }
+    }
+
+    if (!req.app.locals.startDataFetch) {
+      throw new Error('Data fetch is not available');
+    }
+
+    const started = await req.app.locals.startDataFetch('manual', options);
+    if (!started) {
+      return res
+        .status(409)
+        .json({ message: 'An ingestion run is already in progress' });
+    }
+
+    return res.status(202).json({
+      run: started.run,
+      statusUrl: `${req.baseUrl}/runs/${started.run.id}`,
+    });
+  } catch (error) {
+    console.error('Error in /ingestion:', error);
+    return res.status(500).json({ message: 'An unexpected error occurred.' });
+  }
+});
+
+/**
+ * Retrieves the most recent ingestion runs from the IngestionRun table, newest first.
+ *
+ * Uses:
+ *  - Check when data was last fetched and whether a source or series stopped updating
+ *
+ * @param {string} [req.query.limit] - Optional number of runs to return (default: 20, max: 100)
+ * @param {string} [req.query.status] - Optional status filter ("running", "succeeded",
+ *                                      "partial" or "failed")
+ * @param {string} [req.query.trigger] - Optional trigger filter ("cron", "startup", "manual" or
+ *                                       "backfill")
+ * @returns {Object} JSON object with a 'runs' property containing an array of runs, each with
+ *                   'id', 'trigger', 'status', 'started_at', 'finished_at', 'sources',
+ *                   'failed_series', 'rows_written' and 'error_message'
+ * @throws {400} If limit, status or trigger is invalid
+ * @throws {500} If an unexpected server error occurs
+ */
+router.get('/runs', async (req, res) => {
+  try {
+    const { limit, status, trigger } = req.query;
+
+    const numRuns = limit === undefined ? DEFAULT_RUNS_LIMIT : Number(limit);
+    if (!Number.isInteger(numRuns) || numRuns < 1 || numRuns > MAX_RUNS_LIMIT) {
+      return res.status(400).json({
+        message: `limit must be an integer between 1 and ${MAX_RUNS_LIMIT}`,
+      });
+    }
+    if (status !== undefined && !RUN_STATUSES.includes(status)) {
+      return res.status(400).json({ message: 'Invalid status parameter' });
+    }
+    if (trigger !== undefined && !INGESTION_TRIGGERS.includes(trigger)) {
+      return res.status(400).json({ message: 'Invalid trigger parameter' });
+    }
+
+    if (!req.app.locals.models?.IngestionRun) {
+      throw new Error('IngestionRun model is not available');
+    }
+
+    const whereClause = {};
+    if (status) {
+      whereClause.status = status;
+    }
+    if (trigger) {
+      whereClause.trigger = trigger;
+    }
+
+    const runs = await req.app.locals.models.IngestionRun.findAll({
+      where: whereClause,
+      order: [
+        ['started_at', 'DESC'],
+        ['id', 'DESC'],
+      ],
+      limit: numRuns,
+    });
+
+    return res.json({ runs });
+  } catch (error) {
+    console.error('Error in /ingestion/runs:', error);
+    return res.status(500).json({ message: 'An unexpected error occurred.' });
+  }
+});
+
+/**
+ * Retrieves a single ingestion run from the IngestionRun table.
+ *
+ * @param {string} req.params.id - Id of the run
+ * @returns {Object} JSON object with a 'run' property (see GET /runs for its fields)
+ * @throws {400} If id is not a positive integer
+ * @throws {404} If the run does not exist
+ * @throws {500} If an unexpected server error occurs
+ */
+router.get('/runs/:id', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id < 1) {
+      return res.status(400).json({ message: 'Invalid id parameter' });
+    }
+
+    if (!req.app.locals.models?.IngestionRun) {
+      throw new Error('IngestionRun model is not available');
+    }
+
+    const run = await req.app.locals.models.IngestionRun.findByPk(id);
+    if (!run) {
+      return res.status(404).json({ message: 'Ingestion run not found' });
+    }
+    return res.json({ run });
+  } catch (error) {
+    console.error(`Error in /ingestion/runs/${req.params.id}:`, error);
+    return res.status(500).json({ message: 'An unexpected error occurred.' });
+  }
+});
+
+export default router;
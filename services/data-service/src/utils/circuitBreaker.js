@@ -0,0 +1,112 @@
+import { getCircuitBreakerSettings } from '../config/circuitBreaker.js';
+
+/**
+ * Code of the error thrown for requests rejected by an open circuit.
+ */
+export const CIRCUIT_OPEN = 'CIRCUIT_OPEN';
+
+/**
+ * Creates a circuit breaker that stops calls to a failing dependency. The circuit is 'closed'
+ * while calls succeed and opens after `failureThreshold` consecutive failures. An 'open' circuit
+ * rejects calls until `resetTimeout` has passed, then turns 'half-open' and lets a single trial
+ * call through: the circuit closes if it succeeds and opens again if it fails.
+ *
+ * @param {Object} [options] - Circuit breaker options
+ * @param {string} [options.name='dependency'] - Name of the dependency, for error messages
+ * @param {number} [options.failureThreshold=5] - Consecutive failures that open the circuit
+ * @param {number} [options.resetTimeout=30000] - Milliseconds before an open circuit half-opens
+ * @param {function(): number} [options.now=Date.now] - Clock, in milliseconds
+ * @returns {{
+ *   call: function(function(): Promise<*>, function(Error): boolean=): Promise<*>,
+ *   getState: function(): string
+ * }} Circuit breaker that runs calls, counting the errors for which the optional predicate
+ *    returns true (default: all of them) as failures, and reports its state.
+ */
+export function createCircuitBreaker({
+  name = 'dependency',
+  failureThreshold = 5,
+  resetTimeout = 30000,
+  now = Date.now,
+} = {}) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+
+  function getState() {
+    if (state === 'open' && now() - openedAt >= resetTimeout) {
+      state = 'half-open';
+    }
+    return state;
+  }
+
+  function open() {
+    state = 'open';
+    openedAt = now();
+  }
+
+  async function call(fn, isFailure = () => true) {
+    const current = getState();
+    if (current === 'open' || (current === 'half-open' && trialInFlight)) {
+      const retryAt = new Date(openedAt + resetTimeout).toISOString();
+      throw Object.assign(
+        new Error(`Circuit open for ${name}, retrying after ${retryAt}`),
+        { code: CIRCUIT_OPEN },
+      );
+    }
+
+    const isTrial = current === 'half-open';
+    trialInFlight = isTrial;
+    try {
+      const result = await fn();
+      state = 'closed';
+      failures = 0;
+      return result;
+    } catch (error) {
+      if (isFailure(error)) {
+        failures += 1;
+        if (isTrial || failures >= failureThreshold) {
+          open();
+        }
+      } else if (isTrial) {
+        // The dependency answered, so it is up again
+        state = 'closed';
+        failures = 0;
+      }
+      throw error;
+    } finally {
+      if (isTrial) {
+        trialInFlight = false;
+      }
+    }
+  }
+
+  return { call, getState };
+}
+
+const endpointBreakers = new Map();
+
+/**
+ * Returns the shared circuit breaker of an upstream endpoint, created with the configured
+ * settings (see getCircuitBreakerSettings), so that every request to the endpoint trips and
+ * waits for the same circuit.
+ * @param {string} endpoint - Base URL of the upstream API, e.g. process.env.GRAPH_API_URL
+ * @returns {Object} Circuit breaker (see createCircuitBreaker)
+ * @throws {Error} If the circuit breaker settings are misconfigured.
+ */
+export function getCircuitBreaker(endpoint) {
+  if (!endpointBreakers.has(endpoint)) {
+    endpointBreakers.set(
+      endpoint,
+      createCircuitBreaker({ name: endpoint, ...getCircuitBreakerSettings() }),
+    );
+  }
+  return endpointBreakers.get(endpoint);
+}
+
+/**
+ * Drops the shared circuit breakers, closing every circuit.
+ */
+export function resetCircuitBreakers() {
+  endpointBreakers.clear();
+}
@@ -1,54 +1,256 @@
+import { CIRCUIT_OPEN } from './circuitBreaker.js';
+
 /**
  * Default retry configuration
  */
 const DEFAULT_MAX_RETRIES = 3;
 const DEFAULT_INITIAL_DELAY = 1000;
+const DEFAULT_MAX_DELAY = 60000;
+
+/**
+ * HTTP statuses worth retrying: timeouts, rate limiting and server errors. Other 4xx responses
+ * (bad parameters, unknown ids, missing credentials) fail the same way on every attempt.
+ */
+const RETRYABLE_STATUSES = new Set([408, 425, 429]);
 
 /**
- * Creates a promise that resolves after a specified delay
+ * GraphQL errors that reject the query itself, which fails the same way on every attempt. A
+ * subgraph answers them with HTTP 200, like the transient errors of its indexer (e.g. an
+ * unavailable store or a timed out query), which are retried.
+ */
+const GRAPHQL_VALIDATION_CODES = new Set([
+  'GRAPHQL_PARSE_FAILED',
+  'GRAPHQL_VALIDATION_FAILED',
+  'BAD_USER_INPUT',
+]);
+const GRAPHQL_VALIDATION_MESSAGE =
+  /^(Syntax Error|Cannot query field|Unknown argument|Unknown type|Type .+ has no field|Variable .+ of (required )?type)/i;
+
+/**
+ * Ways of randomizing the backoff delay, so that requests that failed together are not retried
+ * in lockstep:
+ *  - none: initialDelay doubled after every attempt
+ *  - full: random delay between 0 and the doubled delay
+ *  - decorrelated: random delay between initialDelay and three times the previous delay
+ */
+export const JITTER_MODES = Object.freeze(['none', 'full', 'decorrelated']);
+
+/**
+ * Creates a promise that resolves after a specified delay, or rejects with the abort reason
+ * when the signal is aborted first
  * @param {number} ms - The delay in milliseconds
+ * @param {AbortSignal} [signal] - Signal that cancels the delay
  * @returns {Promise<void>}
  */
-// eslint-disable-next-line no-promise-executor-return
-const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    let timer;
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+
+/**
+ * Computes the backoff delay before the next attempt
+ * @param {string} jitter - Jitter mode, one of JITTER_MODES
+ * @param {number} attempt - Number of the failed attempt, starting at 1
+ * @param {number} previous - Delay before the failed attempt (initialDelay for the first one)
+ * @param {number} initialDelay - Initial delay in milliseconds
+ * @param {number} maxDelay - Maximum delay in milliseconds
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelay(jitter, attempt, previous, initialDelay, maxDelay) {
+  if (jitter === 'decorrelated') {
+    const upper = Math.max(previous * 3, initialDelay);
+    return Math.min(
+      maxDelay,
+      initialDelay + Math.random() * (upper - initialDelay),
+    );
+  }
+  const delay = Math.min(maxDelay, initialDelay * 2 ** (attempt - 1));
+  return jitter === 'full' ? Math.random() * delay : delay;
+}
+
+/**
+ * Reads the HTTP status of a failed request, from an axios error or a graphql-request ClientError
+ * @param {Error} error - Error thrown by the request
+ * @returns {number|undefined} HTTP status, undefined if the request got no response
+ */
+function getStatus(error) {
+  return error?.response?.status;
+}
+
+/**
+ * Checks whether a graphql-request ClientError reports a query that is invalid
+ * @param {Error} error - Error thrown by the request
+ * @returns {boolean} Whether one of its GraphQL errors is a parse or validation error
+ */
+function isGraphQLValidationError(error) {
+  const errors = error?.response?.errors;
+  return (
+    Array.isArray(errors) &&
+    errors.some(
+      (graphQLError) =>
+        GRAPHQL_VALIDATION_CODES.has(graphQLError?.extensions?.code) ||
+        GRAPHQL_VALIDATION_MESSAGE.test(graphQLError?.message ?? ''),
+    )
+  );
+}
 
 /**
- * Retries a function with exponential backoff
+ * Decides whether a failed request is worth retrying: errors without an HTTP response (network
+ * errors, timeouts) are, and so are responses with a status in RETRYABLE_STATUSES or a 5xx status,
+ * and GraphQL errors returned with a 200 status unless they reject the query as invalid.
+ * Requests rejected by an open circuit or aborted are not.
+ * @param {Error} error - Error thrown by the request
+ * @returns {boolean} Whether to retry the request
+ */
+export function isRetryableError(error) {
+  if (error?.code === CIRCUIT_OPEN || error?.name === 'AbortError') {
+    return false;
+  }
+  const status = getStatus(error);
+  if (typeof status !== 'number') {
+    return true;
+  }
+  if (status === 200) {
+    return !isGraphQLValidationError(error);
+  }
+  return RETRYABLE_STATUSES.has(status) || status >= 500;
+}
+
+/**
+ * Reads the Retry-After header of a failed request, either a number of seconds or an HTTP date
+ * @param {Error} error - Error thrown by the request
+ * @param {function(): number} [now=Date.now] - Clock, in milliseconds
+ * @returns {number|undefined} Milliseconds to wait before retrying, undefined without a valid
+ *                             header
+ */
+export function getRetryAfter(error, now = Date.now) {
+  const headers = error?.response?.headers;
+  const value =
+    typeof headers?.get === 'function'
+      ? headers.get('retry-after')
+      : headers?.['retry-after'];
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return undefined;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return seconds >= 0 ? seconds * 1000 : undefined;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(date - now(), 0);
+}
+
+/**
+ * Retries a function with exponential backoff. Errors that are not retryable are thrown at once,
+ * and a Retry-After header on a failed request replaces the backoff delay of that attempt. A
+ * Retry-After longer than maxDelay is never shortened, since retrying early would spend the rate
+ * limit again: the request fails instead.
  * @param {Function} fn - The function to retry
  * @param {Object} options - Retry options
  * @param {number} options.retries - Maximum number of retries
  * @param {number} options.initialDelay - Initial delay in milliseconds
+ * @param {number} options.maxDelay - Maximum delay between attempts in milliseconds
+ * @param {string} options.jitter - Randomization of the delay, one of JITTER_MODES
  * @param {boolean} options.verbose - Whether to log retry attempts
+ * @param {AbortSignal} [options.signal] - Signal that stops further attempts and waiting; the
+ *                                         promise rejects with its reason
+ * @param {function(Error): boolean} [options.shouldRetry] - Whether an error is worth retrying
+ *                                                           (default: isRetryableError)
+ * @param {function(Object): void} [options.onRetry] - Called before waiting for the next attempt
+ *                                                     with the failed attempt number, retries,
+ *                                                     delay in milliseconds and error, e.g. for
+ *                                                     metrics
+ * @param {Object} [options.scheduler] - Request scheduler that runs each attempt and is paused
+ *                                       for a Retry-After delay (see createRequestScheduler)
+ * @param {Object} [options.circuitBreaker] - Circuit breaker that each attempt goes through and
+ *                                            whose failures are the errors worth retrying (see
+ *                                            createCircuitBreaker)
  * @returns {Promise<any>} - Result of the function
+ * @throws {Error} The last error of the function, an error whose cause is the last error if its
+ *                 Retry-After exceeds maxDelay, or an error for an invalid jitter mode.
  */
 export default async function retry(
   fn,
   {
     retries = DEFAULT_MAX_RETRIES,
     initialDelay = DEFAULT_INITIAL_DELAY,
+    maxDelay = DEFAULT_MAX_DELAY,
+    jitter = 'none',
     verbose = false,
+    signal,
+    shouldRetry = isRetryableError,
+    onRetry,
+    scheduler,
+    circuitBreaker,
   } = {},
 ) {
+  if (!JITTER_MODES.includes(jitter)) {
+    throw new Error(
+      `Invalid jitter: ${jitter}, must be one of ${JITTER_MODES.join(', ')}`,
+    );
+  }
+
+  const attemptOnce = circuitBreaker
+    ? () => circuitBreaker.call(fn, shouldRetry)
+    : fn;
   let delay = initialDelay;
   let attempt = 1;
 
   /* eslint-disable no-await-in-loop */
   while (attempt <= retries) {
+    signal?.throwIfAborted();
     try {
-      return await fn();
+      return await (scheduler
+        ? scheduler.schedule(attemptOnce)
+        : attemptOnce());
     } catch (error) {
-      if (attempt === retries) {
+      if (attempt === retries || signal?.aborted || !shouldRetry(error)) {
         throw error;
       }
 
+      delay = getBackoffDelay(jitter, attempt, delay, initialDelay, maxDelay);
+      const retryAfter = getRetryAfter(error);
+      if (retryAfter !== undefined) {
+        scheduler?.pause(retryAfter);
+        if (retryAfter > maxDelay) {
+          throw Object.assign(
+            new Error(
+              `Retry-After of ${retryAfter / 1000} seconds exceeds the maximum retry delay of ${maxDelay / 1000} seconds, giving up: ${error.message}`,
+              { cause: error },
+            ),
+            { response: error.response },
+          );
+        }
+      }
+      const wait = retryAfter ?? delay;
+
+      onRetry?.({
+        attempt,
+        retries,
+        delay: wait,
+        error,
+      });
       if (verbose) {
         console.log(
-          `Attempt ${attempt}/${retries} failed, retrying in ${delay / 1000} seconds...`,
+          `Attempt ${attempt}/${retries} failed, retrying in ${wait / 1000} seconds...`,
         );
       }
 
-      await sleep(delay); // Intentionally want to wait inside the loop
-      delay *= 2;
+      await sleep(wait, signal); // Intentionally want to wait inside the loop
       attempt += 1;
     }
   }
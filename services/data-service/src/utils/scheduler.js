@@ -0,0 +1,119 @@
+import { getRateLimit } from '../config/rateLimits.js';
+
+/**
+ * Creates a request scheduler that runs queued tasks in order, with at most `concurrency` of them
+ * in flight and starts limited by a token bucket of `burst` tokens that refills at
+ * `requestsPerSecond`. The scheduler can be paused, e.g. while a host asks clients to back off.
+ *
+ * @param {Object} [limits] - Request limits
+ * @param {number} [limits.concurrency=4] - Maximum number of tasks running at once
+ * @param {number} [limits.requestsPerSecond=5] - Rate at which tasks may start
+ * @param {number} [limits.burst=requestsPerSecond] - Number of tasks that may start at once
+ * @param {function(): number} [limits.now=Date.now] - Clock, in milliseconds
+ * @returns {{
+ *   schedule: function(function(): Promise<*>): Promise<*>,
+ *   pause: function(number): void,
+ *   pending: function(): number
+ * }} Scheduler that resolves each scheduled task with its result, can be paused for a number of
+ *    milliseconds and reports the number of queued and running tasks.
+ */
+export function createRequestScheduler({
+  concurrency = 4,
+  requestsPerSecond = 5,
+  burst = Math.max(requestsPerSecond, 1),
+  now = Date.now,
+} = {}) {
+  const queue = [];
+  let active = 0;
+  let tokens = burst;
+  let lastRefill = now();
+  let pausedUntil = 0;
+  let timer = null;
+
+  // Refills the token bucket and returns the milliseconds until the next task may start.
+  function getWaitMs() {
+    const time = now();
+    tokens = Math.min(
+      burst,
+      tokens + ((time - lastRefill) / 1000) * requestsPerSecond,
+    );
+    lastRefill = time;
+    const tokenWaitMs =
+      tokens >= 1 ? 0 : Math.ceil(((1 - tokens) / requestsPerSecond) * 1000);
+    return Math.max(pausedUntil - time, tokenWaitMs);
+  }
+
+  let drain;
+
+  function wait(ms) {
+    timer = setTimeout(() => {
+      timer = null;
+      drain();
+    }, ms);
+  }
+
+  function start(task) {
+    tokens -= 1;
+    active += 1;
+    Promise.resolve()
+      .then(task.fn)
+      .then(task.resolve, task.reject)
+      .finally(() => {
+        active -= 1;
+        drain();
+      });
+  }
+
+  drain = () => {
+    if (timer) {
+      return;
+    }
+    while (queue.length > 0 && active < concurrency) {
+      const waitMs = getWaitMs();
+      if (waitMs > 0) {
+        wait(waitMs);
+        return;
+      }
+      start(queue.shift());
+    }
+  };
+
+  return {
+    schedule(fn) {
+      return new Promise((resolve, reject) => {
+        queue.push({ fn, resolve, reject });
+        drain();
+      });
+    },
+    pause(ms) {
+      pausedUntil = Math.max(pausedUntil, now() + ms);
+    },
+    pending() {
+      return queue.length + active;
+    },
+  };
+}
+
+const hostSchedulers = new Map();
+
+/**
+ * Returns the shared request scheduler of the host of a URL, created with the host's request
+ * limits (see getRateLimit), so that every request to a host is limited together.
+ * @param {string} url - URL of the request
+ * @returns {Object} Request scheduler (see createRequestScheduler)
+ * @throws {Error} If the URL is invalid or the host's rate limits are misconfigured.
+ */
+export function getHostScheduler(url) {
+  const { host } = new URL(url);
+  if (!hostSchedulers.has(host)) {
+    hostSchedulers.set(host, createRequestScheduler(getRateLimit(host)));
+  }
+  return hostSchedulers.get(host);
+}
+
+/**
+ * Drops the shared host schedulers, so that they are created again with the current limits.
+ */
+export function resetHostSchedulers() {
+  hostSchedulers.clear();
+}
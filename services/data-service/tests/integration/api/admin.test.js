@@ -0,0 +1,106 @@
+import {
+  setupTestEnvironment,
+  teardownTestEnvironment,
+  resetTestDatabase,
+  seedTokenData,
+  seedPoolData,
+  initializeApp,
+  testClient,
+} from '../../setup.js';
+
+describe('/api/data/admin', () => {
+  let app;
+
+  beforeAll(async () => {
+    await setupTestEnvironment();
+    app = await initializeApp();
+    process.env.ADMIN_API_KEY = 'test-admin-key';
+  });
+
+  afterAll(async () => {
+    delete process.env.ADMIN_API_KEY;
+    await teardownTestEnvironment();
+  });
+
+  beforeEach(async () => {
+    await resetTestDatabase();
+    await seedTokenData();
+    await seedPoolData();
+  });
+
+  it('should reject requests without the API key', async () => {
+    const response = await testClient.request
+      .post('/api/data/admin/tokens')
+      .send({ token_symbol: 'LINK' });
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should register a token and a pool using it', async () => {
+    const tokenResponse = await testClient.request
+      .post('/api/data/admin/tokens')
+      .set('x-api-key', 'test-admin-key')
+      .send({
+        token_symbol: 'link',
+        decimals: 18,
+        coingecko_address: '0x514910771af9ca656af840dff83e8264ecf986ca',
+      });
+    expect(tokenResponse.status).toBe(201);
+    expect(tokenResponse.body.token.token_symbol).toBe('LINK');
+
+    const poolResponse = await testClient.request
+      .post('/api/data/admin/pools')
+      .set('x-api-key', 'test-admin-key')
+      .send({
+        pool_address: '0xa6cc3c2531fdaa6ae1a3ca84c2855806728693e8',
+        pool_name: 'linkWeth',
+        token0_symbol: 'LINK',
+        token1_symbol: 'WETH',
+        defillama_id: 'link-weth-llama-id',
+        fee_tier: 3000,
+      });
+    expect(poolResponse.status).toBe(201);
+
+    const pool = await app.locals.models.Pool.findByPk(
+      '0xa6cc3c2531fdaa6ae1a3ca84c2855806728693e8',
+    );
+    expect(pool.is_active).toBe(true);
+    expect(pool.fee_tier).toBe(3000);
+  });
+
+  it('should return 409 for a pool_name used by another pool', async () => {
+    const response = await testClient.request
+      .post('/api/data/admin/pools')
+      .set('x-api-key', 'test-admin-key')
+      .send({
+        pool_address: '0xa6cc3c2531fdaa6ae1a3ca84c2855806728693e8',
+        pool_name: 'wethUsdc',
+        token0_symbol: 'WETH',
+        token1_symbol: 'USDC',
+        defillama_id: 'other-llama-id',
+      });
+
+    expect(response.status).toBe(409);
+    expect(response.body).toEqual({
+      message: 'pool_name already used by another pool',
+    });
+  });
+
+  it('should deactivate a pool while keeping it queryable', async () => {
+    const response = await testClient.request
+      .delete(
+        '/api/data/admin/pools/0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640',
+      )
+      .set('x-api-key', 'test-admin-key');
+    expect(response.status).toBe(200);
+    expect(response.body.pool.is_active).toBe(false);
+
+    const poolsResponse = await testClient.request.get('/api/data/pools');
+    expect(poolsResponse.body.pools).toHaveLength(1);
+
+    const poolResponse = await testClient.request
+      .get('/api/data/pool')
+      .query({ address: '0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640' });
+    expect(poolResponse.status).toBe(200);
+  });
+});
@@ -0,0 +1,63 @@
+import {
+  setupTestEnvironment,
+  teardownTestEnvironment,
+  resetTestDatabase,
+  seedTokenData,
+  seedPriceData,
+  initializeApp,
+  testClient,
+} from '../../setup.js';
+
+describe('Price analytics', () => {
+  beforeAll(async () => {
+    await setupTestEnvironment();
+    await initializeApp();
+  });
+
+  afterAll(async () => {
+    await teardownTestEnvironment();
+  });
+
+  beforeEach(async () => {
+    await resetTestDatabase();
+    await seedTokenData();
+    await seedPriceData();
+  });
+
+  it('should compute the analytics of the stored prices', async () => {
+    const response = await testClient.request
+      .get('/api/data/analytics/price')
+      .query({ tokens: 'WETH', windows: '2' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.windows).toEqual([2]);
+    expect(response.body.tokens).toEqual([
+      {
+        token_symbol: 'WETH',
+        count: 2,
+        returns: [
+          {
+            timestamp: '2023-01-02T00:00:00.000Z',
+            log_return: expect.any(Number),
+          },
+        ],
+        volatility: { '2d': [] },
+        max_drawdown: { value: 0, peak: null, trough: null },
+      },
+    ]);
+    expect(response.body.tokens[0].returns[0].log_return).toBeCloseTo(
+      Math.log(1210.654321 / 1200.123457),
+      12,
+    );
+    expect(response.body.correlations).toEqual({ WETH: { WETH: null } });
+  });
+
+  it('should return 400 for an unknown token', async () => {
+    const response = await testClient.request
+      .get('/api/data/analytics/price')
+      .query({ tokens: 'WETH,XYZ' });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ message: 'Unknown tokens: XYZ' });
+  });
+});
@@ -1,6 +1,7 @@
 import {
   setupTestEnvironment,
   teardownTestEnvironment,
+  resetTestDatabase,
   seedStakingData,
   initializeApp,
   testClient,
@@ -19,7 +20,7 @@ describe('GET /api/data/apy-history', () => {
   });
 
   beforeEach(async () => {
-    await app.locals.sequelize.sync({ force: true });
+    await resetTestDatabase();
   });
 
   it('should retrieve APY history without date filters', async () => {
@@ -30,9 +31,23 @@ describe('GET /api/data/apy-history', () => {
     expect(response.status).toBe(200);
     expect(response.body).toEqual({
       apyHistory: [
-        { timestamp: '2023-01-01T00:00:00.000Z', apy_percentage: '5.01' },
-        { timestamp: '2023-01-02T00:00:00.000Z', apy_percentage: '5.12' },
+        {
+          timestamp: '2023-01-01T00:00:00.000Z',
+          apy_percentage: '5.01',
+          is_imputed: false,
+        },
+        {
+          timestamp: '2023-01-02T00:00:00.000Z',
+          apy_percentage: '5.12',
+          is_imputed: true,
+        },
       ],
+      meta: {
+        count: 2,
+        limit: null,
+        order: 'asc',
+        nextCursor: null,
+      },
     });
   });
 
@@ -46,8 +61,43 @@ describe('GET /api/data/apy-history', () => {
     expect(response.status).toBe(200);
     expect(response.body).toEqual({
       apyHistory: [
-        { timestamp: '2023-01-01T00:00:00.000Z', apy_percentage: '5.01' },
+        {
+          timestamp: '2023-01-01T00:00:00.000Z',
+          apy_percentage: '5.01',
+          is_imputed: false,
+        },
       ],
+      meta: {
+        count: 1,
+        limit: null,
+        order: 'asc',
+        nextCursor: null,
+      },
+    });
+  });
+
+  it('should exclude imputed rows when excludeImputed is true', async () => {
+    await seedStakingData();
+
+    const response = await testClient.request
+      .get('/api/data/apy-history')
+      .query({ excludeImputed: 'true' });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({
+      apyHistory: [
+        {
+          timestamp: '2023-01-01T00:00:00.000Z',
+          apy_percentage: '5.01',
+          is_imputed: false,
+        },
+      ],
+      meta: {
+        count: 1,
+        limit: null,
+        order: 'asc',
+        nextCursor: null,
+      },
     });
   });
 
@@ -100,6 +150,14 @@ describe('GET /api/data/apy-history', () => {
     const response = await testClient.request.get('/api/data/apy-history');
 
     expect(response.status).toBe(200);
-    expect(response.body).toEqual({ apyHistory: [] });
+    expect(response.body).toEqual({
+      apyHistory: [],
+      meta: {
+        count: 0,
+        limit: null,
+        order: 'asc',
+        nextCursor: null,
+      },
+    });
   });
 });
@@ -0,0 +1,136 @@
+import {
+  setupTestEnvironment,
+  teardownTestEnvironment,
+  seedTokenData,
+  seedPoolData,
+  initializeApp,
+  testClient,
+} from '../../setup.js';
+import dataHandler from '../../../src/data/handler.js';
+
+jest.mock('../../../src/data/handler.js');
+
+describe('/api/data/ingestion', () => {
+  let app;
+  let consoleLogSpy;
+  let consoleErrorSpy;
+
+  beforeAll(async () => {
+    await setupTestEnvironment();
+    app = await initializeApp();
+    await seedTokenData();
+    await seedPoolData();
+    process.env.ADMIN_API_KEY = 'test-admin-key';
+  });
+
+  afterAll(async () => {
+    delete process.env.ADMIN_API_KEY;
+    await teardownTestEnvironment();
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await app.locals.models.IngestionRun.destroy({ where: {} });
+    consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    consoleLogSpy.mockRestore();
+    consoleErrorSpy.mockRestore();
+  });
+
+  it('should reject requests without the API key', async () => {
+    const response = await testClient.request.post('/api/data/ingestion');
+
+    expect(response.status).toBe(401);
+    expect(dataHandler).not.toHaveBeenCalled();
+  });
+
+  it('should start a targeted run that can be polled until it finishes', async () => {
+    let finish;
+    dataHandler.mockReturnValueOnce(
+      new Promise((resolve) => {
+        finish = resolve;
+      }),
+    );
+
+    const response = await testClient.request
+      .post('/api/data/ingestion')
+      .set('x-api-key', 'test-admin-key')
+      .send({ sources: ['coingecko'], tokens: ['WETH'] });
+
+    expect(response.status).toBe(202);
+    expect(response.body.run.trigger).toBe('manual');
+    expect(response.body.run.status).toBe('running');
+    expect(dataHandler).toHaveBeenCalledWith(
+      app,
+      expect.objectContaining({
+        incremental: true,
+        sources: ['coingecko'],
+        tokens: ['WETH'],
+      }),
+    );
+
+    const concurrentResponse = await testClient.request
+      .post('/api/data/ingestion')
+      .set('x-api-key', 'test-admin-key');
+    expect(concurrentResponse.status).toBe(409);
+
+    finish();
+    await new Promise((resolve) => {
+      setTimeout(resolve, 100);
+    });
+
+    const pollResponse = await testClient.request.get(response.body.statusUrl);
+    expect(pollResponse.status).toBe(200);
+    expect(pollResponse.body.run.status).toBe('succeeded');
+  });
+
+  it('should return 400 for tokens and pools that are not registered', async () => {
+    const tokensResponse = await testClient.request
+      .post('/api/data/ingestion')
+      .set('x-api-key', 'test-admin-key')
+      .send({ tokens: ['WETH', 'XYZ'] });
+    const poolsResponse = await testClient.request
+      .post('/api/data/ingestion')
+      .set('x-api-key', 'test-admin-key')
+      .send({ pools: ['unknownPool'] });
+
+    expect(tokensResponse.status).toBe(400);
+    expect(tokensResponse.body).toEqual({
+      message: 'Unknown or inactive tokens: XYZ',
+    });
+    expect(poolsResponse.status).toBe(400);
+    expect(poolsResponse.body).toEqual({
+      message: 'Unknown or inactive pools: unknownPool',
+    });
+    expect(dataHandler).not.toHaveBeenCalled();
+    expect(await app.locals.models.IngestionRun.count()).toBe(0);
+  });
+
+  it('should return 400 for an invalid date range', async () => {
+    const response = await testClient.request
+      .post('/api/data/ingestion')
+      .set('x-api-key', 'test-admin-key')
+      .send({ start: '2023-02-01', end: '2023-01-01' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Start date must be before end date');
+  });
+
+  it('should list the most recent runs', async () => {
+    await app.locals.models.IngestionRun.bulkCreate([
+      { trigger: 'cron', status: 'succeeded', started_at: '2023-01-01' },
+      { trigger: 'manual', status: 'failed', started_at: '2023-01-02' },
+    ]);
+
+    const response = await testClient.request.get(
+      '/api/data/ingestion/runs?trigger=cron',
+    );
+
+    expect(response.status).toBe(200);
+    expect(response.body.runs).toHaveLength(1);
+    expect(response.body.runs[0].status).toBe('succeeded');
+  });
+});
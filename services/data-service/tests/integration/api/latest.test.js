@@ -0,0 +1,109 @@
+import {
+  setupTestEnvironment,
+  teardownTestEnvironment,
+  resetTestDatabase,
+  seedTokenData,
+  seedPoolData,
+  seedStakingData,
+  seedPriceData,
+  seedLpData,
+  initializeApp,
+  testClient,
+} from '../../setup.js';
+
+describe('Latest snapshots', () => {
+  beforeAll(async () => {
+    await setupTestEnvironment();
+    await initializeApp();
+  });
+
+  afterAll(async () => {
+    await teardownTestEnvironment();
+  });
+
+  beforeEach(async () => {
+    await resetTestDatabase();
+    await seedTokenData();
+    await seedPoolData();
+  });
+
+  it('should return the latest APY as stale once ingestion stopped', async () => {
+    await seedStakingData();
+
+    const response = await testClient.request.get('/api/data/apy/latest');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({
+      apy: {
+        timestamp: '2023-01-02T00:00:00.000Z',
+        apy_percentage: '5.12',
+        is_imputed: true,
+        age_seconds: expect.any(Number),
+        is_stale: true,
+      },
+    });
+    expect(response.body.apy.age_seconds).toBeGreaterThan(
+      (Date.now() - Date.parse('2023-01-03')) / 1000,
+    );
+  });
+
+  it('should return the latest price of the requested tokens', async () => {
+    await seedPriceData();
+
+    const response = await testClient.request
+      .get('/api/data/prices/latest')
+      .query({ tokens: 'WETH,USDC' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.prices).toEqual([
+      {
+        timestamp: '2023-01-02T00:00:00.000Z',
+        token_symbol: 'WETH',
+        price_usd: '1210.654321',
+        is_imputed: true,
+        age_seconds: expect.any(Number),
+        is_stale: true,
+      },
+      {
+        timestamp: null,
+        token_symbol: 'USDC',
+        price_usd: null,
+        is_imputed: null,
+        age_seconds: null,
+        is_stale: true,
+      },
+    ]);
+  });
+
+  it('should return 400 for an unknown token', async () => {
+    const response = await testClient.request
+      .get('/api/data/prices/latest')
+      .query({ tokens: 'WETH,XYZ' });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ message: 'Unknown tokens: XYZ' });
+  });
+
+  it('should return the latest row of each active pool', async () => {
+    await seedLpData();
+
+    const response = await testClient.request.get('/api/data/pools/latest');
+
+    expect(response.status).toBe(200);
+    expect(response.body.pools).toEqual([
+      expect.objectContaining({
+        pool_address: '0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640',
+        pool_name: 'wethUsdc',
+        timestamp: '2023-01-02T00:00:00.000Z',
+        tvl_usd: '1010000.987654',
+        is_stale: true,
+      }),
+      expect.objectContaining({
+        pool_address: '0x99ac8ca7087fa4a2a1fb6357269965a2014abc35',
+        pool_name: 'wbtcUsdc',
+        timestamp: null,
+        age_seconds: null,
+      }),
+    ]);
+  });
+});
@@ -1,6 +1,7 @@
 import {
   setupTestEnvironment,
   teardownTestEnvironment,
+  resetTestDatabase,
   seedTokenData,
   seedPoolData,
   seedLpData,
@@ -21,7 +22,7 @@ describe('GET /api/data/pool', () => {
   });
 
   beforeEach(async () => {
-    await app.locals.sequelize.sync({ force: true });
+    await resetTestDatabase();
   });
 
   it('should retrieve pool data for valid address without date filters', async () => {
@@ -42,6 +43,7 @@ describe('GET /api/data/pool', () => {
           tvl_usd: '1000000.123457',
           volume_24h_usd: '500000.654321',
           fees_24h_usd: '1500.123457',
+          is_imputed: false,
         },
         {
           timestamp: '2023-01-02T00:00:00.000Z',
@@ -49,11 +51,57 @@ describe('GET /api/data/pool', () => {
           tvl_usd: '1010000.987654',
           volume_24h_usd: '510000.123457',
           fees_24h_usd: '1520.654321',
+          is_imputed: true,
         },
       ],
+      meta: {
+        count: 2,
+        limit: null,
+        order: 'asc',
+        nextCursor: null,
+      },
     });
   });
 
+  it('should retrieve pool data for a mixed-case address', async () => {
+    await seedTokenData();
+    await seedPoolData();
+    await seedLpData();
+
+    const response = await testClient.request
+      .get('/api/data/pool')
+      .query({ address: '0x88E6A0c2dDD26FEEb64F039a2c41296FcB3f5640' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.poolData).toHaveLength(2);
+    expect(response.body.poolData[0].pool_address).toBe(
+      '0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640',
+    );
+  });
+
+  it('should resample pool data with summed volumes and fees and averaged TVL', async () => {
+    await seedTokenData();
+    await seedPoolData();
+    await seedLpData();
+
+    const response = await testClient.request.get('/api/data/pool').query({
+      address: '0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640',
+      interval: '1M',
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.poolData).toHaveLength(1);
+    const [bucket] = response.body.poolData;
+    expect(bucket).toMatchObject({
+      timestamp: '2023-01-01T00:00:00.000Z',
+      pool_address: '0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640',
+      volume_24h_usd: '1010000.777778',
+      fees_24h_usd: '3020.777778',
+      is_imputed: false,
+    });
+    expect(Number(bucket.tvl_usd)).toBeCloseTo(1005000.5555555, 6);
+  });
+
   it('should retrieve pool data with valid start and end dates', async () => {
     await seedTokenData();
     await seedPoolData();
@@ -74,8 +122,33 @@ describe('GET /api/data/pool', () => {
           tvl_usd: '1000000.123457',
           volume_24h_usd: '500000.654321',
           fees_24h_usd: '1500.123457',
+          is_imputed: false,
         },
       ],
+      meta: {
+        count: 1,
+        limit: null,
+        order: 'asc',
+        nextCursor: null,
+      },
+    });
+  });
+
+  it('should exclude imputed rows when excludeImputed is true', async () => {
+    await seedTokenData();
+    await seedPoolData();
+    await seedLpData();
+
+    const response = await testClient.request.get('/api/data/pool').query({
+      address: '0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640',
+      excludeImputed: 'true',
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.poolData).toHaveLength(1);
+    expect(response.body.poolData[0]).toMatchObject({
+      timestamp: '2023-01-01T00:00:00.000Z',
+      is_imputed: false,
     });
   });
 
@@ -152,6 +225,14 @@ describe('GET /api/data/pool', () => {
       .query({ address: '0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640' });
 
     expect(response.status).toBe(200);
-    expect(response.body).toEqual({ poolData: [] });
+    expect(response.body).toEqual({
+      poolData: [],
+      meta: {
+        count: 0,
+        limit: null,
+        order: 'asc',
+        nextCursor: null,
+      },
+    });
   });
 });
@@ -1,8 +1,10 @@
 import {
   setupTestEnvironment,
   teardownTestEnvironment,
+  resetTestDatabase,
   seedTokenData,
   seedPoolData,
+  seedLpData,
   initializeApp,
   testClient,
 } from '../../setup.js';
@@ -20,7 +22,7 @@ describe('GET /api/data/pools', () => {
   });
 
   beforeEach(async () => {
-    await app.locals.sequelize.sync({ force: true });
+    await resetTestDatabase();
   });
 
   it('should return all pools when data is present', async () => {
@@ -34,18 +36,138 @@ describe('GET /api/data/pools', () => {
       pools: [
         {
           pool_address: '0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640',
+          pool_name: 'wethUsdc',
           token0_symbol: 'WETH',
           token1_symbol: 'USDC',
+          chain: 'ethereum',
+          fee_tier: 500,
+          defillama_id: '665dc8bc-c79d-4800-97f7-304bf368e547',
+          subgraph_address: null,
+          is_active: true,
+          token0: {
+            token_symbol: 'WETH',
+            name: null,
+            decimals: null,
+            chain: 'ethereum',
+            coingecko_address: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+          },
+          token1: {
+            token_symbol: 'USDC',
+            name: null,
+            decimals: null,
+            chain: 'ethereum',
+            coingecko_address: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48',
+          },
+          metrics: null,
         },
         {
           pool_address: '0x99ac8ca7087fa4a2a1fb6357269965a2014abc35',
+          pool_name: 'wbtcUsdc',
           token0_symbol: 'WBTC',
           token1_symbol: 'USDC',
+          chain: 'ethereum',
+          fee_tier: 3000,
+          defillama_id: 'bbecbf69-a4f7-43e3-8b72-de180d106e2c',
+          subgraph_address: null,
+          is_active: true,
+          token0: {
+            token_symbol: 'WBTC',
+            name: null,
+            decimals: null,
+            chain: 'ethereum',
+            coingecko_address: '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599',
+          },
+          token1: {
+            token_symbol: 'USDC',
+            name: null,
+            decimals: null,
+            chain: 'ethereum',
+            coingecko_address: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48',
+          },
+          metrics: null,
         },
       ],
     });
   });
 
+  it('should return a pool with its latest metrics and their averages', async () => {
+    await seedTokenData();
+    await seedPoolData();
+    await seedLpData();
+
+    const response = await testClient.request.get(
+      '/api/data/pools/0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640',
+    );
+
+    expect(response.status).toBe(200);
+    expect(response.body.pool).toMatchObject({
+      pool_name: 'wethUsdc',
+      fee_tier: 500,
+      token0: { token_symbol: 'WETH' },
+      token1: { token_symbol: 'USDC' },
+      metrics: {
+        timestamp: '2023-01-02T00:00:00.000Z',
+        tvl_usd: '1010000.987654',
+        volume_24h_usd: '510000.123457',
+        fees_24h_usd: '1520.654321',
+        fee_apr_percentage: '54.9543',
+        averages: {
+          '7d': {
+            tvl_usd: '1005000.555556',
+            volume_24h_usd: '505000.388889',
+            fees_24h_usd: '1510.388889',
+            fee_apr_percentage: '54.8549',
+          },
+          '30d': {
+            tvl_usd: '1005000.555556',
+            volume_24h_usd: '505000.388889',
+            fees_24h_usd: '1510.388889',
+            fee_apr_percentage: '54.8549',
+          },
+        },
+      },
+    });
+  });
+
+  it('should find a pool by its mixed-case address', async () => {
+    await seedTokenData();
+    await seedPoolData();
+
+    const response = await testClient.request.get(
+      '/api/data/pools/0x88E6A0c2dDD26FEEb64F039a2c41296FcB3f5640',
+    );
+
+    expect(response.status).toBe(200);
+    expect(response.body.pool).toMatchObject({
+      pool_address: '0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640',
+      pool_name: 'wethUsdc',
+    });
+  });
+
+  it('should return 404 for an unregistered pool', async () => {
+    const response = await testClient.request.get('/api/data/pools/0x0');
+
+    expect(response.status).toBe(404);
+    expect(response.body).toEqual({ message: 'Pool not found' });
+  });
+
+  it('should not return deactivated pools', async () => {
+    await seedTokenData();
+    await seedPoolData();
+    await app.locals.models.Pool.update(
+      { is_active: false },
+      { where: { pool_address: '0x99ac8ca7087fa4a2a1fb6357269965a2014abc35' } },
+    );
+
+    const response = await testClient.request.get('/api/data/pools');
+
+    expect(response.status).toBe(200);
+    expect(response.body.pools).toHaveLength(1);
+    expect(response.body.pools[0].pool_address).toBe(
+      '0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640',
+    );
+  });
+
   it('should return an empty array when no pools are present', async () => {
     const response = await testClient.request.get('/api/data/pools');
 
@@ -1,6 +1,7 @@
 import {
   setupTestEnvironment,
   teardownTestEnvironment,
+  resetTestDatabase,
   seedTokenData,
   seedPriceData,
   initializeApp,
@@ -20,7 +21,7 @@ describe('GET /api/data/price-history', () => {
   });
 
   beforeEach(async () => {
-    await app.locals.sequelize.sync({ force: true });
+    await resetTestDatabase();
   });
 
   it('should retrieve price history for valid token without date filters', async () => {
@@ -38,16 +39,193 @@ describe('GET /api/data/price-history', () => {
           timestamp: '2023-01-01T00:00:00.000Z',
           token_symbol: 'WETH',
           price_usd: '1200.123457',
+          is_imputed: false,
         },
         {
           timestamp: '2023-01-02T00:00:00.000Z',
           token_symbol: 'WETH',
           price_usd: '1210.654321',
+          is_imputed: true,
         },
       ],
+      meta: {
+        count: 2,
+        limit: null,
+        order: 'asc',
+        nextCursor: null,
+      },
     });
   });
 
+  it('should retrieve hourly price history', async () => {
+    await seedTokenData();
+    await app.locals.models.TokenPriceHourly.bulkCreate([
+      {
+        timestamp: '2023-01-01T01:00:00.000Z',
+        token_symbol: 'WETH',
+        price_usd: 1201.5,
+      },
+    ]);
+
+    const response = await testClient.request
+      .get('/api/data/price-history')
+      .query({ token: 'WETH', resolution: 'hourly' });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({
+      priceData: [
+        {
+          timestamp: '2023-01-01T01:00:00.000Z',
+          token_symbol: 'WETH',
+          price_usd: '1201.5',
+          is_imputed: false,
+        },
+      ],
+      meta: {
+        count: 1,
+        limit: null,
+        order: 'asc',
+        nextCursor: null,
+      },
+    });
+  });
+
+  it('should resample price history to monthly OHLC candles', async () => {
+    await seedTokenData();
+    await seedPriceData();
+
+    const response = await testClient.request
+      .get('/api/data/price-history')
+      .query({ token: 'WETH', interval: '1M' });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({
+      priceData: [
+        {
+          timestamp: '2023-01-01T00:00:00.000Z',
+          token_symbol: 'WETH',
+          open: '1200.123457',
+          high: '1210.654321',
+          low: '1200.123457',
+          close: '1210.654321',
+          is_imputed: false,
+        },
+      ],
+      meta: {
+        count: 1,
+        limit: null,
+        order: 'asc',
+        nextCursor: null,
+      },
+    });
+  });
+
+  it('should return 400 for an aggregation prices do not support', async () => {
+    const response = await testClient.request
+      .get('/api/data/price-history')
+      .query({ token: 'WETH', interval: '1w', agg: 'sum' });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({
+      message: 'Invalid agg parameter, must be one of last, mean, ohlc',
+    });
+  });
+
+  it('should page through the price history', async () => {
+    await seedTokenData();
+    await seedPriceData();
+
+    const first = await testClient.request
+      .get('/api/data/price-history')
+      .query({
+        token: 'WETH',
+        limit: 1,
+        order: 'desc',
+        fields: 'price_usd',
+      });
+    const second = await testClient.request
+      .get('/api/data/price-history')
+      .query({
+        token: 'WETH',
+        limit: 1,
+        order: 'desc',
+        fields: 'price_usd',
+        cursor: first.body.meta.nextCursor,
+      });
+
+    expect(first.body).toEqual({
+      priceData: [{ price_usd: '1210.654321' }],
+      meta: {
+        count: 1,
+        limit: 1,
+        order: 'desc',
+        nextCursor: '2023-01-02T00:00:00.000Z',
+      },
+    });
+    expect(second.body).toEqual({
+      priceData: [{ price_usd: '1200.123457' }],
+      meta: {
+        count: 1,
+        limit: 1,
+        order: 'desc',
+        nextCursor: null,
+      },
+    });
+  });
+
+  it('should return 400 for an invalid limit', async () => {
+    const response = await testClient.request
+      .get('/api/data/price-history')
+      .query({ token: 'WETH', limit: 20000 });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({
+      message:
+        'Invalid limit parameter, must be an integer between 1 and 10000',
+    });
+  });
+
+  it('should export the price history as CSV', async () => {
+    await seedTokenData();
+    await seedPriceData();
+
+    const response = await testClient.request
+      .get('/api/data/price-history')
+      .set('Accept', 'text/csv')
+      .query({ token: 'WETH', fields: 'timestamp,price_usd' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(response.headers['content-disposition']).toBe(
+      'attachment; filename="price-history-WETH.csv"',
+    );
+    expect(response.text).toBe(
+      'timestamp,price_usd\r\n2023-01-01T00:00:00.000Z,1200.123457\r\n2023-01-02T00:00:00.000Z,1210.654321\r\n',
+    );
+  });
+
+  it('should export the price history as NDJSON', async () => {
+    await seedTokenData();
+    await seedPriceData();
+
+    const response = await testClient.request
+      .get('/api/data/price-history')
+      .query({
+        token: 'WETH',
+        format: 'ndjson',
+        order: 'desc',
+        fields: 'price_usd',
+      });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe(
+      'application/x-ndjson; charset=utf-8',
+    );
+    expect(response.text).toBe(
+      '{"price_usd":"1210.654321"}\n{"price_usd":"1200.123457"}\n',
+    );
+  });
+
   it('should retrieve price history with valid start and end dates', async () => {
     await seedTokenData();
     await seedPriceData();
@@ -63,8 +241,42 @@ describe('GET /api/data/price-history', () => {
           timestamp: '2023-01-01T00:00:00.000Z',
           token_symbol: 'WETH',
           price_usd: '1200.123457',
+          is_imputed: false,
+        },
+      ],
+      meta: {
+        count: 1,
+        limit: null,
+        order: 'asc',
+        nextCursor: null,
+      },
+    });
+  });
+
+  it('should exclude imputed rows when excludeImputed is true', async () => {
+    await seedTokenData();
+    await seedPriceData();
+
+    const response = await testClient.request
+      .get('/api/data/price-history')
+      .query({ token: 'WETH', excludeImputed: 'true' });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({
+      priceData: [
+        {
+          timestamp: '2023-01-01T00:00:00.000Z',
+          token_symbol: 'WETH',
+          price_usd: '1200.123457',
+          is_imputed: false,
         },
       ],
+      meta: {
+        count: 1,
+        limit: null,
+        order: 'asc',
+        nextCursor: null,
+      },
     });
   });
 
@@ -139,6 +351,14 @@ describe('GET /api/data/price-history', () => {
       .query({ token: 'WETH' });
 
     expect(response.status).toBe(200);
-    expect(response.body).toEqual({ priceData: [] });
+    expect(response.body).toEqual({
+      priceData: [],
+      meta: {
+        count: 0,
+        limit: null,
+        order: 'asc',
+        nextCursor: null,
+      },
+    });
   });
 });
@@ -0,0 +1,149 @@
+import {
+  setupTestEnvironment,
+  teardownTestEnvironment,
+  resetTestDatabase,
+  seedTokenData,
+  seedPoolData,
+  seedStakingData,
+  seedPriceData,
+  seedLpData,
+  initializeApp,
+  testClient,
+} from '../../setup.js';
+
+describe('GET /api/data/series', () => {
+  const poolAddress = '0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640';
+
+  beforeAll(async () => {
+    await setupTestEnvironment();
+    await initializeApp();
+  });
+
+  afterAll(async () => {
+    await teardownTestEnvironment();
+  });
+
+  beforeEach(async () => {
+    await resetTestDatabase();
+    await seedTokenData();
+    await seedPoolData();
+  });
+
+  it('should align a pool with the prices of its tokens and the staking APY', async () => {
+    await seedPriceData();
+    await seedLpData();
+    await seedStakingData();
+
+    const response = await testClient.request
+      .get('/api/data/series')
+      .query({ series: `price:WETH,price:USDC,pool:${poolAddress},staking` });
+
+    expect(response.status).toBe(200);
+    expect(response.body.series).toEqual([
+      {
+        name: 'price:WETH',
+        type: 'price',
+        key: 'WETH',
+        fields: ['price_usd', 'is_imputed'],
+        count: 2,
+        gaps: [],
+      },
+      {
+        name: 'price:USDC',
+        type: 'price',
+        key: 'USDC',
+        fields: ['price_usd', 'is_imputed'],
+        count: 0,
+        gaps: [
+          {
+            start: '2023-01-01T00:00:00.000Z',
+            end: '2023-01-02T00:00:00.000Z',
+            count: 2,
+          },
+        ],
+      },
+      {
+        name: `pool:${poolAddress}`,
+        type: 'pool',
+        key: poolAddress,
+        fields: ['tvl_usd', 'volume_24h_usd', 'fees_24h_usd', 'is_imputed'],
+        count: 2,
+        gaps: [],
+      },
+      {
+        name: 'staking',
+        type: 'staking',
+        key: null,
+        fields: ['apy_percentage', 'is_imputed'],
+        count: 2,
+        gaps: [],
+      },
+    ]);
+    expect(response.body.rows).toEqual([
+      {
+        timestamp: '2023-01-01T00:00:00.000Z',
+        'price:WETH': { price_usd: '1200.123457', is_imputed: false },
+        'price:USDC': null,
+        [`pool:${poolAddress}`]: {
+          tvl_usd: '1000000.123457',
+          volume_24h_usd: '500000.654321',
+          fees_24h_usd: '1500.123457',
+          is_imputed: false,
+        },
+        staking: { apy_percentage: '5.01', is_imputed: false },
+      },
+      {
+        timestamp: '2023-01-02T00:00:00.000Z',
+        'price:WETH': { price_usd: '1210.654321', is_imputed: true },
+        'price:USDC': null,
+        [`pool:${poolAddress}`]: {
+          tvl_usd: '1010000.987654',
+          volume_24h_usd: '510000.123457',
+          fees_24h_usd: '1520.654321',
+          is_imputed: true,
+        },
+        staking: { apy_percentage: '5.12', is_imputed: true },
+      },
+    ]);
+  });
+
+  it('should report the imputed rows left out as gaps', async () => {
+    await seedPriceData();
+    await seedStakingData();
+
+    const response = await testClient.request
+      .get('/api/data/series')
+      .query({ series: 'price:WETH,staking', excludeImputed: 'true' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.rows).toEqual([
+      {
+        timestamp: '2023-01-01T00:00:00.000Z',
+        'price:WETH': { price_usd: '1200.123457', is_imputed: false },
+        staking: { apy_percentage: '5.01', is_imputed: false },
+      },
+    ]);
+  });
+
+  it('should return 400 for an unknown token or pool', async () => {
+    const response = await testClient.request
+      .get('/api/data/series')
+      .query({ series: 'price:XYZ,pool:0x0,staking' });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({
+      message: 'Unknown series: price:XYZ, pool:0x0',
+    });
+  });
+
+  it('should return 400 for staking at the hourly resolution', async () => {
+    const response = await testClient.request
+      .get('/api/data/series')
+      .query({ series: 'price:WETH,staking', resolution: 'hourly' });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({
+      message: 'Series staking has no hourly resolution',
+    });
+  });
+});
@@ -8,6 +8,7 @@ import {
 } from '../../app.js';
 import dataHandler from '../../src/data/handler.js';
 import retry from '../../src/utils/retry.js';
+import { migrateDown } from '../../src/migrations/migrator.js';
 
 jest.mock('../../src/utils/retry.js', () =>
   jest.fn().mockImplementation((fn) => fn()),
@@ -108,7 +109,9 @@ describe('App.js Integration Tests', () => {
       ).toBe(1);
       expect(
         logCalls.filter(
-          (log) => log === 'Previous run still in progress, skipping...',
+          (log) =>
+            log ===
+            'Previous run still in progress, skipping the daily cron run...',
         ).length,
       ).toBe(1);
       expect(
@@ -153,6 +156,71 @@ describe('App.js Integration Tests', () => {
     });
   });
 
+  describe('ingestion ledger', () => {
+    beforeEach(async () => {
+      await app.locals.models.IngestionRun.destroy({ where: {} });
+    });
+
+    it('records a successful run with its trigger', async () => {
+      dataHandler.mockImplementationOnce(async (appInstance, { report }) => {
+        Object.assign(report.sources, {
+          coingecko: { requested: 2, succeeded: 2, failed: 0 },
+        });
+        Object.assign(report.rowsWritten, {
+          tokenPrices: {
+            inserted: 10,
+            updated: 0,
+            skipped: 0,
+          },
+        });
+      });
+
+      await runDataFetch('manual');
+
+      const runs = await app.locals.models.IngestionRun.findAll();
+      expect(runs).toHaveLength(1);
+      expect(runs[0].trigger).toBe('manual');
+      expect(runs[0].status).toBe('succeeded');
+      expect(runs[0].finished_at).toBeInstanceOf(Date);
+      expect(runs[0].sources).toEqual({
+        coingecko: { requested: 2, succeeded: 2, failed: 0 },
+      });
+      expect(runs[0].rows_written.tokenPrices.inserted).toBe(10);
+    });
+
+    it('records a run with failed series as partial', async () => {
+      dataHandler.mockImplementationOnce(async (appInstance, { report }) => {
+        report.failedSeries.push({
+          source: 'uniswap',
+          series: 'wethUsdc',
+          error: 'timeout',
+        });
+      });
+
+      await runDataFetch();
+
+      const [run] = await app.locals.models.IngestionRun.findAll();
+      expect(run.trigger).toBe('cron');
+      expect(run.status).toBe('partial');
+      expect(run.failed_series).toEqual([
+        { source: 'uniswap', series: 'wethUsdc', error: 'timeout' },
+      ]);
+    });
+
+    it('records the error message of a failed run', async () => {
+      dataHandler.mockImplementationOnce(async () => {
+        throw new Error('Test error');
+      });
+
+      await runDataFetch();
+
+      const [run] = await app.locals.models.IngestionRun.findAll();
+      expect(run.status).toBe('failed');
+      expect(run.error_message).toBe('Test error');
+      expect(run.finished_at).toBeInstanceOf(Date);
+    });
+  });
+
   describe('errorHandler middleware', () => {
     let req;
     let res;
@@ -184,12 +252,14 @@ describe('App.js Integration Tests', () => {
         await app.locals.models.ETHStakingHistorical.destroy({ where: {} });
         await app.locals.models.TokenPrice.destroy({ where: {} });
         await app.locals.models.LPHistorical.destroy({ where: {} });
+        await app.locals.models.TokenPriceHourly.destroy({ where: {} });
+        await app.locals.models.LPHistoricalHourly.destroy({ where: {} });
         await app.locals.models.Pool.destroy({ where: {} });
         await app.locals.models.Token.destroy({ where: {} });
       }
     });
 
-    it('should connect to the database, sync schema, and start the server', async () => {
+    it('should connect to the database, migrate the schema, and start the server', async () => {
       const mockListen = jest
         .spyOn(app, 'listen')
         .mockImplementation((port, callback) => {
@@ -199,6 +269,7 @@ describe('App.js Integration Tests', () => {
           };
           return server;
         });
+      await migrateDown(app.locals.sequelize);
 
       await startServer();
 
@@ -208,7 +279,17 @@ describe('App.js Integration Tests', () => {
         initialDelay: 5000,
       });
       expect(consoleLogSpy).toHaveBeenCalledWith('Connected to TimescaleDB');
-      expect(consoleLogSpy).toHaveBeenCalledWith('Database schema synced');
+      expect(consoleLogSpy).toHaveBeenCalledWith(
+        'Applied migration 0003-seed-registry',
+      );
+      expect(consoleLogSpy).toHaveBeenCalledWith(
+        'Database schema at version 0003-seed-registry',
+      );
+      expect(app.locals.timescale).toMatchObject({
+        available: true,
+        plainTables: [],
+        warnings: [],
+      });
       expect(consoleLogSpy).toHaveBeenCalledWith(
         `Data Service running on port ${process.env.DATA_SERVICE_PORT}`,
       );
@@ -251,7 +332,43 @@ describe('App.js Integration Tests', () => {
         'Database is empty or partially seeded, seeding historical data...',
       );
       expect(consoleLogSpy).toHaveBeenCalledWith(
-        expect.stringContaining('Database seeded successfully in'),
+        expect.stringContaining('Data fetch completed successfully in'),
+      );
+      const runs = await app.locals.models.IngestionRun.findAll({
+        where: { trigger: 'startup' },
+      });
+      expect(runs.length).toBeGreaterThan(0);
+
+      mockListen.mockRestore();
+    });
+
+    it('should skip cron runs while the startup seed is running', async () => {
+      const mockListen = jest
+        .spyOn(app, 'listen')
+        .mockImplementation((port, callback) => {
+          callback();
+          server = {
+            close: jest.fn(),
+          };
+          return server;
+        });
+
+      await setup.seedTokenData();
+      await setup.seedPoolData();
+      await setup.seedHourlyData();
+      dataHandler.mockImplementationOnce(() =>
+        runDataFetch('cron', { incremental: true, resolution: 'hourly' }),
+      );
+
+      await startServer();
+
+      expect(dataHandler).toHaveBeenCalledTimes(1);
+      expect(dataHandler).toHaveBeenCalledWith(
+        app,
+        expect.objectContaining({ incremental: true }),
+      );
+      expect(consoleLogSpy).toHaveBeenCalledWith(
+        'Previous run still in progress, skipping the hourly cron run...',
       );
 
       mockListen.mockRestore();
@@ -273,17 +390,101 @@ describe('App.js Integration Tests', () => {
       await setup.seedStakingData();
       await setup.seedPriceData();
       await setup.seedLpData();
+      await setup.seedHourlyData();
 
       await startServer();
 
       expect(consoleLogSpy).toHaveBeenCalledWith(
         'Database already contains data, skipping seeding',
       );
+      expect(consoleLogSpy).toHaveBeenCalledWith(
+        'Hourly tables already contain data, skipping seeding',
+      );
       expect(dataHandler).not.toHaveBeenCalled();
 
       mockListen.mockRestore();
     });
 
+    it('should seed the hourly tables if they are empty', async () => {
+      const mockListen = jest
+        .spyOn(app, 'listen')
+        .mockImplementation((port, callback) => {
+          callback();
+          server = {
+            close: jest.fn(),
+          };
+          return server;
+        });
+
+      await setup.seedTokenData();
+      await setup.seedPoolData();
+      await setup.seedStakingData();
+      await setup.seedPriceData();
+      await setup.seedLpData();
+
+      await startServer();
+
+      expect(consoleLogSpy).toHaveBeenCalledWith(
+        'Hourly tables are empty or partially seeded, seeding hourly data...',
+      );
+      expect(dataHandler).toHaveBeenCalledTimes(1);
+      expect(dataHandler).toHaveBeenCalledWith(
+        app,
+        expect.objectContaining({ incremental: true, resolution: 'hourly' }),
+      );
+      const runs = await app.locals.models.IngestionRun.findAll({
+        where: { trigger: 'startup', resolution: 'hourly' },
+      });
+      expect(runs.length).toBeGreaterThan(0);
+
+      mockListen.mockRestore();
+    });
+
+    it('should mark the runs interrupted by a restart as failed', async () => {
+      const mockListen = jest
+        .spyOn(app, 'listen')
+        .mockImplementation((port, callback) => {
+          callback();
+          server = {
+            close: jest.fn(),
+          };
+          return server;
+        });
+      await setup.seedTokenData();
+      await setup.seedPoolData();
+      await setup.seedStakingData();
+      await setup.seedPriceData();
+      await setup.seedLpData();
+      const { IngestionRun } = app.locals.models;
+      await IngestionRun.destroy({ where: {} });
+      const interrupted = await IngestionRun.create({
+        trigger: 'cron',
+        status: 'running',
+        started_at: new Date('2023-01-01T01:00:00Z'),
+      });
+      const backfill = await IngestionRun.create({
+        trigger: 'backfill',
+        status: 'running',
+        started_at: new Date('2023-01-01T01:00:00Z'),
+      });
+
+      await startServer();
+
+      await interrupted.reload();
+      await backfill.reload();
+      expect(interrupted.status).toBe('failed');
+      expect(interrupted.finished_at).toBeInstanceOf(Date);
+      expect(interrupted.error_message).toBe(
+        'Interrupted: the service stopped during the run',
+      );
+      expect(backfill.status).toBe('running');
+      expect(consoleLogSpy).toHaveBeenCalledWith(
+        'Marked 1 interrupted ingestion runs as failed',
+      );
+
+      mockListen.mockRestore();
+    });
+
     it('should throw an error if models are missing', async () => {
       const { validateModels } = await import('../../app.js');
 
@@ -304,6 +505,8 @@ describe('App.js Integration Tests', () => {
           ETHStakingHistorical: {},
           TokenPrice: {},
           LPHistorical: {},
+          TokenPriceHourly: {},
+          LPHistoricalHourly: {},
         }),
       ).not.toThrow();
     });
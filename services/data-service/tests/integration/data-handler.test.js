@@ -1,13 +1,22 @@
 import {
   setupTestEnvironment,
   teardownTestEnvironment,
+  resetTestDatabase,
   seedTokenData,
   seedPoolData,
+  seedPriceData,
+  seedStakingData,
   initializeApp,
-  mockExternalApis,
+  useRecordedFixtures,
 } from '../setup.js';
 import dataHandler from '../../src/data/handler.js';
 import * as fetcher from '../../src/data/fetcher.js';
+import { metricFillStrategies } from '../../src/config/gapFilling.js';
+import {
+  registerSource,
+  unregisterSource,
+  resetSources,
+} from '../../src/data/sources.js';
 
 describe('dataHandler Integration Tests', () => {
   let app;
@@ -17,7 +26,7 @@ describe('dataHandler Integration Tests', () => {
   beforeAll(async () => {
     await setupTestEnvironment();
     app = await initializeApp();
-    mockExternalApis();
+    useRecordedFixtures();
   });
 
   afterAll(async () => {
@@ -25,7 +34,7 @@ describe('dataHandler Integration Tests', () => {
   });
 
   beforeEach(async () => {
-    await app.locals.sequelize.sync({ force: true });
+    await resetTestDatabase();
     await seedTokenData();
     await seedPoolData();
 
@@ -51,7 +60,7 @@ describe('dataHandler Integration Tests', () => {
 
     expect(stakingData[0].timestamp).toBeInstanceOf(Date);
     expect(typeof stakingData[0].apy_percentage).toBe('string');
-    expect(stakingData[0].apy_percentage).toMatch(/^\d+\.\d{2}$/);
+    expect(stakingData[0].apy_percentage).toMatch(/^\d+(\.\d+)?$/);
 
     expect(tokenPriceData[0].timestamp).toBeInstanceOf(Date);
     expect(typeof tokenPriceData[0].price_usd).toBe('string');
@@ -79,7 +88,7 @@ describe('dataHandler Integration Tests', () => {
     });
 
     expect(stakingData.length).toBe(1);
-    expect(stakingData[0].apy_percentage).toBe('5.10');
+    expect(stakingData[0].apy_percentage).toBe('5.1');
   });
 
   it('should handle missing dates by filling with simulated metrics', async () => {
@@ -122,7 +131,7 @@ describe('dataHandler Integration Tests', () => {
       where: { timestamp: new Date('2023-01-02T00:00:00.000Z') },
     });
     expect(stakingData.length).toBe(1);
-    expect(stakingData[0].apy_percentage).toMatch(/^\d+\.\d{2}$/);
+    expect(stakingData[0].apy_percentage).toMatch(/^\d+(\.\d+)?$/);
 
     const tokenPriceData = await app.locals.models.TokenPrice.findAll({
       where: {
@@ -145,6 +154,63 @@ describe('dataHandler Integration Tests', () => {
     expect(lpHistoricalData[0].fees_24h_usd).toMatch(/^\d+\.\d+$/);
   });
 
+  describe('with another price gap-filling strategy', () => {
+    const pricesWithGap = {
+      weth: [
+        [1672531200000, 1200], // 2023-01-01
+        [1672704000000, 1300], // 2023-01-03
+      ],
+    };
+    const runPrices = (options) => {
+      jest
+        .spyOn(fetcher, 'fetchPriceData')
+        .mockResolvedValueOnce(pricesWithGap);
+      return dataHandler(app, {
+        sources: ['coingecko'],
+        tokens: ['weth'],
+        historyDays: Infinity,
+        ...options,
+      });
+    };
+    const findImputedPrice = (report) =>
+      Object.values(report.pendingRows.tokenPrices)
+        .flat()
+        .find((record) => record.isImputed).priceUsd;
+
+    afterEach(() => {
+      metricFillStrategies.priceUsd = 'linear';
+      delete process.env.GAP_FILL_SEED;
+    });
+
+    it('should draw random fills from the configured seed', async () => {
+      metricFillStrategies.priceUsd = 'random';
+
+      const first = findImputedPrice(
+        await runPrices({ dryRun: true, fillSeed: 7 }),
+      );
+      process.env.GAP_FILL_SEED = '7';
+      const second = findImputedPrice(await runPrices({ dryRun: true }));
+
+      expect(second).toBe(first);
+      expect(first).toBeGreaterThanOrEqual(1200);
+      expect(first).toBeLessThanOrEqual(1300);
+    });
+
+    it('should report the days left unfilled', async () => {
+      metricFillStrategies.priceUsd = 'leaveNull';
+
+      const report = await runPrices();
+
+      expect(report.rowsWritten.tokenPrices).toEqual({
+        inserted: 2,
+        updated: 0,
+        skipped: 0,
+        unfilled: 1,
+      });
+      expect(await app.locals.models.TokenPrice.count()).toBe(2);
+    });
+  });
+
   it('should handle fetch failure and throw an error', async () => {
     jest
       .spyOn(fetcher, 'fetchPoolData')
@@ -199,8 +265,8 @@ describe('dataHandler Integration Tests', () => {
   });
 
   it('should log and rethrow error when saving token price data fails', async () => {
-    const originalCreate = app.locals.models.TokenPrice.create;
-    app.locals.models.TokenPrice.create = jest
+    const originalBulkCreate = app.locals.models.TokenPrice.bulkCreate;
+    app.locals.models.TokenPrice.bulkCreate = jest
       .fn()
       .mockRejectedValue(new Error('TokenPrice save error'));
 
@@ -210,12 +276,12 @@ describe('dataHandler Integration Tests', () => {
       expect.any(Error),
     );
 
-    app.locals.models.TokenPrice.create = originalCreate;
+    app.locals.models.TokenPrice.bulkCreate = originalBulkCreate;
   });
 
   it('should log and rethrow error when saving liquidity pool data fails', async () => {
-    const originalCreate = app.locals.models.LPHistorical.create;
-    app.locals.models.LPHistorical.create = jest
+    const originalBulkCreate = app.locals.models.LPHistorical.bulkCreate;
+    app.locals.models.LPHistorical.bulkCreate = jest
       .fn()
       .mockRejectedValue(new Error('LPHistorical save error'));
 
@@ -225,6 +291,320 @@ describe('dataHandler Integration Tests', () => {
       expect.any(Error),
     );
 
-    app.locals.models.LPHistorical.create = originalCreate;
+    app.locals.models.LPHistorical.bulkCreate = originalBulkCreate;
+  });
+
+  it('should leave no rows of a series whose save fails', async () => {
+    const originalBulkCreate = app.locals.models.LPHistorical.bulkCreate;
+    let calls = 0;
+    app.locals.models.LPHistorical.bulkCreate = jest.fn(
+      async (records, options) => {
+        calls += 1;
+        if (calls > 1) {
+          throw new Error('LPHistorical save error');
+        }
+        return originalBulkCreate.call(
+          app.locals.models.LPHistorical,
+          records,
+          options,
+        );
+      },
+    );
+
+    await expect(dataHandler(app)).rejects.toThrow('LPHistorical save error');
+    const lpHistoricalData = await app.locals.models.LPHistorical.findAll();
+    const poolAddresses = new Set(
+      lpHistoricalData.map((row) => row.pool_address),
+    );
+    expect(poolAddresses.size).toBeLessThanOrEqual(1);
+
+    app.locals.models.LPHistorical.bulkCreate = originalBulkCreate;
+  });
+
+  it('should return counts and overwrite stored days on request', async () => {
+    await seedStakingData();
+    jest.spyOn(fetcher, 'fetchPoolData').mockResolvedValueOnce({
+      lidoEth: [
+        { timestamp: '2023-01-02', apy: 9.99 },
+        { timestamp: '2023-01-03', apy: 5.3 },
+      ],
+    });
+
+    const report = await dataHandler(app, { onConflict: 'overwrite' });
+
+    expect(report.rowsWritten.staking).toEqual({
+      inserted: 1,
+      updated: 1,
+      skipped: 0,
+      unfilled: 0,
+    });
+    const stakingData = await app.locals.models.ETHStakingHistorical.findAll({
+      order: [['timestamp', 'ASC']],
+    });
+    expect(stakingData.map((row) => row.apy_percentage)).toEqual([
+      '5.01',
+      '9.99',
+      '5.3',
+    ]);
+  });
+
+  it('should only keep records newer than stored data in incremental mode', async () => {
+    await seedStakingData();
+    await seedPriceData();
+    jest.spyOn(fetcher, 'fetchPoolData').mockResolvedValueOnce({
+      lidoEth: [
+        { timestamp: '2023-01-02', apy: 9.99 },
+        { timestamp: '2023-01-03', apy: 5.3 },
+      ],
+    });
+
+    await dataHandler(app, { incremental: true });
+
+    const stakingData = await app.locals.models.ETHStakingHistorical.findAll({
+      order: [['timestamp', 'ASC']],
+    });
+    expect(stakingData.map((row) => row.apy_percentage)).toEqual([
+      '5.01',
+      '5.12',
+      '5.3',
+    ]);
+  });
+
+  it('should only fetch and save the selected sources and tokens', async () => {
+    const fetchPoolDataSpy = jest.spyOn(fetcher, 'fetchPoolData');
+    const fetchPriceDataSpy = jest.spyOn(fetcher, 'fetchPriceData');
+
+    const report = await dataHandler(app, {
+      sources: ['coingecko'],
+      tokens: ['weth'],
+    });
+
+    expect(fetchPoolDataSpy).not.toHaveBeenCalled();
+    expect(Object.keys(fetchPriceDataSpy.mock.calls[0][0])).toEqual(['weth']);
+    expect(Object.keys(report.sources)).toEqual(['coingecko']);
+    expect(report.rowsWritten.staking.inserted).toBe(0);
+    expect(report.rowsWritten.liquidityPools.inserted).toBe(0);
+
+    const tokenSymbols = await app.locals.models.TokenPrice.findAll({
+      attributes: ['token_symbol'],
+      group: ['token_symbol'],
+      raw: true,
+    });
+    expect(tokenSymbols).toEqual([{ token_symbol: 'WETH' }]);
+    fetchPoolDataSpy.mockRestore();
+    fetchPriceDataSpy.mockRestore();
+  });
+
+  it('should run a single source while the other upstreams are not configured', async () => {
+    const originalEnv = { ...process.env };
+    process.env.DATA_SOURCE_MODE = 'live';
+    delete process.env.DEFILLAMA_API_URL;
+    delete process.env.GRAPH_API_URL;
+    delete process.env.DEFILLAMA_COINS_API_URL;
+    jest.spyOn(fetcher, 'fetchPriceData').mockResolvedValueOnce({
+      weth: [[1672531200000, 1200.123457]],
+    });
+
+    try {
+      const report = await dataHandler(app, {
+        sources: ['coingecko'],
+        tokens: ['weth'],
+        historyDays: Infinity,
+      });
+
+      expect(report.failedSeries).toEqual([]);
+      expect(Object.keys(report.sources)).toEqual(['coingecko']);
+      expect(await app.locals.models.TokenPrice.count()).toBe(1);
+    } finally {
+      process.env = originalEnv;
+    }
+  });
+
+  it('should save the prices of a registered replacement source', async () => {
+    const fetchPrices = jest.fn().mockResolvedValue({
+      weth: [
+        { day: '2024-01-01', close: 2300.5 },
+        { day: '2024-01-02', close: 2350.25 },
+      ],
+    });
+    unregisterSource('coingecko');
+    registerSource({
+      name: 'exchange',
+      datasets: ['prices'],
+      series: (registry) => registry.tokenAddresses,
+      fetch: fetchPrices,
+      normalize: (raw) => ({
+        prices: Object.fromEntries(
+          Object.entries(raw).map(([token, rows]) => [
+            token,
+            rows.map((row) => ({
+              timestamp: new Date(row.day).toISOString(),
+              priceUsd: row.close,
+            })),
+          ]),
+        ),
+      }),
+    });
+
+    try {
+      const report = await dataHandler(app, {
+        sources: ['exchange'],
+        tokens: ['weth'],
+        historyDays: Infinity,
+      });
+
+      expect(fetchPrices).toHaveBeenCalledWith(
+        { weth: expect.any(String) },
+        { days: Infinity },
+        expect.any(Function),
+      );
+      expect(report.sources.exchange).toEqual({
+        requested: 1,
+        succeeded: 1,
+        failed: 0,
+      });
+      const prices = await app.locals.models.TokenPrice.findAll({
+        order: [['timestamp', 'ASC']],
+      });
+      expect(prices.map((row) => Number(row.price_usd))).toEqual([
+        2300.5, 2350.25,
+      ]);
+    } finally {
+      resetSources();
+    }
+  });
+
+  it('should fall back to DeFi Llama prices for tokens CoinGecko failed to fetch', async () => {
+    jest
+      .spyOn(fetcher, 'fetchPriceData')
+      .mockImplementationOnce(async (tokenAddresses, days, onError) => {
+        onError('weth', new Error('Network Error'));
+        return { weth: null };
+      });
+
+    const report = await dataHandler(app, { tokens: ['weth'] });
+
+    expect(report.failedSeries).toEqual([
+      {
+        source: 'coingecko',
+        series: 'weth',
+        error: 'Network Error',
+        recovered: true,
+      },
+    ]);
+    expect(report.sources['defillama-coins']).toEqual({
+      requested: 1,
+      succeeded: 1,
+      failed: 0,
+    });
+    const prices = await app.locals.models.TokenPrice.findAll({
+      order: [['timestamp', 'ASC']],
+    });
+    expect(prices.map((row) => Number(row.price_usd))).toEqual([
+      1201.32358, 1211.864975,
+    ]);
+  });
+
+  it('should reject prices that diverge from the other source', async () => {
+    process.env.PRICE_DIVERGENCE_ACTION = 'reject';
+    jest.spyOn(fetcher, 'fetchLlamaPriceData').mockResolvedValueOnce({
+      weth: [
+        [1672531200000, 1500],
+        [1672617600000, 1211],
+      ],
+    });
+
+    try {
+      const report = await dataHandler(app, {
+        tokens: ['weth'],
+        historyDays: Infinity,
+      });
+
+      expect(report.divergences).toEqual([
+        {
+          dataset: 'prices',
+          series: 'weth',
+          source: 'coingecko',
+          reference: 'defillama-coins',
+          days: 1,
+          from: '2023-01-01T00:00:00.000Z',
+          to: '2023-01-01T00:00:00.000Z',
+          maxDivergence: 0.1999,
+          action: 'reject',
+        },
+      ]);
+      const prices = await app.locals.models.TokenPrice.findAll();
+      expect(prices.map((row) => Number(row.price_usd))).toEqual([1210.654321]);
+    } finally {
+      delete process.env.PRICE_DIVERGENCE_ACTION;
+    }
+  });
+
+  it('should fail a run that targets an unregistered pool', async () => {
+    await expect(dataHandler(app, { pools: ['unknownPool'] })).rejects.toThrow(
+      'Unknown or inactive pools: unknownPool',
+    );
+  });
+
+  it('should only save records within the date range', async () => {
+    jest.spyOn(fetcher, 'fetchPoolData').mockResolvedValueOnce({
+      lidoEth: [
+        { timestamp: '2023-01-01', apy: 5.01 },
+        { timestamp: '2023-01-02', apy: 5.12 },
+        { timestamp: '2023-01-03', apy: 5.3 },
+      ],
+    });
+
+    await dataHandler(app, {
+      sources: ['defillama'],
+      start: '2023-01-02',
+      end: '2023-01-02',
+    });
+
+    const stakingData = await app.locals.models.ETHStakingHistorical.findAll();
+    expect(stakingData.map((row) => row.apy_percentage)).toEqual(['5.12']);
+  });
+
+  it('should return the pending rows without saving them in a dry run', async () => {
+    const report = await dataHandler(app, { dryRun: true });
+
+    expect(report.pendingRows.staking.lidoEth.length).toBeGreaterThan(0);
+    expect(report.rowsWritten).toEqual({});
+    expect(await app.locals.models.ETHStakingHistorical.count()).toBe(0);
+    expect(await app.locals.models.TokenPrice.count()).toBe(0);
+    expect(await app.locals.models.LPHistorical.count()).toBe(0);
+  });
+
+  it('should save hourly series to the hourly tables', async () => {
+    const report = await dataHandler(app, { resolution: 'hourly' });
+
+    const prices = await app.locals.models.TokenPriceHourly.findAll({
+      where: { token_symbol: 'WETH' },
+      order: [['timestamp', 'ASC']],
+    });
+    const poolHours = await app.locals.models.LPHistoricalHourly.findAll({
+      where: { pool_address: '0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640' },
+      order: [['timestamp', 'ASC']],
+    });
+    expect(prices.map((row) => row.timestamp.toISOString())).toEqual([
+      '2023-01-01T00:00:00.000Z',
+      '2023-01-01T01:00:00.000Z',
+    ]);
+    expect(poolHours).toHaveLength(2);
+    expect(Number(poolHours[1].volume_1h_usd)).toBeCloseTo(21120.200337, 6);
+    expect(Object.keys(report.sources)).toEqual([
+      'coingecko-hourly',
+      'uniswap-hourly',
+    ]);
+    expect(report.rowsWritten).not.toHaveProperty('staking');
+    expect(await app.locals.models.TokenPrice.count()).toBe(0);
+  });
+
+  it('should reject daily sources in an hourly run', async () => {
+    await expect(
+      dataHandler(app, { resolution: 'hourly', sources: ['coingecko'] }),
+    ).rejects.toThrow(
+      'Sources not available at the hourly resolution: coingecko',
+    );
   });
 });
@@ -0,0 +1,206 @@
+import { QueryTypes } from 'sequelize';
+import {
+  setupTestEnvironment,
+  teardownTestEnvironment,
+  loadModels,
+} from '../setup.js';
+import MIGRATIONS from '../../src/migrations/index.js';
+import {
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+} from '../../src/migrations/migrator.js';
+
+describe('Schema migrations', () => {
+  let sequelize;
+  let models;
+
+  const listTables = async () =>
+    (
+      await sequelize.query(
+        "SELECT table_name FROM information_schema.tables WHERE table_schema = current_schema() AND table_type = 'BASE TABLE' ORDER BY table_name",
+        { type: QueryTypes.SELECT },
+      )
+    ).map(({ table_name: name }) => name);
+
+  beforeAll(async () => {
+    await setupTestEnvironment();
+    ({ sequelize, models } = await loadModels());
+  });
+
+  afterAll(async () => {
+    await teardownTestEnvironment();
+  });
+
+  const listColumns = async (table) =>
+    (
+      await sequelize.query(
+        'SELECT column_name FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = :table ORDER BY column_name',
+        { replacements: { table }, type: QueryTypes.SELECT },
+      )
+    ).map(({ column_name: name }) => name);
+
+  it('should build the test schema and seed the registry', async () => {
+    await expect(migrateUp(sequelize)).resolves.toEqual([]);
+    await migrateDown(sequelize);
+    await expect(migrateUp(sequelize)).resolves.toEqual(['0003-seed-registry']);
+
+    expect(await models.Token.count()).toBe(4);
+    expect(await models.Pool.count()).toBe(4);
+    await expect(getMigrationStatus(sequelize)).resolves.toMatchObject({
+      version: '0003-seed-registry',
+      pending: [],
+      unknown: [],
+    });
+    await expect(migrateUp(sequelize)).resolves.toEqual([]);
+  });
+
+  it('should revert every migration and apply them to an empty database', async () => {
+    await expect(migrateDown(sequelize, { step: 3 })).resolves.toEqual([
+      '0003-seed-registry',
+      '0002-adopt-init-schema',
+      '0001-initial-schema',
+    ]);
+    expect(await listTables()).toEqual(['migrations']);
+
+    await migrateUp(sequelize);
+
+    expect(await listTables()).toEqual([
+      'eth_staking_historical',
+      'ingestion_runs',
+      'lp_historical',
+      'lp_historical_hourly',
+      'migrations',
+      'pools',
+      'token_prices',
+      'token_prices_hourly',
+      'tokens',
+    ]);
+    await models.ETHStakingHistorical.create({
+      timestamp: '2023-01-01T00:00:00.000Z',
+      apy_percentage: 3.456789,
+    });
+    const [staking] = await models.ETHStakingHistorical.findAll();
+    expect(staking.apy_percentage).toBe('3.456789');
+  });
+
+  it('should revert the columns and constraints of each migration', async () => {
+    await migrateDown(sequelize);
+    expect(await models.Pool.count()).toBe(0);
+    await expect(
+      sequelize.query(
+        "INSERT INTO pools (pool_address) VALUES ('0xunnamed'); DELETE FROM pools",
+      ),
+    ).resolves.toBeDefined();
+
+    await migrateDown(sequelize);
+    expect(await listColumns('pools')).toEqual([
+      'pool_address',
+      'token0_symbol',
+      'token1_symbol',
+    ]);
+    expect(await listColumns('tokens')).toEqual(['token_symbol']);
+    expect(await listColumns('eth_staking_historical')).toEqual([
+      'apy_percentage',
+      'timestamp',
+    ]);
+
+    await expect(migrateUp(sequelize)).resolves.toEqual([
+      '0002-adopt-init-schema',
+      '0003-seed-registry',
+    ]);
+    expect(await listColumns('eth_staking_historical')).toEqual([
+      'apy_percentage',
+      'is_imputed',
+      'timestamp',
+    ]);
+  });
+
+  it('should refuse to run on an unknown schema version', async () => {
+    await sequelize.query(
+      "INSERT INTO migrations (name) VALUES ('9999-from-the-future')",
+    );
+
+    await expect(migrateUp(sequelize)).rejects.toThrow(
+      'Database schema version 9999-from-the-future is not known to this service',
+    );
+    await sequelize.query(
+      "DELETE FROM migrations WHERE name = '9999-from-the-future'",
+    );
+  });
+
+  it('should upgrade a database initialized by the baseline init.sql', async () => {
+    await migrateDown(sequelize, { step: 3 });
+    await sequelize.query(`
+      CREATE TABLE tokens (token_symbol TEXT PRIMARY KEY);
+      CREATE TABLE pools (
+        pool_address TEXT PRIMARY KEY,
+        token0_symbol TEXT REFERENCES tokens(token_symbol),
+        token1_symbol TEXT REFERENCES tokens(token_symbol)
+      );
+      CREATE TABLE token_prices (
+        timestamp TIMESTAMPTZ NOT NULL,
+        token_symbol TEXT REFERENCES tokens(token_symbol),
+        price_usd NUMERIC NOT NULL,
+        PRIMARY KEY (timestamp, token_symbol)
+      );
+      CREATE TABLE lp_historical (
+        timestamp TIMESTAMPTZ NOT NULL,
+        pool_address TEXT REFERENCES pools(pool_address),
+        tvl_usd NUMERIC,
+        volume_24h_usd NUMERIC,
+        fees_24h_usd NUMERIC,
+        PRIMARY KEY (timestamp, pool_address)
+      );
+      CREATE TABLE eth_staking_historical (
+        timestamp TIMESTAMPTZ PRIMARY KEY,
+        apy_percentage NUMERIC
+      );
+      SELECT create_hypertable('token_prices', by_range('timestamp', INTERVAL '1 month'));
+      SELECT create_hypertable('lp_historical', by_range('timestamp', INTERVAL '1 month'));
+      SELECT create_hypertable('eth_staking_historical', by_range('timestamp', INTERVAL '1 month'));
+      INSERT INTO tokens (token_symbol) VALUES ('WETH'), ('USDC'), ('DAI'), ('WBTC');
+      INSERT INTO pools (pool_address, token0_symbol, token1_symbol) VALUES
+        ('0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640', 'USDC', 'WETH'),
+        ('0x99ac8ca7087fa4a2a1fb6357269965a2014abc35', 'WBTC', 'USDC'),
+        ('0xcbcdf9626bc03e24f779434178a73a0b4bad62ed', 'WBTC', 'WETH'),
+        ('0x5777d92f208679db4b9778590fa3cab3ac9e2168', 'DAI', 'USDC');
+      INSERT INTO token_prices (timestamp, token_symbol, price_usd)
+        VALUES ('2023-01-01', 'WETH', 1200.5);
+    `);
+
+    await expect(migrateUp(sequelize)).resolves.toEqual(
+      MIGRATIONS.map(({ name }) => name),
+    );
+
+    const weth = await models.Token.findByPk('WETH');
+    expect(weth.toJSON()).toEqual({
+      token_symbol: 'WETH',
+      name: 'Wrapped Ether',
+      decimals: 18,
+      chain: 'ethereum',
+      coingecko_address: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+      is_active: true,
+    });
+    const pool = await models.Pool.findByPk(
+      '0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640',
+    );
+    expect(pool.toJSON()).toMatchObject({
+      pool_name: 'wethUsdc',
+      token0_symbol: 'USDC',
+      token1_symbol: 'WETH',
+      fee_tier: 500,
+      defillama_id: '665dc8bc-c79d-4800-97f7-304bf368e547',
+      is_active: true,
+    });
+    const [price] = await models.TokenPrice.findAll({ raw: true });
+    expect(price).toMatchObject({ price_usd: '1200.5', is_imputed: false });
+    await expect(
+      models.Pool.create({
+        pool_address: '0xnew',
+        pool_name: 'wethUsdc',
+        defillama_id: 'id',
+      }),
+    ).rejects.toThrow();
+  });
+});
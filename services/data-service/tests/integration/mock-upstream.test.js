@@ -0,0 +1,243 @@
+import { request } from 'graphql-request';
+import createMockUpstream from '../../src/mockUpstream/app.js';
+import {
+  fetchPoolData,
+  fetchPriceData,
+  fetchUniswapPoolData,
+  fetchLlamaPriceData,
+} from '../../src/data/fetcher.js';
+import {
+  processPoolDataResponse,
+  processPriceDataResponse,
+  processUniswapPoolDataResponse,
+  processUniswapPoolHourDataResponse,
+  removeDuplicateTimestamps,
+  findMissingDates,
+  reconcileSourceData,
+} from '../../src/data/processor.js';
+import { RESOLUTION_INTERVALS } from '../../src/config/resolutions.js';
+import { resetCircuitBreakers } from '../../src/utils/circuitBreaker.js';
+import { resetHostSchedulers } from '../../src/utils/scheduler.js';
+
+// graphql-request only ships ES modules, which Jest cannot load here, so its mock posts the
+// query to the mock upstream the way the real client does.
+jest.unmock('axios');
+jest.setTimeout(30000);
+
+describe('Mock upstream end-to-end', () => {
+  const mockUpstream = createMockUpstream();
+  const originalEnv = { ...process.env };
+  let server;
+  let baseUrl;
+
+  const configure = async (settings) => {
+    const response = await fetch(`${baseUrl}/__config`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(settings),
+    });
+    expect(response.status).toBe(200);
+  };
+
+  beforeAll(async () => {
+    await new Promise((resolve) => {
+      server = mockUpstream.listen(0, resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => {
+      server.close(resolve);
+    });
+  });
+
+  beforeEach(() => {
+    request.mockImplementation(async (url, query) => {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ query }),
+      });
+      const body = await response.json();
+      if (!response.ok || body.errors) {
+        throw new Error(`GraphQL Error (Code: ${response.status})`);
+      }
+      return body.data;
+    });
+    Object.assign(process.env, {
+      DATA_SOURCE_MODE: 'live',
+      DEFILLAMA_API_URL: `${baseUrl}/chart/`,
+      COINGECKO_API_URL: `${baseUrl}/coins/ethereum/contract/`,
+      COINGECKO_API_KEY: 'test-key',
+      GRAPH_API_URL: `${baseUrl}/subgraph`,
+      DEFILLAMA_COINS_API_URL: `${baseUrl}/llama-coins/chart/`,
+    });
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    resetCircuitBreakers();
+    resetHostSchedulers();
+  });
+
+  it('fetches and processes well-formed series from every source', async () => {
+    await configure({ historyDays: 30 });
+
+    const [, tvlData] = processPoolDataResponse(
+      await fetchPoolData({ wethUsdc: 'pool-id' }),
+    );
+    const priceData = processPriceDataResponse(
+      await fetchPriceData({ weth: '0xweth' }, 29),
+    );
+    const uniswapData = processUniswapPoolDataResponse(
+      await fetchUniswapPoolData({ wethUsdc: '0xpool' }),
+    );
+
+    expect(tvlData.wethUsdc).toHaveLength(30);
+    expect(priceData.weth).toHaveLength(30);
+    expect(uniswapData.wethUsdc).toHaveLength(30);
+    expect(findMissingDates(tvlData)).toEqual({});
+  });
+
+  it('fetches and processes hourly series', async () => {
+    await configure({ historyDays: 30 });
+    const interval = RESOLUTION_INTERVALS.hourly;
+
+    const priceData = processPriceDataResponse(
+      await fetchPriceData({ weth: '0xweth' }, 2, undefined, 'hourly'),
+      interval,
+    );
+    const [tvlData, volumeData] = processUniswapPoolHourDataResponse(
+      await fetchUniswapPoolData(
+        { wethUsdc: '0xpool' },
+        2,
+        undefined,
+        undefined,
+        'hourly',
+      ),
+    );
+
+    expect(priceData.weth).toHaveLength(49);
+    expect(tvlData.wethUsdc.length).toBeGreaterThanOrEqual(47);
+    expect(volumeData.wethUsdc).toHaveLength(tvlData.wethUsdc.length);
+    expect(findMissingDates(priceData, interval)).toEqual({});
+    expect(findMissingDates(tvlData, interval)).toEqual({});
+  });
+
+  it('surfaces gaps, duplicates and invalid days to the processor', async () => {
+    await configure({
+      historyDays: 200,
+      gapRate: 0.1,
+      duplicateRate: 0.1,
+      invalidRecordRate: 0.1,
+    });
+
+    const rawData = await fetchPoolData({ wethUsdc: 'pool-id' });
+    const [, tvlData] = processPoolDataResponse(rawData);
+    const deduplicated = removeDuplicateTimestamps(tvlData);
+
+    expect(rawData.wethUsdc.some((record) => record.tvlUsd === null)).toBe(
+      true,
+    );
+    expect(tvlData.wethUsdc.length).toBeLessThan(rawData.wethUsdc.length);
+    expect(deduplicated.wethUsdc.length).toBeLessThan(tvlData.wethUsdc.length);
+    expect(findMissingDates(deduplicated).wethUsdc.length).toBeGreaterThan(0);
+  });
+
+  it('retries rate-limited requests until they succeed', async () => {
+    await configure({
+      historyDays: 10,
+      series: { 'pool-id': { failures: 1 } },
+    });
+    const onError = jest.fn();
+
+    const poolData = await fetchPoolData({ wethUsdc: 'pool-id' }, onError);
+
+    expect(poolData.wethUsdc).toHaveLength(10);
+    expect(onError).not.toHaveBeenCalled();
+  });
+
+  it('reports series that keep failing or return malformed payloads', async () => {
+    await configure({
+      historyDays: 10,
+      series: {
+        'pool-id': { failures: 3 },
+        '0xweth': { malformedRate: 1 },
+        '0xpool': { malformedRate: 1 },
+      },
+    });
+    const onError = jest.fn();
+
+    const poolData = await fetchPoolData({ wethUsdc: 'pool-id' }, onError);
+    const priceData = await fetchPriceData({ weth: '0xweth' }, 9, onError);
+    const uniswapData = await fetchUniswapPoolData(
+      { wethUsdc: '0xpool' },
+      9,
+      undefined,
+      onError,
+    );
+
+    expect(poolData.wethUsdc).toBeNull();
+    expect(priceData.weth).toBeNull();
+    expect(uniswapData.wethUsdc).toBeNull();
+    expect(onError.mock.calls.map(([name]) => name)).toEqual([
+      'wethUsdc',
+      'weth',
+      'wethUsdc',
+    ]);
+  });
+
+  it('falls back to DeFi Llama prices for tokens CoinGecko fails to serve', async () => {
+    await configure({
+      historyDays: 10,
+      series: { '0xweth': { failures: 3 } },
+    });
+
+    const { data, divergences } = reconcileSourceData(
+      [
+        {
+          source: 'coingecko',
+          data: processPriceDataResponse(
+            await fetchPriceData({ weth: '0xweth', dai: '0xdai' }, 9),
+          ),
+        },
+        {
+          source: 'defillama-coins',
+          data: processPriceDataResponse(
+            await fetchLlamaPriceData({ weth: '0xweth', dai: '0xdai' }, 9),
+          ),
+        },
+      ],
+      { field: 'priceUsd', threshold: 0.05 },
+    );
+
+    expect(data.weth).toHaveLength(10);
+    expect(data.dai).toHaveLength(10);
+    expect(divergences).toEqual([]);
+  });
+
+  it('opens the circuit of a failing endpoint and fails its other series fast', async () => {
+    process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD = '2';
+    await configure({ historyDays: 10, errorRate: 1, errorStatuses: [503] });
+    const onError = jest.fn();
+
+    const uniswapData = await fetchUniswapPoolData(
+      { wethUsdc: '0xpool', wbtcUsdc: '0xpool2', daiUsdc: '0xpool3' },
+      9,
+      undefined,
+      onError,
+    );
+
+    expect(Object.values(uniswapData)).toEqual([null, null, null]);
+    expect(request).toHaveBeenCalledTimes(3); // The retries are rejected by the open circuit
+    expect(onError).toHaveBeenCalledTimes(3);
+    expect(
+      onError.mock.calls.some(([, error]) =>
+        error.message.startsWith(
+          `Circuit open for ${process.env.GRAPH_API_URL}`,
+        ),
+      ),
+    ).toBe(true);
+  });
+});
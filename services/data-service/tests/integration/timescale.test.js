@@ -0,0 +1,146 @@
+import {
+  setupTestEnvironment,
+  teardownTestEnvironment,
+  seedTokenData,
+  seedPoolData,
+  seedPriceData,
+  seedLpData,
+  initializeApp,
+  testClient,
+} from '../setup.js';
+import {
+  HYPERTABLES,
+  CONTINUOUS_AGGREGATES,
+  setupTimescale,
+} from '../../src/data/timescale.js';
+
+describe('TimescaleDB setup', () => {
+  let app;
+
+  beforeAll(async () => {
+    await setupTestEnvironment();
+    app = await initializeApp();
+    process.env.ADMIN_API_KEY = 'test-admin-key';
+  });
+
+  afterAll(async () => {
+    delete process.env.ADMIN_API_KEY;
+    delete app.locals.timescale;
+    await teardownTestEnvironment();
+  });
+
+  it('should convert the tables created by the migrations and create the continuous aggregates', async () => {
+    await seedTokenData();
+    await seedPoolData();
+    await seedPriceData();
+    await seedLpData();
+
+    app.locals.timescale = await setupTimescale(app.locals.sequelize, {
+      hourlyRetentionDays: 30,
+    });
+
+    expect(app.locals.timescale).toMatchObject({
+      available: true,
+      hypertables: Object.keys(HYPERTABLES),
+      plainTables: [],
+      continuousAggregates: Object.keys(CONTINUOUS_AGGREGATES),
+      warnings: [],
+    });
+    expect(await app.locals.models.TokenPrice.count()).toBe(2);
+
+    const [policies] = await app.locals.sequelize.query(
+      "SELECT hypertable_name, proc_name FROM timescaledb_information.jobs WHERE hypertable_name LIKE '%_hourly' ORDER BY hypertable_name, proc_name",
+    );
+    expect(policies).toEqual([
+      {
+        hypertable_name: 'lp_historical_hourly',
+        proc_name: 'policy_compression',
+      },
+      {
+        hypertable_name: 'lp_historical_hourly',
+        proc_name: 'policy_retention',
+      },
+      {
+        hypertable_name: 'token_prices_hourly',
+        proc_name: 'policy_compression',
+      },
+      {
+        hypertable_name: 'token_prices_hourly',
+        proc_name: 'policy_retention',
+      },
+    ]);
+  });
+
+  it('should be idempotent', async () => {
+    const status = await setupTimescale(app.locals.sequelize, {
+      hourlyRetentionDays: 60,
+    });
+
+    expect(status).toEqual(app.locals.timescale);
+  });
+
+  it('should resample the full history from the continuous aggregates', async () => {
+    const priceResponse = await testClient.request
+      .get('/api/data/price-history')
+      .query({ token: 'WETH', interval: '1M' });
+    const poolResponse = await testClient.request.get('/api/data/pool').query({
+      address: '0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640',
+      interval: '1M',
+      agg: 'last',
+    });
+
+    expect(priceResponse.status).toBe(200);
+    expect(priceResponse.body).toEqual({
+      priceData: [
+        {
+          timestamp: '2023-01-01T00:00:00.000Z',
+          token_symbol: 'WETH',
+          open: '1200.123457',
+          high: '1210.654321',
+          low: '1200.123457',
+          close: '1210.654321',
+          is_imputed: false,
+        },
+      ],
+      meta: {
+        count: 1,
+        limit: null,
+        order: 'asc',
+        nextCursor: null,
+      },
+    });
+    expect(poolResponse.status).toBe(200);
+    expect(poolResponse.body).toEqual({
+      poolData: [
+        {
+          timestamp: '2023-01-01T00:00:00.000Z',
+          pool_address: '0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640',
+          tvl_usd: '1010000.987654',
+          volume_24h_usd: '510000.123457',
+          fees_24h_usd: '1520.654321',
+          is_imputed: false,
+        },
+      ],
+      meta: {
+        count: 1,
+        limit: null,
+        order: 'asc',
+        nextCursor: null,
+      },
+    });
+  });
+
+  it('should report the TimescaleDB features', async () => {
+    const response = await testClient.request
+      .get('/api/data/admin/database')
+      .set('x-api-key', 'test-admin-key');
+
+    expect(response.status).toBe(200);
+    expect(response.body.timescale).toMatchObject({
+      available: true,
+      plainTables: [],
+      continuousAggregates: Object.keys(CONTINUOUS_AGGREGATES),
+      warnings: [],
+    });
+  });
+});
@@ -1,8 +1,6 @@
 import { GenericContainer } from 'testcontainers';
 import supertest from 'supertest';
-import axios from 'axios';
-import { request } from 'graphql-request';
-import { poolIds } from '../src/config/pools.js';
+import { migrateUp } from '../src/migrations/migrator.js';
 
 process.env.NODE_ENV = 'test';
 process.env.DATA_SERVICE_PORT = 3001;
@@ -32,9 +30,20 @@ export async function loadModels() {
   return { sequelize, models };
 }
 
+/**
+ * Empties every table of the migrated schema, including the seeded registry, so that each test
+ * seeds the rows it needs.
+ */
+export async function resetTestDatabase() {
+  const tables = Object.values(models).map((model) => model.getTableName());
+  await sequelize.query(
+    `TRUNCATE ${tables.join(', ')} RESTART IDENTITY CASCADE`,
+  );
+}
+
 export async function setupTestEnvironment() {
   try {
-    container = await new GenericContainer('postgres:13')
+    container = await new GenericContainer('timescale/timescaledb:latest-pg17')
       .withEnvironment({
         POSTGRES_USER: 'postgres',
         POSTGRES_PASSWORD: 'postgres',
@@ -53,10 +62,13 @@ export async function setupTestEnvironment() {
   process.env.DEFILLAMA_API_URL = 'http://mock-defillama.com/';
   process.env.COINGECKO_API_URL = 'http://mock-coingecko.com/';
   process.env.COINGECKO_API_KEY = 'mock-key';
+  process.env.DEFILLAMA_COINS_API_URL = 'http://mock-defillama-coins.com/';
   process.env.GRAPH_API_URL = 'http://mock-graph.com/';
 
   await sequelize.authenticate();
-  await sequelize.sync({ force: true });
+  await sequelize.query('CREATE EXTENSION IF NOT EXISTS timescaledb');
+  await migrateUp(sequelize);
+  await resetTestDatabase();
 }
 
 export async function teardownTestEnvironment() {
@@ -81,10 +93,22 @@ export async function seedTokenData() {
     await loadModels();
   }
   await models.Token.bulkCreate([
-    { token_symbol: 'WETH' },
-    { token_symbol: 'USDC' },
-    { token_symbol: 'WBTC' },
-    { token_symbol: 'DAI' },
+    {
+      token_symbol: 'WETH',
+      coingecko_address: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+    },
+    {
+      token_symbol: 'USDC',
+      coingecko_address: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48',
+    },
+    {
+      token_symbol: 'WBTC',
+      coingecko_address: '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599',
+    },
+    {
+      token_symbol: 'DAI',
+      coingecko_address: '0x6B175474E89094C44Da98b954EedeAC495271d0F',
+    },
   ]);
 }
 
@@ -95,13 +119,19 @@ export async function seedPoolData() {
   await models.Pool.bulkCreate([
     {
       pool_address: '0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640',
+      pool_name: 'wethUsdc',
       token0_symbol: 'WETH',
       token1_symbol: 'USDC',
+      fee_tier: 500,
+      defillama_id: '665dc8bc-c79d-4800-97f7-304bf368e547',
     },
     {
       pool_address: '0x99ac8ca7087fa4a2a1fb6357269965a2014abc35',
+      pool_name: 'wbtcUsdc',
       token0_symbol: 'WBTC',
       token1_symbol: 'USDC',
+      fee_tier: 3000,
+      defillama_id: 'bbecbf69-a4f7-43e3-8b72-de180d106e2c',
     },
   ]);
 }
@@ -112,7 +142,11 @@ export async function seedStakingData() {
   }
   await models.ETHStakingHistorical.bulkCreate([
     { timestamp: '2023-01-01T00:00:00.000Z', apy_percentage: 5.01 },
-    { timestamp: '2023-01-02T00:00:00.000Z', apy_percentage: 5.12 },
+    {
+      timestamp: '2023-01-02T00:00:00.000Z',
+      apy_percentage: 5.12,
+      is_imputed: true,
+    },
   ]);
 }
 
@@ -130,6 +164,7 @@ export async function seedPriceData() {
       timestamp: '2023-01-02T00:00:00.000Z',
       token_symbol: 'WETH',
       price_usd: 1210.654321,
+      is_imputed: true,
     },
   ]);
 }
@@ -152,6 +187,29 @@ export async function seedLpData() {
       tvl_usd: 1010000.987654,
       volume_24h_usd: 510000.123457,
       fees_24h_usd: 1520.654321,
+      is_imputed: true,
+    },
+  ]);
+}
+
+export async function seedHourlyData() {
+  if (!models) {
+    await loadModels();
+  }
+  await models.TokenPriceHourly.bulkCreate([
+    {
+      timestamp: '2023-01-01T00:00:00.000Z',
+      token_symbol: 'WETH',
+      price_usd: 1200.123457,
+    },
+  ]);
+  await models.LPHistoricalHourly.bulkCreate([
+    {
+      timestamp: '2023-01-01T00:00:00.000Z',
+      pool_address: '0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640',
+      tvl_usd: 1000000.123457,
+      volume_1h_usd: 20835.048,
+      fees_1h_usd: 62.505144,
     },
   ]);
 }
@@ -171,65 +229,12 @@ jest.mock('graphql-request', () => ({
   }),
 }));
 
-export function mockExternalApis() {
-  axios.get.mockImplementation(async (url) => {
-    if (url.startsWith(process.env.DEFILLAMA_API_URL)) {
-      const poolId = url.split('/').pop();
-      if (
-        poolId === poolIds.wethUsdc ||
-        poolId === poolIds.wbtcUsdc ||
-        poolId === poolIds.lidoEth
-      ) {
-        return {
-          data: {
-            data: [
-              { timestamp: '2023-01-01', apy: 5.012, tvlUsd: 1000000.1234567 },
-              { timestamp: '2023-01-02', apy: 5.123, tvlUsd: 1010000.9876543 },
-            ],
-          },
-        };
-      }
-      return { data: { data: [] } };
-    }
-    if (url.startsWith(process.env.COINGECKO_API_URL)) {
-      return {
-        data: {
-          prices: [
-            [1672531200000, 1200.1234567], // 2023-01-01
-            [1672617600000, 1210.654321], // 2023-01-02
-          ],
-        },
-      };
-    }
-    throw new Error(`Unexpected URL: ${url}`);
-  });
-
-  request.mockImplementation(async (url, query) => {
-    if (url === process.env.GRAPH_API_URL) {
-      const address = query.match(/pool: "([^"]+)"/)?.[1];
-      if (
-        address === '0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640' ||
-        address === '0x99ac8ca7087fa4a2a1fb6357269965a2014abc35'
-      ) {
-        return {
-          poolDayDatas: [
-            {
-              date: 1672531200, // 2023-01-01
-              feesUSD: '1500.1234567',
-              volumeUSD: '500000.6543210',
-            },
-            {
-              date: 1672617600, // 2023-01-02
-              feesUSD: '1520.6543210',
-              volumeUSD: '510000.1234567',
-            },
-          ],
-        };
-      }
-      return { poolDayDatas: [] };
-    }
-    throw new Error(`Unexpected GraphQL URL: ${url}`);
-  });
+/**
+ * Serves the upstream API responses recorded in tests/fixtures instead of requesting them.
+ */
+export function useRecordedFixtures() {
+  process.env.DATA_SOURCE_MODE = 'replay';
+  process.env.DATA_FIXTURES_DIR = 'tests/fixtures';
 }
 
 export const testClient = { request: null };
@@ -0,0 +1,285 @@
+import {
+  parseBackfillArgs,
+  describePendingRows,
+  runBackfill,
+} from '../../../src/cli/backfill.js';
+import dataHandler from '../../../src/data/handler.js';
+import runIngestion from '../../../src/data/ingestion.js';
+import { getMigrationStatus } from '../../../src/migrations/migrator.js';
+
+jest.mock('../../../src/data/handler.js');
+jest.mock('../../../src/data/ingestion.js');
+jest.mock('../../../src/migrations/migrator.js');
+
+describe('parseBackfillArgs', () => {
+  it('should parse a targeted date range', () => {
+    expect(
+      parseBackfillArgs([
+        '--source',
+        'coingecko',
+        '--token',
+        'weth,usdc',
+        '--token',
+        'dai',
+        '--from',
+        '2022-01-01',
+        '--to',
+        '2022-12-31',
+      ]),
+    ).toEqual({
+      dryRun: false,
+      options: {
+        start: new Date('2022-01-01'),
+        end: new Date('2022-12-31T23:59:59.999Z'),
+        resolution: 'daily',
+        sources: ['coingecko'],
+        tokens: ['weth', 'usdc', 'dai'],
+        onConflict: 'skip',
+      },
+    });
+  });
+
+  it('should parse the dry-run, overwrite and pool options', () => {
+    expect(
+      parseBackfillArgs([
+        '--from',
+        '2022-01-01',
+        '--pool',
+        'wethUsdc',
+        '--overwrite',
+        '--dry-run',
+      ]),
+    ).toEqual({
+      dryRun: true,
+      options: {
+        start: new Date('2022-01-01'),
+        resolution: 'daily',
+        pools: ['wethUsdc'],
+        onConflict: 'overwrite',
+      },
+    });
+  });
+
+  it('should parse an hourly backfill', () => {
+    expect(
+      parseBackfillArgs([
+        '--from',
+        '2023-01-01',
+        '--resolution',
+        'hourly',
+        '--source',
+        'coingecko-hourly',
+      ]).options,
+    ).toEqual({
+      start: new Date('2023-01-01'),
+      resolution: 'hourly',
+      sources: ['coingecko-hourly'],
+      onConflict: 'skip',
+    });
+  });
+
+  it('should include every hour of the last day of an hourly backfill', () => {
+    expect(
+      parseBackfillArgs([
+        '--from',
+        '2023-01-01',
+        '--to',
+        '2023-01-07',
+        '--resolution',
+        'hourly',
+      ]).options.end,
+    ).toEqual(new Date('2023-01-07T23:59:59.999Z'));
+  });
+
+  it('should keep the time of a --to date with a time', () => {
+    expect(
+      parseBackfillArgs(['--from', '2023-01-01', '--to', '2023-01-07T12:00Z'])
+        .options.end,
+    ).toEqual(new Date('2023-01-07T12:00Z'));
+  });
+
+  it('should return help without validating the other options', () => {
+    expect(parseBackfillArgs(['--help'])).toEqual({ help: true });
+    expect(parseBackfillArgs(['-h'])).toEqual({ help: true });
+  });
+
+  it.each([
+    [[], 'Missing --from date'],
+    [['--from', 'last year'], 'Invalid --from date: last year'],
+    [['--from', '2022-01-01', '--to', 'x'], 'Invalid --to date: x'],
+    [
+      ['--from', '2022-12-31', '--to', '2022-01-01'],
+      '--from must be before --to',
+    ],
+    [
+      ['--from', '2022-01-01', '--source', 'binance'],
+      'Unknown sources: binance',
+    ],
+    [
+      ['--from', '2022-01-01', '--resolution', 'weekly'],
+      'Invalid --resolution: weekly',
+    ],
+    [
+      ['--from', '2022-01-01', '--resolution', 'hourly', '--source', 'uniswap'],
+      'Unknown sources: uniswap',
+    ],
+    [['--from', '2022-01-01', '--days', '5'], "Unknown option '--days'"],
+  ])('should reject %j', (args, message) => {
+    expect(() => parseBackfillArgs(args)).toThrow(message);
+  });
+});
+
+describe('describePendingRows', () => {
+  it('should describe the records of every series', () => {
+    expect(
+      describePendingRows({
+        tokenPrices: {
+          weth: [
+            { timestamp: '2022-01-02T00:00:00.000Z', priceUsd: 2 },
+            {
+              timestamp: '2022-01-01T00:00:00.000Z',
+              priceUsd: 1,
+              isImputed: true,
+            },
+          ],
+          usdc: [],
+        },
+      }),
+    ).toEqual([
+      "tokenPrices 'weth': 2 records (1 imputed) from 2022-01-01 to 2022-01-02",
+      "tokenPrices 'usdc': no records",
+    ]);
+  });
+});
+
+describe('runBackfill', () => {
+  const app = { locals: { sequelize: {}, models: {} } };
+  const options = { start: new Date('2022-01-01'), onConflict: 'skip' };
+  let consoleLogSpy;
+  let consoleErrorSpy;
+
+  beforeEach(() => {
+    consoleLogSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    getMigrationStatus.mockResolvedValue({
+      version: '0003-seed-registry',
+      pending: [],
+      unknown: [],
+    });
+  });
+
+  afterEach(() => {
+    consoleLogSpy.mockRestore();
+    consoleErrorSpy.mockRestore();
+  });
+
+  it('should print what a dry run would write without recording a run', async () => {
+    dataHandler.mockResolvedValue({
+      failedSeries: [],
+      pendingRows: {
+        staking: {
+          lidoEth: [{ timestamp: '2022-01-01T00:00:00.000Z' }],
+        },
+      },
+    });
+
+    const exitCode = await runBackfill(app, { dryRun: true, options });
+
+    expect(exitCode).toBe(0);
+    expect(dataHandler).toHaveBeenCalledWith(app, {
+      ...options,
+      dryRun: true,
+    });
+    expect(runIngestion).not.toHaveBeenCalled();
+    expect(consoleLogSpy).toHaveBeenCalledWith(
+      "staking 'lidoEth': 1 records (0 imputed) from 2022-01-01 to 2022-01-01",
+    );
+  });
+
+  it('should fail a dry run in which a series could not be fetched', async () => {
+    dataHandler.mockResolvedValue({
+      failedSeries: [{ source: 'coingecko', series: 'weth', error: 'Timeout' }],
+      pendingRows: {},
+    });
+
+    await expect(runBackfill(app, { dryRun: true, options })).resolves.toBe(1);
+    expect(consoleErrorSpy).toHaveBeenCalledWith(
+      "Failed to fetch coingecko series 'weth': Timeout",
+    );
+  });
+
+  it('should record the backfill as an ingestion run', async () => {
+    runIngestion.mockResolvedValue({
+      id: 4,
+      status: 'succeeded',
+      rows_written: {
+        tokenPrices: {
+          inserted: 365,
+          updated: 0,
+          skipped: 1,
+          unfilled: 0,
+        },
+        liquidityPools: {
+          inserted: 363,
+          updated: 0,
+          skipped: 0,
+          unfilled: 2,
+        },
+      },
+      failed_series: [],
+    });
+
+    const exitCode = await runBackfill(app, { dryRun: false, options });
+
+    expect(exitCode).toBe(0);
+    expect(runIngestion).toHaveBeenCalledWith(app, 'backfill', options);
+    expect(consoleLogSpy).toHaveBeenCalledWith(
+      'tokenPrices: 365 inserted, 0 updated, 1 skipped',
+    );
+    expect(consoleLogSpy).toHaveBeenCalledWith(
+      'liquidityPools: 363 inserted, 0 updated, 0 skipped, 2 left unfilled',
+    );
+    expect(consoleLogSpy).toHaveBeenCalledWith(
+      'Backfill finished (run 4, succeeded).',
+    );
+  });
+
+  it('should fail a partial backfill', async () => {
+    runIngestion.mockResolvedValue({
+      id: 5,
+      status: 'partial',
+      rows_written: {},
+      failed_series: [{ source: 'uniswap', series: 'wethUsdc', error: 'x' }],
+    });
+
+    await expect(runBackfill(app, { dryRun: false, options })).resolves.toBe(1);
+  });
+
+  it.each([
+    [
+      { version: '0001-initial-schema', pending: ['0002-adopt-init-schema'] },
+      'Database schema is not up to date (pending migrations: 0002-adopt-init-schema); run "node cli.js migrate up" first',
+    ],
+    [
+      { version: '0004-future', pending: [], unknown: ['0004-future'] },
+      'Database schema version 0004-future is not known to this service (unknown migrations: 0004-future)',
+    ],
+  ])('should refuse to run on the schema %j', async (status, message) => {
+    getMigrationStatus.mockResolvedValue({ unknown: [], ...status });
+
+    await expect(runBackfill(app, { dryRun: true, options })).rejects.toThrow(
+      message,
+    );
+    expect(getMigrationStatus).toHaveBeenCalledWith(app.locals.sequelize);
+    expect(dataHandler).not.toHaveBeenCalled();
+    expect(runIngestion).not.toHaveBeenCalled();
+  });
+
+  it('should reject if the backfill fails', async () => {
+    runIngestion.mockRejectedValue(new Error('Save error'));
+
+    await expect(runBackfill(app, { dryRun: false, options })).rejects.toThrow(
+      'Save error',
+    );
+  });
+});
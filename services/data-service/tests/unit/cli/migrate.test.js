@@ -0,0 +1,122 @@
+import { parseMigrateArgs, runMigrate } from '../../../src/cli/migrate.js';
+import {
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+} from '../../../src/migrations/migrator.js';
+
+jest.mock('../../../src/migrations/migrator.js');
+
+describe('parseMigrateArgs', () => {
+  it('should parse the actions and their options', () => {
+    expect(parseMigrateArgs(['up'])).toEqual({ action: 'up', options: {} });
+    expect(parseMigrateArgs(['up', '--to', '0001-initial-schema'])).toEqual({
+      action: 'up',
+      options: { to: '0001-initial-schema' },
+    });
+    expect(parseMigrateArgs(['down', '--step', '2'])).toEqual({
+      action: 'down',
+      options: { step: 2 },
+    });
+    expect(parseMigrateArgs(['status'])).toEqual({
+      action: 'status',
+      options: {},
+    });
+  });
+
+  it('should return help', () => {
+    expect(parseMigrateArgs(['--help'])).toEqual({ help: true });
+  });
+
+  it.each([
+    [[], 'Invalid action: (none), must be one of up, down, status'],
+    [['sideways'], 'Invalid action: sideways, must be one of up, down, status'],
+    [['up', 'now'], 'Unexpected arguments: now'],
+    [['up', '--step', '1'], '--step can only be used with down'],
+    [['status', '--to', '0001-initial-schema'], '--to cannot be used with status'],
+    [
+      ['down', '--step', '1', '--to', '0001-initial-schema'],
+      '--step cannot be combined with --to',
+    ],
+    [['down', '--step', '0'], 'Invalid --step: 0, must be a positive integer'],
+    [['up', '--force'], "Unknown option '--force'"],
+  ])('should reject %j', (args, message) => {
+    expect(() => parseMigrateArgs(args)).toThrow(message);
+  });
+});
+
+describe('runMigrate', () => {
+  const app = { locals: { sequelize: {} } };
+  let consoleLogSpy;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    consoleLogSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleLogSpy.mockRestore();
+  });
+
+  it('should print the applied and pending migrations', async () => {
+    getMigrationStatus.mockResolvedValue({
+      version: '0001-initial-schema',
+      applied: [
+        {
+          name: '0001-initial-schema',
+          appliedAt: new Date('2024-01-01T00:00:00.000Z'),
+        },
+      ],
+      pending: ['0002-seed-registry'],
+      unknown: [],
+    });
+
+    await expect(runMigrate(app, { action: 'status', options: {} })).resolves.toBe(
+      0,
+    );
+    expect(consoleLogSpy.mock.calls.map(([line]) => line)).toEqual([
+      'applied  0001-initial-schema at 2024-01-01T00:00:00.000Z',
+      'pending  0002-seed-registry',
+      'Schema version: 0001-initial-schema',
+    ]);
+  });
+
+  it('should apply the pending migrations', async () => {
+    migrateUp.mockResolvedValue(['0001-initial-schema', '0002-seed-registry']);
+
+    const exitCode = await runMigrate(app, {
+      action: 'up',
+      options: { to: '0002-seed-registry' },
+    });
+
+    expect(exitCode).toBe(0);
+    expect(migrateUp).toHaveBeenCalledWith(app.locals.sequelize, {
+      to: '0002-seed-registry',
+    });
+    expect(consoleLogSpy).toHaveBeenCalledWith('Applied 0002-seed-registry');
+  });
+
+  it('should revert migrations', async () => {
+    migrateDown.mockResolvedValueOnce(['0002-seed-registry']);
+    migrateDown.mockResolvedValueOnce([]);
+
+    await runMigrate(app, { action: 'down', options: { step: 1 } });
+    await runMigrate(app, { action: 'down', options: {} });
+
+    expect(migrateDown).toHaveBeenCalledWith(app.locals.sequelize, {
+      step: 1,
+    });
+    expect(consoleLogSpy).toHaveBeenCalledWith('Reverted 0002-seed-registry');
+    expect(consoleLogSpy).toHaveBeenCalledWith('No migrations to revert.');
+  });
+
+  it('should reject if the schema version is unknown', async () => {
+    migrateUp.mockRejectedValue(
+      new Error('Database schema version 0099-future is not known'),
+    );
+
+    await expect(runMigrate(app, { action: 'up', options: {} })).rejects.toThrow(
+      'Database schema version 0099-future is not known',
+    );
+  });
+});
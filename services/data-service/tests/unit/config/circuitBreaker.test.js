@@ -0,0 +1,47 @@
+import {
+  DEFAULT_FAILURE_THRESHOLD,
+  DEFAULT_RESET_TIMEOUT,
+  getCircuitBreakerSettings,
+} from '../../../src/config/circuitBreaker.js';
+
+describe('getCircuitBreakerSettings', () => {
+  afterEach(() => {
+    delete process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD;
+    delete process.env.CIRCUIT_BREAKER_RESET_TIMEOUT;
+  });
+
+  it('should open after 5 failures for 30 seconds by default', () => {
+    expect(getCircuitBreakerSettings()).toEqual({
+      failureThreshold: DEFAULT_FAILURE_THRESHOLD,
+      resetTimeout: DEFAULT_RESET_TIMEOUT,
+    });
+    expect(DEFAULT_FAILURE_THRESHOLD).toBe(5);
+    expect(DEFAULT_RESET_TIMEOUT).toBe(30000);
+  });
+
+  it('should read the failure threshold and reset timeout', () => {
+    process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD = '10';
+    process.env.CIRCUIT_BREAKER_RESET_TIMEOUT = '60000';
+    expect(getCircuitBreakerSettings()).toEqual({
+      failureThreshold: 10,
+      resetTimeout: 60000,
+    });
+  });
+
+  it.each(['0', '1.5', 'many'])(
+    'should throw for the failure threshold %s',
+    (value) => {
+      process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD = value;
+      expect(() => getCircuitBreakerSettings()).toThrow(
+        `Invalid CIRCUIT_BREAKER_FAILURE_THRESHOLD: ${value}, must be a positive integer`,
+      );
+    },
+  );
+
+  it('should throw for an invalid reset timeout', () => {
+    process.env.CIRCUIT_BREAKER_RESET_TIMEOUT = '-1';
+    expect(() => getCircuitBreakerSettings()).toThrow(
+      'Invalid CIRCUIT_BREAKER_RESET_TIMEOUT: -1, must be a positive integer',
+    );
+  });
+});
@@ -0,0 +1,43 @@
+import path from 'node:path';
+import {
+  DEFAULT_FIXTURES_DIR,
+  getDataSourceMode,
+  getFixturesDir,
+} from '../../../src/config/dataSource.js';
+
+describe('getDataSourceMode', () => {
+  afterEach(() => {
+    delete process.env.DATA_SOURCE_MODE;
+  });
+
+  it('should default to live', () => {
+    expect(getDataSourceMode()).toBe('live');
+  });
+
+  it.each(['live', 'record', 'replay'])('should read %s', (mode) => {
+    process.env.DATA_SOURCE_MODE = mode;
+    expect(getDataSourceMode()).toBe(mode);
+  });
+
+  it('should throw for an unknown mode', () => {
+    process.env.DATA_SOURCE_MODE = 'offline';
+    expect(() => getDataSourceMode()).toThrow(
+      'Invalid DATA_SOURCE_MODE: offline, must be one of live, record, replay',
+    );
+  });
+});
+
+describe('getFixturesDir', () => {
+  afterEach(() => {
+    delete process.env.DATA_FIXTURES_DIR;
+  });
+
+  it('should default to the fixtures directory of the working directory', () => {
+    expect(getFixturesDir()).toBe(path.resolve(DEFAULT_FIXTURES_DIR));
+  });
+
+  it('should resolve DATA_FIXTURES_DIR', () => {
+    process.env.DATA_FIXTURES_DIR = 'tests/fixtures';
+    expect(getFixturesDir()).toBe(path.resolve('tests/fixtures'));
+  });
+});
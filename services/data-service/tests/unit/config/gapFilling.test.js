@@ -0,0 +1,23 @@
+import { getFillSeed } from '../../../src/config/gapFilling.js';
+
+describe('getFillSeed', () => {
+  afterEach(() => {
+    delete process.env.GAP_FILL_SEED;
+  });
+
+  it('should leave the seed to the processor when unset', () => {
+    expect(getFillSeed()).toBeUndefined();
+    process.env.GAP_FILL_SEED = '';
+    expect(getFillSeed()).toBeUndefined();
+  });
+
+  it('should read an integer seed', () => {
+    process.env.GAP_FILL_SEED = '42';
+    expect(getFillSeed()).toBe(42);
+  });
+
+  it.each(['1.5', 'abc'])('should throw for %s', (value) => {
+    process.env.GAP_FILL_SEED = value;
+    expect(() => getFillSeed()).toThrow(`Invalid GAP_FILL_SEED: ${value}`);
+  });
+});
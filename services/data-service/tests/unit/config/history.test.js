@@ -0,0 +1,30 @@
+import {
+  DEFAULT_HISTORY_DAYS,
+  getHistoryDays,
+} from '../../../src/config/history.js';
+
+describe('getHistoryDays', () => {
+  afterEach(() => {
+    delete process.env.HISTORY_DAYS;
+  });
+
+  it('should default to 365 days', () => {
+    expect(getHistoryDays()).toBe(DEFAULT_HISTORY_DAYS);
+    expect(DEFAULT_HISTORY_DAYS).toBe(365);
+  });
+
+  it('should read a positive number of days', () => {
+    process.env.HISTORY_DAYS = '1095';
+    expect(getHistoryDays()).toBe(1095);
+  });
+
+  it("should return Infinity for 'max'", () => {
+    process.env.HISTORY_DAYS = 'MAX';
+    expect(getHistoryDays()).toBe(Infinity);
+  });
+
+  it.each(['0', '-5', '1.5', 'all'])('should throw for %s', (value) => {
+    process.env.HISTORY_DAYS = value;
+    expect(() => getHistoryDays()).toThrow(`Invalid HISTORY_DAYS: ${value}`);
+  });
+});
@@ -0,0 +1,64 @@
+import {
+  DEFAULT_RATE_LIMIT,
+  getRateLimit,
+} from '../../../src/config/rateLimits.js';
+
+describe('getRateLimit', () => {
+  afterEach(() => {
+    delete process.env.UPSTREAM_RATE_LIMITS;
+  });
+
+  it('should use the default limits for unknown hosts', () => {
+    expect(getRateLimit('yields.llama.fi')).toEqual(DEFAULT_RATE_LIMIT);
+  });
+
+  it('should use the built-in limits of CoinGecko', () => {
+    expect(getRateLimit('api.coingecko.com')).toEqual({
+      concurrency: 2,
+      requestsPerSecond: 0.5,
+      burst: 3,
+    });
+  });
+
+  it('should apply default and host overrides', () => {
+    process.env.UPSTREAM_RATE_LIMITS = JSON.stringify({
+      default: { concurrency: 8 },
+      'api.coingecko.com': { requestsPerSecond: 8, burst: 10 },
+    });
+    expect(getRateLimit('yields.llama.fi')).toEqual({
+      ...DEFAULT_RATE_LIMIT,
+      concurrency: 8,
+    });
+    expect(getRateLimit('api.coingecko.com')).toEqual({
+      concurrency: 2,
+      requestsPerSecond: 8,
+      burst: 10,
+    });
+  });
+
+  it('should throw for invalid JSON', () => {
+    process.env.UPSTREAM_RATE_LIMITS = '{host';
+    expect(() => getRateLimit('yields.llama.fi')).toThrow(
+      'Invalid UPSTREAM_RATE_LIMITS:',
+    );
+  });
+
+  it('should throw for a value that is not an object', () => {
+    process.env.UPSTREAM_RATE_LIMITS = '[]';
+    expect(() => getRateLimit('yields.llama.fi')).toThrow(
+      'Invalid UPSTREAM_RATE_LIMITS: must be a JSON object',
+    );
+  });
+
+  it.each([
+    [{ concurrency: 1.5 }, 'concurrency', 1.5],
+    [{ requestsPerSecond: 0 }, 'requestsPerSecond', 0],
+    [{ burst: 0.5 }, 'burst', 0.5],
+    [{ timeout: 10 }, 'timeout', 10],
+  ])('should throw for the settings %j', (limit, key, value) => {
+    process.env.UPSTREAM_RATE_LIMITS = JSON.stringify({ example: limit });
+    expect(() => getRateLimit('example')).toThrow(
+      `Invalid UPSTREAM_RATE_LIMITS setting ${key} for example: ${value}`,
+    );
+  });
+});
@@ -0,0 +1,47 @@
+import {
+  DEFAULT_PRICE_DIVERGENCE_THRESHOLD,
+  getPriceReconciliation,
+} from '../../../src/config/reconciliation.js';
+
+describe('getPriceReconciliation', () => {
+  afterEach(() => {
+    delete process.env.PRICE_DIVERGENCE_THRESHOLD;
+    delete process.env.PRICE_DIVERGENCE_ACTION;
+  });
+
+  it('should flag prices diverging by more than 5% by default', () => {
+    expect(getPriceReconciliation()).toEqual({
+      field: 'priceUsd',
+      threshold: DEFAULT_PRICE_DIVERGENCE_THRESHOLD,
+      action: 'flag',
+    });
+    expect(DEFAULT_PRICE_DIVERGENCE_THRESHOLD).toBe(0.05);
+  });
+
+  it('should read the threshold and action', () => {
+    process.env.PRICE_DIVERGENCE_THRESHOLD = '0.02';
+    process.env.PRICE_DIVERGENCE_ACTION = 'reject';
+    expect(getPriceReconciliation()).toEqual({
+      field: 'priceUsd',
+      threshold: 0.02,
+      action: 'reject',
+    });
+  });
+
+  it.each(['0', '-0.1', 'high'])(
+    'should throw for the threshold %s',
+    (value) => {
+      process.env.PRICE_DIVERGENCE_THRESHOLD = value;
+      expect(() => getPriceReconciliation()).toThrow(
+        `Invalid PRICE_DIVERGENCE_THRESHOLD: ${value}`,
+      );
+    },
+  );
+
+  it('should throw for an unknown action', () => {
+    process.env.PRICE_DIVERGENCE_ACTION = 'drop';
+    expect(() => getPriceReconciliation()).toThrow(
+      'Invalid PRICE_DIVERGENCE_ACTION: drop, must be one of flag, reject',
+    );
+  });
+});
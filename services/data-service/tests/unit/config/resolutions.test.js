@@ -0,0 +1,36 @@
+import {
+  DEFAULT_HOURLY_HISTORY_DAYS,
+  RESOLUTIONS,
+  RESOLUTION_INTERVALS,
+  getHourlyHistoryDays,
+} from '../../../src/config/resolutions.js';
+
+describe('RESOLUTION_INTERVALS', () => {
+  it('should space daily and hourly records', () => {
+    expect(RESOLUTIONS).toEqual(['daily', 'hourly']);
+    expect(RESOLUTION_INTERVALS.daily).toBe(24 * RESOLUTION_INTERVALS.hourly);
+  });
+});
+
+describe('getHourlyHistoryDays', () => {
+  afterEach(() => {
+    delete process.env.HOURLY_HISTORY_DAYS;
+  });
+
+  it('should default to 30 days', () => {
+    expect(getHourlyHistoryDays()).toBe(DEFAULT_HOURLY_HISTORY_DAYS);
+    expect(DEFAULT_HOURLY_HISTORY_DAYS).toBe(30);
+  });
+
+  it('should read a number of days up to 90', () => {
+    process.env.HOURLY_HISTORY_DAYS = '90';
+    expect(getHourlyHistoryDays()).toBe(90);
+  });
+
+  it.each(['0', '91', '1.5', 'max'])('should throw for %s', (value) => {
+    process.env.HOURLY_HISTORY_DAYS = value;
+    expect(() => getHourlyHistoryDays()).toThrow(
+      `Invalid HOURLY_HISTORY_DAYS: ${value}, must be an integer between 1 and 90`,
+    );
+  });
+});
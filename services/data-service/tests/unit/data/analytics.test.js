@@ -0,0 +1,147 @@
+import {
+  TRADING_DAYS_PER_YEAR,
+  DEFAULT_VOLATILITY_WINDOWS,
+  parseVolatilityWindows,
+  computeLogReturns,
+  computeRollingVolatility,
+  computeMaxDrawdown,
+  computeCorrelationMatrix,
+} from '../../../src/data/analytics.js';
+
+const day = (date) => new Date(`2023-01-${String(date).padStart(2, '0')}`);
+
+const createPrices = (...prices) =>
+  prices.map((price, index) => ({
+    timestamp: day(index + 1),
+    price_usd: String(price),
+  }));
+
+describe('parseVolatilityWindows', () => {
+  it('should default to DEFAULT_VOLATILITY_WINDOWS', () => {
+    expect(parseVolatilityWindows()).toEqual({
+      windows: [...DEFAULT_VOLATILITY_WINDOWS],
+    });
+  });
+
+  it('should sort the windows and drop duplicates', () => {
+    expect(parseVolatilityWindows('90, 7,90,365')).toEqual({
+      windows: [7, 90, 365],
+    });
+  });
+
+  it.each(['1', '366', '7.5', 'week', '7,', ''])(
+    'should reject the windows %j',
+    (windows) => {
+      expect(parseVolatilityWindows(windows)).toEqual({
+        errorMsg:
+          'Invalid windows parameter, must be a comma-separated list of integers between 2 and 365',
+      });
+    },
+  );
+});
+
+describe('computeLogReturns', () => {
+  it('should compute the log return of each day', () => {
+    const returns = computeLogReturns(createPrices(100, 110, 99));
+
+    expect(returns.map(({ timestamp }) => timestamp)).toEqual([
+      '2023-01-02T00:00:00.000Z',
+      '2023-01-03T00:00:00.000Z',
+    ]);
+    expect(returns[0].log_return).toBeCloseTo(Math.log(1.1), 12);
+    expect(returns[1].log_return).toBeCloseTo(Math.log(0.9), 12);
+  });
+
+  it('should skip returns across missing days and non-positive prices', () => {
+    const prices = [
+      { timestamp: day(1), price_usd: '100' },
+      { timestamp: day(3), price_usd: '105' },
+      { timestamp: day(4), price_usd: '0' },
+      { timestamp: day(5), price_usd: '1' },
+    ];
+
+    expect(computeLogReturns(prices)).toEqual([]);
+  });
+});
+
+describe('computeRollingVolatility', () => {
+  it('should annualize the standard deviation of each full window', () => {
+    const returns = [0.01, -0.01, 0.03, -0.03].map((logReturn, index) => ({
+      timestamp: day(index + 2).toISOString(),
+      log_return: logReturn,
+    }));
+
+    const volatility = computeRollingVolatility(returns, 3);
+
+    expect(volatility.map(({ timestamp }) => timestamp)).toEqual([
+      '2023-01-04T00:00:00.000Z',
+      '2023-01-05T00:00:00.000Z',
+    ]);
+    // Sample standard deviation of 0.01, -0.01 and 0.03
+    expect(volatility[0].volatility).toBeCloseTo(
+      0.02 * Math.sqrt(TRADING_DAYS_PER_YEAR),
+      12,
+    );
+    expect(computeRollingVolatility(returns, 5)).toEqual([]);
+  });
+});
+
+describe('computeMaxDrawdown', () => {
+  it('should find the largest fall from a peak', () => {
+    expect(computeMaxDrawdown(createPrices(100, 120, 90, 110, 60, 130))).toEqual(
+      {
+        value: 0.5,
+        peak: '2023-01-02T00:00:00.000Z',
+        trough: '2023-01-05T00:00:00.000Z',
+      },
+    );
+  });
+
+  it('should report no drawdown for rising prices', () => {
+    expect(computeMaxDrawdown(createPrices(1, 2, 3))).toEqual({
+      value: 0,
+      peak: null,
+      trough: null,
+    });
+    expect(computeMaxDrawdown([])).toEqual({
+      value: 0,
+      peak: null,
+      trough: null,
+    });
+  });
+});
+
+describe('computeCorrelationMatrix', () => {
+  const toReturns = (...values) =>
+    values.map((logReturn, index) => ({
+      timestamp: day(index + 2).toISOString(),
+      log_return: logReturn,
+    }));
+
+  it('should correlate the returns of every pair of tokens', () => {
+    const matrix = computeCorrelationMatrix({
+      WETH: toReturns(0.01, 0.02, -0.01),
+      WBTC: toReturns(0.02, 0.04, -0.02),
+      DAI: toReturns(-0.01, -0.02, 0.01),
+    });
+
+    expect(matrix.WETH.WETH).toBeCloseTo(1, 12);
+    expect(matrix.WETH.WBTC).toBeCloseTo(1, 12);
+    expect(matrix.WBTC.DAI).toBeCloseTo(-1, 12);
+    expect(matrix.DAI.WBTC).toBe(matrix.WBTC.DAI);
+  });
+
+  it('should only correlate the days both tokens have returns', () => {
+    const matrix = computeCorrelationMatrix({
+      WETH: toReturns(0.01, 0.02),
+      USDC: [
+        { timestamp: day(3).toISOString(), log_return: 0.001 },
+        { timestamp: day(9).toISOString(), log_return: 0.002 },
+      ],
+      DAI: toReturns(0, 0, 0),
+    });
+
+    expect(matrix.WETH.USDC).toBeNull();
+    expect(matrix.WETH.DAI).toBeNull();
+  });
+});
@@ -0,0 +1,205 @@
+import { EventEmitter } from 'node:events';
+import {
+  EXPORT_BATCH_SIZE,
+  parseFormat,
+  formatRow,
+  streamHistory,
+} from '../../../src/data/export.js';
+
+/**
+ * Emulates a response that collects the written chunks. Writes report a full buffer, and emit
+ * 'drain' on the next tick, when `buffered` is set.
+ */
+function createResponse({ buffered = false } = {}) {
+  const res = new EventEmitter();
+  res.chunks = [];
+  res.destroyed = false;
+  res.status = jest.fn().mockReturnValue(res);
+  res.set = jest.fn().mockReturnValue(res);
+  res.write = jest.fn((chunk) => {
+    res.chunks.push(chunk);
+    if (buffered) {
+      process.nextTick(() => res.emit('drain'));
+    }
+    return !buffered;
+  });
+  res.end = jest.fn();
+  res.destroy = jest.fn(() => {
+    res.destroyed = true;
+  });
+  return res;
+}
+
+const createRows = (count, start = 0) =>
+  Array.from({ length: count }, (_, index) => ({
+    timestamp: new Date(Date.UTC(2023, 0, 1, start + index)),
+    price_usd: String(start + index),
+  }));
+
+describe('parseFormat', () => {
+  it('should default to JSON', () => {
+    expect(parseFormat()).toEqual({ format: 'json' });
+    expect(parseFormat(undefined, 'text/html, */*')).toEqual({
+      format: 'json',
+    });
+  });
+
+  it('should prefer the format parameter over the Accept header', () => {
+    expect(parseFormat('ndjson', 'text/csv')).toEqual({ format: 'ndjson' });
+  });
+
+  it('should pick the first export media type of the Accept header', () => {
+    expect(
+      parseFormat(undefined, 'text/html, Application/X-NDJSON; q=0.9, text/csv'),
+    ).toEqual({ format: 'ndjson' });
+  });
+
+  it('should reject an unknown format', () => {
+    expect(parseFormat('xml')).toEqual({
+      errorMsg: 'Invalid format parameter, must be one of json, csv, ndjson',
+    });
+  });
+});
+
+describe('formatRow', () => {
+  it('should format a CSV line, quoting the cells that need it', () => {
+    expect(
+      formatRow(
+        {
+          timestamp: new Date('2023-01-01'),
+          label: 'a "b", c',
+          price_usd: null,
+          is_imputed: false,
+        },
+        ['timestamp', 'label', 'price_usd', 'is_imputed'],
+        'csv',
+      ),
+    ).toBe('2023-01-01T00:00:00.000Z,"a ""b"", c",,false\r\n');
+  });
+
+  it('should format an NDJSON line with the selected fields', () => {
+    expect(
+      formatRow(
+        { timestamp: new Date('2023-01-01'), price_usd: '1.5', extra: 1 },
+        ['timestamp', 'price_usd'],
+        'ndjson',
+      ),
+    ).toBe('{"timestamp":"2023-01-01T00:00:00.000Z","price_usd":"1.5"}\n');
+  });
+});
+
+describe('streamHistory', () => {
+  const options = {
+    format: 'csv',
+    fields: ['timestamp', 'price_usd'],
+    filename: 'price-history-WETH',
+  };
+
+  it('should write the header and every batch, each read after the last row', async () => {
+    const rows = createRows(EXPORT_BATCH_SIZE + 2);
+    const readBatch = jest.fn(async (cursor, count) => {
+      const start = cursor
+        ? rows.findIndex((row) => row.timestamp > cursor)
+        : 0;
+      return rows.slice(start, start + count);
+    });
+    const res = createResponse({ buffered: true });
+
+    await expect(streamHistory(res, { ...options, readBatch })).resolves.toBe(
+      rows.length,
+    );
+
+    expect(readBatch.mock.calls).toEqual([
+      [undefined, EXPORT_BATCH_SIZE],
+      [rows[EXPORT_BATCH_SIZE - 1].timestamp, EXPORT_BATCH_SIZE],
+    ]);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.set).toHaveBeenCalledWith({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': 'attachment; filename="price-history-WETH.csv"',
+    });
+    const lines = res.chunks.join('').split('\r\n');
+    expect(lines[0]).toBe('timestamp,price_usd');
+    expect(lines[1]).toBe('2023-01-01T00:00:00.000Z,0');
+    expect(lines).toHaveLength(rows.length + 2);
+    expect(res.end).toHaveBeenCalled();
+  });
+
+  it('should start after the cursor and stop at the limit', async () => {
+    const cursor = new Date('2023-01-01T05:00:00.000Z');
+    const readBatch = jest.fn(async (_, count) => createRows(count, 6));
+    const res = createResponse();
+
+    await expect(
+      streamHistory(res, {
+        ...options,
+        format: 'ndjson',
+        readBatch,
+        cursor,
+        limit: 2,
+      }),
+    ).resolves.toBe(2);
+
+    expect(readBatch).toHaveBeenCalledTimes(1);
+    expect(readBatch).toHaveBeenCalledWith(cursor, 2);
+    expect(res.chunks).toEqual([
+      '{"timestamp":"2023-01-01T06:00:00.000Z","price_usd":"6"}\n{"timestamp":"2023-01-01T07:00:00.000Z","price_usd":"7"}\n',
+    ]);
+  });
+
+  it('should write only the header of an empty history', async () => {
+    const res = createResponse();
+
+    await streamHistory(res, {
+      ...options,
+      readBatch: jest.fn().mockResolvedValue([]),
+    });
+
+    expect(res.chunks).toEqual(['timestamp,price_usd\r\n']);
+    expect(res.end).toHaveBeenCalled();
+  });
+
+  it('should throw before responding if the first batch cannot be read', async () => {
+    const res = createResponse();
+
+    await expect(
+      streamHistory(res, {
+        ...options,
+        readBatch: jest.fn().mockRejectedValue(new Error('Database error')),
+      }),
+    ).rejects.toThrow('Database error');
+    expect(res.status).not.toHaveBeenCalled();
+    expect(res.set).not.toHaveBeenCalled();
+  });
+
+  it('should abort the response if a later batch cannot be read', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const error = new Error('Database error');
+    const readBatch = jest
+      .fn()
+      .mockResolvedValueOnce(createRows(EXPORT_BATCH_SIZE))
+      .mockRejectedValueOnce(error);
+    const res = createResponse();
+
+    await expect(streamHistory(res, { ...options, readBatch })).resolves.toBe(
+      EXPORT_BATCH_SIZE,
+    );
+
+    expect(res.destroy).toHaveBeenCalledWith(error);
+    expect(res.end).not.toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+
+  it('should stop reading once the client disconnects', async () => {
+    const res = createResponse();
+    res.write.mockImplementation(() => {
+      res.destroyed = true;
+      return true;
+    });
+    const readBatch = jest.fn().mockResolvedValue(createRows(EXPORT_BATCH_SIZE));
+
+    await streamHistory(res, { ...options, readBatch });
+
+    expect(readBatch).toHaveBeenCalledTimes(1);
+  });
+});
@@ -4,10 +4,37 @@ import {
   fetchPoolData,
   fetchPriceData,
   fetchUniswapPoolData,
+  fetchLlamaPriceData,
+  fetchPaginatedPoolDayDatas,
+  fetchPaginatedPoolHourDatas,
+  LLAMA_COINS_HISTORY_START,
+  SUBGRAPH_PAGE_SIZE,
 } from '../../../src/data/fetcher.js';
 
 jest.mock('../../../src/utils/retry', () => (fn) => fn());
 
+const poolIds = {
+  lidoEth: '747c1d2a-c668-4682-b9f9-296708a3dd90',
+  wethUsdc: '665dc8bc-c79d-4800-97f7-304bf368e547',
+  wbtcUsdc: 'bbecbf69-a4f7-43e3-8b72-de180d106e2c',
+  wbtcWeth: 'd59a5728-d391-4989-86f6-a94e11e0eb3b',
+  daiUsdc: '1193ef25-862b-43c1-a545-91bbb9678d30',
+};
+
+const tokenAddresses = {
+  weth: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+  wbtc: '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599',
+  dai: '0x6B175474E89094C44Da98b954EedeAC495271d0F',
+  usdc: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48',
+};
+
+const poolAddresses = {
+  wethUsdc: '0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640',
+  wbtcUsdc: '0x99ac8ca7087fa4a2a1fb6357269965a2014abc35',
+  wbtcWeth: '0xcbcdf9626bc03e24f779434178a73a0b4bad62ed',
+  daiUsdc: '0x5777d92f208679db4b9778590fa3cab3ac9e2168',
+};
+
 const consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
 const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
 const consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation();
@@ -25,14 +52,14 @@ describe('Data Fetching Functions', () => {
 
     it('should throw if DEFILLAMA_API_URL is not set', async () => {
       delete process.env.DEFILLAMA_API_URL;
-      await expect(fetchPoolData()).rejects.toThrow(
+      await expect(fetchPoolData(poolIds)).rejects.toThrow(
         'DEFILLAMA_API_URL is not set in the environment variables.',
       );
     });
 
     it('should return empty object and warn if no pools', async () => {
       jest.spyOn(Object, 'keys').mockReturnValueOnce([]);
-      const result = await fetchPoolData();
+      const result = await fetchPoolData(poolIds);
       expect(result).toEqual({});
       expect(consoleWarnSpy).toHaveBeenCalledWith(
         'No pools to fetch data for.',
@@ -43,7 +70,7 @@ describe('Data Fetching Functions', () => {
       axios.get.mockResolvedValue({
         data: { data: [{ timestamp: 1, tvlUsd: 100, apy: 5 }] },
       });
-      const result = await fetchPoolData();
+      const result = await fetchPoolData(poolIds);
       expect(result).toEqual({
         lidoEth: [{ timestamp: 1, tvlUsd: 100, apy: 5 }],
         wethUsdc: [{ timestamp: 1, tvlUsd: 100, apy: 5 }],
@@ -61,7 +88,7 @@ describe('Data Fetching Functions', () => {
 
     it('should handle failed API calls', async () => {
       axios.get.mockRejectedValue(new Error('Network Error'));
-      const result = await fetchPoolData();
+      const result = await fetchPoolData(poolIds);
       expect(result).toEqual({
         lidoEth: null,
         wethUsdc: null,
@@ -84,7 +111,7 @@ describe('Data Fetching Functions', () => {
         .mockResolvedValue({
           data: { data: [{ timestamp: 2, tvlUsd: 200, apy: 6 }] },
         });
-      const result = await fetchPoolData();
+      const result = await fetchPoolData(poolIds);
       expect(Object.values(result).filter((data) => data !== null).length).toBe(
         4,
       );
@@ -94,11 +121,22 @@ describe('Data Fetching Functions', () => {
       );
     });
 
+    it('should report failed pools to onError', async () => {
+      const error = new Error('Network Error');
+      axios.get.mockRejectedValueOnce(error).mockResolvedValue({
+        data: { data: [{ timestamp: 1, tvlUsd: 100, apy: 5 }] },
+      });
+      const onError = jest.fn();
+      await fetchPoolData(poolIds, onError);
+      expect(onError).toHaveBeenCalledTimes(1);
+      expect(onError).toHaveBeenCalledWith('lidoEth', error);
+    });
+
     it('should handle invalid response format', async () => {
       axios.get.mockResolvedValue({
         data: { data: {} }, // Non-array data
       });
-      const result = await fetchPoolData();
+      const result = await fetchPoolData(poolIds);
       expect(result).toEqual({
         lidoEth: null,
         wethUsdc: null,
@@ -132,14 +170,14 @@ describe('Data Fetching Functions', () => {
 
     it('should throw if environment variables are not set', async () => {
       delete process.env.COINGECKO_API_URL;
-      await expect(fetchPriceData()).rejects.toThrow(
+      await expect(fetchPriceData(tokenAddresses)).rejects.toThrow(
         'COINGECKO_API_URL or COINGECKO_API_KEY is not set in the environment variables.',
       );
     });
 
     it('should return empty object and warn if no tokens', async () => {
       jest.spyOn(Object, 'keys').mockReturnValueOnce([]);
-      const result = await fetchPriceData();
+      const result = await fetchPriceData(tokenAddresses);
       expect(result).toEqual({});
       expect(consoleWarnSpy).toHaveBeenCalledWith(
         'No tokens to fetch data for.',
@@ -150,7 +188,7 @@ describe('Data Fetching Functions', () => {
       axios.get.mockResolvedValue({
         data: { prices: [[1620000000, 2000]] },
       });
-      const result = await fetchPriceData(30);
+      const result = await fetchPriceData(tokenAddresses, 30);
       expect(result).toEqual({
         weth: [[1620000000, 2000]],
         wbtc: [[1620000000, 2000]],
@@ -165,9 +203,70 @@ describe('Data Fetching Functions', () => {
       );
     });
 
+    it('should request hourly prices for 2 to 90 days without an interval', async () => {
+      axios.get.mockResolvedValue({
+        data: { prices: [[1620000000, 2000]] },
+      });
+      await fetchPriceData(
+        { weth: tokenAddresses.weth, dai: tokenAddresses.dai },
+        { weth: 1, dai: Infinity },
+        undefined,
+        'hourly',
+      );
+      expect(axios.get).toHaveBeenCalledWith(
+        expect.stringContaining(tokenAddresses.weth),
+        expect.objectContaining({
+          params: { vs_currency: 'usd', days: 2 },
+        }),
+      );
+      expect(axios.get).toHaveBeenCalledWith(
+        expect.stringContaining(tokenAddresses.dai),
+        expect.objectContaining({
+          params: { vs_currency: 'usd', days: 90 },
+        }),
+      );
+    });
+
+    it('should request the full history for an unlimited window', async () => {
+      axios.get.mockResolvedValue({
+        data: { prices: [[1620000000, 2000]] },
+      });
+      await fetchPriceData({ weth: tokenAddresses.weth }, Infinity);
+      expect(axios.get).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.objectContaining({
+          params: { vs_currency: 'usd', days: 'max', interval: 'daily' },
+        }),
+      );
+    });
+
+    it('should request a per-token number of days', async () => {
+      axios.get.mockResolvedValue({
+        data: { prices: [[1620000000, 2000]] },
+      });
+      await fetchPriceData(
+        { weth: tokenAddresses.weth, dai: tokenAddresses.dai },
+        {
+          weth: 3,
+        },
+      );
+      expect(axios.get).toHaveBeenCalledWith(
+        expect.stringContaining(tokenAddresses.weth),
+        expect.objectContaining({
+          params: { vs_currency: 'usd', days: 3, interval: 'daily' },
+        }),
+      );
+      expect(axios.get).toHaveBeenCalledWith(
+        expect.stringContaining(tokenAddresses.dai),
+        expect.objectContaining({
+          params: { vs_currency: 'usd', days: 365, interval: 'daily' },
+        }),
+      );
+    });
+
     it('should handle failed API calls', async () => {
       axios.get.mockRejectedValue(new Error('Network Error'));
-      const result = await fetchPriceData();
+      const result = await fetchPriceData(tokenAddresses);
       expect(result).toEqual({
         weth: null,
         wbtc: null,
@@ -182,17 +281,28 @@ describe('Data Fetching Functions', () => {
         .mockResolvedValueOnce({ data: { prices: [[1620000000, 2000]] } })
         .mockRejectedValueOnce(new Error('Network Error'))
         .mockResolvedValue({ data: { prices: [[1620000000, 2000]] } });
-      const result = await fetchPriceData();
+      const result = await fetchPriceData(tokenAddresses);
       expect(Object.values(result).filter((data) => data !== null).length).toBe(
         3,
       );
     });
 
+    it('should report failed tokens to onError', async () => {
+      const error = new Error('Network Error');
+      axios.get
+        .mockRejectedValueOnce(error)
+        .mockResolvedValue({ data: { prices: [[1620000000, 2000]] } });
+      const onError = jest.fn();
+      await fetchPriceData(tokenAddresses, 365, onError);
+      expect(onError).toHaveBeenCalledTimes(1);
+      expect(onError).toHaveBeenCalledWith('weth', error);
+    });
+
     it('should handle invalid response format', async () => {
       axios.get.mockResolvedValue({
         data: { data: {} }, // Non-array data
       });
-      const result = await fetchPriceData();
+      const result = await fetchPriceData(tokenAddresses);
       expect(result).toEqual({
         weth: null,
         wbtc: null,
@@ -210,6 +320,102 @@ describe('Data Fetching Functions', () => {
     });
   });
 
+  describe('fetchLlamaPriceData', () => {
+    const coin = `ethereum:${tokenAddresses.weth}`;
+    const today = 1704844800;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      jest
+        .spyOn(Date, 'now')
+        .mockReturnValue(Date.parse('2024-01-10T12:00:00.000Z'));
+      process.env.DEFILLAMA_COINS_API_URL = 'https://coins.llama.fi/chart/';
+    });
+
+    afterEach(() => {
+      Date.now.mockRestore();
+      delete process.env.DEFILLAMA_COINS_API_URL;
+    });
+
+    it('should throw if the environment variable is not set', async () => {
+      delete process.env.DEFILLAMA_COINS_API_URL;
+      await expect(fetchLlamaPriceData(tokenAddresses)).rejects.toThrow(
+        'DEFILLAMA_COINS_API_URL is not set in the environment variables.',
+      );
+    });
+
+    it('should fetch daily prices in the format of fetchPriceData', async () => {
+      axios.get.mockResolvedValue({
+        data: {
+          coins: {
+            [coin]: {
+              symbol: 'WETH',
+              prices: [
+                { timestamp: today - 86400, price: 2300.5 },
+                { timestamp: today, price: 2350.25 },
+              ],
+            },
+          },
+        },
+      });
+
+      const result = await fetchLlamaPriceData(
+        { weth: tokenAddresses.weth },
+        1,
+      );
+
+      expect(result).toEqual({
+        weth: [
+          [(today - 86400) * 1000, 2300.5],
+          [today * 1000, 2350.25],
+        ],
+      });
+      expect(axios.get).toHaveBeenCalledWith(
+        `https://coins.llama.fi/chart/${coin}`,
+        expect.objectContaining({
+          params: { start: today - 86400, span: 2, period: '1d' },
+        }),
+      );
+    });
+
+    it('should request the full history for an unlimited window', async () => {
+      axios.get.mockResolvedValue({
+        data: { coins: { [coin]: { prices: [] } } },
+      });
+
+      await fetchLlamaPriceData({ weth: tokenAddresses.weth }, Infinity);
+
+      expect(axios.get).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.objectContaining({
+          params: {
+            start: LLAMA_COINS_HISTORY_START,
+            span: (today - LLAMA_COINS_HISTORY_START) / 86400 + 1,
+            period: '1d',
+          },
+        }),
+      );
+    });
+
+    it('should report tokens without prices to onError', async () => {
+      axios.get.mockResolvedValue({ data: { coins: {} } });
+      const onError = jest.fn();
+
+      const result = await fetchLlamaPriceData(
+        { weth: tokenAddresses.weth },
+        365,
+        onError,
+      );
+
+      expect(result).toEqual({ weth: null });
+      expect(onError).toHaveBeenCalledWith('weth', expect.any(Error));
+      expect(consoleErrorSpy).toHaveBeenCalledWith(
+        'Error fetching DeFi Llama prices for weth after retries:',
+        'Invalid prices format',
+      );
+    });
+  });
+
   describe('fetchUniswapPoolData', () => {
     beforeEach(() => {
       jest.clearAllMocks();
@@ -223,14 +429,14 @@ describe('Data Fetching Functions', () => {
 
     it('should throw if GRAPH_API_URL is not set', async () => {
       delete process.env.GRAPH_API_URL;
-      await expect(fetchUniswapPoolData()).rejects.toThrow(
+      await expect(fetchUniswapPoolData(poolAddresses)).rejects.toThrow(
         'GRAPH_API_URL is not set in the environment variables.',
       );
     });
 
     it('should return empty object and warn if no pools', async () => {
       jest.spyOn(Object, 'keys').mockReturnValueOnce([]);
-      const result = await fetchUniswapPoolData();
+      const result = await fetchUniswapPoolData(poolAddresses);
       expect(result).toEqual({});
       expect(consoleWarnSpy).toHaveBeenCalledWith(
         'No pools to fetch Uniswap data for.',
@@ -238,10 +444,11 @@ describe('Data Fetching Functions', () => {
     });
 
     it('should fetch data successfully', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(1673222400000); // 2023-01-09
       request.mockResolvedValue({
         poolDayDatas: [{ date: 1620086400, feesUSD: '100', volumeUSD: '1000' }],
       });
-      const result = await fetchUniswapPoolData(30, 1620086400);
+      const result = await fetchUniswapPoolData(poolAddresses, 30, 1620086400);
       expect(result).toEqual({
         wethUsdc: [{ date: 1620086400, feesUSD: '100', volumeUSD: '1000' }],
         wbtcUsdc: [{ date: 1620086400, feesUSD: '100', volumeUSD: '1000' }],
@@ -251,15 +458,66 @@ describe('Data Fetching Functions', () => {
       expect(request).toHaveBeenCalledTimes(4);
       expect(request).toHaveBeenCalledWith(
         process.env.GRAPH_API_URL,
-        expect.stringContaining('first: 30'),
+        expect.stringContaining(`first: ${SUBGRAPH_PAGE_SIZE}`),
+      );
+      expect(request.mock.calls[0][1]).toMatch(/orderDirection: asc/);
+      expect(request.mock.calls[0][1]).toMatch(/date_gt: 1670630400/);
+      Date.now.mockRestore();
+    });
+
+    it('should fetch pool hours for the hourly resolution', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(1673222400000); // 2023-01-09
+      const hour = {
+        periodStartUnix: 1673218800,
+        feesUSD: '1',
+        volumeUSD: '10',
+        tvlUSD: '100',
+      };
+      request.mockResolvedValue({ poolHourDatas: [hour] });
+      const result = await fetchUniswapPoolData(
+        { wethUsdc: poolAddresses.wethUsdc },
+        2,
+        1620086400,
+        undefined,
+        'hourly',
+      );
+      expect(result).toEqual({ wethUsdc: [hour] });
+      expect(request.mock.calls[0][1]).toMatch(/poolHourDatas\(/);
+      expect(request.mock.calls[0][1]).toMatch(
+        /periodStartUnix_gt: 1673049600/,
+      );
+      Date.now.mockRestore();
+    });
+
+    it('should use per-pool windows', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(1673222400000); // 2023-01-09
+      request.mockResolvedValue({ poolDayDatas: [] });
+      await fetchUniswapPoolData(
+        { wethUsdc: poolAddresses.wethUsdc, daiUsdc: poolAddresses.daiUsdc },
+        { wethUsdc: 3 },
+        { wethUsdc: 1673136000 },
+      );
+      const queries = request.mock.calls.map((call) => call[1]);
+      const wethQuery = queries.find((q) => q.includes(poolAddresses.wethUsdc));
+      const daiQuery = queries.find((q) => q.includes(poolAddresses.daiUsdc));
+      expect(wethQuery).toMatch(/date_gt: 1673136000/);
+      expect(daiQuery).toMatch(/date_gt: 1641686400/);
+      Date.now.mockRestore();
+    });
+
+    it('should fetch every day after startTimestamp for an unlimited window', async () => {
+      request.mockResolvedValue({ poolDayDatas: [] });
+      await fetchUniswapPoolData(
+        { wethUsdc: poolAddresses.wethUsdc },
+        Infinity,
+        1620086400,
       );
-      expect(request.mock.calls[0][1]).toMatch(/first: 30/);
       expect(request.mock.calls[0][1]).toMatch(/date_gt: 1620086400/);
     });
 
     it('should handle failed API calls', async () => {
       request.mockRejectedValue(new Error('Network Error'));
-      const result = await fetchUniswapPoolData();
+      const result = await fetchUniswapPoolData(poolAddresses);
       expect(result).toEqual({
         wethUsdc: null,
         wbtcUsdc: null,
@@ -282,17 +540,28 @@ describe('Data Fetching Functions', () => {
             { date: 1620000000, feesUSD: '100', volumeUSD: '1000' },
           ],
         });
-      const result = await fetchUniswapPoolData();
+      const result = await fetchUniswapPoolData(poolAddresses);
       expect(Object.values(result).filter((data) => data !== null).length).toBe(
         3,
       );
     });
 
+    it('should report failed pools to onError', async () => {
+      const error = new Error('Network Error');
+      request.mockRejectedValueOnce(error).mockResolvedValue({
+        poolDayDatas: [{ date: 1620000000, feesUSD: '100', volumeUSD: '1000' }],
+      });
+      const onError = jest.fn();
+      await fetchUniswapPoolData(poolAddresses, 365, undefined, onError);
+      expect(onError).toHaveBeenCalledTimes(1);
+      expect(onError).toHaveBeenCalledWith('wethUsdc', error);
+    });
+
     it('should handle invalid response format', async () => {
       request.mockResolvedValue({
         data: { data: {} }, // Non-array data
       });
-      const result = await fetchUniswapPoolData();
+      const result = await fetchUniswapPoolData(poolAddresses);
       expect(result).toEqual({
         wethUsdc: null,
         wbtcUsdc: null,
@@ -309,4 +578,178 @@ describe('Data Fetching Functions', () => {
       );
     });
   });
+
+  describe('fetchPaginatedPoolDayDatas', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      process.env.GRAPH_API_URL = 'https://graph.example/subgraph';
+    });
+
+    afterEach(() => {
+      delete process.env.GRAPH_API_URL;
+    });
+
+    it('should page through results using the last date as cursor', async () => {
+      request
+        .mockResolvedValueOnce({
+          poolDayDatas: [
+            { date: 100, feesUSD: '1', volumeUSD: '10' },
+            { date: 200, feesUSD: '2', volumeUSD: '20' },
+          ],
+        })
+        .mockResolvedValueOnce({
+          poolDayDatas: [
+            { date: 300, feesUSD: '3', volumeUSD: '30' },
+            { date: 400, feesUSD: '4', volumeUSD: '40' },
+          ],
+        })
+        .mockResolvedValueOnce({
+          poolDayDatas: [{ date: 500, feesUSD: '5', volumeUSD: '50' }],
+        });
+
+      const result = await fetchPaginatedPoolDayDatas('0xpool', 50, 2);
+
+      expect(request).toHaveBeenCalledTimes(3);
+      expect(request.mock.calls[0][1]).toMatch(/date_gt: 50/);
+      expect(request.mock.calls[1][1]).toMatch(/date_gt: 200/);
+      expect(request.mock.calls[2][1]).toMatch(/date_gt: 400/);
+      expect(request.mock.calls[0][1]).toMatch(/first: 2/);
+      expect(result.map((day) => day.date)).toEqual([500, 400, 300, 200, 100]);
+    });
+
+    it('should stop when a full page does not advance the cursor', async () => {
+      request.mockResolvedValue({
+        poolDayDatas: [
+          { date: 100, feesUSD: '1', volumeUSD: '10' },
+          { date: 100, feesUSD: '1', volumeUSD: '10' },
+        ],
+      });
+
+      await fetchPaginatedPoolDayDatas('0xpool', 100, 2);
+
+      expect(request).toHaveBeenCalledTimes(1);
+    });
+
+    it('should stop after an empty page', async () => {
+      request.mockResolvedValue({ poolDayDatas: [] });
+      const result = await fetchPaginatedPoolDayDatas('0xpool', 0, 2);
+      expect(result).toEqual([]);
+      expect(request).toHaveBeenCalledTimes(1);
+    });
+
+    it('should throw on an invalid page', async () => {
+      request.mockResolvedValue({ data: {} });
+      await expect(fetchPaginatedPoolDayDatas('0xpool', 0, 2)).rejects.toThrow(
+        'Invalid poolDayDatas format',
+      );
+    });
+  });
+
+  describe('fetchPaginatedPoolHourDatas', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      process.env.GRAPH_API_URL = 'https://graph.example/subgraph';
+    });
+
+    afterEach(() => {
+      delete process.env.GRAPH_API_URL;
+    });
+
+    it('should page through results using the last hour as cursor', async () => {
+      const hour = (periodStartUnix) => ({
+        periodStartUnix,
+        feesUSD: '1',
+        volumeUSD: '10',
+        tvlUSD: '100',
+      });
+      request
+        .mockResolvedValueOnce({ poolHourDatas: [hour(3600), hour(7200)] })
+        .mockResolvedValueOnce({ poolHourDatas: [hour(10800)] });
+
+      const result = await fetchPaginatedPoolHourDatas('0xpool', 0, 2);
+
+      expect(request).toHaveBeenCalledTimes(2);
+      expect(request.mock.calls[0][1]).toMatch(/periodStartUnix_gt: 0/);
+      expect(request.mock.calls[1][1]).toMatch(/periodStartUnix_gt: 7200/);
+      expect(request.mock.calls[0][1]).toMatch(/tvlUSD/);
+      expect(result.map((h) => h.periodStartUnix)).toEqual([10800, 7200, 3600]);
+    });
+
+    it('should throw on an invalid page', async () => {
+      request.mockResolvedValue({ poolDayDatas: [] });
+      await expect(fetchPaginatedPoolHourDatas('0xpool', 0, 2)).rejects.toThrow(
+        'Invalid poolHourDatas format',
+      );
+    });
+  });
+
+  describe('replay mode', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      process.env.DATA_SOURCE_MODE = 'replay';
+      process.env.DATA_FIXTURES_DIR = 'tests/fixtures';
+    });
+
+    afterEach(() => {
+      delete process.env.DATA_SOURCE_MODE;
+      delete process.env.DATA_FIXTURES_DIR;
+    });
+
+    it('should serve recorded responses without API URLs or requests', async () => {
+      const [poolData, priceData, uniswapData, llamaPriceData] =
+        await Promise.all([
+          fetchPoolData({ lidoEth: poolIds.lidoEth }),
+          fetchPriceData({ weth: tokenAddresses.weth }),
+          fetchUniswapPoolData({ wethUsdc: poolAddresses.wethUsdc }),
+          fetchLlamaPriceData({ weth: tokenAddresses.weth }),
+        ]);
+
+      expect(poolData.lidoEth).toHaveLength(2);
+      expect(priceData.weth).toEqual([
+        [1672531200000, 1200.1234567],
+        [1672617600000, 1210.654321],
+      ]);
+      expect(uniswapData.wethUsdc.map((day) => day.date)).toEqual([
+        1672617600, 1672531200,
+      ]);
+      expect(llamaPriceData.weth).toEqual([
+        [1672531200000, 1201.32358],
+        [1672617600000, 1211.864975],
+      ]);
+      expect(axios.get).not.toHaveBeenCalled();
+      expect(request).not.toHaveBeenCalled();
+    });
+
+    it('should serve recorded hourly responses', async () => {
+      const [priceData, uniswapData] = await Promise.all([
+        fetchPriceData({ weth: tokenAddresses.weth }, 30, undefined, 'hourly'),
+        fetchUniswapPoolData(
+          { wethUsdc: poolAddresses.wethUsdc },
+          30,
+          undefined,
+          undefined,
+          'hourly',
+        ),
+      ]);
+
+      expect(priceData.weth).toHaveLength(2);
+      expect(uniswapData.wethUsdc.map((hour) => hour.periodStartUnix)).toEqual([
+        1672534800, 1672531200,
+      ]);
+      expect(axios.get).not.toHaveBeenCalled();
+      expect(request).not.toHaveBeenCalled();
+    });
+
+    it('should report series without a recorded response as failed', async () => {
+      const onError = jest.fn();
+
+      const result = await fetchPriceData({ link: '0xlink' }, 365, onError);
+
+      expect(result).toEqual({ link: null });
+      expect(onError).toHaveBeenCalledWith(
+        'link',
+        new Error("No coingecko fixture recorded for '0xlink'"),
+      );
+    });
+  });
 });
@@ -0,0 +1,139 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  FIXTURE_VERSION,
+  getFixturePath,
+  readFixture,
+  writeFixture,
+  withFixture,
+} from '../../../src/data/fixtures.js';
+import { TOKENS, POOLS } from '../../../src/migrations/0003-seed-registry.js';
+import { stakingPoolIds } from '../../../src/config/pools.js';
+
+describe('fixtures', () => {
+  let fixturesDir;
+
+  beforeEach(async () => {
+    fixturesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'fixtures-'));
+    process.env.DATA_FIXTURES_DIR = fixturesDir;
+  });
+
+  afterEach(async () => {
+    delete process.env.DATA_FIXTURES_DIR;
+    delete process.env.DATA_SOURCE_MODE;
+    await fs.rm(fixturesDir, { recursive: true, force: true });
+  });
+
+  describe('getFixturePath', () => {
+    it('should place fixtures in a directory per source', () => {
+      expect(getFixturePath('coingecko', '0xC02a')).toBe(
+        path.join(fixturesDir, 'coingecko', '0xC02a.json'),
+      );
+    });
+
+    it('should replace characters that are unsafe in file names', () => {
+      expect(path.basename(getFixturePath('defillama', '../a b'))).toBe(
+        '.._a_b.json',
+      );
+    });
+  });
+
+  describe('writeFixture and readFixture', () => {
+    it('should round-trip a response body', async () => {
+      const body = { prices: [[1672531200000, 1200.12]] };
+
+      await writeFixture('coingecko', '0xweth', body);
+
+      await expect(readFixture('coingecko', '0xweth')).resolves.toEqual(body);
+      const fixture = JSON.parse(
+        await fs.readFile(getFixturePath('coingecko', '0xweth'), 'utf8'),
+      );
+      expect(fixture).toEqual({
+        version: FIXTURE_VERSION,
+        source: 'coingecko',
+        key: '0xweth',
+        recordedAt: expect.any(String),
+        body,
+      });
+    });
+
+    it('should throw if no fixture is recorded', async () => {
+      await expect(readFixture('uniswap', '0xpool')).rejects.toThrow(
+        "No uniswap fixture recorded for '0xpool'",
+      );
+    });
+
+    it('should throw for another fixture version', async () => {
+      const fixturePath = getFixturePath('uniswap', '0xpool');
+      await fs.mkdir(path.dirname(fixturePath), { recursive: true });
+      await fs.writeFile(fixturePath, JSON.stringify({ version: 0, body: {} }));
+
+      await expect(readFixture('uniswap', '0xpool')).rejects.toThrow(
+        "Unsupported uniswap fixture version for '0xpool': 0, expected 1",
+      );
+    });
+  });
+
+  describe('withFixture', () => {
+    const body = { data: [{ timestamp: '2023-01-01', apy: 5 }] };
+
+    it('should request the body without recording it in live mode', async () => {
+      const requestBody = jest.fn().mockResolvedValue(body);
+
+      await expect(withFixture('defillama', 'id', requestBody)).resolves.toBe(
+        body,
+      );
+      await expect(readFixture('defillama', 'id')).rejects.toThrow(
+        'No defillama fixture recorded',
+      );
+    });
+
+    it('should record the body in record mode', async () => {
+      process.env.DATA_SOURCE_MODE = 'record';
+
+      await withFixture('defillama', 'id', async () => body);
+
+      await expect(readFixture('defillama', 'id')).resolves.toEqual(body);
+    });
+
+    it('should replay the body without requesting it in replay mode', async () => {
+      await writeFixture('defillama', 'id', body);
+      process.env.DATA_SOURCE_MODE = 'replay';
+      const requestBody = jest.fn();
+
+      await expect(
+        withFixture('defillama', 'id', requestBody),
+      ).resolves.toEqual(body);
+      expect(requestBody).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recorded test fixtures', () => {
+    const addresses = TOKENS.map(([, , , address]) => address);
+    const poolAddresses = POOLS.map(([address]) => address);
+    const expected = [
+      ...[
+        ...POOLS.map(([, , , , , defillamaId]) => defillamaId),
+        ...Object.values(stakingPoolIds),
+      ].map((key) => ['defillama', key]),
+      ...['coingecko', 'coingecko-hourly', 'defillama-coins'].flatMap(
+        (source) => addresses.map((key) => [source, key]),
+      ),
+      ...['uniswap', 'uniswap-hourly'].flatMap((source) =>
+        poolAddresses.map((key) => [source, key]),
+      ),
+    ];
+
+    beforeEach(() => {
+      process.env.DATA_FIXTURES_DIR = 'tests/fixtures';
+    });
+
+    it.each(expected)(
+      'should cover the seeded registry with a %s fixture for %s',
+      async (source, key) => {
+        await expect(readFixture(source, key)).resolves.toBeDefined();
+      },
+    );
+  });
+});
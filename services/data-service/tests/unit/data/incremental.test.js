@@ -0,0 +1,162 @@
+import {
+  daysToFetch,
+  findLatestTimestamps,
+  buildFetchWindows,
+} from '../../../src/data/incremental.js';
+
+const FULL_HISTORY_DAYS = 365;
+
+describe('Incremental Fetch Functions', () => {
+  const now = new Date('2023-01-10T12:00:00.000Z');
+
+  describe('daysToFetch', () => {
+    it('should return the full history for series without data', () => {
+      expect(daysToFetch(null, now)).toBe(FULL_HISTORY_DAYS);
+      expect(daysToFetch(undefined, now)).toBe(FULL_HISTORY_DAYS);
+      expect(daysToFetch('not-a-date', now)).toBe(FULL_HISTORY_DAYS);
+    });
+
+    it('should cover the days since the latest timestamp plus one day of overlap', () => {
+      expect(daysToFetch(new Date('2023-01-09T00:00:00.000Z'), now)).toBe(3);
+      expect(daysToFetch('2023-01-10T00:00:00.000Z', now)).toBe(2);
+    });
+
+    it('should never exceed the full history', () => {
+      expect(daysToFetch('2020-01-01T00:00:00.000Z', now)).toBe(
+        FULL_HISTORY_DAYS,
+      );
+    });
+
+    it('should use the configured history depth', () => {
+      process.env.HISTORY_DAYS = 'max';
+      expect(daysToFetch(null, now)).toBe(Infinity);
+      expect(daysToFetch('2020-01-01T00:00:00.000Z', now)).toBe(1107);
+      delete process.env.HISTORY_DAYS;
+      expect(daysToFetch(null, now, 30)).toBe(30);
+    });
+
+    it('should request at least one day for timestamps in the future', () => {
+      expect(daysToFetch('2023-02-01T00:00:00.000Z', now)).toBe(1);
+    });
+  });
+
+  describe('findLatestTimestamps', () => {
+    const registry = {
+      poolIds: { lidoEth: 'staking-id', wethUsdc: 'pool-id' },
+      tokenAddresses: { weth: '0xweth', dai: '0xdai' },
+      poolAddresses: { wethUsdc: '0xpool', daiUsdc: '0xdaipool' },
+    };
+    let app;
+
+    beforeEach(() => {
+      app = {
+        locals: {
+          models: {
+            ETHStakingHistorical: { max: jest.fn() },
+            TokenPrice: { findAll: jest.fn() },
+            LPHistorical: { findAll: jest.fn() },
+          },
+        },
+      };
+    });
+
+    it('should reject if models are not available', async () => {
+      await expect(findLatestTimestamps({}, registry)).rejects.toThrow(
+        'Database models are not available',
+      );
+    });
+
+    it('should map the latest timestamps to registry series', async () => {
+      const latest = new Date('2023-01-09T00:00:00.000Z');
+      app.locals.models.ETHStakingHistorical.max.mockResolvedValue(latest);
+      app.locals.models.TokenPrice.findAll.mockResolvedValue([
+        { token_symbol: 'WETH', latest },
+      ]);
+      app.locals.models.LPHistorical.findAll.mockResolvedValue([
+        { pool_address: '0xpool', latest },
+      ]);
+
+      const result = await findLatestTimestamps(app, registry);
+
+      expect(result).toEqual({
+        staking: { lidoEth: latest },
+        prices: { weth: latest, dai: null },
+        pools: { wethUsdc: latest, daiUsdc: null },
+      });
+      expect(app.locals.models.ETHStakingHistorical.max).toHaveBeenCalledWith(
+        'timestamp',
+      );
+      expect(app.locals.models.TokenPrice.findAll).toHaveBeenCalledWith(
+        expect.objectContaining({ group: ['token_symbol'], raw: true }),
+      );
+    });
+
+    it('should return null for an empty staking table', async () => {
+      app.locals.models.ETHStakingHistorical.max.mockResolvedValue(null);
+      app.locals.models.TokenPrice.findAll.mockResolvedValue([]);
+      app.locals.models.LPHistorical.findAll.mockResolvedValue([]);
+
+      const result = await findLatestTimestamps(app, registry);
+
+      expect(result.staking).toEqual({ lidoEth: null });
+    });
+
+    it('should read the hourly tables without staking series', async () => {
+      const latest = new Date('2023-01-09T05:00:00.000Z');
+      const models = {
+        TokenPriceHourly: {
+          findAll: jest
+            .fn()
+            .mockResolvedValue([{ token_symbol: 'DAI', latest }]),
+        },
+        LPHistoricalHourly: { findAll: jest.fn().mockResolvedValue([]) },
+      };
+
+      const result = await findLatestTimestamps(
+        { locals: { models } },
+        registry,
+        'hourly',
+      );
+
+      expect(result).toEqual({
+        staking: {},
+        prices: { weth: null, dai: latest },
+        pools: { wethUsdc: null, daiUsdc: null },
+      });
+      expect(app.locals.models.TokenPrice.findAll).not.toHaveBeenCalled();
+    });
+
+    it('should reject an unknown resolution', async () => {
+      await expect(
+        findLatestTimestamps(app, registry, 'weekly'),
+      ).rejects.toThrow('Database models are not available');
+    });
+  });
+
+  describe('buildFetchWindows', () => {
+    it('should build per-series windows and cutoffs', () => {
+      const latest = new Date('2023-01-09T00:00:00.000Z');
+      const latestTimestamps = {
+        staking: { lidoEth: latest },
+        prices: { weth: latest, dai: null },
+        pools: { wethUsdc: latest, daiUsdc: null },
+      };
+
+      const windows = buildFetchWindows(latestTimestamps, now);
+
+      expect(windows).toEqual({
+        days: {
+          staking: { lidoEth: 3 },
+          prices: { weth: 3, dai: FULL_HISTORY_DAYS },
+          pools: { wethUsdc: 3, daiUsdc: FULL_HISTORY_DAYS },
+        },
+        startTimestamps: {
+          staking: { lidoEth: 1673136000 },
+          prices: { weth: 1673136000 },
+          pools: { wethUsdc: 1673136000 },
+        },
+        cutoffs: latestTimestamps,
+      });
+    });
+  });
+});
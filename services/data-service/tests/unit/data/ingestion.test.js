@@ -0,0 +1,217 @@
+import runIngestion, {
+  startIngestion,
+  failInterruptedRuns,
+  INTERRUPTED_RUN_MESSAGE,
+} from '../../../src/data/ingestion.js';
+import dataHandler from '../../../src/data/handler.js';
+
+jest.mock('../../../src/data/handler.js');
+
+describe('runIngestion', () => {
+  let app;
+  let run;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    run = {
+      id: 1,
+      update: jest.fn(async (values) => ({ ...run, ...values })),
+    };
+    app = {
+      locals: {
+        models: {
+          IngestionRun: { create: jest.fn().mockResolvedValue(run) },
+        },
+      },
+    };
+  });
+
+  it('should reject if the IngestionRun model is not available', async () => {
+    await expect(runIngestion({ locals: {} }, 'cron')).rejects.toThrow(
+      'Database model IngestionRun is not available',
+    );
+  });
+
+  it('should reject an invalid trigger', async () => {
+    await expect(runIngestion(app, 'webhook')).rejects.toThrow(
+      'Invalid trigger: webhook, must be one of cron, startup, manual',
+    );
+    expect(app.locals.models.IngestionRun.create).not.toHaveBeenCalled();
+  });
+
+  it('should record a started run and pass the report to the data handler', async () => {
+    dataHandler.mockResolvedValue();
+
+    await runIngestion(app, 'cron', { incremental: true });
+
+    expect(app.locals.models.IngestionRun.create).toHaveBeenCalledWith({
+      trigger: 'cron',
+      resolution: 'daily',
+      status: 'running',
+      started_at: expect.any(Date),
+    });
+    expect(dataHandler).toHaveBeenCalledWith(app, {
+      incremental: true,
+      report: {
+        sources: {},
+        failedSeries: [],
+        divergences: [],
+        rowsWritten: {},
+      },
+    });
+  });
+
+  it('should record a successful run', async () => {
+    dataHandler.mockImplementation(async (appInstance, { report }) => {
+      Object.assign(report.sources, {
+        defillama: { requested: 1, succeeded: 1, failed: 0 },
+      });
+      Object.assign(report.rowsWritten, {
+        staking: { inserted: 1, updated: 0, skipped: 0 },
+      });
+    });
+
+    const result = await runIngestion(app, 'manual');
+
+    expect(run.update).toHaveBeenCalledWith({
+      finished_at: expect.any(Date),
+      sources: { defillama: { requested: 1, succeeded: 1, failed: 0 } },
+      failed_series: [],
+      divergences: [],
+      rows_written: { staking: { inserted: 1, updated: 0, skipped: 0 } },
+      status: 'succeeded',
+    });
+    expect(result.status).toBe('succeeded');
+  });
+
+  it('should record a run with failed series as partial', async () => {
+    dataHandler.mockImplementation(async (appInstance, { report }) => {
+      report.failedSeries.push({
+        source: 'coingecko',
+        series: 'weth',
+        error: 'Network Error',
+      });
+    });
+
+    const result = await runIngestion(app, 'cron');
+
+    expect(result.status).toBe('partial');
+    expect(result.failed_series).toEqual([
+      { source: 'coingecko', series: 'weth', error: 'Network Error' },
+    ]);
+  });
+
+  it('should record a run whose failed series were recovered as succeeded', async () => {
+    dataHandler.mockImplementation(async (appInstance, { report }) => {
+      report.failedSeries.push({
+        source: 'defillama-coins',
+        series: 'weth',
+        error: 'Network Error',
+        recovered: true,
+      });
+    });
+
+    const result = await runIngestion(app, 'cron');
+
+    expect(result.status).toBe('succeeded');
+    expect(result.failed_series).toHaveLength(1);
+  });
+
+  it('should record the divergences between sources without failing the run', async () => {
+    const divergence = {
+      dataset: 'prices',
+      series: 'weth',
+      source: 'coingecko',
+      reference: 'defillama-coins',
+      days: 2,
+      from: '2024-01-01T00:00:00.000Z',
+      to: '2024-01-02T00:00:00.000Z',
+      maxDivergence: 0.12,
+      action: 'flag',
+    };
+    dataHandler.mockImplementation(async (appInstance, { report }) => {
+      report.divergences.push(divergence);
+    });
+
+    const result = await runIngestion(app, 'cron');
+
+    expect(result.status).toBe('succeeded');
+    expect(result.divergences).toEqual([divergence]);
+  });
+
+  it('should record the error of a failed run and rethrow it', async () => {
+    dataHandler.mockRejectedValue(new Error('Save error'));
+
+    await expect(runIngestion(app, 'startup')).rejects.toThrow('Save error');
+
+    expect(run.update).toHaveBeenCalledWith(
+      expect.objectContaining({
+        status: 'failed',
+        error_message: 'Save error',
+        finished_at: expect.any(Date),
+      }),
+    );
+  });
+
+  it('should rethrow the run error if recording the failure fails', async () => {
+    const consoleErrorSpy = jest
+      .spyOn(console, 'error')
+      .mockImplementation(() => {});
+    dataHandler.mockRejectedValue(new Error('Save error'));
+    run.update.mockRejectedValue(new Error('Database down'));
+
+    await expect(runIngestion(app, 'cron')).rejects.toThrow('Save error');
+    expect(consoleErrorSpy).toHaveBeenCalledWith(
+      'Failed to record the failure of ingestion run 1:',
+      expect.any(Error),
+    );
+    consoleErrorSpy.mockRestore();
+  });
+
+  it('should return the started run before the data handler finishes', async () => {
+    let finish;
+    dataHandler.mockReturnValue(
+      new Promise((resolve) => {
+        finish = resolve;
+      }),
+    );
+
+    const started = await startIngestion(app, 'manual');
+
+    expect(started.run).toBe(run);
+    expect(run.update).not.toHaveBeenCalled();
+    finish();
+    await expect(started.completion).resolves.toEqual(
+      expect.objectContaining({ status: 'succeeded' }),
+    );
+  });
+});
+
+describe('failInterruptedRuns', () => {
+  it('should mark the running runs of the service as failed', async () => {
+    const update = jest.fn().mockResolvedValue([2]);
+    const app = { locals: { models: { IngestionRun: { update } } } };
+
+    await expect(failInterruptedRuns(app)).resolves.toBe(2);
+
+    expect(update).toHaveBeenCalledWith(
+      {
+        status: 'failed',
+        finished_at: expect.any(Date),
+        error_message: INTERRUPTED_RUN_MESSAGE,
+      },
+      {
+        where: {
+          status: 'running',
+          trigger: ['cron', 'startup', 'manual'],
+        },
+      },
+    );
+  });
+
+  it('should reject if the IngestionRun model is not available', async () => {
+    await expect(failInterruptedRuns({ locals: {} })).rejects.toThrow(
+      'Database model IngestionRun is not available',
+    );
+  });
+});
@@ -0,0 +1,92 @@
+import {
+  createIngestionReport,
+  recordFetchError,
+  recordFetchResults,
+  recordRecoveredSeries,
+  getMissingSeries,
+} from '../../../src/data/ingestionReport.js';
+
+describe('ingestion report', () => {
+  it('should create an empty report', () => {
+    expect(createIngestionReport()).toEqual({
+      sources: {},
+      failedSeries: [],
+      divergences: [],
+      rowsWritten: {},
+    });
+  });
+
+  it('should record failed series with their error message', () => {
+    const report = createIngestionReport();
+    const onError = recordFetchError(report, 'uniswap');
+
+    onError('wethUsdc', new Error('Invalid poolDayDatas format'));
+
+    expect(report.failedSeries).toEqual([
+      {
+        source: 'uniswap',
+        series: 'wethUsdc',
+        error: 'Invalid poolDayDatas format',
+      },
+    ]);
+  });
+
+  it('should count requested, succeeded and failed series of a source', () => {
+    const report = createIngestionReport();
+
+    recordFetchResults(report, 'coingecko', {
+      weth: [[1, 2]],
+      usdc: null,
+      dai: [],
+    });
+
+    expect(report.sources).toEqual({
+      coingecko: { requested: 3, succeeded: 2, failed: 1 },
+    });
+  });
+
+  it('should count no series for missing data', () => {
+    const report = createIngestionReport();
+
+    recordFetchResults(report, 'defillama', undefined);
+
+    expect(report.sources.defillama).toEqual({
+      requested: 0,
+      succeeded: 0,
+      failed: 0,
+    });
+  });
+
+  it('should flag the failed series that another source filled in', () => {
+    const report = createIngestionReport();
+    recordFetchError(report, 'coingecko')('weth', new Error('Network Error'));
+    recordFetchError(report, 'coingecko')('usdc', new Error('Network Error'));
+    recordFetchError(report, 'defillama')('lidoEth', new Error('Timeout'));
+    const sources = [
+      { name: 'defillama', datasets: ['staking', 'tvl'] },
+      { name: 'coingecko', datasets: ['prices'] },
+      { name: 'defillama-coins', datasets: ['prices'] },
+    ];
+
+    recordRecoveredSeries(report, sources, {
+      staking: { lidoEth: [] },
+      tvl: {},
+      prices: { weth: [{ timestamp: '2023-01-01', priceUsd: 1200 }] },
+    });
+
+    expect(report.failedSeries).toEqual([
+      {
+        source: 'coingecko',
+        series: 'weth',
+        error: 'Network Error',
+        recovered: true,
+      },
+      { source: 'coingecko', series: 'usdc', error: 'Network Error' },
+      { source: 'defillama', series: 'lidoEth', error: 'Timeout' },
+    ]);
+    expect(getMissingSeries(report)).toEqual([
+      { source: 'coingecko', series: 'usdc', error: 'Network Error' },
+      { source: 'defillama', series: 'lidoEth', error: 'Timeout' },
+    ]);
+  });
+});
@@ -0,0 +1,96 @@
+import {
+  STALE_AFTER_INTERVALS,
+  getStaleAfter,
+  findLatestRows,
+  describeLatestRow,
+} from '../../../src/data/latest.js';
+
+describe('getStaleAfter', () => {
+  it('should allow STALE_AFTER_INTERVALS record intervals', () => {
+    expect(STALE_AFTER_INTERVALS).toBe(3);
+    expect(getStaleAfter('daily')).toBe(3 * 24 * 60 * 60 * 1000);
+    expect(getStaleAfter('hourly')).toBe(3 * 60 * 60 * 1000);
+  });
+});
+
+describe('findLatestRows', () => {
+  it('should read the latest row of each series', async () => {
+    const model = {
+      findOne: jest.fn(({ where }) =>
+        Promise.resolve(
+          where.token_symbol === 'WETH'
+            ? { token_symbol: 'WETH', price_usd: '1200' }
+            : null,
+        ),
+      ),
+    };
+
+    await expect(
+      findLatestRows(model, 'token_symbol', ['WETH', 'WBTC']),
+    ).resolves.toEqual([{ token_symbol: 'WETH', price_usd: '1200' }, null]);
+    expect(model.findOne).toHaveBeenCalledWith({
+      where: { token_symbol: 'WETH' },
+      order: [['timestamp', 'DESC']],
+      raw: true,
+    });
+  });
+
+  it('should read the latest row of a model without series keys', async () => {
+    const row = { apy_percentage: '3.1' };
+    const model = { findOne: jest.fn().mockResolvedValue(row) };
+
+    await expect(findLatestRows(model)).resolves.toEqual([row]);
+    expect(model.findOne).toHaveBeenCalledWith({
+      where: {},
+      order: [['timestamp', 'DESC']],
+      raw: true,
+    });
+  });
+});
+
+describe('describeLatestRow', () => {
+  const now = new Date('2023-01-04T01:30:00.000Z');
+
+  it('should report the age of a fresh row', () => {
+    expect(
+      describeLatestRow(
+        {
+          timestamp: new Date('2023-01-03T00:00:00.000Z'),
+          apy_percentage: '3.1',
+          is_imputed: false,
+        },
+        'ETHStakingHistorical',
+        'daily',
+        now,
+      ),
+    ).toEqual({
+      timestamp: new Date('2023-01-03T00:00:00.000Z'),
+      apy_percentage: '3.1',
+      is_imputed: false,
+      age_seconds: 91800,
+      is_stale: false,
+    });
+  });
+
+  it('should mark a row older than the allowed intervals as stale', () => {
+    expect(
+      describeLatestRow(
+        { timestamp: new Date('2023-01-03T22:00:00.000Z'), price_usd: '1' },
+        'TokenPriceHourly',
+        'hourly',
+        now,
+      ),
+    ).toMatchObject({ age_seconds: 12600, is_stale: true });
+  });
+
+  it('should describe a series without rows as stale', () => {
+    expect(describeLatestRow(null, 'TokenPrice', 'daily', now)).toEqual({
+      timestamp: null,
+      token_symbol: null,
+      price_usd: null,
+      is_imputed: null,
+      age_seconds: null,
+      is_stale: true,
+    });
+  });
+});
@@ -0,0 +1,135 @@
+import {
+  DEFAULT_PAGE_LIMIT,
+  MAX_PAGE_LIMIT,
+  parsePagination,
+  parseFields,
+  buildPage,
+} from '../../../src/data/pagination.js';
+
+describe('parsePagination', () => {
+  it('should default to the first page in ascending order', () => {
+    expect(parsePagination()).toEqual({
+      limit: DEFAULT_PAGE_LIMIT,
+      cursor: undefined,
+      order: 'asc',
+    });
+  });
+
+  it('should parse the limit, cursor and order', () => {
+    expect(
+      parsePagination(String(MAX_PAGE_LIMIT), '2023-01-01T06:00:00Z', 'desc'),
+    ).toEqual({
+      limit: MAX_PAGE_LIMIT,
+      cursor: new Date('2023-01-01T06:00:00.000Z'),
+      order: 'desc',
+    });
+  });
+
+  it.each([
+    ['0', undefined, undefined],
+    ['10001', undefined, undefined],
+    ['1.5', undefined, undefined],
+    ['-1', undefined, undefined],
+    ['ten', undefined, undefined],
+    ['', undefined, undefined],
+  ])('should reject the limit %j', (limit, cursor, order) => {
+    expect(parsePagination(limit, cursor, order)).toEqual({
+      errorMsg:
+        'Invalid limit parameter, must be an integer between 1 and 10000',
+    });
+  });
+
+  it('should reject an invalid cursor or order', () => {
+    expect(parsePagination(undefined, 'not-a-date')).toEqual({
+      errorMsg: 'Invalid cursor parameter',
+    });
+    expect(parsePagination(undefined, undefined, 'ASC')).toEqual({
+      errorMsg: 'Invalid order parameter, must be one of asc, desc',
+    });
+  });
+});
+
+describe('parseFields', () => {
+  const available = ['timestamp', 'token_symbol', 'price_usd', 'is_imputed'];
+
+  it('should return every column when fields are omitted', () => {
+    expect(parseFields(undefined, available)).toEqual({});
+  });
+
+  it('should parse a list of columns without duplicates', () => {
+    expect(parseFields('price_usd, timestamp,price_usd', available)).toEqual({
+      fields: ['price_usd', 'timestamp'],
+    });
+  });
+
+  it.each(['open', '', 'timestamp,'])(
+    'should reject the fields %j',
+    (fields) => {
+      expect(parseFields(fields, available)).toEqual({
+        errorMsg:
+          'Invalid fields parameter, must be a comma-separated list of timestamp, token_symbol, price_usd, is_imputed',
+      });
+    },
+  );
+});
+
+describe('buildPage', () => {
+  const rows = [
+    { timestamp: new Date('2023-01-01'), price_usd: '1', is_imputed: false },
+    { timestamp: new Date('2023-01-02'), price_usd: '2', is_imputed: false },
+    { timestamp: '2023-01-03T00:00:00.000Z', price_usd: '3', is_imputed: true },
+  ];
+
+  it('should return the last page without a cursor', () => {
+    expect(buildPage(rows, { limit: 3, order: 'asc' })).toEqual({
+      rows,
+      meta: {
+        count: 3,
+        limit: 3,
+        order: 'asc',
+        nextCursor: null,
+      },
+    });
+    expect(buildPage([], { limit: 3, order: 'desc' }).meta).toEqual({
+      count: 0,
+      limit: 3,
+      order: 'desc',
+      nextCursor: null,
+    });
+  });
+
+  it('should drop the extra row and point the cursor at the last row of the page', () => {
+    expect(buildPage(rows, { limit: 2, order: 'asc' })).toEqual({
+      rows: rows.slice(0, 2),
+      meta: {
+        count: 2,
+        limit: 2,
+        order: 'asc',
+        nextCursor: '2023-01-02T00:00:00.000Z',
+      },
+    });
+  });
+
+  it('should return the whole history without a limit', () => {
+    expect(buildPage(rows, { order: 'asc' })).toEqual({
+      rows,
+      meta: {
+        count: 3,
+        limit: null,
+        order: 'asc',
+        nextCursor: null,
+      },
+    });
+  });
+
+  it('should keep the selected fields after computing the cursor', () => {
+    const page = buildPage(rows, {
+      limit: 1,
+      order: 'asc',
+      fields: ['price_usd'],
+    });
+
+    expect(page.rows).toEqual([{ price_usd: '1' }]);
+    expect(page.meta.nextCursor).toBe('2023-01-01T00:00:00.000Z');
+  });
+});
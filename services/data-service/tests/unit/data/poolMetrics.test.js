@@ -0,0 +1,96 @@
+import { QueryTypes } from 'sequelize';
+import {
+  POOL_METRIC_WINDOWS,
+  buildPoolMetricsQuery,
+  findPoolMetrics,
+} from '../../../src/data/poolMetrics.js';
+
+describe('buildPoolMetricsQuery', () => {
+  const sql = buildPoolMetricsQuery();
+
+  it('should read the latest daily row of each pool', () => {
+    expect(sql).toContain('SELECT DISTINCT ON (pool_address)');
+    expect(sql).toContain('WHERE pool_address IN (:addresses)');
+    expect(sql).toContain('ORDER BY pool_address, "timestamp" DESC');
+  });
+
+  it('should average every window ending at the latest row', () => {
+    Object.entries(POOL_METRIC_WINDOWS).forEach(([name, days]) => {
+      expect(sql).toContain(
+        `ROUND(AVG(h.tvl_usd) FILTER (WHERE h.timestamp > latest.timestamp - INTERVAL '${days} days'), 6) AS "tvl_usd_${name}"`,
+      );
+      expect(sql).toContain(`AS "fee_apr_percentage_${name}"`);
+    });
+    expect(sql).toContain(
+      "AND h.timestamp > latest.timestamp - INTERVAL '30 days'",
+    );
+  });
+
+  it('should annualize the fees in percent of the TVL', () => {
+    expect(sql).toContain(
+      'ROUND(latest.fees_24h_usd / NULLIF(latest.tvl_usd, 0) * 365 * 100, 4) AS fee_apr_percentage',
+    );
+  });
+});
+
+describe('findPoolMetrics', () => {
+  it('should group the metrics of each pool by window', async () => {
+    const sequelize = {
+      query: jest.fn().mockResolvedValue([
+        {
+          pool_address: '0x123',
+          timestamp: new Date('2023-01-31'),
+          tvl_usd: '1000',
+          volume_24h_usd: '100',
+          fees_24h_usd: '1',
+          fee_apr_percentage: '36.5000',
+          tvl_usd_7d: '900.000000',
+          volume_24h_usd_7d: '90.000000',
+          fees_24h_usd_7d: '0.900000',
+          fee_apr_percentage_7d: '36.5000',
+          tvl_usd_30d: '800.000000',
+          volume_24h_usd_30d: '80.000000',
+          fees_24h_usd_30d: null,
+          fee_apr_percentage_30d: null,
+        },
+      ]),
+    };
+
+    await expect(
+      findPoolMetrics(sequelize, ['0x123', '0x456']),
+    ).resolves.toEqual({
+      '0x123': {
+        timestamp: new Date('2023-01-31'),
+        tvl_usd: '1000',
+        volume_24h_usd: '100',
+        fees_24h_usd: '1',
+        fee_apr_percentage: '36.5000',
+        averages: {
+          '7d': {
+            tvl_usd: '900.000000',
+            volume_24h_usd: '90.000000',
+            fees_24h_usd: '0.900000',
+            fee_apr_percentage: '36.5000',
+          },
+          '30d': {
+            tvl_usd: '800.000000',
+            volume_24h_usd: '80.000000',
+            fees_24h_usd: null,
+            fee_apr_percentage: null,
+          },
+        },
+      },
+    });
+    expect(sequelize.query).toHaveBeenCalledWith(buildPoolMetricsQuery(), {
+      replacements: { addresses: ['0x123', '0x456'] },
+      type: QueryTypes.SELECT,
+    });
+  });
+
+  it('should not query the database without pools', async () => {
+    const sequelize = { query: jest.fn() };
+
+    await expect(findPoolMetrics(sequelize, [])).resolves.toEqual({});
+    expect(sequelize.query).not.toHaveBeenCalled();
+  });
+});
@@ -723,6 +723,23 @@ describe('Data Processing Functions', () => {
     });
   });
 
+  describe('formatPriceData with an interval', () => {
+    it('should round timestamps down to the hour', () => {
+      const result = processor.formatPriceData(
+        [
+          [1672531500000, 1200.5],
+          [1672535100000, 1201.25],
+        ],
+        60 * 60 * 1000,
+      );
+
+      expect(result).toEqual([
+        { timestamp: '2023-01-01T00:00:00.000Z', priceUsd: 1200.5 },
+        { timestamp: '2023-01-01T01:00:00.000Z', priceUsd: 1201.25 },
+      ]);
+    });
+  });
+
   describe('formatUniswapPoolData', () => {
     it('should format Uniswap pool data correctly', () => {
       const rawData = [
@@ -1089,6 +1106,113 @@ describe('Data Processing Functions', () => {
     });
   });
 
+  describe('formatUniswapPoolHourData', () => {
+    it('should format hours from oldest to most recent', () => {
+      const rawData = [
+        {
+          periodStartUnix: 1672534800,
+          feesUSD: '30.1234567',
+          volumeUSD: '10000.5',
+          tvlUSD: '5000000',
+        },
+        {
+          periodStartUnix: 1672531200,
+          feesUSD: '20',
+          volumeUSD: '8000',
+          tvlUSD: '4900000.25',
+        },
+      ];
+
+      expect(processor.formatUniswapPoolHourData(rawData)).toEqual([
+        {
+          timestamp: '2023-01-01T00:00:00.000Z',
+          feesUSD: 20,
+          volumeUSD: 8000,
+          tvlUsd: 4900000.25,
+        },
+        {
+          timestamp: '2023-01-01T01:00:00.000Z',
+          feesUSD: 30.123457,
+          volumeUSD: 10000.5,
+          tvlUsd: 5000000,
+        },
+      ]);
+    });
+
+    it('should skip hours with missing or invalid fields', () => {
+      const consoleSpy = jest.spyOn(console, 'warn').mockImplementation();
+
+      const result = processor.formatUniswapPoolHourData([
+        { periodStartUnix: 1672534800, feesUSD: '1', volumeUSD: '2' },
+        {
+          periodStartUnix: 1672531200,
+          feesUSD: 'n/a',
+          volumeUSD: '2',
+          tvlUSD: '3',
+        },
+        null,
+      ]);
+
+      expect(result).toEqual([]);
+      expect(consoleSpy).toHaveBeenCalledWith(
+        expect.stringContaining('Invalid Uniswap pool hour data'),
+      );
+      consoleSpy.mockRestore();
+    });
+
+    it('should return an empty array for non-array input', () => {
+      const consoleSpy = jest.spyOn(console, 'warn').mockImplementation();
+
+      expect(processor.formatUniswapPoolHourData(null)).toEqual([]);
+      expect(consoleSpy).toHaveBeenCalledWith('rawData is not an array');
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('processUniswapPoolHourDataResponse', () => {
+    it('should split the hours of each pool into TVL and volume data', () => {
+      const result = processor.processUniswapPoolHourDataResponse({
+        pool1: [
+          {
+            periodStartUnix: 1672531200,
+            feesUSD: '3',
+            volumeUSD: '1000',
+            tvlUSD: '50000',
+          },
+        ],
+      });
+
+      expect(result).toEqual([
+        { pool1: [{ timestamp: '2023-01-01T00:00:00.000Z', tvlUsd: 50000 }] },
+        {
+          pool1: [
+            {
+              timestamp: '2023-01-01T00:00:00.000Z',
+              feesUSD: 3,
+              volumeUSD: 1000,
+            },
+          ],
+        },
+      ]);
+    });
+
+    it('should return empty data for pools without an array', () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+
+      expect(
+        processor.processUniswapPoolHourDataResponse({ pool1: null }),
+      ).toEqual([{ pool1: [] }, { pool1: [] }]);
+      expect(processor.processUniswapPoolHourDataResponse(null)).toEqual([
+        {},
+        {},
+      ]);
+      expect(consoleSpy).toHaveBeenCalledWith(
+        'uniswapPoolsData must be a non-null object',
+      );
+      consoleSpy.mockRestore();
+    });
+  });
+
   describe('processPoolDataResponse', () => {
     it('should process APY and TVL data correctly', () => {
       const apyTvlData = {
@@ -2128,6 +2252,19 @@ describe('Data Processing Functions', () => {
   });
 
   describe('trimData', () => {
+    it('should keep every entry when maxLength is Infinity', () => {
+      const data = {
+        pool1: Array.from({ length: 400 }, (_, i) => ({
+          timestamp: new Date(Date.UTC(2022, 0, 1 + i)).toISOString(),
+          value: i,
+        })),
+      };
+
+      const result = processor.trimData(data, Infinity);
+
+      expect(result.pool1).toHaveLength(400);
+    });
+
     it('should trim arrays to the specified maxLength, keeping the most recent entries', () => {
       const data = {
         pool1: [
@@ -2302,6 +2439,109 @@ describe('Data Processing Functions', () => {
     });
   });
 
+  describe('filterDataInRange', () => {
+    const data = {
+      weth: [
+        { timestamp: '2023-01-01T00:00:00.000Z', priceUsd: 1 },
+        { timestamp: '2023-01-02T00:00:00.000Z', priceUsd: 2 },
+        { timestamp: '2023-01-03T00:00:00.000Z', priceUsd: 3 },
+      ],
+    };
+
+    it('should keep records within the range, both ends included', () => {
+      expect(
+        processor.filterDataInRange(data, '2023-01-02', '2023-01-03'),
+      ).toEqual({
+        weth: [
+          { timestamp: '2023-01-02T00:00:00.000Z', priceUsd: 2 },
+          { timestamp: '2023-01-03T00:00:00.000Z', priceUsd: 3 },
+        ],
+      });
+    });
+
+    it('should apply a single bound', () => {
+      expect(
+        processor.filterDataInRange(data, undefined, new Date('2023-01-01')),
+      ).toEqual({
+        weth: [{ timestamp: '2023-01-01T00:00:00.000Z', priceUsd: 1 }],
+      });
+    });
+
+    it('should return data unchanged when no bounds are given', () => {
+      expect(processor.filterDataInRange(data)).toBe(data);
+    });
+
+    it('should return an empty object for invalid data', () => {
+      const consoleErrorSpy = jest
+        .spyOn(console, 'error')
+        .mockImplementation(() => {});
+      expect(processor.filterDataInRange([], '2023-01-01')).toEqual({});
+      consoleErrorSpy.mockRestore();
+    });
+  });
+
+  describe('filterDataAfter', () => {
+    let consoleErrorSpy;
+    let consoleWarnSpy;
+
+    beforeEach(() => {
+      consoleErrorSpy = jest
+        .spyOn(console, 'error')
+        .mockImplementation(() => {});
+      consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      consoleErrorSpy.mockRestore();
+      consoleWarnSpy.mockRestore();
+    });
+
+    const data = {
+      weth: [
+        { timestamp: '2023-01-01T00:00:00.000Z', priceUsd: 1 },
+        { timestamp: '2023-01-02T00:00:00.000Z', priceUsd: 2 },
+        { timestamp: '2023-01-03T00:00:00.000Z', priceUsd: 3 },
+      ],
+      dai: [{ timestamp: '2023-01-01T00:00:00.000Z', priceUsd: 1 }],
+    };
+
+    it('should keep only records newer than the cutoff of their key', () => {
+      const result = processor.filterDataAfter(data, {
+        weth: new Date('2023-01-02T00:00:00.000Z'),
+        dai: '2023-01-01T00:00:00.000Z',
+      });
+      expect(result).toEqual({
+        weth: [{ timestamp: '2023-01-03T00:00:00.000Z', priceUsd: 3 }],
+        dai: [],
+      });
+    });
+
+    it('should keep keys without a cutoff in full', () => {
+      const result = processor.filterDataAfter(data, { weth: null });
+      expect(result).toEqual(data);
+    });
+
+    it('should return data unchanged when no cutoffs are given', () => {
+      expect(processor.filterDataAfter(data, undefined)).toBe(data);
+    });
+
+    it('should return an empty object for invalid data', () => {
+      expect(processor.filterDataAfter(null, {})).toEqual({});
+      expect(consoleErrorSpy).toHaveBeenCalledWith(
+        'Invalid data: must be a non-null object',
+      );
+    });
+
+    it('should replace non-array values with empty arrays', () => {
+      expect(processor.filterDataAfter({ weth: 'invalid' }, {})).toEqual({
+        weth: [],
+      });
+      expect(consoleWarnSpy).toHaveBeenCalledWith(
+        "Data for key 'weth' is not an array",
+      );
+    });
+  });
+
   describe('findMissingDates', () => {
     it('should identify missing dates between consecutive dates', () => {
       const data = {
@@ -2556,6 +2796,45 @@ describe('Data Processing Functions', () => {
     });
   });
 
+  describe('findMissingDates with an interval', () => {
+    const HOUR_MS = 60 * 60 * 1000;
+
+    it('should identify missing hours of an hourly series', () => {
+      const data = {
+        token1: [
+          { timestamp: '2023-01-01T22:00:00.000Z', priceUsd: 1 },
+          { timestamp: '2023-01-02T01:00:00.000Z', priceUsd: 2 },
+          { timestamp: '2023-01-02T02:00:00.000Z', priceUsd: 3 },
+        ],
+      };
+
+      expect(processor.findMissingDates(data, HOUR_MS)).toEqual({
+        token1: ['2023-01-01T23:00:00.000Z', '2023-01-02T00:00:00.000Z'],
+      });
+    });
+
+    it('should round timestamps down to the interval', () => {
+      const data = {
+        token1: [
+          { timestamp: '2023-01-01T00:59:00.000Z', priceUsd: 1 },
+          { timestamp: '2023-01-01T01:05:00.000Z', priceUsd: 2 },
+        ],
+      };
+
+      expect(processor.findMissingDates(data, HOUR_MS)).toEqual({});
+    });
+
+    it('should return an empty object for an invalid interval', () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+
+      expect(processor.findMissingDates({ token1: [] }, 0)).toEqual({});
+      expect(consoleSpy).toHaveBeenCalledWith(
+        'Invalid interval: 0, must be a positive integer',
+      );
+      consoleSpy.mockRestore();
+    });
+  });
+
   describe('findDateOffset', () => {
     it('should calculate a date a specified number of days after the given date', () => {
       const date = new Date('2023-01-01T00:00:00.000Z');
@@ -2623,605 +2902,95 @@ describe('Data Processing Functions', () => {
     });
   });
 
-  describe('findDateBefore', () => {
-    it('should calculate a date a specified number of days before the given date', () => {
-      const date = new Date('2023-01-10T00:00:00.000Z');
-      const result = processor.findDateBefore(date, 3);
-      expect(result).toBe('2023-01-07T00:00:00.000Z');
-    });
-
-    it('should handle zero days', () => {
-      const date = new Date('2023-01-01T00:00:00.000Z');
-      const result = processor.findDateBefore(date, 0);
-      expect(result).toBe('2023-01-01T00:00:00.000Z');
+  describe('simulateMetrics', () => {
+    it('should return empty object for invalid inputs', () => {
+      expect(processor.simulateMetrics(null, {})).toEqual({});
+      expect(processor.simulateMetrics({}, null)).toEqual({});
+      expect(processor.simulateMetrics('not an object', {})).toEqual({});
+      expect(processor.simulateMetrics({}, 'not an object')).toEqual({});
     });
 
-    it('should handle dates across month boundaries', () => {
-      const date = new Date('2023-02-02T00:00:00.000Z');
-      const result = processor.findDateBefore(date, 5);
-      expect(result).toBe('2023-01-28T00:00:00.000Z');
+    it('should handle empty inputs', () => {
+      expect(processor.simulateMetrics({}, {})).toEqual({});
     });
 
-    it('should handle dates across year boundaries', () => {
-      const date = new Date('2024-01-02T00:00:00.000Z');
-      const result = processor.findDateBefore(date, 5);
-      expect(result).toBe('2023-12-28T00:00:00.000Z');
-    });
+    it('should simulate metrics when both before and after data exist', () => {
+      const metricsBefore = { price: [100, 110], volume: [1000, 1100] };
+      const metricsAfter = { price: [120, 130], volume: [1200, 1300] };
 
-    it('should handle dates with different times', () => {
-      const date = new Date('2023-01-10T15:30:45.123Z');
-      const result = processor.findDateBefore(date, 3);
-      expect(result).toBe('2023-01-07T00:00:00.000Z');
-    });
+      const result = processor.simulateMetrics(metricsBefore, metricsAfter);
 
-    it('should return null for negative numDays', () => {
-      const date = new Date('2023-01-01T00:00:00.000Z');
-      const result = processor.findDateBefore(date, -3);
-      expect(result).toBeNull();
-    });
+      // Check that all metrics are present
+      expect(Object.keys(result)).toEqual(['price', 'volume']);
 
-    it('should return null for invalid date', () => {
-      const result = processor.findDateBefore('not a date', 5);
-      expect(result).toBeNull();
+      // Check that values are within expected ranges
+      expect(result.price).toBeGreaterThanOrEqual(100);
+      expect(result.price).toBeLessThanOrEqual(130);
+      expect(result.volume).toBeGreaterThanOrEqual(1000);
+      expect(result.volume).toBeLessThanOrEqual(1300);
     });
 
-    it('should return null for NaN date', () => {
-      const date = new Date('invalid date');
-      const result = processor.findDateBefore(date, 5);
-      expect(result).toBeNull();
-    });
+    it('should not truncate simulated values to integers', () => {
+      const result = processor.simulateMetrics(
+        { apy: [3.21] },
+        { apy: [3.25] },
+        () => 0.5,
+      );
 
-    it('should return null for non-integer numDays', () => {
-      const date = new Date('2023-01-01T00:00:00.000Z');
-      const result = processor.findDateBefore(date, 5.5);
-      expect(result).toBeNull();
+      expect(result.apy).toBeCloseTo(3.23, 10);
     });
 
-    it('should log warning for negative numDays', () => {
-      const consoleSpy = jest.spyOn(console, 'warn').mockImplementation();
-
-      processor.findDateBefore(new Date('2023-01-01T00:00:00.000Z'), -3);
+    it('should produce identical values for generators with the same seed', () => {
+      const metricsBefore = { price: [100, 110], volume: [1000, 1100] };
+      const metricsAfter = { price: [120, 130], volume: [1200, 1300] };
 
-      expect(consoleSpy).toHaveBeenCalledWith(
-        'Invalid numDays: -3, must be non-negative',
+      const first = processor.simulateMetrics(
+        metricsBefore,
+        metricsAfter,
+        processor.createSeededRandom(42),
+      );
+      const second = processor.simulateMetrics(
+        metricsBefore,
+        metricsAfter,
+        processor.createSeededRandom(42),
       );
 
-      consoleSpy.mockRestore();
+      expect(second).toEqual(first);
     });
-  });
 
-  describe('findDateAfter', () => {
-    it('should calculate a date a specified number of days after the given date', () => {
-      const date = new Date('2023-01-01T00:00:00.000Z');
-      const result = processor.findDateAfter(date, 5);
-      expect(result).toBe('2023-01-06T00:00:00.000Z');
-    });
+    it('should use only before data when after data is missing', () => {
+      const metricsBefore = { price: [100, 110], volume: [1000, 1100] };
+      const metricsAfter = {};
 
-    it('should handle zero days', () => {
-      const date = new Date('2023-01-01T00:00:00.000Z');
-      const result = processor.findDateAfter(date, 0);
-      expect(result).toBe('2023-01-01T00:00:00.000Z');
-    });
+      const result = processor.simulateMetrics(metricsBefore, metricsAfter);
 
-    it('should handle dates across month boundaries', () => {
-      const date = new Date('2023-01-30T00:00:00.000Z');
-      const result = processor.findDateAfter(date, 5);
-      expect(result).toBe('2023-02-04T00:00:00.000Z');
+      // Should use average of before values
+      expect(result.price).toBe(105);
+      expect(result.volume).toBe(1050);
     });
 
-    it('should handle dates across year boundaries', () => {
-      const date = new Date('2023-12-30T00:00:00.000Z');
-      const result = processor.findDateAfter(date, 5);
-      expect(result).toBe('2024-01-04T00:00:00.000Z');
-    });
+    it('should use only after data when before data is missing', () => {
+      const metricsBefore = {};
+      const metricsAfter = { price: [120, 130], volume: [1200, 1300] };
 
-    it('should handle dates with different times', () => {
-      const date = new Date('2023-01-01T15:30:45.123Z');
-      const result = processor.findDateAfter(date, 3);
-      expect(result).toBe('2023-01-04T00:00:00.000Z');
-    });
+      const result = processor.simulateMetrics(metricsBefore, metricsAfter);
 
-    it('should return null for negative numDays', () => {
-      const date = new Date('2023-01-01T00:00:00.000Z');
-      const result = processor.findDateAfter(date, -3);
-      expect(result).toBeNull();
+      // Should use average of after values
+      expect(result.price).toBe(125);
+      expect(result.volume).toBe(1250);
     });
 
-    it('should return null for invalid date', () => {
-      const result = processor.findDateAfter('not a date', 5);
-      expect(result).toBeNull();
-    });
+    it('should handle non-numeric values in arrays', () => {
+      const metricsBefore = {
+        price: [100, 'invalid', 110],
+        volume: [1000, null, 1100],
+      };
+      const metricsAfter = {
+        price: [120, undefined, 130],
+        volume: [1200, NaN, 1300],
+      };
 
-    it('should return null for NaN date', () => {
-      const date = new Date('invalid date');
-      const result = processor.findDateAfter(date, 5);
-      expect(result).toBeNull();
-    });
-
-    it('should return null for non-integer numDays', () => {
-      const date = new Date('2023-01-01T00:00:00.000Z');
-      const result = processor.findDateAfter(date, 5.5);
-      expect(result).toBeNull();
-    });
-
-    it('should log warning for negative numDays', () => {
-      const consoleSpy = jest.spyOn(console, 'warn').mockImplementation();
-
-      processor.findDateAfter(new Date('2023-01-01T00:00:00.000Z'), -3);
-
-      expect(consoleSpy).toHaveBeenCalledWith(
-        'Invalid numDays: -3, must be non-negative',
-      );
-
-      consoleSpy.mockRestore();
-    });
-  });
-
-  describe('findValidDates', () => {
-    it('should find valid dates before and after a missing date', () => {
-      const missingDate = new Date('2023-01-05T00:00:00.000Z');
-      const timestamps = [
-        '2023-01-01T00:00:00.000Z',
-        '2023-01-02T00:00:00.000Z',
-        '2023-01-07T00:00:00.000Z',
-        '2023-01-08T00:00:00.000Z',
-        '2023-01-10T00:00:00.000Z',
-      ];
-
-      const [beforeDates, afterDates] = processor.findValidDates(
-        missingDate,
-        timestamps,
-      );
-
-      expect(beforeDates).toEqual([
-        '2023-01-02T00:00:00.000Z',
-        '2023-01-01T00:00:00.000Z',
-      ]);
-      expect(afterDates).toEqual([
-        '2023-01-07T00:00:00.000Z',
-        '2023-01-08T00:00:00.000Z',
-      ]);
-    });
-
-    it('should find up to two valid dates before and after a missing date', () => {
-      const missingDate = new Date('2023-01-05T00:00:00.000Z');
-      const timestamps = [
-        '2023-01-03T00:00:00.000Z',
-        '2023-01-04T00:00:00.000Z',
-        '2023-01-06T00:00:00.000Z',
-        '2023-01-07T00:00:00.000Z',
-      ];
-
-      const [beforeDates, afterDates] = processor.findValidDates(
-        missingDate,
-        timestamps,
-      );
-
-      expect(beforeDates).toEqual([
-        '2023-01-04T00:00:00.000Z',
-        '2023-01-03T00:00:00.000Z',
-      ]);
-      expect(afterDates).toEqual([
-        '2023-01-06T00:00:00.000Z',
-        '2023-01-07T00:00:00.000Z',
-      ]);
-    });
-
-    it('should respect the maxDays parameter', () => {
-      const missingDate = new Date('2023-01-05T00:00:00.000Z');
-      const timestamps = [
-        '2023-01-02T00:00:00.000Z',
-        '2023-01-03T00:00:00.000Z',
-        '2023-01-07T00:00:00.000Z',
-        '2023-01-08T00:00:00.000Z',
-      ];
-
-      const [beforeDates, afterDates] = processor.findValidDates(
-        missingDate,
-        timestamps,
-        2,
-      );
-
-      expect(beforeDates).toEqual(['2023-01-03T00:00:00.000Z']);
-      expect(afterDates).toEqual(['2023-01-07T00:00:00.000Z']);
-    });
-
-    it('should handle dates across month boundaries', () => {
-      const missingDate = new Date('2023-02-02T00:00:00.000Z');
-      const timestamps = [
-        '2023-01-31T00:00:00.000Z',
-        '2023-02-01T00:00:00.000Z',
-        '2023-02-03T00:00:00.000Z',
-        '2023-02-04T00:00:00.000Z',
-      ];
-
-      const [beforeDates, afterDates] = processor.findValidDates(
-        missingDate,
-        timestamps,
-      );
-
-      expect(beforeDates).toEqual([
-        '2023-02-01T00:00:00.000Z',
-        '2023-01-31T00:00:00.000Z',
-      ]);
-      expect(afterDates).toEqual([
-        '2023-02-03T00:00:00.000Z',
-        '2023-02-04T00:00:00.000Z',
-      ]);
-    });
-
-    it('should handle dates across year boundaries', () => {
-      const missingDate = new Date('2024-01-02T00:00:00.000Z');
-      const timestamps = [
-        '2023-12-31T00:00:00.000Z',
-        '2024-01-01T00:00:00.000Z',
-        '2024-01-03T00:00:00.000Z',
-        '2024-01-04T00:00:00.000Z',
-      ];
-
-      const [beforeDates, afterDates] = processor.findValidDates(
-        missingDate,
-        timestamps,
-      );
-
-      expect(beforeDates).toEqual([
-        '2024-01-01T00:00:00.000Z',
-        '2023-12-31T00:00:00.000Z',
-      ]);
-      expect(afterDates).toEqual([
-        '2024-01-03T00:00:00.000Z',
-        '2024-01-04T00:00:00.000Z',
-      ]);
-    });
-
-    it('should not handle dates with different times', () => {
-      const missingDate = new Date('2023-01-05T12:00:00.000Z');
-      const timestamps = [
-        '2023-01-03T15:30:45.123Z',
-        '2023-01-04T10:20:30.456Z',
-        '2023-01-06T08:15:22.789Z',
-        '2023-01-07T23:45:10.321Z',
-      ];
-
-      const [beforeDates, afterDates] = processor.findValidDates(
-        missingDate,
-        timestamps,
-      );
-
-      expect(beforeDates).toEqual([]);
-      expect(afterDates).toEqual([]);
-    });
-
-    it('should return empty arrays when no valid dates are found', () => {
-      const missingDate = new Date('2023-01-05T00:00:00.000Z');
-      const timestamps = [
-        '2023-01-10T00:00:00.000Z',
-        '2023-01-11T00:00:00.000Z',
-        '2023-01-12T00:00:00.000Z',
-      ];
-
-      const [beforeDates, afterDates] = processor.findValidDates(
-        missingDate,
-        timestamps,
-        3,
-      );
-
-      expect(beforeDates).toEqual([]);
-      expect(afterDates).toEqual([]);
-    });
-
-    it('should return empty arrays for invalid missingDate', () => {
-      const timestamps = [
-        '2023-01-01T00:00:00.000Z',
-        '2023-01-02T00:00:00.000Z',
-        '2023-01-07T00:00:00.000Z',
-        '2023-01-08T00:00:00.000Z',
-      ];
-
-      const [beforeDates1, afterDates1] = processor.findValidDates(
-        'not a date',
-        timestamps,
-      );
-      expect(beforeDates1).toEqual([]);
-      expect(afterDates1).toEqual([]);
-
-      const [beforeDates2, afterDates2] = processor.findValidDates(
-        new Date('invalid date'),
-        timestamps,
-      );
-      expect(beforeDates2).toEqual([]);
-      expect(afterDates2).toEqual([]);
-
-      const [beforeDates3, afterDates3] = processor.findValidDates(
-        null,
-        timestamps,
-      );
-      expect(beforeDates3).toEqual([]);
-      expect(afterDates3).toEqual([]);
-
-      const [beforeDates4, afterDates4] = processor.findValidDates(
-        undefined,
-        timestamps,
-      );
-      expect(beforeDates4).toEqual([]);
-      expect(afterDates4).toEqual([]);
-    });
-
-    it('should return empty arrays for invalid timestamps', () => {
-      const missingDate = new Date('2023-01-05T00:00:00.000Z');
-
-      const [beforeDates1, afterDates1] = processor.findValidDates(
-        missingDate,
-        'not an array',
-      );
-      expect(beforeDates1).toEqual([]);
-      expect(afterDates1).toEqual([]);
-
-      const [beforeDates2, afterDates2] = processor.findValidDates(
-        missingDate,
-        null,
-      );
-      expect(beforeDates2).toEqual([]);
-      expect(afterDates2).toEqual([]);
-
-      const [beforeDates3, afterDates3] = processor.findValidDates(
-        missingDate,
-        undefined,
-      );
-      expect(beforeDates3).toEqual([]);
-      expect(afterDates3).toEqual([]);
-    });
-
-    it('should return empty arrays for invalid maxDays', () => {
-      const missingDate = new Date('2023-01-05T00:00:00.000Z');
-      const timestamps = [
-        '2023-01-01T00:00:00.000Z',
-        '2023-01-02T00:00:00.000Z',
-        '2023-01-07T00:00:00.000Z',
-        '2023-01-08T00:00:00.000Z',
-      ];
-
-      const [beforeDates1, afterDates1] = processor.findValidDates(
-        missingDate,
-        timestamps,
-        0,
-      );
-      expect(beforeDates1).toEqual([]);
-      expect(afterDates1).toEqual([]);
-
-      const [beforeDates2, afterDates2] = processor.findValidDates(
-        missingDate,
-        timestamps,
-        -1,
-      );
-      expect(beforeDates2).toEqual([]);
-      expect(afterDates2).toEqual([]);
-
-      const [beforeDates3, afterDates3] = processor.findValidDates(
-        missingDate,
-        timestamps,
-        5.5,
-      );
-      expect(beforeDates3).toEqual([]);
-      expect(afterDates3).toEqual([]);
-
-      const [beforeDates4, afterDates4] = processor.findValidDates(
-        missingDate,
-        timestamps,
-        '7',
-      );
-      expect(beforeDates4).toEqual([]);
-      expect(afterDates4).toEqual([]);
-    });
-
-    it('should log warning for invalid inputs', () => {
-      const consoleSpy = jest.spyOn(console, 'warn').mockImplementation();
-
-      processor.findValidDates('not a date', 'not an array', 'invalid');
-
-      expect(consoleSpy).toHaveBeenCalledWith(
-        expect.stringContaining(
-          'Invalid inputs: missingDate=not a date, timestamps=not an array, maxDays=invalid',
-        ),
-      );
-
-      consoleSpy.mockRestore();
-    });
-
-    it('should handle empty timestamps array', () => {
-      const missingDate = new Date('2023-01-05T00:00:00.000Z');
-      const timestamps = [];
-
-      const [beforeDates, afterDates] = processor.findValidDates(
-        missingDate,
-        timestamps,
-      );
-
-      expect(beforeDates).toEqual([]);
-      expect(afterDates).toEqual([]);
-    });
-
-    it('should handle timestamps with invalid ISO format', () => {
-      const missingDate = new Date('2023-01-05T00:00:00.000Z');
-      const timestamps = [
-        '2023-01-02', // Missing time part
-        'invalid-date',
-        '2023-01-08T00:00:00.000Z',
-      ];
-
-      const [beforeDates, afterDates] = processor.findValidDates(
-        missingDate,
-        timestamps,
-      );
-
-      // Only the valid ISO timestamp should be found
-      expect(beforeDates).toEqual([]);
-      expect(afterDates).toEqual(['2023-01-08T00:00:00.000Z']);
-    });
-  });
-
-  describe('getMetrics', () => {
-    it('should return empty object for empty inputs', () => {
-      const result = processor.getMetrics([], new Map());
-      expect(result).toEqual({});
-    });
-
-    it('should return empty object for invalid inputs', () => {
-      expect(processor.getMetrics(null, new Map())).toEqual({});
-      expect(processor.getMetrics([], null)).toEqual({});
-      expect(processor.getMetrics('not an array', new Map())).toEqual({});
-      expect(processor.getMetrics([], 'not a map')).toEqual({});
-    });
-
-    it('should correctly process valid records with metrics', () => {
-      const validDates = ['2024-01-01T00:00:00Z', '2024-01-02T00:00:00Z'];
-      const recordMap = new Map([
-        [
-          '2024-01-01T00:00:00Z',
-          { timestamp: '2024-01-01T00:00:00Z', price: 100, volume: 1000 },
-        ],
-        [
-          '2024-01-02T00:00:00Z',
-          { timestamp: '2024-01-02T00:00:00Z', price: 110, volume: 2000 },
-        ],
-      ]);
-
-      const result = processor.getMetrics(validDates, recordMap);
-      expect(result).toEqual({
-        price: [100, 110],
-        volume: [1000, 2000],
-      });
-    });
-
-    it('should handle missing records for some dates', () => {
-      const validDates = [
-        '2024-01-01T00:00:00Z',
-        '2024-01-02T00:00:00Z',
-        '2024-01-03T00:00:00Z',
-      ];
-      const recordMap = new Map([
-        [
-          '2024-01-01T00:00:00Z',
-          { timestamp: '2024-01-01T00:00:00Z', price: 100 },
-        ],
-        [
-          '2024-01-03T00:00:00Z',
-          { timestamp: '2024-01-03T00:00:00Z', price: 120 },
-        ],
-      ]);
-
-      const result = processor.getMetrics(validDates, recordMap);
-      expect(result).toEqual({
-        price: [100, 120],
-      });
-    });
-
-    it('should handle records with different metric keys', () => {
-      const validDates = ['2024-01-01T00:00:00Z', '2024-01-02T00:00:00Z'];
-      const recordMap = new Map([
-        [
-          '2024-01-01T00:00:00Z',
-          { timestamp: '2024-01-01T00:00:00Z', price: 100 },
-        ],
-        [
-          '2024-01-02T00:00:00Z',
-          { timestamp: '2024-01-02T00:00:00Z', volume: 2000 },
-        ],
-      ]);
-
-      const result = processor.getMetrics(validDates, recordMap);
-      expect(result).toEqual({
-        price: [100],
-        volume: [2000],
-      });
-    });
-
-    it('should ignore timestamp field in records', () => {
-      const validDates = ['2024-01-01T00:00:00Z'];
-      const recordMap = new Map([
-        [
-          '2024-01-01T00:00:00Z',
-          {
-            timestamp: '2024-01-01T00:00:00Z',
-            price: 100,
-            volume: 1000,
-          },
-        ],
-      ]);
-
-      const result = processor.getMetrics(validDates, recordMap);
-      expect(result).toEqual({
-        price: [100],
-        volume: [1000],
-      });
-    });
-  });
-
-  describe('simulateMetrics', () => {
-    it('should return empty object for invalid inputs', () => {
-      expect(processor.simulateMetrics(null, {})).toEqual({});
-      expect(processor.simulateMetrics({}, null)).toEqual({});
-      expect(processor.simulateMetrics('not an object', {})).toEqual({});
-      expect(processor.simulateMetrics({}, 'not an object')).toEqual({});
-    });
-
-    it('should handle empty inputs', () => {
-      expect(processor.simulateMetrics({}, {})).toEqual({});
-    });
-
-    it('should simulate metrics when both before and after data exist', () => {
-      const metricsBefore = { price: [100, 110], volume: [1000, 1100] };
-      const metricsAfter = { price: [120, 130], volume: [1200, 1300] };
-
-      const result = processor.simulateMetrics(metricsBefore, metricsAfter);
-
-      // Check that all metrics are present
-      expect(Object.keys(result)).toEqual(['price', 'volume']);
-
-      // Check that values are within expected ranges
-      expect(result.price).toBeGreaterThanOrEqual(100);
-      expect(result.price).toBeLessThanOrEqual(130);
-      expect(result.volume).toBeGreaterThanOrEqual(1000);
-      expect(result.volume).toBeLessThanOrEqual(1300);
-
-      // Check that values are integers
-      expect(Number.isInteger(result.price)).toBe(true);
-      expect(Number.isInteger(result.volume)).toBe(true);
-    });
-
-    it('should use only before data when after data is missing', () => {
-      const metricsBefore = { price: [100, 110], volume: [1000, 1100] };
-      const metricsAfter = {};
-
-      const result = processor.simulateMetrics(metricsBefore, metricsAfter);
-
-      // Should use average of before values
-      expect(result.price).toBe(105);
-      expect(result.volume).toBe(1050);
-    });
-
-    it('should use only after data when before data is missing', () => {
-      const metricsBefore = {};
-      const metricsAfter = { price: [120, 130], volume: [1200, 1300] };
-
-      const result = processor.simulateMetrics(metricsBefore, metricsAfter);
-
-      // Should use average of after values
-      expect(result.price).toBe(125);
-      expect(result.volume).toBe(1250);
-    });
-
-    it('should handle non-numeric values in arrays', () => {
-      const metricsBefore = {
-        price: [100, 'invalid', 110],
-        volume: [1000, null, 1100],
-      };
-      const metricsAfter = {
-        price: [120, undefined, 130],
-        volume: [1200, NaN, 1300],
-      };
-
-      const result = processor.simulateMetrics(metricsBefore, metricsAfter);
+      const result = processor.simulateMetrics(metricsBefore, metricsAfter);
 
       // Should filter out non-numeric values and use only valid numbers
       expect(result.price).toBeGreaterThanOrEqual(100);
@@ -3345,7 +3114,11 @@ describe('Data Processing Functions', () => {
         key1: [
           { timestamp: '2023-01-01T00:00:00.000Z', metric: 10 },
           { timestamp: '2023-01-02T00:00:00.000Z', metric: 15 },
-          { timestamp: '2023-01-03T00:00:00.000Z', metric: 12 },
+          {
+            timestamp: '2023-01-03T00:00:00.000Z',
+            metric: 15,
+            isImputed: true,
+          },
         ],
       });
     });
@@ -3361,7 +3134,11 @@ describe('Data Processing Functions', () => {
       const result = processor.fillMissingDates(data, missingDates);
       expect(result).toEqual({
         key1: [
-          { timestamp: '2023-01-01T00:00:00.000Z', metric: 17 },
+          {
+            timestamp: '2023-01-01T00:00:00.000Z',
+            metric: 15,
+            isImputed: true,
+          },
           { timestamp: '2023-01-02T00:00:00.000Z', metric: 15 },
           { timestamp: '2023-01-03T00:00:00.000Z', metric: 20 },
         ],
@@ -3386,13 +3163,11 @@ describe('Data Processing Functions', () => {
         key1: ['2023-01-02T00:00:00.000Z', '2023-01-03T00:00:00.000Z'],
       };
       const result = processor.fillMissingDates(data, missingDates);
-      expect(result.key1[1].metric).toBeGreaterThanOrEqual(10);
-      expect(result.key1[1].metric).toBeLessThanOrEqual(40);
-      expect(result.key1[2].metric).toBeGreaterThanOrEqual(10);
-      expect(result.key1[2].metric).toBeLessThanOrEqual(40);
+      expect(result.key1[1].metric).toBe(20);
+      expect(result.key1[2].metric).toBe(30);
     });
 
-    it('fills missing date with zero metrics when no nearby dates are found', () => {
+    it('fills missing date from the nearest known value however far away', () => {
       const data = {
         key1: [{ timestamp: '2023-01-01T00:00:00.000Z', metric: 10 }],
       };
@@ -3403,24 +3178,32 @@ describe('Data Processing Functions', () => {
       expect(result).toEqual({
         key1: [
           { timestamp: '2023-01-01T00:00:00.000Z', metric: 10 },
-          { timestamp: '2023-01-15T00:00:00.000Z', metric: 0 },
+          {
+            timestamp: '2023-01-15T00:00:00.000Z',
+            metric: 10,
+            isImputed: true,
+          },
         ],
       });
     });
 
-    it('processes only keys in missingDates', () => {
+    it('keeps keys without missing dates unchanged', () => {
       const data = {
         key1: [{ timestamp: '2023-01-01T00:00:00.000Z', metric: 10 }],
         key2: [{ timestamp: '2023-01-01T00:00:00.000Z', metric: 20 }],
       };
       const missingDates = { key1: ['2023-01-02T00:00:00.000Z'] };
       const result = processor.fillMissingDates(data, missingDates);
-      expect(Object.keys(result)).toEqual(['key1']);
       expect(result).toEqual({
         key1: [
           { timestamp: '2023-01-01T00:00:00.000Z', metric: 10 },
-          { timestamp: '2023-01-02T00:00:00.000Z', metric: 10 },
+          {
+            timestamp: '2023-01-02T00:00:00.000Z',
+            metric: 10,
+            isImputed: true,
+          },
         ],
+        key2: [{ timestamp: '2023-01-01T00:00:00.000Z', metric: 20 }],
       });
     });
 
@@ -3437,6 +3220,173 @@ describe('Data Processing Functions', () => {
       const result = processor.fillMissingDates(data, missingDates);
       expect(result).toEqual({ key1: [] });
     });
+
+    describe('strategies', () => {
+      const data = {
+        key1: [
+          { timestamp: '2023-01-01T00:00:00.000Z', apy: 4, volume: 100 },
+          { timestamp: '2023-01-02T00:00:00.000Z', apy: 2, volume: 200 },
+          { timestamp: '2023-01-05T00:00:00.000Z', apy: 8, volume: 500 },
+        ],
+      };
+      const missingDates = {
+        key1: ['2023-01-03T00:00:00.000Z', '2023-01-04T00:00:00.000Z'],
+      };
+
+      const filledValues = (result, metric) =>
+        result.key1.slice(2, 4).map((record) => record[metric]);
+
+      it('interpolates linearly by default', () => {
+        const result = processor.fillMissingDates(data, missingDates);
+        expect(filledValues(result, 'apy')).toEqual([4, 6]);
+        expect(filledValues(result, 'volume')).toEqual([300, 400]);
+      });
+
+      it('carries the previous value forward', () => {
+        const result = processor.fillMissingDates(data, missingDates, {
+          strategy: 'carryForward',
+        });
+        expect(filledValues(result, 'apy')).toEqual([2, 2]);
+        expect(filledValues(result, 'volume')).toEqual([200, 200]);
+      });
+
+      it('carries the next value backward before the first known value', () => {
+        const result = processor.fillMissingDates(
+          { key1: data.key1.slice(1) },
+          { key1: ['2023-01-01T00:00:00.000Z'] },
+          { strategy: 'carryForward' },
+        );
+        expect(result.key1[0].apy).toBe(2);
+      });
+
+      it('takes the time-weighted mean of the nearest known values', () => {
+        const result = processor.fillMissingDates(data, missingDates, {
+          strategy: 'timeWeightedMean',
+        });
+        // 2023-01-03: weights 1/2, 1, 1/2 for apy 4, 2, 8 (total 2)
+        expect(result.key1[2].apy).toBeCloseTo(4, 10);
+        // 2023-01-04: weights 1/3, 1/2, 1 for apy 4, 2, 8 (total 11/6)
+        expect(result.key1[3].apy).toBeCloseTo(62 / 11, 10);
+      });
+
+      it('leaves metrics null', () => {
+        const result = processor.fillMissingDates(data, missingDates, {
+          strategy: 'leaveNull',
+        });
+        expect(filledValues(result, 'apy')).toEqual([null, null]);
+        expect(filledValues(result, 'volume')).toEqual([null, null]);
+      });
+
+      it('flags filled records as imputed and leaves known records unflagged', () => {
+        const result = processor.fillMissingDates(data, missingDates);
+        expect(result.key1.map((record) => record.isImputed)).toEqual([
+          undefined,
+          undefined,
+          true,
+          true,
+          undefined,
+        ]);
+      });
+
+      it('does not fill the imputed flag as a metric', () => {
+        const refilled = processor.fillMissingDates(
+          processor.fillMissingDates(data, { key1: [missingDates.key1[0]] }),
+          { key1: [missingDates.key1[1]] },
+        );
+        expect(refilled.key1[3]).toEqual({
+          timestamp: '2023-01-04T00:00:00.000Z',
+          apy: 6,
+          volume: 400,
+          isImputed: true,
+        });
+      });
+
+      it('chooses the strategy per metric', () => {
+        const result = processor.fillMissingDates(data, missingDates, {
+          strategies: { apy: 'carryForward' },
+        });
+        expect(filledValues(result, 'apy')).toEqual([2, 2]);
+        expect(filledValues(result, 'volume')).toEqual([300, 400]);
+      });
+
+      it('falls back to linear interpolation for unknown strategies', () => {
+        const result = processor.fillMissingDates(data, missingDates, {
+          strategies: { apy: 'unknown' },
+        });
+        expect(filledValues(result, 'apy')).toEqual([4, 6]);
+      });
+
+      it('leaves metrics without known values null', () => {
+        const result = processor.fillMissingDates(
+          {
+            key1: [
+              { timestamp: '2023-01-01T00:00:00.000Z', apy: null },
+              { timestamp: '2023-01-03T00:00:00.000Z', apy: null },
+            ],
+          },
+          { key1: ['2023-01-02T00:00:00.000Z'] },
+        );
+        expect(result.key1[1]).toEqual({
+          timestamp: '2023-01-02T00:00:00.000Z',
+          apy: null,
+          isImputed: true,
+        });
+      });
+
+      it.each(processor.FILL_STRATEGIES)(
+        'produces identical output across runs with the %s strategy',
+        (strategy) => {
+          const first = processor.fillMissingDates(data, missingDates, {
+            strategy,
+          });
+          const second = processor.fillMissingDates(data, missingDates, {
+            strategy,
+          });
+          expect(second).toEqual(first);
+        },
+      );
+
+      it('fills random values within range, reproducibly for the same seed', () => {
+        const fill = (seed) =>
+          processor.fillMissingDates(data, missingDates, {
+            strategy: 'random',
+            seed,
+          });
+        const first = fill(7);
+        expect(fill(7)).toEqual(first);
+        expect(fill(8)).not.toEqual(first);
+        filledValues(first, 'volume').forEach((value) => {
+          expect(value).toBeGreaterThanOrEqual(150);
+          expect(value).toBeLessThanOrEqual(500);
+        });
+      });
+    });
+  });
+
+  describe('createSeededRandom', () => {
+    it('returns the same sequence for the same seed', () => {
+      const first = processor.createSeededRandom(42);
+      const second = processor.createSeededRandom(42);
+      const firstValues = [first(), first(), first()];
+      expect([second(), second(), second()]).toEqual(firstValues);
+    });
+
+    it('returns numbers in [0, 1)', () => {
+      const random = processor.createSeededRandom(1);
+      for (let i = 0; i < 100; i += 1) {
+        const value = random();
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(1);
+      }
+    });
+
+    it('falls back to the default seed for invalid seeds', () => {
+      const random = processor.createSeededRandom('seed');
+      const defaultRandom = processor.createSeededRandom(
+        processor.DEFAULT_FILL_SEED,
+      );
+      expect(random()).toBe(defaultRandom());
+    });
   });
 
   describe('checkTimestampAlignment', () => {
@@ -3665,6 +3615,10 @@ describe('Data Processing Functions', () => {
 
   describe('formatLiquidityPoolData', () => {
     let consoleWarnSpy;
+    const poolAddresses = {
+      wethUsdc: '0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640',
+      wbtcUsdc: '0x99ac8ca7087fa4a2a1fb6357269965a2014abc35',
+    };
 
     beforeEach(() => {
       consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
@@ -3698,6 +3652,7 @@ describe('Data Processing Functions', () => {
       const result = processor.formatLiquidityPoolData(
         tvlData,
         uniswapPoolsData,
+        poolAddresses,
       );
 
       expect(result).toEqual({
@@ -3732,6 +3687,34 @@ describe('Data Processing Functions', () => {
       });
     });
 
+    it('flags a day as imputed if its TVL or Uniswap data was imputed', () => {
+      const tvlData = {
+        wethUsdc: [
+          { timestamp: '2023-01-01', tvlUsd: 1000 },
+          { timestamp: '2023-01-02', tvlUsd: 1100, isImputed: true },
+          { timestamp: '2023-01-03', tvlUsd: 1200 },
+        ],
+      };
+      const uniswapPoolsData = {
+        wethUsdc: [
+          { timestamp: '2023-01-01', liquidity: 500 },
+          { timestamp: '2023-01-02', liquidity: 550 },
+          { timestamp: '2023-01-03', liquidity: 600, isImputed: true },
+        ],
+      };
+      const result = processor.formatLiquidityPoolData(
+        tvlData,
+        uniswapPoolsData,
+        poolAddresses,
+      );
+
+      expect(result.wethUsdc.map((day) => day.isImputed)).toEqual([
+        undefined,
+        true,
+        true,
+      ]);
+    });
+
     it('returns empty object when timestamps do not align', () => {
       const tvlData = {
         pool1: [{ timestamp: '2023-01-01', tvlUsd: 1000 }],
@@ -3742,6 +3725,7 @@ describe('Data Processing Functions', () => {
       const result = processor.formatLiquidityPoolData(
         tvlData,
         uniswapPoolsData,
+        poolAddresses,
       );
 
       expect(result).toEqual({});
@@ -3762,6 +3746,7 @@ describe('Data Processing Functions', () => {
       const result = processor.formatLiquidityPoolData(
         tvlData,
         uniswapPoolsData,
+        poolAddresses,
       );
 
       expect(result).toEqual({
@@ -3790,6 +3775,7 @@ describe('Data Processing Functions', () => {
       const result = processor.formatLiquidityPoolData(
         tvlData,
         uniswapPoolsData,
+        poolAddresses,
       );
       expect(result).toEqual({});
     });
@@ -3800,6 +3786,7 @@ describe('Data Processing Functions', () => {
       const result = processor.formatLiquidityPoolData(
         tvlData,
         uniswapPoolsData,
+        poolAddresses,
       );
       expect(result).toEqual({});
     });
@@ -3922,4 +3909,119 @@ describe('Data Processing Functions', () => {
       });
     });
   });
+
+  describe('reconcileSourceData', () => {
+    const day = (date, priceUsd) => ({
+      timestamp: `${date}T00:00:00.000Z`,
+      priceUsd,
+    });
+    const options = { field: 'priceUsd', threshold: 0.05 };
+
+    it('should take each series from the first source with records', () => {
+      const result = processor.reconcileSourceData([
+        {
+          source: 'coingecko',
+          data: { weth: [], dai: [day('2024-01-01', 1)] },
+        },
+        {
+          source: 'defillama-coins',
+          data: {
+            weth: [day('2024-01-01', 2300)],
+            dai: [day('2024-01-01', 1)],
+          },
+        },
+      ]);
+
+      expect(result.data).toEqual({
+        weth: [day('2024-01-01', 2300)],
+        dai: [day('2024-01-01', 1)],
+      });
+      expect(result.divergences).toEqual([]);
+      expect(console.warn).toHaveBeenCalledWith(
+        "Using defillama-coins data for 'weth', coingecko returned none",
+      );
+    });
+
+    it('should keep series no source has records for empty', () => {
+      expect(
+        processor.reconcileSourceData([
+          { source: 'coingecko', data: { weth: [] } },
+          { source: 'defillama-coins', data: undefined },
+        ]).data,
+      ).toEqual({ weth: [] });
+    });
+
+    it('should flag days that diverge by more than the threshold', () => {
+      const result = processor.reconcileSourceData(
+        [
+          {
+            source: 'coingecko',
+            data: {
+              weth: [
+                day('2024-01-01', 2000),
+                day('2024-01-02', 2300),
+                day('2024-01-03', 2500),
+              ],
+            },
+          },
+          {
+            source: 'defillama-coins',
+            data: {
+              weth: [
+                day('2024-01-01', 2050),
+                day('2024-01-02', 2000),
+                day('2024-01-04', 2000),
+              ],
+            },
+          },
+        ],
+        options,
+      );
+
+      expect(result.data.weth).toHaveLength(3);
+      expect(result.divergences).toEqual([
+        {
+          series: 'weth',
+          source: 'coingecko',
+          reference: 'defillama-coins',
+          days: 1,
+          from: '2024-01-02T00:00:00.000Z',
+          to: '2024-01-02T00:00:00.000Z',
+          maxDivergence: 0.15,
+          action: 'flag',
+        },
+      ]);
+    });
+
+    it('should drop divergent days with the reject action', () => {
+      const result = processor.reconcileSourceData(
+        [
+          {
+            source: 'coingecko',
+            data: { weth: [day('2024-01-01', 2000), day('2024-01-02', 2300)] },
+          },
+          {
+            source: 'defillama-coins',
+            data: { weth: [day('2024-01-01', 2000), day('2024-01-02', 2000)] },
+          },
+        ],
+        { ...options, action: 'reject' },
+      );
+
+      expect(result.data.weth).toEqual([day('2024-01-01', 2000)]);
+      expect(result.divergences[0].action).toBe('reject');
+    });
+
+    it('should not compare without a field or with a zero reference', () => {
+      const sourceData = [
+        { source: 'coingecko', data: { dai: [day('2024-01-01', 1)] } },
+        { source: 'defillama-coins', data: { dai: [day('2024-01-01', 0)] } },
+      ];
+
+      expect(processor.reconcileSourceData(sourceData).divergences).toEqual([]);
+      expect(
+        processor.reconcileSourceData(sourceData, options).divergences,
+      ).toEqual([]);
+    });
+  });
 });
@@ -0,0 +1,219 @@
+import loadRegistry, {
+  selectSeries,
+  findUnknownSeries,
+} from '../../../src/data/registry.js';
+import {
+  registerSource,
+  unregisterSource,
+  resetSources,
+} from '../../../src/data/sources.js';
+
+describe('loadRegistry', () => {
+  let app;
+
+  beforeEach(() => {
+    app = {
+      locals: {
+        models: {
+          Token: { findAll: jest.fn() },
+          Pool: { findAll: jest.fn() },
+        },
+      },
+    };
+  });
+
+  it('should reject if models are not available', async () => {
+    await expect(loadRegistry({ locals: {} })).rejects.toThrow(
+      'Database models Token and Pool are not available',
+    );
+  });
+
+  it('should only query active tokens and pools', async () => {
+    app.locals.models.Token.findAll.mockResolvedValue([]);
+    app.locals.models.Pool.findAll.mockResolvedValue([]);
+
+    await loadRegistry(app);
+
+    expect(app.locals.models.Token.findAll).toHaveBeenCalledWith({
+      where: { is_active: true },
+    });
+    expect(app.locals.models.Pool.findAll).toHaveBeenCalledWith({
+      where: { is_active: true },
+    });
+  });
+
+  it('should build lookup maps from registry entries', async () => {
+    app.locals.models.Token.findAll.mockResolvedValue([
+      { token_symbol: 'WETH', coingecko_address: '0xweth' },
+      { token_symbol: 'USDC', coingecko_address: '0xusdc' },
+      { token_symbol: 'NOPRICE', coingecko_address: null },
+    ]);
+    app.locals.models.Pool.findAll.mockResolvedValue([
+      {
+        pool_name: 'wethUsdc',
+        pool_address: '0xpool',
+        defillama_id: 'llama-id',
+        subgraph_address: null,
+      },
+      {
+        pool_name: 'bridged',
+        pool_address: '0xbridged',
+        defillama_id: 'llama-id-2',
+        subgraph_address: '0xsubgraph',
+      },
+    ]);
+
+    const registry = await loadRegistry(app);
+
+    expect(registry).toEqual({
+      poolIds: {
+        lidoEth: '747c1d2a-c668-4682-b9f9-296708a3dd90',
+        wethUsdc: 'llama-id',
+        bridged: 'llama-id-2',
+      },
+      tokenAddresses: { weth: '0xweth', usdc: '0xusdc' },
+      poolAddresses: { wethUsdc: '0xpool', bridged: '0xbridged' },
+      subgraphAddresses: { wethUsdc: '0xpool', bridged: '0xsubgraph' },
+    });
+  });
+
+  it('should skip pools named like a staking series', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    app.locals.models.Token.findAll.mockResolvedValue([]);
+    app.locals.models.Pool.findAll.mockResolvedValue([
+      {
+        pool_name: 'lidoEth',
+        pool_address: '0xpool',
+        defillama_id: 'llama-id',
+        subgraph_address: null,
+      },
+    ]);
+
+    const registry = await loadRegistry(app);
+
+    expect(registry.poolIds).toEqual({
+      lidoEth: '747c1d2a-c668-4682-b9f9-296708a3dd90',
+    });
+    expect(registry.poolAddresses).toEqual({});
+    expect(warn).toHaveBeenCalledWith(
+      'Skipping pool 0xpool: pool_name lidoEth is reserved for a staking series',
+    );
+    warn.mockRestore();
+  });
+});
+
+describe('selectSeries', () => {
+  const registry = {
+    poolIds: {
+      lidoEth: 'staking-id',
+      wethUsdc: 'llama-id',
+      wbtcUsdc: 'llama-id-2',
+    },
+    tokenAddresses: { weth: '0xweth', usdc: '0xusdc' },
+    poolAddresses: { wethUsdc: '0xPool', wbtcUsdc: '0xpool2' },
+    subgraphAddresses: { wethUsdc: '0xPool', wbtcUsdc: '0xsubgraph' },
+  };
+
+  it('should keep every series by default', () => {
+    expect(selectSeries(registry)).toEqual(registry);
+  });
+
+  it('should only keep the selected tokens and pools', () => {
+    expect(
+      selectSeries(registry, { tokens: ['WETH'], pools: ['0xpool2'] }),
+    ).toEqual({
+      poolIds: { lidoEth: 'staking-id', wbtcUsdc: 'llama-id-2' },
+      tokenAddresses: { weth: '0xweth' },
+      poolAddresses: { wbtcUsdc: '0xpool2' },
+      subgraphAddresses: { wbtcUsdc: '0xsubgraph' },
+    });
+  });
+
+  it('should match pools by name or address case-insensitively', () => {
+    const selected = selectSeries(registry, { pools: ['WETHUSDC', '0xpool'] });
+    expect(selected.poolAddresses).toEqual({ wethUsdc: '0xPool' });
+  });
+
+  it('should keep no tokens or pools for empty selections', () => {
+    expect(selectSeries(registry, { tokens: [], pools: [] })).toEqual({
+      poolIds: { lidoEth: 'staking-id' },
+      tokenAddresses: {},
+      poolAddresses: {},
+      subgraphAddresses: {},
+    });
+  });
+
+  it('should only keep the series provided by the selected sources', () => {
+    expect(selectSeries(registry, { sources: ['coingecko'] })).toEqual({
+      poolIds: {},
+      tokenAddresses: registry.tokenAddresses,
+      poolAddresses: {},
+      subgraphAddresses: {},
+    });
+    expect(selectSeries(registry, { sources: ['defillama'] })).toEqual({
+      poolIds: { lidoEth: 'staking-id' },
+      tokenAddresses: {},
+      poolAddresses: {},
+      subgraphAddresses: {},
+    });
+  });
+
+  it('should keep the series of the datasets a replacement source provides', () => {
+    unregisterSource('coingecko');
+    registerSource({
+      name: 'chainlink',
+      datasets: ['prices'],
+      series: (lookup) => lookup.tokenAddresses,
+      fetch: jest.fn(),
+      normalize: jest.fn(),
+    });
+
+    try {
+      expect(
+        selectSeries(registry, { sources: ['chainlink'] }).tokenAddresses,
+      ).toEqual(registry.tokenAddresses);
+      expect(() => selectSeries(registry, { sources: ['coingecko'] })).toThrow(
+        'Unknown sources: coingecko',
+      );
+    } finally {
+      resetSources();
+    }
+  });
+
+  it('should throw for unknown sources, tokens and pools', () => {
+    expect(() => selectSeries(registry, { sources: ['binance'] })).toThrow(
+      'Unknown sources: binance',
+    );
+    expect(() => selectSeries(registry, { tokens: ['DAI'] })).toThrow(
+      'Unknown or inactive tokens: DAI',
+    );
+    expect(() => selectSeries(registry, { pools: ['daiUsdc'] })).toThrow(
+      'Unknown or inactive pools: daiUsdc',
+    );
+  });
+});
+
+describe('findUnknownSeries', () => {
+  const registry = {
+    poolIds: { lidoEth: 'staking-id', wethUsdc: 'llama-id' },
+    tokenAddresses: { weth: '0xweth' },
+    poolAddresses: { wethUsdc: '0xPool' },
+    subgraphAddresses: { wethUsdc: '0xPool' },
+  };
+
+  it('should accept registered tokens and pools in any case', () => {
+    expect(
+      findUnknownSeries(registry, { tokens: ['WETH'], pools: ['0xpool'] }),
+    ).toBeUndefined();
+    expect(findUnknownSeries(registry)).toBeUndefined();
+  });
+
+  it('should list the unknown tokens, then the unknown pools', () => {
+    expect(
+      findUnknownSeries(registry, { tokens: ['weth', 'DAI', 'XYZ'] }),
+    ).toBe('Unknown or inactive tokens: DAI, XYZ');
+    expect(
+      findUnknownSeries(registry, { pools: ['wethUsdc', 'lidoEth'] }),
+    ).toBe('Unknown or inactive pools: lidoEth');
+  });
+});
@@ -0,0 +1,290 @@
+import {
+  Op,
+  fn,
+  col,
+  cast,
+  where,
+} from 'sequelize';
+import {
+  getAggregations,
+  getSeriesFields,
+  parseResampling,
+  buildResampleQuery,
+  buildContinuousAggregateSelect,
+  buildContinuousAggregateQuery,
+} from '../../../src/data/resampling.js';
+
+describe('getAggregations', () => {
+  it.each([
+    ['ETHStakingHistorical', ['last', 'mean', 'ohlc']],
+    ['TokenPrice', ['last', 'mean', 'ohlc']],
+    ['LPHistorical', ['last', 'mean', 'ohlc', 'sum']],
+    ['LPHistoricalHourly', ['last', 'mean', 'ohlc', 'sum']],
+  ])('should list the aggregations of %s', (modelName, aggregations) => {
+    expect(getAggregations(modelName)).toEqual(aggregations);
+  });
+});
+
+describe('getSeriesFields', () => {
+  it('should list the stored columns of a series', () => {
+    expect(getSeriesFields('LPHistoricalHourly')).toEqual([
+      'timestamp',
+      'pool_address',
+      'tvl_usd',
+      'volume_1h_usd',
+      'fees_1h_usd',
+      'is_imputed',
+    ]);
+  });
+
+  it('should replace the level with OHLC columns', () => {
+    expect(getSeriesFields('TokenPrice', 'ohlc')).toEqual([
+      'timestamp',
+      'token_symbol',
+      'open',
+      'high',
+      'low',
+      'close',
+      'is_imputed',
+    ]);
+    expect(getSeriesFields('ETHStakingHistorical', 'mean')).toEqual([
+      'timestamp',
+      'apy_percentage',
+      'is_imputed',
+    ]);
+  });
+});
+
+describe('parseResampling', () => {
+  it('should not resample without an interval', () => {
+    expect(
+      parseResampling(undefined, undefined, 'TokenPrice', 'daily'),
+    ).toEqual({});
+  });
+
+  it('should use the default aggregation of the model', () => {
+    expect(parseResampling('1w', undefined, 'TokenPrice', 'daily')).toEqual({
+      interval: '1w',
+      aggregation: 'ohlc',
+    });
+    expect(parseResampling('1M', undefined, 'LPHistorical', 'daily')).toEqual(
+      { interval: '1M', aggregation: 'sum' },
+    );
+    expect(
+      parseResampling('1y', undefined, 'ETHStakingHistorical', 'daily'),
+    ).toEqual({ interval: '1y', aggregation: 'mean' });
+  });
+
+  it('should accept intervals at least as long as the resolution', () => {
+    expect(parseResampling('4h', 'last', 'TokenPriceHourly', 'hourly')).toEqual(
+      { interval: '4h', aggregation: 'last' },
+    );
+    expect(parseResampling('1d', 'mean', 'LPHistorical', 'daily')).toEqual({
+      interval: '1d',
+      aggregation: 'mean',
+    });
+  });
+
+  it.each([
+    [
+      undefined,
+      'ohlc',
+      'TokenPrice',
+      'daily',
+      'The agg parameter requires an interval parameter',
+    ],
+    [
+      '2w',
+      undefined,
+      'TokenPrice',
+      'daily',
+      'Invalid interval parameter, must be one of 1h, 4h, 1d, 1w, 1M, 3M, 1y',
+    ],
+    [
+      '4h',
+      undefined,
+      'TokenPrice',
+      'daily',
+      'Interval 4h is shorter than the daily resolution',
+    ],
+    [
+      '1w',
+      'sum',
+      'TokenPrice',
+      'daily',
+      'Invalid agg parameter, must be one of last, mean, ohlc',
+    ],
+    [
+      '1w',
+      'median',
+      'LPHistorical',
+      'daily',
+      'Invalid agg parameter, must be one of last, mean, ohlc, sum',
+    ],
+  ])(
+    'should reject interval %s and agg %s of %s at the %s resolution',
+    (interval, agg, modelName, resolution, errorMsg) => {
+      expect(parseResampling(interval, agg, modelName, resolution)).toEqual({
+        errorMsg,
+      });
+    },
+  );
+});
+
+describe('buildResampleQuery', () => {
+  const bucket = (sql) =>
+    fn('time_bucket', cast(sql, 'INTERVAL'), col('timestamp'));
+  const imputed = [fn('bool_and', col('is_imputed')), 'is_imputed'];
+
+  it('should build OHLC candles of prices', () => {
+    expect(buildResampleQuery('TokenPrice', '1w', 'ohlc')).toEqual({
+      attributes: [
+        [bucket('1 week'), 'timestamp'],
+        'token_symbol',
+        [fn('first', col('price_usd'), col('timestamp')), 'open'],
+        [fn('MAX', col('price_usd')), 'high'],
+        [fn('MIN', col('price_usd')), 'low'],
+        [fn('last', col('price_usd'), col('timestamp')), 'close'],
+        imputed,
+      ],
+      group: [bucket('1 week'), 'token_symbol'],
+      order: [[bucket('1 week'), 'ASC']],
+      raw: true,
+    });
+  });
+
+  it('should sum pool volumes and fees and average TVL', () => {
+    expect(
+      buildResampleQuery('LPHistorical', '1M', 'sum').attributes,
+    ).toEqual([
+      [bucket('1 month'), 'timestamp'],
+      'pool_address',
+      [fn('AVG', col('tvl_usd')), 'tvl_usd'],
+      [fn('SUM', col('volume_24h_usd')), 'volume_24h_usd'],
+      [fn('SUM', col('fees_24h_usd')), 'fees_24h_usd'],
+      imputed,
+    ]);
+  });
+
+  it('should sum pool flows next to TVL candles', () => {
+    expect(
+      buildResampleQuery('LPHistoricalHourly', '1d', 'ohlc').attributes.slice(
+        6,
+        8,
+      ),
+    ).toEqual([
+      [fn('SUM', col('volume_1h_usd')), 'volume_1h_usd'],
+      [fn('SUM', col('fees_1h_usd')), 'fees_1h_usd'],
+    ]);
+  });
+
+  it('should average or take the last value of every column', () => {
+    expect(
+      buildResampleQuery('LPHistorical', '1w', 'mean').attributes.slice(2, 5),
+    ).toEqual([
+      [fn('AVG', col('tvl_usd')), 'tvl_usd'],
+      [fn('AVG', col('volume_24h_usd')), 'volume_24h_usd'],
+      [fn('AVG', col('fees_24h_usd')), 'fees_24h_usd'],
+    ]);
+    expect(
+      buildResampleQuery('ETHStakingHistorical', '1y', 'last'),
+    ).toMatchObject({
+      attributes: [
+        [bucket('1 year'), 'timestamp'],
+        [fn('last', col('apy_percentage'), col('timestamp')), 'apy_percentage'],
+        imputed,
+      ],
+      group: [bucket('1 year')],
+    });
+  });
+
+  it('should page the buckets after a cursor', () => {
+    const cursor = new Date('2023-03-01');
+
+    expect(
+      buildResampleQuery('TokenPrice', '1M', 'last', {
+        order: 'desc',
+        cursor,
+        limit: 11,
+      }),
+    ).toMatchObject({
+      having: where(bucket('1 month'), { [Op.lt]: cursor }),
+      order: [[bucket('1 month'), 'DESC']],
+      limit: 11,
+    });
+  });
+});
+
+describe('buildContinuousAggregateSelect', () => {
+  it('should store every aggregate of the level and the flows', () => {
+    expect(
+      buildContinuousAggregateSelect('LPHistorical', 'lp_historical', '1w'),
+    ).toBe(
+      [
+        "SELECT time_bucket(INTERVAL '1 week', \"timestamp\") AS bucket",
+        'pool_address',
+        'first(tvl_usd, "timestamp") AS tvl_usd_open',
+        'MAX(tvl_usd) AS tvl_usd_high',
+        'MIN(tvl_usd) AS tvl_usd_low',
+        'last(tvl_usd, "timestamp") AS tvl_usd_close',
+        'AVG(tvl_usd) AS tvl_usd_mean',
+        'last(volume_24h_usd, "timestamp") AS volume_24h_usd_last',
+        'AVG(volume_24h_usd) AS volume_24h_usd_mean',
+        'SUM(volume_24h_usd) AS volume_24h_usd_sum',
+        'last(fees_24h_usd, "timestamp") AS fees_24h_usd_last',
+        'AVG(fees_24h_usd) AS fees_24h_usd_mean',
+        'SUM(fees_24h_usd) AS fees_24h_usd_sum',
+        'bool_and(is_imputed) AS is_imputed FROM lp_historical GROUP BY bucket, pool_address',
+      ].join(', '),
+    );
+  });
+});
+
+describe('buildContinuousAggregateQuery', () => {
+  it('should read a page of buckets after a cursor', () => {
+    const cursor = new Date('2023-01-02');
+
+    expect(
+      buildContinuousAggregateQuery(
+        'token_prices_weekly',
+        'TokenPrice',
+        'last',
+        'WETH',
+        { order: 'desc', cursor, limit: 3 },
+      ),
+    ).toEqual({
+      sql: 'SELECT bucket AS "timestamp", token_symbol, price_usd_close AS price_usd, is_imputed FROM token_prices_weekly WHERE token_symbol = :key AND bucket < :cursor ORDER BY bucket DESC LIMIT :limit',
+      replacements: { key: 'WETH', cursor, limit: 3 },
+    });
+  });
+
+  it('should read OHLC candles of a token', () => {
+    expect(
+      buildContinuousAggregateQuery(
+        'token_prices_monthly',
+        'TokenPrice',
+        'ohlc',
+        'WETH',
+      ),
+    ).toEqual({
+      sql: 'SELECT bucket AS "timestamp", token_symbol, price_usd_open AS open, price_usd_high AS high, price_usd_low AS low, price_usd_close AS close, is_imputed FROM token_prices_monthly WHERE token_symbol = :key ORDER BY bucket ASC',
+      replacements: { key: 'WETH' },
+    });
+  });
+
+  it.each([
+    ['sum', 'tvl_usd_mean AS tvl_usd, volume_24h_usd_sum AS volume_24h_usd'],
+    ['last', 'tvl_usd_close AS tvl_usd, volume_24h_usd_last AS volume_24h_usd'],
+    ['mean', 'tvl_usd_mean AS tvl_usd, volume_24h_usd_mean AS volume_24h_usd'],
+    ['ohlc', 'tvl_usd_close AS close, volume_24h_usd_sum AS volume_24h_usd'],
+  ])('should read the %s of pool metrics', (aggregation, columns) => {
+    const { sql } = buildContinuousAggregateQuery(
+      'lp_historical_weekly',
+      'LPHistorical',
+      aggregation,
+      '0xpool',
+    );
+
+    expect(sql).toContain(columns);
+  });
+});
@@ -1,16 +1,31 @@
+import { Op } from 'sequelize';
 import {
   saveStakingData,
   saveTokenPriceData,
   saveLiquidityPoolData,
+  saveHourlyTokenPriceData,
+  saveHourlyLiquidityPoolData,
 } from '../../../src/data/saver.js';
 
-const mockCreate = jest.fn();
+const mockTransaction = { id: 'transaction' };
+const mockBulkCreate = jest.fn();
+const mockCount = jest.fn();
+const mockFindAll = jest.fn();
+const mockTransactionFn = jest.fn((callback) => callback(mockTransaction));
+const mockModel = {
+  bulkCreate: mockBulkCreate,
+  count: mockCount,
+  findAll: mockFindAll,
+  sequelize: { transaction: mockTransactionFn },
+};
 const app = {
   locals: {
     models: {
-      ETHStakingHistorical: { create: mockCreate },
-      TokenPrice: { create: mockCreate },
-      LPHistorical: { create: mockCreate },
+      ETHStakingHistorical: mockModel,
+      TokenPrice: mockModel,
+      LPHistorical: mockModel,
+      TokenPriceHourly: mockModel,
+      LPHistoricalHourly: mockModel,
     },
   },
 };
@@ -19,63 +34,227 @@ const consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
 const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
 const consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation();
 
+beforeEach(() => {
+  mockBulkCreate.mockReset().mockResolvedValue([]);
+  mockCount.mockReset().mockResolvedValue(0);
+  mockFindAll.mockReset().mockResolvedValue([]);
+  mockTransactionFn.mockClear();
+  consoleLogSpy.mockClear();
+  consoleErrorSpy.mockClear();
+  consoleWarnSpy.mockClear();
+});
+
 describe('Data Saving Functions', () => {
   describe('saveStakingData', () => {
-    beforeEach(() => {
-      mockCreate.mockReset();
-      consoleLogSpy.mockClear();
-      consoleErrorSpy.mockClear();
-      consoleWarnSpy.mockClear();
+    it('bulk inserts valid staking records in a transaction', async () => {
+      const apyData = {
+        pool1: [
+          { timestamp: '2023-01-01', apyPercentage: 5.0 },
+          { timestamp: '2023-01-02', apyPercentage: 5.5, isImputed: true },
+        ],
+      };
+
+      const counts = await saveStakingData(apyData, app);
+
+      expect(counts).toEqual({
+        inserted: 2,
+        updated: 0,
+        skipped: 0,
+        unfilled: 0,
+      });
+      expect(mockTransactionFn).toHaveBeenCalledTimes(1);
+      expect(mockBulkCreate).toHaveBeenCalledTimes(1);
+      expect(mockBulkCreate).toHaveBeenCalledWith(
+        [
+          { timestamp: '2023-01-01', apy_percentage: 5.0, is_imputed: false },
+          { timestamp: '2023-01-02', apy_percentage: 5.5, is_imputed: true },
+        ],
+        { ignoreDuplicates: true, transaction: mockTransaction },
+      );
+      expect(mockCount).toHaveBeenCalledWith({
+        where: { timestamp: { [Op.in]: ['2023-01-01', '2023-01-02'] } },
+        transaction: mockTransaction,
+      });
+      expect(consoleLogSpy).toHaveBeenCalledWith(
+        "Saved staking data for 'pool1': 2 inserted, 0 updated, 0 skipped",
+      );
     });
 
-    it('successfully inserts valid staking records', async () => {
+    it('counts stored records as skipped by default', async () => {
       const apyData = {
         pool1: [
           { timestamp: '2023-01-01', apyPercentage: 5.0 },
           { timestamp: '2023-01-02', apyPercentage: 5.5 },
         ],
       };
-      mockCreate.mockResolvedValue({});
+      mockCount.mockResolvedValue(1);
 
-      await saveStakingData(apyData, app);
+      const counts = await saveStakingData(apyData, app);
 
-      expect(mockCreate).toHaveBeenCalledTimes(2);
-      expect(mockCreate).toHaveBeenCalledWith({
-        timestamp: '2023-01-01',
-        apy_percentage: 5.0,
+      expect(counts).toEqual({
+        inserted: 1,
+        updated: 0,
+        skipped: 1,
+        unfilled: 0,
       });
-      expect(mockCreate).toHaveBeenCalledWith({
-        timestamp: '2023-01-02',
-        apy_percentage: 5.5,
+    });
+
+    it('overwrites stored records when onConflict is overwrite', async () => {
+      const apyData = {
+        pool1: [
+          { timestamp: '2023-01-01', apyPercentage: 5.0 },
+          { timestamp: '2023-01-02', apyPercentage: 5.5 },
+        ],
+      };
+      mockCount.mockResolvedValue(1);
+
+      const counts = await saveStakingData(apyData, app, {
+        onConflict: 'overwrite',
       });
-      expect(consoleLogSpy).toHaveBeenCalledWith(
-        'Inserted staking record for timestamp: 2023-01-01',
-      );
-      expect(consoleLogSpy).toHaveBeenCalledWith(
-        'Inserted staking record for timestamp: 2023-01-02',
+
+      expect(counts).toEqual({
+        inserted: 1,
+        updated: 1,
+        skipped: 0,
+        unfilled: 0,
+      });
+      expect(mockBulkCreate).toHaveBeenCalledWith(expect.any(Array), {
+        updateOnDuplicate: ['apy_percentage', 'is_imputed'],
+        transaction: mockTransaction,
+      });
+    });
+
+    it('keeps stored records that are not imputed when overwriting with imputed ones', async () => {
+      const apyData = {
+        pool1: [
+          {
+            timestamp: '2023-01-01T00:00:00.000Z',
+            apyPercentage: 5.0,
+            isImputed: true,
+          },
+          {
+            timestamp: '2023-01-02T00:00:00.000Z',
+            apyPercentage: 5.5,
+            isImputed: true,
+          },
+          {
+            timestamp: '2023-01-03T00:00:00.000Z',
+            apyPercentage: 5.7,
+          },
+        ],
+      };
+      mockCount.mockResolvedValue(2);
+      mockFindAll.mockResolvedValue([
+        { timestamp: new Date('2023-01-01T00:00:00.000Z') },
+      ]);
+
+      const counts = await saveStakingData(apyData, app, {
+        onConflict: 'overwrite',
+      });
+
+      expect(counts).toEqual({
+        inserted: 1,
+        updated: 1,
+        skipped: 1,
+        unfilled: 0,
+      });
+      expect(mockFindAll).toHaveBeenCalledWith({
+        attributes: ['timestamp'],
+        where: {
+          timestamp: {
+            [Op.in]: ['2023-01-01T00:00:00.000Z', '2023-01-02T00:00:00.000Z'],
+          },
+          is_imputed: false,
+        },
+        raw: true,
+        transaction: mockTransaction,
+      });
+      expect(mockBulkCreate).toHaveBeenCalledWith(
+        [
+          {
+            timestamp: '2023-01-02T00:00:00.000Z',
+            apy_percentage: 5.5,
+            is_imputed: true,
+          },
+          {
+            timestamp: '2023-01-03T00:00:00.000Z',
+            apy_percentage: 5.7,
+            is_imputed: false,
+          },
+        ],
+        {
+          updateOnDuplicate: ['apy_percentage', 'is_imputed'],
+          transaction: mockTransaction,
+        },
       );
     });
 
+    it('writes records in batches of batchSize', async () => {
+      const apyData = {
+        pool1: [
+          { timestamp: '2023-01-01', apyPercentage: 5.0 },
+          { timestamp: '2023-01-02', apyPercentage: 5.1 },
+          { timestamp: '2023-01-03', apyPercentage: 5.2 },
+        ],
+      };
+
+      const counts = await saveStakingData(apyData, app, { batchSize: 2 });
+
+      expect(counts).toEqual({
+        inserted: 3,
+        updated: 0,
+        skipped: 0,
+        unfilled: 0,
+      });
+      expect(mockTransactionFn).toHaveBeenCalledTimes(1);
+      expect(mockBulkCreate).toHaveBeenCalledTimes(2);
+      expect(mockBulkCreate.mock.calls[0][0]).toHaveLength(2);
+      expect(mockBulkCreate.mock.calls[1][0]).toHaveLength(1);
+    });
+
+    it('keeps only the last record of a repeated timestamp', async () => {
+      const apyData = {
+        pool1: [
+          { timestamp: '2023-01-01', apyPercentage: 5.0 },
+          { timestamp: '2023-01-01T00:00:00.000Z', apyPercentage: 5.1 },
+        ],
+      };
+
+      const counts = await saveStakingData(apyData, app);
+
+      expect(counts).toEqual({
+        inserted: 1,
+        updated: 0,
+        skipped: 1,
+        unfilled: 0,
+      });
+      expect(mockBulkCreate.mock.calls[0][0]).toEqual([
+        {
+          timestamp: '2023-01-01T00:00:00.000Z',
+          apy_percentage: 5.1,
+          is_imputed: false,
+        },
+      ]);
+    });
+
     it('skips invalid staking data formats', async () => {
       const apyData = {
         pool1: 'invalid',
         pool2: [{ timestamp: '2023-01-03', apyPercentage: 6.0 }],
       };
-      mockCreate.mockResolvedValue({});
 
-      await saveStakingData(apyData, app);
+      const counts = await saveStakingData(apyData, app);
 
-      expect(mockCreate).toHaveBeenCalledTimes(1);
-      expect(mockCreate).toHaveBeenCalledWith({
-        timestamp: '2023-01-03',
-        apy_percentage: 6.0,
+      expect(counts).toEqual({
+        inserted: 1,
+        updated: 0,
+        skipped: 0,
+        unfilled: 0,
       });
+      expect(mockBulkCreate).toHaveBeenCalledTimes(1);
       expect(consoleWarnSpy).toHaveBeenCalledWith(
         "Skipping invalid data for pool 'pool1': not an array",
       );
-      expect(consoleLogSpy).toHaveBeenCalledWith(
-        'Inserted staking record for timestamp: 2023-01-03',
-      );
     });
 
     it('skips staking records with missing or invalid fields', async () => {
@@ -87,59 +266,61 @@ describe('Data Saving Functions', () => {
           { timestamp: '2023-01-04', apyPercentage: 'invalid' }, // Invalid apyPercentage
         ],
       };
-      mockCreate.mockResolvedValue({});
 
-      await saveStakingData(apyData, app);
+      const counts = await saveStakingData(apyData, app);
 
-      expect(mockCreate).toHaveBeenCalledTimes(1);
-      expect(mockCreate).toHaveBeenCalledWith({
-        timestamp: '2023-01-01',
-        apy_percentage: 5.0,
+      expect(counts).toEqual({
+        inserted: 1,
+        updated: 0,
+        skipped: 3,
+        unfilled: 0,
       });
-      expect(consoleLogSpy).toHaveBeenCalledTimes(1);
-      expect(consoleLogSpy).toHaveBeenCalledWith(
-        'Inserted staking record for timestamp: 2023-01-01',
+      expect(mockBulkCreate).toHaveBeenCalledWith(
+        [{ timestamp: '2023-01-01', apy_percentage: 5.0, is_imputed: false }],
+        expect.any(Object),
       );
     });
 
-    it('skips duplicate staking records', async () => {
-      const apyData = {
-        pool1: [{ timestamp: '2023-01-01', apyPercentage: 5.0 }],
-      };
-      const uniqueConstraintError = new Error('Unique constraint violation');
-      uniqueConstraintError.name = 'SequelizeUniqueConstraintError';
-      mockCreate.mockRejectedValueOnce(uniqueConstraintError);
+    it('does not open a transaction for a series without valid records', async () => {
+      const counts = await saveStakingData({ pool1: [] }, app);
 
-      await saveStakingData(apyData, app);
-
-      expect(mockCreate).toHaveBeenCalledTimes(1);
-      expect(consoleLogSpy).toHaveBeenCalledWith(
-        'Skipped duplicate staking record for timestamp: 2023-01-01',
-      );
+      expect(counts).toEqual({
+        inserted: 0,
+        updated: 0,
+        skipped: 0,
+        unfilled: 0,
+      });
+      expect(mockTransactionFn).not.toHaveBeenCalled();
+      expect(mockBulkCreate).not.toHaveBeenCalled();
     });
 
-    it('handles unexpected errors during staking record insertion', async () => {
+    it('logs and rethrows errors during the bulk insert', async () => {
       const apyData = {
         pool1: [{ timestamp: '2023-01-01', apyPercentage: 5.0 }],
       };
       const unexpectedError = new Error('Unexpected error');
-      mockCreate.mockRejectedValueOnce(unexpectedError);
+      mockBulkCreate.mockRejectedValueOnce(unexpectedError);
 
       await expect(saveStakingData(apyData, app)).rejects.toThrow(
         'Unexpected error',
       );
-
-      expect(mockCreate).toHaveBeenCalledTimes(1);
-      expect(mockCreate).toHaveBeenCalledWith({
-        timestamp: '2023-01-01',
-        apy_percentage: 5.0,
-      });
       expect(consoleErrorSpy).toHaveBeenCalledWith(
-        'Error inserting staking record:',
+        "Error saving staking data for 'pool1':",
         unexpectedError,
       );
     });
 
+    it('rejects invalid save options', async () => {
+      await expect(
+        saveStakingData({}, app, { onConflict: 'replace' }),
+      ).rejects.toThrow(
+        'Invalid onConflict: replace, must be one of skip, overwrite',
+      );
+      await expect(saveStakingData({}, app, { batchSize: 0 })).rejects.toThrow(
+        'Invalid batchSize: 0, must be a positive integer',
+      );
+    });
+
     it('rejects when ETHStakingHistorical model is not available', async () => {
       const invalidApp = { locals: { models: {} } };
       await expect(saveStakingData({}, invalidApp)).rejects.toThrow(
@@ -148,141 +329,161 @@ describe('Data Saving Functions', () => {
     });
 
     it('handles null staking data gracefully', async () => {
-      await expect(saveStakingData(null, app)).resolves.toEqual([]);
-      expect(mockCreate).not.toHaveBeenCalled();
+      await expect(saveStakingData(null, app)).resolves.toEqual({
+        inserted: 0,
+        updated: 0,
+        skipped: 0,
+        unfilled: 0,
+      });
+      expect(mockBulkCreate).not.toHaveBeenCalled();
       expect(consoleWarnSpy).not.toHaveBeenCalled();
       expect(consoleErrorSpy).not.toHaveBeenCalled();
     });
   });
 
   describe('saveTokenPriceData', () => {
-    beforeEach(() => {
-      mockCreate.mockReset();
-      consoleLogSpy.mockClear();
-      consoleErrorSpy.mockClear();
-      consoleWarnSpy.mockClear();
-    });
-
-    it('successfully inserts valid token price records', async () => {
+    it('saves each token in its own transaction', async () => {
       const priceData = {
-        token1: [
-          { timestamp: '2023-01-01', tokenSymbol: 'ETH', priceUsd: 1500 },
-          { timestamp: '2023-01-02', tokenSymbol: 'ETH', priceUsd: 1550 },
+        weth: [
+          { timestamp: '2023-01-01', tokenSymbol: 'WETH', priceUsd: 1500 },
+          { timestamp: '2023-01-02', tokenSymbol: 'WETH', priceUsd: 1550 },
+        ],
+        wbtc: [
+          { timestamp: '2023-01-01', tokenSymbol: 'WBTC', priceUsd: 30000 },
         ],
       };
-      mockCreate.mockResolvedValue({});
+      mockCount.mockResolvedValueOnce(1).mockResolvedValueOnce(0);
 
-      await saveTokenPriceData(priceData, app);
+      const counts = await saveTokenPriceData(priceData, app);
 
-      expect(mockCreate).toHaveBeenCalledTimes(2);
-      expect(mockCreate).toHaveBeenCalledWith({
-        timestamp: '2023-01-01',
-        token_symbol: 'ETH',
-        price_usd: 1500,
+      expect(counts).toEqual({
+        inserted: 2,
+        updated: 0,
+        skipped: 1,
+        unfilled: 0,
       });
-      expect(mockCreate).toHaveBeenCalledWith({
-        timestamp: '2023-01-02',
-        token_symbol: 'ETH',
-        price_usd: 1550,
+      expect(mockTransactionFn).toHaveBeenCalledTimes(2);
+      expect(mockCount).toHaveBeenCalledWith({
+        where: {
+          timestamp: { [Op.in]: ['2023-01-01', '2023-01-02'] },
+          token_symbol: 'WETH',
+        },
+        transaction: mockTransaction,
       });
-      expect(consoleLogSpy).toHaveBeenCalledWith(
-        'Inserted token price record for ETH at 2023-01-01',
+      expect(mockBulkCreate).toHaveBeenCalledWith(
+        [
+          {
+            timestamp: '2023-01-01',
+            token_symbol: 'WBTC',
+            price_usd: 30000,
+            is_imputed: false,
+          },
+        ],
+        { ignoreDuplicates: true, transaction: mockTransaction },
       );
       expect(consoleLogSpy).toHaveBeenCalledWith(
-        'Inserted token price record for ETH at 2023-01-02',
+        "Saved token price data for 'weth': 1 inserted, 0 updated, 1 skipped",
       );
     });
 
-    it('skips invalid token price data formats', async () => {
+    it('overwrites stored prices when onConflict is overwrite', async () => {
       const priceData = {
-        token1: 'invalid',
-        token2: [
-          { timestamp: '2023-01-03', tokenSymbol: 'BTC', priceUsd: 30000 },
+        weth: [
+          { timestamp: '2023-01-01', tokenSymbol: 'WETH', priceUsd: 1500 },
         ],
       };
-      mockCreate.mockResolvedValue({});
+      mockCount.mockResolvedValue(1);
 
-      await saveTokenPriceData(priceData, app);
+      const counts = await saveTokenPriceData(priceData, app, {
+        onConflict: 'overwrite',
+      });
 
-      expect(mockCreate).toHaveBeenCalledTimes(1);
-      expect(mockCreate).toHaveBeenCalledWith({
-        timestamp: '2023-01-03',
-        token_symbol: 'BTC',
-        price_usd: 30000,
+      expect(counts).toEqual({
+        inserted: 0,
+        updated: 1,
+        skipped: 0,
+        unfilled: 0,
+      });
+      expect(mockBulkCreate).toHaveBeenCalledWith(expect.any(Array), {
+        updateOnDuplicate: ['price_usd', 'is_imputed'],
+        transaction: mockTransaction,
       });
-      expect(consoleWarnSpy).toHaveBeenCalledWith(
-        "Skipping invalid data for token 'token1': not an array",
-      );
-      expect(consoleLogSpy).toHaveBeenCalledWith(
-        'Inserted token price record for BTC at 2023-01-03',
-      );
     });
 
-    it('skips token price records with missing or invalid fields', async () => {
+    it('counts imputed records left without a price as unfilled', async () => {
       const priceData = {
-        token1: [
-          { timestamp: '2023-01-01', tokenSymbol: 'ETH', priceUsd: 1500 }, // Valid
-          { timestamp: '2023-01-02', tokenSymbol: 'ETH' }, // Missing priceUsd
-          { timestamp: '2023-01-03', priceUsd: 1600 }, // Missing tokenSymbol
-          { tokenSymbol: 'ETH', priceUsd: 1700 }, // Missing timestamp
-          { timestamp: '2023-01-04', tokenSymbol: 'ETH', priceUsd: 'invalid' }, // Invalid priceUsd
+        weth: [
+          { timestamp: '2023-01-01', tokenSymbol: 'WETH', priceUsd: 1500 },
+          {
+            timestamp: '2023-01-02',
+            tokenSymbol: 'WETH',
+            priceUsd: null,
+            isImputed: true,
+          },
+          { timestamp: '2023-01-03', tokenSymbol: 'WETH', priceUsd: '1' },
         ],
       };
-      mockCreate.mockResolvedValue({});
+      mockCount.mockResolvedValue(0);
 
-      await saveTokenPriceData(priceData, app);
+      const counts = await saveTokenPriceData(priceData, app);
 
-      expect(mockCreate).toHaveBeenCalledTimes(1);
-      expect(mockCreate).toHaveBeenCalledWith({
-        timestamp: '2023-01-01',
-        token_symbol: 'ETH',
-        price_usd: 1500,
+      expect(counts).toEqual({
+        inserted: 1,
+        updated: 0,
+        skipped: 1,
+        unfilled: 1,
       });
-      expect(consoleLogSpy).toHaveBeenCalledTimes(1);
+      expect(mockBulkCreate).toHaveBeenCalledWith(
+        [expect.objectContaining({ timestamp: '2023-01-01' })],
+        { ignoreDuplicates: true, transaction: mockTransaction },
+      );
       expect(consoleLogSpy).toHaveBeenCalledWith(
-        'Inserted token price record for ETH at 2023-01-01',
+        "Saved token price data for 'weth': 1 inserted, 0 updated, 1 skipped, 1 left unfilled",
       );
     });
 
-    it('skips duplicate token price records', async () => {
+    it('skips token price records with missing or invalid fields', async () => {
       const priceData = {
-        token1: [
-          { timestamp: '2023-01-01', tokenSymbol: 'ETH', priceUsd: 1500 },
+        weth: [
+          { timestamp: '2023-01-01', tokenSymbol: 'WETH', priceUsd: 1500 }, // Valid
+          { timestamp: '2023-01-02', priceUsd: 1550 }, // Missing tokenSymbol
+          { tokenSymbol: 'WETH', priceUsd: 1600 }, // Missing timestamp
+          { timestamp: '2023-01-04', tokenSymbol: 'WETH', priceUsd: '1' }, // Invalid priceUsd
         ],
+        wbtc: 'invalid',
       };
-      const uniqueConstraintError = new Error('Unique constraint violation');
-      uniqueConstraintError.name = 'SequelizeUniqueConstraintError';
-      mockCreate.mockRejectedValueOnce(uniqueConstraintError);
 
-      await saveTokenPriceData(priceData, app);
+      const counts = await saveTokenPriceData(priceData, app);
 
-      expect(mockCreate).toHaveBeenCalledTimes(1);
-      expect(consoleLogSpy).toHaveBeenCalledWith(
-        'Skipped duplicate token price record for ETH at 2023-01-01',
+      expect(counts).toEqual({
+        inserted: 1,
+        updated: 0,
+        skipped: 3,
+        unfilled: 0,
+      });
+      expect(consoleWarnSpy).toHaveBeenCalledWith(
+        "Skipping invalid data for token 'wbtc': not an array",
       );
     });
 
-    it('handles unexpected errors during token price record insertion', async () => {
+    it('stops at the first token that fails to save', async () => {
       const priceData = {
-        token1: [
-          { timestamp: '2023-01-01', tokenSymbol: 'ETH', priceUsd: 1500 },
+        weth: [
+          { timestamp: '2023-01-01', tokenSymbol: 'WETH', priceUsd: 1500 },
+        ],
+        wbtc: [
+          { timestamp: '2023-01-01', tokenSymbol: 'WBTC', priceUsd: 30000 },
         ],
       };
       const unexpectedError = new Error('Unexpected error');
-      mockCreate.mockRejectedValueOnce(unexpectedError);
+      mockBulkCreate.mockRejectedValueOnce(unexpectedError);
 
       await expect(saveTokenPriceData(priceData, app)).rejects.toThrow(
         'Unexpected error',
       );
-
-      expect(mockCreate).toHaveBeenCalledTimes(1);
-      expect(mockCreate).toHaveBeenCalledWith({
-        timestamp: '2023-01-01',
-        token_symbol: 'ETH',
-        price_usd: 1500,
-      });
+      expect(mockTransactionFn).toHaveBeenCalledTimes(1);
       expect(consoleErrorSpy).toHaveBeenCalledWith(
-        'Error inserting token price record:',
+        "Error saving token price data for 'weth':",
         unexpectedError,
       );
     });
@@ -295,175 +496,122 @@ describe('Data Saving Functions', () => {
     });
 
     it('handles null token price data gracefully', async () => {
-      await expect(saveTokenPriceData(null, app)).resolves.toEqual([]);
-      expect(mockCreate).not.toHaveBeenCalled();
-      expect(consoleWarnSpy).not.toHaveBeenCalled();
-      expect(consoleErrorSpy).not.toHaveBeenCalled();
+      await expect(saveTokenPriceData(null, app)).resolves.toEqual({
+        inserted: 0,
+        updated: 0,
+        skipped: 0,
+        unfilled: 0,
+      });
+      expect(mockBulkCreate).not.toHaveBeenCalled();
     });
   });
 
   describe('saveLiquidityPoolData', () => {
-    beforeEach(() => {
-      mockCreate.mockReset();
-      consoleLogSpy.mockClear();
-      consoleErrorSpy.mockClear();
-      consoleWarnSpy.mockClear();
-    });
+    const lpDataForDay = {
+      timestamp: '2023-01-01',
+      poolAddress: '0x123',
+      tvlUsd: 1000000,
+      volumeUSD: 50000,
+      feesUSD: 1000,
+    };
+
+    it('bulk inserts valid liquidity pool records', async () => {
+      const counts = await saveLiquidityPoolData(
+        { pool1: [{ ...lpDataForDay, isImputed: true }] },
+        app,
+      );
 
-    it('successfully inserts valid liquidity pool records', async () => {
-      const liquidityPoolData = {
-        pool1: [
+      expect(counts).toEqual({
+        inserted: 1,
+        updated: 0,
+        skipped: 0,
+        unfilled: 0,
+      });
+      expect(mockCount).toHaveBeenCalledWith({
+        where: {
+          timestamp: { [Op.in]: ['2023-01-01'] },
+          pool_address: '0x123',
+        },
+        transaction: mockTransaction,
+      });
+      expect(mockBulkCreate).toHaveBeenCalledWith(
+        [
           {
             timestamp: '2023-01-01',
-            poolAddress: '0x123',
-            tvlUsd: 1000000,
-            volumeUSD: 50000,
-            feesUSD: 1000,
+            pool_address: '0x123',
+            tvl_usd: 1000000,
+            volume_24h_usd: 50000,
+            fees_24h_usd: 1000,
+            is_imputed: true,
           },
         ],
-      };
-      mockCreate.mockResolvedValue({});
-
-      await saveLiquidityPoolData(liquidityPoolData, app);
-
-      expect(mockCreate).toHaveBeenCalledTimes(1);
-      expect(mockCreate).toHaveBeenCalledWith({
-        timestamp: '2023-01-01',
-        pool_address: '0x123',
-        tvl_usd: 1000000,
-        volume_24h_usd: 50000,
-        fees_24h_usd: 1000,
-      });
+        { ignoreDuplicates: true, transaction: mockTransaction },
+      );
       expect(consoleLogSpy).toHaveBeenCalledWith(
-        'Inserted liquidity pool record for 0x123 at 2023-01-01',
+        "Saved liquidity pool data for 'pool1': 1 inserted, 0 updated, 0 skipped",
       );
     });
 
-    it('skips invalid liquidity pool data formats', async () => {
-      const liquidityPoolData = {
-        pool1: 'invalid',
-        pool2: [
-          {
-            timestamp: '2023-01-02',
-            poolAddress: '0x456',
-            tvlUsd: 2000000,
-            volumeUSD: 60000,
-            feesUSD: 1200,
-          },
-        ],
-      };
-      mockCreate.mockResolvedValue({});
+    it('overwrites stored pool data when onConflict is overwrite', async () => {
+      mockCount.mockResolvedValue(1);
 
-      await saveLiquidityPoolData(liquidityPoolData, app);
-
-      expect(mockCreate).toHaveBeenCalledTimes(1);
-      expect(mockCreate).toHaveBeenCalledWith({
-        timestamp: '2023-01-02',
-        pool_address: '0x456',
-        tvl_usd: 2000000,
-        volume_24h_usd: 60000,
-        fees_24h_usd: 1200,
-      });
-      expect(consoleWarnSpy).toHaveBeenCalledWith(
-        "Skipping invalid data for pool 'pool1': not an array",
-      );
-      expect(consoleLogSpy).toHaveBeenCalledWith(
-        'Inserted liquidity pool record for 0x456 at 2023-01-02',
+      const counts = await saveLiquidityPoolData(
+        { pool1: [lpDataForDay] },
+        app,
+        { onConflict: 'overwrite' },
       );
-    });
 
-    it('skips liquidity pool records with missing or invalid fields', async () => {
-      const liquidityPoolData = {
-        pool1: [
-          {
-            timestamp: '2023-01-01',
-            poolAddress: '0x123',
-            tvlUsd: 1000000,
-            volumeUSD: 50000,
-            feesUSD: 1000,
-          }, // Valid
-          { poolAddress: '0x123', tvlUsd: 1000000 }, // Missing timestamp
-          { timestamp: '2023-01-02', tvlUsd: 1000000 }, // Missing poolAddress
-          {
-            timestamp: '2023-01-03',
-            poolAddress: '0x789',
-            tvlUsd: 'invalid',
-            volumeUSD: 50000,
-            feesUSD: 1000,
-          }, // Invalid tvlUsd
+      expect(counts).toEqual({
+        inserted: 0,
+        updated: 1,
+        skipped: 0,
+        unfilled: 0,
+      });
+      expect(mockBulkCreate).toHaveBeenCalledWith(expect.any(Array), {
+        updateOnDuplicate: [
+          'tvl_usd',
+          'volume_24h_usd',
+          'fees_24h_usd',
+          'is_imputed',
         ],
-      };
-      mockCreate.mockResolvedValue({});
-
-      await saveLiquidityPoolData(liquidityPoolData, app);
-
-      expect(mockCreate).toHaveBeenCalledTimes(1);
-      expect(mockCreate).toHaveBeenCalledWith({
-        timestamp: '2023-01-01',
-        pool_address: '0x123',
-        tvl_usd: 1000000,
-        volume_24h_usd: 50000,
-        fees_24h_usd: 1000,
+        transaction: mockTransaction,
       });
-      expect(consoleLogSpy).toHaveBeenCalledTimes(1);
-      expect(consoleLogSpy).toHaveBeenCalledWith(
-        'Inserted liquidity pool record for 0x123 at 2023-01-01',
-      );
     });
 
-    it('skips duplicate liquidity pool records', async () => {
+    it('skips liquidity pool records with missing or invalid fields', async () => {
       const liquidityPoolData = {
         pool1: [
-          {
-            timestamp: '2023-01-01',
-            poolAddress: '0x123',
-            tvlUsd: 1000000,
-            volumeUSD: 50000,
-            feesUSD: 1000,
-          },
+          lpDataForDay, // Valid
+          { ...lpDataForDay, timestamp: '2023-01-02', poolAddress: undefined },
+          { ...lpDataForDay, timestamp: '2023-01-03', tvlUsd: 'invalid' },
+          { ...lpDataForDay, timestamp: '2023-01-04', volumeUSD: null },
+          { ...lpDataForDay, timestamp: '2023-01-05', feesUSD: undefined },
         ],
+        pool2: 'invalid',
       };
-      const uniqueConstraintError = new Error('Unique constraint violation');
-      uniqueConstraintError.name = 'SequelizeUniqueConstraintError';
-      mockCreate.mockRejectedValueOnce(uniqueConstraintError);
 
-      await saveLiquidityPoolData(liquidityPoolData, app);
+      const counts = await saveLiquidityPoolData(liquidityPoolData, app);
 
-      expect(mockCreate).toHaveBeenCalledTimes(1);
-      expect(consoleLogSpy).toHaveBeenCalledWith(
-        'Skipped duplicate liquidity pool record for 0x123 at 2023-01-01',
+      expect(counts).toEqual({
+        inserted: 1,
+        updated: 0,
+        skipped: 4,
+        unfilled: 0,
+      });
+      expect(consoleWarnSpy).toHaveBeenCalledWith(
+        "Skipping invalid data for pool 'pool2': not an array",
       );
     });
 
-    it('handles unexpected errors during liquidity pool record insertion', async () => {
-      const liquidityPoolData = {
-        pool1: [
-          {
-            timestamp: '2023-01-01',
-            poolAddress: '0x123',
-            tvlUsd: 1000000,
-            volumeUSD: 50000,
-            feesUSD: 1000,
-          },
-        ],
-      };
+    it('logs and rethrows errors during the bulk insert', async () => {
       const unexpectedError = new Error('Unexpected error');
-      mockCreate.mockRejectedValueOnce(unexpectedError);
+      mockBulkCreate.mockRejectedValueOnce(unexpectedError);
 
       await expect(
-        saveLiquidityPoolData(liquidityPoolData, app),
+        saveLiquidityPoolData({ pool1: [lpDataForDay] }, app),
       ).rejects.toThrow('Unexpected error');
-
-      expect(mockCreate).toHaveBeenCalledTimes(1);
-      expect(mockCreate).toHaveBeenCalledWith({
-        timestamp: '2023-01-01',
-        pool_address: '0x123',
-        tvl_usd: 1000000,
-        volume_24h_usd: 50000,
-        fees_24h_usd: 1000,
-      });
       expect(consoleErrorSpy).toHaveBeenCalledWith(
-        'Error inserting liquidity pool record:',
+        "Error saving liquidity pool data for 'pool1':",
         unexpectedError,
       );
     });
@@ -476,10 +624,111 @@ describe('Data Saving Functions', () => {
     });
 
     it('handles null liquidity pool data gracefully', async () => {
-      await expect(saveLiquidityPoolData(null, app)).resolves.toEqual([]);
-      expect(mockCreate).not.toHaveBeenCalled();
-      expect(consoleWarnSpy).not.toHaveBeenCalled();
-      expect(consoleErrorSpy).not.toHaveBeenCalled();
+      await expect(saveLiquidityPoolData(null, app)).resolves.toEqual({
+        inserted: 0,
+        updated: 0,
+        skipped: 0,
+        unfilled: 0,
+      });
+      expect(mockBulkCreate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('saveHourlyTokenPriceData', () => {
+    it('saves hourly prices like daily prices', async () => {
+      const counts = await saveHourlyTokenPriceData(
+        {
+          weth: [
+            {
+              timestamp: '2023-01-01T01:00:00.000Z',
+              tokenSymbol: 'WETH',
+              priceUsd: 1500,
+            },
+          ],
+        },
+        app,
+      );
+
+      expect(counts).toEqual({
+        inserted: 1,
+        updated: 0,
+        skipped: 0,
+        unfilled: 0,
+      });
+      expect(mockBulkCreate).toHaveBeenCalledWith(
+        [
+          {
+            timestamp: '2023-01-01T01:00:00.000Z',
+            token_symbol: 'WETH',
+            price_usd: 1500,
+            is_imputed: false,
+          },
+        ],
+        { ignoreDuplicates: true, transaction: mockTransaction },
+      );
+      expect(consoleLogSpy).toHaveBeenCalledWith(
+        "Saved hourly token price data for 'weth': 1 inserted, 0 updated, 0 skipped",
+      );
+    });
+
+    it('rejects when TokenPriceHourly model is not available', async () => {
+      const invalidApp = { locals: { models: { TokenPrice: mockModel } } };
+      await expect(saveHourlyTokenPriceData({}, invalidApp)).rejects.toThrow(
+        'Database model TokenPriceHourly is not available',
+      );
+    });
+  });
+
+  describe('saveHourlyLiquidityPoolData', () => {
+    const lpDataForHour = {
+      timestamp: '2023-01-01T01:00:00.000Z',
+      poolAddress: '0x123',
+      tvlUsd: 1000000,
+      volumeUSD: 2000,
+      feesUSD: 40,
+    };
+
+    it('saves the fees and volume of each hour', async () => {
+      const counts = await saveHourlyLiquidityPoolData(
+        { pool1: [lpDataForHour, { ...lpDataForHour, feesUSD: null }] },
+        app,
+        { onConflict: 'overwrite' },
+      );
+
+      expect(counts).toEqual({
+        inserted: 1,
+        updated: 0,
+        skipped: 1,
+        unfilled: 0,
+      });
+      expect(mockBulkCreate).toHaveBeenCalledWith(
+        [
+          {
+            timestamp: '2023-01-01T01:00:00.000Z',
+            pool_address: '0x123',
+            tvl_usd: 1000000,
+            volume_1h_usd: 2000,
+            fees_1h_usd: 40,
+            is_imputed: false,
+          },
+        ],
+        {
+          updateOnDuplicate: [
+            'tvl_usd',
+            'volume_1h_usd',
+            'fees_1h_usd',
+            'is_imputed',
+          ],
+          transaction: mockTransaction,
+        },
+      );
+    });
+
+    it('rejects when LPHistoricalHourly model is not available', async () => {
+      const invalidApp = { locals: { models: { LPHistorical: mockModel } } };
+      await expect(saveHourlyLiquidityPoolData({}, invalidApp)).rejects.toThrow(
+        'Database model LPHistoricalHourly is not available',
+      );
     });
   });
 });
@@ -0,0 +1,178 @@
+import {
+  MAX_SERIES,
+  parseSeriesSpecs,
+  getSeriesName,
+  getValueFields,
+  alignSeries,
+} from '../../../src/data/series.js';
+
+describe('parseSeriesSpecs', () => {
+  it('should parse price, pool and staking series without duplicates', () => {
+    expect(
+      parseSeriesSpecs('price:weth, pool:0xAbC,staking,price:weth'),
+    ).toEqual({
+      specs: [
+        { type: 'price', key: 'WETH' },
+        { type: 'pool', key: '0xabc' },
+        { type: 'staking' },
+      ],
+    });
+  });
+
+  it('should lower-case checksummed pool addresses', () => {
+    expect(
+      parseSeriesSpecs(
+        'pool:0x88E6A0c2dDD26FEEb64F039a2c41296FcB3f5640,pool:0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640',
+      ),
+    ).toEqual({
+      specs: [
+        { type: 'pool', key: '0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640' },
+      ],
+    });
+  });
+
+  it('should require the series parameter', () => {
+    expect(parseSeriesSpecs()).toEqual({
+      errorMsg: 'Missing series parameter',
+    });
+  });
+
+  it.each(['price', 'price:', 'staking:eth', 'tvl:0xabc', 'pool:0x:1'])(
+    'should reject the series %j',
+    (series) => {
+      expect(parseSeriesSpecs(series)).toEqual({
+        errorMsg:
+          'Invalid series parameter, must be a comma-separated list of price:<token>, pool:<address> or staking',
+      });
+    },
+  );
+
+  it('should reject more than MAX_SERIES series', () => {
+    const series = Array.from(
+      { length: MAX_SERIES + 1 },
+      (_, index) => `price:T${index}`,
+    ).join(',');
+
+    expect(parseSeriesSpecs(series)).toEqual({
+      errorMsg: 'Invalid series parameter, must list at most 10 series',
+    });
+  });
+});
+
+describe('getSeriesName', () => {
+  it('should name a series as in the series parameter', () => {
+    expect(getSeriesName({ type: 'price', key: 'WETH' })).toBe('price:WETH');
+    expect(getSeriesName({ type: 'staking' })).toBe('staking');
+  });
+});
+
+describe('getValueFields', () => {
+  it('should leave out the timestamp and the key of the series', () => {
+    expect(getValueFields('TokenPrice')).toEqual(['price_usd', 'is_imputed']);
+    expect(getValueFields('LPHistoricalHourly')).toEqual([
+      'tvl_usd',
+      'volume_1h_usd',
+      'fees_1h_usd',
+      'is_imputed',
+    ]);
+    expect(getValueFields('ETHStakingHistorical')).toEqual([
+      'apy_percentage',
+      'is_imputed',
+    ]);
+  });
+});
+
+describe('alignSeries', () => {
+  const day = (date) => new Date(`2023-01-0${date}T00:00:00.000Z`);
+
+  it('should align the series on every day and report their gaps', () => {
+    const { rows, gaps } = alignSeries(
+      [
+        {
+          name: 'price:WETH',
+          fields: ['price_usd'],
+          rows: [
+            { timestamp: day(1), price_usd: '1200' },
+            { timestamp: day(4), price_usd: '1300' },
+          ],
+        },
+        {
+          name: 'staking',
+          fields: ['apy_percentage'],
+          rows: [
+            { timestamp: day(2), apy_percentage: '5.1' },
+            { timestamp: day(3), apy_percentage: '5.2' },
+            { timestamp: day(4), apy_percentage: '5.3' },
+          ],
+        },
+      ],
+      'daily',
+    );
+
+    expect(rows).toEqual([
+      {
+        timestamp: '2023-01-01T00:00:00.000Z',
+        'price:WETH': { price_usd: '1200' },
+        staking: null,
+      },
+      {
+        timestamp: '2023-01-02T00:00:00.000Z',
+        'price:WETH': null,
+        staking: { apy_percentage: '5.1' },
+      },
+      {
+        timestamp: '2023-01-03T00:00:00.000Z',
+        'price:WETH': null,
+        staking: { apy_percentage: '5.2' },
+      },
+      {
+        timestamp: '2023-01-04T00:00:00.000Z',
+        'price:WETH': { price_usd: '1300' },
+        staking: { apy_percentage: '5.3' },
+      },
+    ]);
+    expect(gaps).toEqual({
+      'price:WETH': [
+        {
+          start: '2023-01-02T00:00:00.000Z',
+          end: '2023-01-03T00:00:00.000Z',
+          count: 2,
+        },
+      ],
+      staking: [
+        {
+          start: '2023-01-01T00:00:00.000Z',
+          end: '2023-01-01T00:00:00.000Z',
+          count: 1,
+        },
+      ],
+    });
+  });
+
+  it('should floor the timestamps to the resolution', () => {
+    const { rows } = alignSeries(
+      [
+        {
+          name: 'pool:0xabc',
+          fields: ['tvl_usd'],
+          rows: [
+            { timestamp: '2023-01-01T10:00:05.000Z', tvl_usd: '1' },
+            { timestamp: '2023-01-01T11:00:00.000Z', tvl_usd: '2' },
+          ],
+        },
+      ],
+      'hourly',
+    );
+
+    expect(rows.map(({ timestamp }) => timestamp)).toEqual([
+      '2023-01-01T10:00:00.000Z',
+      '2023-01-01T11:00:00.000Z',
+    ]);
+  });
+
+  it('should return an empty table when no series has rows', () => {
+    expect(
+      alignSeries([{ name: 'staking', fields: [], rows: [] }], 'daily'),
+    ).toEqual({ rows: [], gaps: { staking: [] } });
+  });
+});
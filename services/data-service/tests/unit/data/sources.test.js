@@ -0,0 +1,305 @@
+import * as fetcher from '../../../src/data/fetcher.js';
+import {
+  DATASETS,
+  defiLlamaSource,
+  coinGeckoSource,
+  uniswapSource,
+  defiLlamaCoinsSource,
+  coinGeckoHourlySource,
+  uniswapHourlySource,
+  registerSource,
+  unregisterSource,
+  getSourceNames,
+  getSources,
+  resetSources,
+} from '../../../src/data/sources.js';
+
+jest.mock('../../../src/data/fetcher.js');
+
+describe('source adapters', () => {
+  const registry = {
+    poolIds: { lidoEth: 'staking-id', wethUsdc: 'llama-id' },
+    tokenAddresses: { weth: '0xweth' },
+    poolAddresses: { wethUsdc: '0xpool' },
+    subgraphAddresses: { wethUsdc: '0xsubgraph' },
+  };
+  const onError = jest.fn();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should fetch DeFi Llama pools and split staking APY from pool TVL', async () => {
+    fetcher.fetchPoolData.mockResolvedValue({ lidoEth: [], wethUsdc: [] });
+
+    const series = defiLlamaSource.series(registry);
+    const raw = await defiLlamaSource.fetch(series, { days: 30 }, onError);
+
+    expect(series).toBe(registry.poolIds);
+    expect(fetcher.fetchPoolData).toHaveBeenCalledWith(series, onError);
+    expect(
+      defiLlamaSource.normalize({
+        lidoEth: [{ timestamp: '2024-01-01T00:07:00.000Z', apy: 3.1 }],
+        wethUsdc: [{ timestamp: '2024-01-01T00:07:00.000Z', tvlUsd: 1000 }],
+      }),
+    ).toEqual({
+      staking: {
+        lidoEth: [
+          { timestamp: '2024-01-01T00:00:00.000Z', apyPercentage: 3.1 },
+        ],
+      },
+      tvl: {
+        wethUsdc: [{ timestamp: '2024-01-01T00:00:00.000Z', tvlUsd: 1000 }],
+      },
+    });
+    expect(raw).toEqual({ lidoEth: [], wethUsdc: [] });
+  });
+
+  it('should fetch CoinGecko prices for the days of the range', async () => {
+    fetcher.fetchPriceData.mockResolvedValue({ weth: [] });
+
+    await coinGeckoSource.fetch(
+      coinGeckoSource.series(registry),
+      { days: { weth: 3 } },
+      onError,
+    );
+
+    expect(fetcher.fetchPriceData).toHaveBeenCalledWith(
+      registry.tokenAddresses,
+      { weth: 3 },
+      onError,
+    );
+    expect(
+      coinGeckoSource.normalize({ weth: [[1704067200000, 2000]] }),
+    ).toEqual({
+      prices: {
+        weth: [{ timestamp: '2024-01-01T00:00:00.000Z', priceUsd: 2000 }],
+      },
+    });
+  });
+
+  it('should fetch Uniswap pool days after the start timestamps of the range', async () => {
+    fetcher.fetchUniswapPoolData.mockResolvedValue({ wethUsdc: [] });
+
+    await uniswapSource.fetch(
+      uniswapSource.series(registry),
+      { days: { wethUsdc: 3 }, startTimestamps: { wethUsdc: 1704067200 } },
+      onError,
+    );
+
+    expect(fetcher.fetchUniswapPoolData).toHaveBeenCalledWith(
+      registry.subgraphAddresses,
+      { wethUsdc: 3 },
+      { wethUsdc: 1704067200 },
+      onError,
+    );
+    expect(Object.keys(uniswapSource.normalize({ wethUsdc: [] }))).toEqual([
+      'volumes',
+    ]);
+  });
+
+  it('should fetch DeFi Llama coins prices as a second price source', async () => {
+    process.env.DEFILLAMA_COINS_API_URL = 'https://coins.llama.fi/chart/';
+    fetcher.fetchLlamaPriceData.mockResolvedValue({
+      weth: [[1704067200000, 2001]],
+    });
+
+    const raw = await defiLlamaCoinsSource.fetch(
+      defiLlamaCoinsSource.series(registry),
+      { days: 30 },
+      onError,
+    );
+
+    expect(fetcher.fetchLlamaPriceData).toHaveBeenCalledWith(
+      registry.tokenAddresses,
+      30,
+      onError,
+    );
+    expect(defiLlamaCoinsSource.normalize(raw)).toEqual({
+      prices: {
+        weth: [{ timestamp: '2024-01-01T00:00:00.000Z', priceUsd: 2001 }],
+      },
+    });
+    delete process.env.DEFILLAMA_COINS_API_URL;
+  });
+
+  it('should skip DeFi Llama coins prices while the API is not configured', async () => {
+    const consoleWarnSpy = jest
+      .spyOn(console, 'warn')
+      .mockImplementation(() => {});
+
+    await expect(
+      defiLlamaCoinsSource.fetch(
+        defiLlamaCoinsSource.series(registry),
+        { days: 30 },
+        onError,
+      ),
+    ).resolves.toEqual({});
+
+    expect(fetcher.fetchLlamaPriceData).not.toHaveBeenCalled();
+    expect(onError).not.toHaveBeenCalled();
+    expect(consoleWarnSpy).toHaveBeenCalledWith(
+      'DEFILLAMA_COINS_API_URL is not set, skipping the defillama-coins price source.',
+    );
+    consoleWarnSpy.mockRestore();
+  });
+
+  it('should fetch hourly CoinGecko prices', async () => {
+    fetcher.fetchPriceData.mockResolvedValue({ weth: [] });
+
+    await coinGeckoHourlySource.fetch(
+      coinGeckoHourlySource.series(registry),
+      { days: 7 },
+      onError,
+    );
+
+    expect(fetcher.fetchPriceData).toHaveBeenCalledWith(
+      registry.tokenAddresses,
+      7,
+      onError,
+      'hourly',
+    );
+    expect(
+      coinGeckoHourlySource.normalize({ weth: [[1704070812345, 2000]] }),
+    ).toEqual({
+      prices: {
+        weth: [{ timestamp: '2024-01-01T01:00:00.000Z', priceUsd: 2000 }],
+      },
+    });
+  });
+
+  it('should fetch Uniswap pool hours and split TVL from volumes', async () => {
+    fetcher.fetchUniswapPoolData.mockResolvedValue({ wethUsdc: [] });
+
+    await uniswapHourlySource.fetch(
+      uniswapHourlySource.series(registry),
+      { days: 7, startTimestamps: { wethUsdc: 1704067200 } },
+      onError,
+    );
+
+    expect(fetcher.fetchUniswapPoolData).toHaveBeenCalledWith(
+      registry.subgraphAddresses,
+      7,
+      { wethUsdc: 1704067200 },
+      onError,
+      'hourly',
+    );
+    expect(
+      uniswapHourlySource.normalize({
+        wethUsdc: [
+          {
+            periodStartUnix: 1704070800,
+            feesUSD: '3',
+            volumeUSD: '1000',
+            tvlUSD: '50000',
+          },
+        ],
+      }),
+    ).toEqual({
+      tvl: {
+        wethUsdc: [{ timestamp: '2024-01-01T01:00:00.000Z', tvlUsd: 50000 }],
+      },
+      volumes: {
+        wethUsdc: [
+          {
+            timestamp: '2024-01-01T01:00:00.000Z',
+            feesUSD: 3,
+            volumeUSD: 1000,
+          },
+        ],
+      },
+    });
+  });
+
+  it('should only provide known datasets', () => {
+    [
+      defiLlamaSource,
+      coinGeckoSource,
+      uniswapSource,
+      defiLlamaCoinsSource,
+      coinGeckoHourlySource,
+      uniswapHourlySource,
+    ].forEach((source) => {
+      source.datasets.forEach((dataset) => {
+        expect(Object.keys(DATASETS)).toContain(dataset);
+      });
+    });
+  });
+});
+
+describe('source registry', () => {
+  const createSource = (overrides = {}) => ({
+    name: 'curve',
+    datasets: ['volumes'],
+    series: jest.fn(),
+    fetch: jest.fn(),
+    normalize: jest.fn(),
+    ...overrides,
+  });
+
+  afterEach(() => {
+    resetSources();
+  });
+
+  it('should register the built-in sources', () => {
+    expect(getSourceNames()).toEqual([
+      'defillama',
+      'coingecko',
+      'uniswap',
+      'defillama-coins',
+      'coingecko-hourly',
+      'uniswap-hourly',
+    ]);
+    expect(getSourceNames('daily')).toEqual([
+      'defillama',
+      'coingecko',
+      'uniswap',
+      'defillama-coins',
+    ]);
+    expect(getSourceNames('hourly')).toEqual([
+      'coingecko-hourly',
+      'uniswap-hourly',
+    ]);
+    expect(getSources(['uniswap', 'defillama'])).toEqual([
+      uniswapSource,
+      defiLlamaSource,
+    ]);
+  });
+
+  it('should register and unregister sources', () => {
+    const curveSource = createSource();
+
+    registerSource(curveSource);
+    expect(getSources()).toContain(curveSource);
+
+    expect(unregisterSource('curve')).toBe(true);
+    expect(unregisterSource('curve')).toBe(false);
+    expect(getSourceNames()).not.toContain('curve');
+  });
+
+  it('should throw for unknown sources', () => {
+    expect(() => getSources(['coingecko', 'binance', 'kraken'])).toThrow(
+      'Unknown sources: binance, kraken',
+    );
+  });
+
+  it.each([
+    [{ name: '' }, 'Source adapter must have a name'],
+    [
+      { datasets: ['liquidations'] },
+      "Source adapter 'curve' must provide some of the datasets staking, tvl, prices, volumes",
+    ],
+    [
+      { datasets: [] },
+      "Source adapter 'curve' must provide some of the datasets",
+    ],
+    [
+      { resolution: 'weekly' },
+      "Source adapter 'curve' must have one of the resolutions daily, hourly",
+    ],
+    [{ fetch: undefined }, "Source adapter 'curve' must implement fetch()"],
+    [{ name: 'uniswap' }, "Source adapter 'uniswap' is already registered"],
+  ])('should reject the invalid adapter %j', (overrides, message) => {
+    expect(() => registerSource(createSource(overrides))).toThrow(message);
+  });
+});
@@ -0,0 +1,249 @@
+import { QueryTypes } from 'sequelize';
+import {
+  HYPERTABLES,
+  CONTINUOUS_AGGREGATES,
+  detectTimescale,
+  setupTimescale,
+  findContinuousAggregate,
+} from '../../../src/data/timescale.js';
+
+/**
+ * Emulates the catalog queries of a database with the given extension, hypertables and
+ * continuous aggregates. DDL statements update them, so that detection reflects the setup.
+ */
+function createSequelize({
+  version = '2.17.2',
+  hypertables = [],
+  aggregates = [],
+  compressed = [],
+  failing = [],
+} = {}) {
+  const state = {
+    hypertables: [...hypertables],
+    aggregates: [...aggregates],
+    compressed: [...compressed],
+  };
+  const query = jest.fn(async (sql, options = {}) => {
+    const { replacements = {} } = options;
+    const failure = failing.find((pattern) => sql.includes(pattern));
+    if (failure) {
+      throw new Error(`${failure} failed`);
+    }
+    if (sql.includes('FROM pg_extension')) {
+      return version ? [{ extversion: version }] : [];
+    }
+    if (sql.includes('SELECT compression_enabled')) {
+      return [
+        { compression_enabled: state.compressed.includes(replacements.table) },
+      ];
+    }
+    if (sql.includes('timescaledb_information.hypertables')) {
+      return state.hypertables.map((name) => ({ hypertable_name: name }));
+    }
+    if (sql.includes('timescaledb_information.continuous_aggregates')) {
+      return state.aggregates.map((name) => ({ view_name: name }));
+    }
+    if (sql.includes('create_hypertable')) {
+      state.hypertables.push(replacements.table);
+    }
+    if (sql.startsWith('CREATE MATERIALIZED VIEW')) {
+      state.aggregates.push(sql.split(' ')[3]);
+    }
+    return [];
+  });
+  return { query };
+}
+
+const allTables = Object.keys(HYPERTABLES);
+const allAggregates = Object.keys(CONTINUOUS_AGGREGATES);
+
+const statements = (sequelize) =>
+  sequelize.query.mock.calls.filter(
+    ([sql]) => !sql.includes('pg_extension') && !sql.includes('information'),
+  );
+
+describe('detectTimescale', () => {
+  it('should report vanilla Postgres without hypertables', async () => {
+    const sequelize = createSequelize({ version: null });
+
+    await expect(detectTimescale(sequelize)).resolves.toEqual({
+      available: false,
+      version: null,
+      hypertables: [],
+      plainTables: allTables,
+      continuousAggregates: [],
+      warnings: [
+        'TimescaleDB extension is not installed: series are stored in plain tables and history cannot be resampled',
+      ],
+    });
+    expect(sequelize.query).toHaveBeenCalledTimes(1);
+    expect(sequelize.query).toHaveBeenCalledWith(expect.any(String), {
+      replacements: {},
+      type: QueryTypes.SELECT,
+    });
+  });
+
+  it('should report plain tables and missing continuous aggregates', async () => {
+    const sequelize = createSequelize({
+      hypertables: ['token_prices', 'lp_historical', 'pools_view'],
+      aggregates: ['token_prices_weekly', 'other_view'],
+    });
+
+    await expect(detectTimescale(sequelize)).resolves.toEqual({
+      available: true,
+      version: '2.17.2',
+      hypertables: ['token_prices', 'lp_historical'],
+      plainTables: [
+        'eth_staking_historical',
+        'token_prices_hourly',
+        'lp_historical_hourly',
+      ],
+      continuousAggregates: ['token_prices_weekly'],
+      warnings: [
+        'eth_staking_historical is not a hypertable',
+        'token_prices_hourly is not a hypertable',
+        'lp_historical_hourly is not a hypertable',
+        'Continuous aggregate token_prices_monthly does not exist',
+        'Continuous aggregate lp_historical_weekly does not exist',
+        'Continuous aggregate lp_historical_monthly does not exist',
+      ],
+    });
+  });
+});
+
+describe('setupTimescale', () => {
+  it('should leave vanilla Postgres untouched', async () => {
+    const sequelize = createSequelize({ version: null });
+
+    const status = await setupTimescale(sequelize, { hourlyRetentionDays: 30 });
+
+    expect(status.available).toBe(false);
+    expect(statements(sequelize)).toEqual([]);
+  });
+
+  it('should convert plain tables and create the policies and continuous aggregates', async () => {
+    const sequelize = createSequelize({ hypertables: ['token_prices'] });
+
+    const status = await setupTimescale(sequelize, { hourlyRetentionDays: 30 });
+
+    expect(status).toEqual({
+      available: true,
+      version: '2.17.2',
+      hypertables: allTables,
+      plainTables: [],
+      continuousAggregates: allAggregates,
+      warnings: [],
+    });
+    const converted = statements(sequelize)
+      .filter(([sql]) => sql.includes('create_hypertable'))
+      .map(([, options]) => options.replacements);
+    expect(converted).toEqual([
+      { table: 'lp_historical', chunkInterval: '1 month' },
+      { table: 'eth_staking_historical', chunkInterval: '1 month' },
+      { table: 'token_prices_hourly', chunkInterval: '1 week' },
+      { table: 'lp_historical_hourly', chunkInterval: '1 week' },
+    ]);
+    expect(sequelize.query).toHaveBeenCalledWith(
+      "ALTER TABLE token_prices_hourly SET (timescaledb.compress, timescaledb.compress_segmentby = 'token_symbol', timescaledb.compress_orderby = '\"timestamp\" DESC')",
+    );
+    expect(sequelize.query).toHaveBeenCalledWith(
+      expect.stringContaining('add_compression_policy'),
+      {
+        replacements: {
+          table: 'lp_historical_hourly',
+          compressAfter: '7 days',
+        },
+      },
+    );
+    expect(sequelize.query).toHaveBeenCalledWith(
+      expect.stringContaining('add_retention_policy'),
+      { replacements: { table: 'token_prices_hourly', dropAfter: '30 days' } },
+    );
+    expect(sequelize.query).toHaveBeenCalledWith(
+      expect.stringMatching(
+        /^CREATE MATERIALIZED VIEW lp_historical_monthly WITH \(timescaledb.continuous, timescaledb.materialized_only = false\) AS SELECT time_bucket\(INTERVAL '1 month', "timestamp"\) AS bucket, pool_address, /,
+      ),
+    );
+    expect(sequelize.query).toHaveBeenCalledWith(
+      expect.stringContaining('add_continuous_aggregate_policy'),
+      { replacements: { view: 'token_prices_weekly' } },
+    );
+  });
+
+  it('should replace the retention policies without recreating existing features', async () => {
+    const sequelize = createSequelize({
+      hypertables: allTables,
+      aggregates: allAggregates,
+      compressed: ['token_prices_hourly', 'lp_historical_hourly'],
+    });
+
+    const status = await setupTimescale(sequelize, { hourlyRetentionDays: 90 });
+
+    expect(status.warnings).toEqual([]);
+    expect(statements(sequelize).map(([sql]) => sql.split('(')[0])).toEqual([
+      'SELECT add_compression_policy',
+      'SELECT remove_retention_policy',
+      'SELECT add_retention_policy',
+      'SELECT add_compression_policy',
+      'SELECT remove_retention_policy',
+      'SELECT add_retention_policy',
+    ]);
+  });
+
+  it('should report the features that could not be set up', async () => {
+    const sequelize = createSequelize({
+      hypertables: ['token_prices', 'lp_historical', 'eth_staking_historical'],
+      failing: ['create_hypertable', 'CREATE MATERIALIZED VIEW lp_historical'],
+    });
+
+    const status = await setupTimescale(sequelize, { hourlyRetentionDays: 30 });
+
+    expect(status.plainTables).toEqual([
+      'token_prices_hourly',
+      'lp_historical_hourly',
+    ]);
+    expect(status.continuousAggregates).toEqual([
+      'token_prices_weekly',
+      'token_prices_monthly',
+    ]);
+    expect(status.warnings).toEqual([
+      'Could not convert token_prices_hourly to a hypertable: create_hypertable failed',
+      'Could not convert lp_historical_hourly to a hypertable: create_hypertable failed',
+      'Could not create the continuous aggregate lp_historical_weekly: CREATE MATERIALIZED VIEW lp_historical failed',
+      'Could not create the continuous aggregate lp_historical_monthly: CREATE MATERIALIZED VIEW lp_historical failed',
+      'token_prices_hourly is not a hypertable',
+      'lp_historical_hourly is not a hypertable',
+      'Continuous aggregate lp_historical_weekly does not exist',
+      'Continuous aggregate lp_historical_monthly does not exist',
+    ]);
+    expect(sequelize.query).not.toHaveBeenCalledWith(
+      expect.stringContaining('add_retention_policy'),
+      expect.anything(),
+    );
+  });
+});
+
+describe('findContinuousAggregate', () => {
+  const status = {
+    continuousAggregates: ['token_prices_weekly', 'lp_historical_monthly'],
+  };
+
+  it('should find the continuous aggregate of a model and interval', () => {
+    expect(findContinuousAggregate(status, 'TokenPrice', '1w')).toBe(
+      'token_prices_weekly',
+    );
+    expect(findContinuousAggregate(status, 'LPHistorical', '1M')).toBe(
+      'lp_historical_monthly',
+    );
+  });
+
+  it('should not find missing continuous aggregates', () => {
+    expect(findContinuousAggregate(status, 'TokenPrice', '1M')).toBeUndefined();
+    expect(
+      findContinuousAggregate(status, 'TokenPriceHourly', '1w'),
+    ).toBeUndefined();
+    expect(findContinuousAggregate(undefined, 'TokenPrice', '1w')).toBe(
+      undefined,
+    );
+  });
+});
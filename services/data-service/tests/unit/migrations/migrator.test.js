@@ -0,0 +1,225 @@
+import {
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+} from '../../../src/migrations/migrator.js';
+import MIGRATIONS from '../../../src/migrations/index.js';
+
+/**
+ * Emulates a database whose migrations table contains the given migrations. Transactions are
+ * committed unless their callback throws.
+ */
+function createSequelize(appliedNames = []) {
+  let applied = appliedNames.map((name, index) => ({
+    name,
+    applied_at: new Date(Date.UTC(2024, 0, index + 1)).toISOString(),
+  }));
+  const query = jest.fn(async (sql, options = {}) => {
+    const { replacements = {} } = options;
+    if (sql.startsWith('SELECT name, applied_at FROM migrations')) {
+      return applied;
+    }
+    if (sql.startsWith('INSERT INTO migrations')) {
+      applied.push({
+        name: replacements.name,
+        applied_at: new Date(Date.UTC(2025, 0, 1)).toISOString(),
+      });
+    }
+    if (sql.startsWith('DELETE FROM migrations')) {
+      applied = applied.filter(({ name }) => name !== replacements.name);
+    }
+    return [];
+  });
+  const transaction = jest.fn(async (callback) => {
+    const snapshot = [...applied];
+    try {
+      return await callback('transaction');
+    } catch (error) {
+      applied = snapshot;
+      throw error;
+    }
+  });
+  return { query, transaction };
+}
+
+const createMigrations = (...names) =>
+  names.map((name) => ({
+    name,
+    up: jest.fn().mockResolvedValue(),
+    down: jest.fn().mockResolvedValue(),
+  }));
+
+describe('MIGRATIONS', () => {
+  it('should be ordered and reversible', () => {
+    const names = MIGRATIONS.map(({ name }) => name);
+
+    expect(names).toEqual([...names].sort());
+    expect(new Set(names).size).toBe(names.length);
+    MIGRATIONS.forEach((migration) => {
+      expect(migration.up).toEqual(expect.any(Function));
+      expect(migration.down).toEqual(expect.any(Function));
+    });
+  });
+});
+
+describe('getMigrationStatus', () => {
+  it('should compare the applied migrations with the migrations of the service', async () => {
+    const sequelize = createSequelize(['0001-a', '0003-future']);
+    const migrations = createMigrations('0001-a', '0002-b');
+
+    await expect(getMigrationStatus(sequelize, migrations)).resolves.toEqual({
+      version: '0003-future',
+      applied: [
+        { name: '0001-a', appliedAt: new Date('2024-01-01T00:00:00.000Z') },
+        {
+          name: '0003-future',
+          appliedAt: new Date('2024-01-02T00:00:00.000Z'),
+        },
+      ],
+      pending: ['0002-b'],
+      unknown: ['0003-future'],
+    });
+    expect(sequelize.query).toHaveBeenCalledWith(
+      expect.stringContaining('CREATE TABLE IF NOT EXISTS migrations'),
+    );
+  });
+
+  it('should report an empty database', async () => {
+    const sequelize = createSequelize();
+
+    const status = await getMigrationStatus(sequelize, createMigrations('0001-a'));
+
+    expect(status).toMatchObject({ version: null, pending: ['0001-a'] });
+  });
+});
+
+describe('migrateUp', () => {
+  it('should apply the pending migrations in order', async () => {
+    const sequelize = createSequelize(['0001-a']);
+    const migrations = createMigrations('0001-a', '0002-b', '0003-c');
+
+    await expect(migrateUp(sequelize, { migrations })).resolves.toEqual([
+      '0002-b',
+      '0003-c',
+    ]);
+    expect(migrations[0].up).not.toHaveBeenCalled();
+    expect(migrations[1].up).toHaveBeenCalledWith({
+      sequelize,
+      transaction: 'transaction',
+    });
+    expect(migrations[1].up.mock.invocationCallOrder[0]).toBeLessThan(
+      migrations[2].up.mock.invocationCallOrder[0],
+    );
+    expect(sequelize.query).toHaveBeenCalledWith(
+      'INSERT INTO migrations (name) VALUES (:name)',
+      { replacements: { name: '0003-c' }, transaction: 'transaction' },
+    );
+    await expect(getMigrationStatus(sequelize, migrations)).resolves.toMatchObject(
+      { version: '0003-c', pending: [] },
+    );
+  });
+
+  it('should stop at the target migration', async () => {
+    const sequelize = createSequelize();
+    const migrations = createMigrations('0001-a', '0002-b');
+
+    await expect(
+      migrateUp(sequelize, { to: '0001-a', migrations }),
+    ).resolves.toEqual(['0001-a']);
+    expect(migrations[1].up).not.toHaveBeenCalled();
+  });
+
+  it('should keep the migrations applied before a failure', async () => {
+    const sequelize = createSequelize();
+    const migrations = createMigrations('0001-a', '0002-b', '0003-c');
+    migrations[1].up.mockRejectedValue(new Error('column exists'));
+
+    await expect(migrateUp(sequelize, { migrations })).rejects.toThrow(
+      'column exists',
+    );
+    expect(migrations[2].up).not.toHaveBeenCalled();
+    await expect(getMigrationStatus(sequelize, migrations)).resolves.toMatchObject(
+      { version: '0001-a', pending: ['0002-b', '0003-c'] },
+    );
+  });
+
+  it('should refuse to run on an unknown schema version', async () => {
+    const sequelize = createSequelize(['0001-a', '0002-b']);
+    const migrations = createMigrations('0001-a');
+
+    await expect(migrateUp(sequelize, { migrations })).rejects.toThrow(
+      'Database schema version 0002-b is not known to this service (unknown migrations: 0002-b)',
+    );
+    expect(sequelize.transaction).not.toHaveBeenCalled();
+  });
+
+  it('should reject an unknown target migration', async () => {
+    const sequelize = createSequelize();
+
+    await expect(
+      migrateUp(sequelize, {
+        to: '0009-z',
+        migrations: createMigrations('0001-a'),
+      }),
+    ).rejects.toThrow('Unknown migration: 0009-z');
+  });
+});
+
+describe('migrateDown', () => {
+  it('should revert the last applied migration by default', async () => {
+    const sequelize = createSequelize(['0001-a', '0002-b']);
+    const migrations = createMigrations('0001-a', '0002-b');
+
+    await expect(migrateDown(sequelize, { migrations })).resolves.toEqual([
+      '0002-b',
+    ]);
+    expect(migrations[1].down).toHaveBeenCalledWith({
+      sequelize,
+      transaction: 'transaction',
+    });
+    expect(migrations[0].down).not.toHaveBeenCalled();
+    expect(sequelize.query).toHaveBeenCalledWith(
+      'DELETE FROM migrations WHERE name = :name',
+      { replacements: { name: '0002-b' }, transaction: 'transaction' },
+    );
+  });
+
+  it('should revert several migrations, latest first', async () => {
+    const sequelize = createSequelize(['0001-a', '0002-b', '0003-c']);
+    const migrations = createMigrations('0001-a', '0002-b', '0003-c');
+
+    await expect(migrateDown(sequelize, { step: 5, migrations })).resolves.toEqual(
+      ['0003-c', '0002-b', '0001-a'],
+    );
+    await expect(getMigrationStatus(sequelize, migrations)).resolves.toMatchObject(
+      { version: null },
+    );
+  });
+
+  it('should revert to a migration', async () => {
+    const sequelize = createSequelize(['0001-a', '0002-b', '0003-c']);
+    const migrations = createMigrations('0001-a', '0002-b', '0003-c');
+
+    await expect(
+      migrateDown(sequelize, { to: '0001-a', migrations }),
+    ).resolves.toEqual(['0003-c', '0002-b']);
+    expect(migrations[0].down).not.toHaveBeenCalled();
+  });
+
+  it('should reject a target migration that is not applied', async () => {
+    const sequelize = createSequelize(['0001-a']);
+    const migrations = createMigrations('0001-a', '0002-b');
+
+    await expect(
+      migrateDown(sequelize, { to: '0002-b', migrations }),
+    ).rejects.toThrow('Migration 0002-b is not applied');
+  });
+
+  it('should refuse to revert an unknown schema version', async () => {
+    const sequelize = createSequelize(['0001-a', '0002-b']);
+
+    await expect(
+      migrateDown(sequelize, { migrations: createMigrations('0001-a') }),
+    ).rejects.toThrow('Database schema version 0002-b is not known');
+  });
+});
@@ -0,0 +1,192 @@
+import supertest from 'supertest';
+import createMockUpstream, {
+  parsePoolDayDatasQuery,
+  parsePoolHourDatasQuery,
+} from '../../../src/mockUpstream/app.js';
+
+const poolDayDatasQuery = (pool, dateGt = 0) => `{
+  poolDayDatas(
+    first: 5
+    orderBy: date
+    where: {pool: "${pool}", date_gt: ${dateGt}}
+    orderDirection: asc
+  ) {
+    date
+    feesUSD
+    volumeUSD
+  }
+}`;
+
+describe('parsePoolDayDatasQuery', () => {
+  it('should parse the arguments of a poolDayDatas query', () => {
+    expect(parsePoolDayDatasQuery(poolDayDatasQuery('0xpool', 100))).toEqual({
+      pool: '0xpool',
+      first: 5,
+      dateGt: 100,
+      orderDirection: 'asc',
+    });
+  });
+
+  it('should return null for other queries', () => {
+    expect(parsePoolDayDatasQuery('{ pools { id } }')).toBeNull();
+    expect(parsePoolDayDatasQuery(undefined)).toBeNull();
+  });
+});
+
+describe('parsePoolHourDatasQuery', () => {
+  it('should parse the arguments of a poolHourDatas query', () => {
+    const query = poolDayDatasQuery('0xpool', 100)
+      .replace('poolDayDatas', 'poolHourDatas')
+      .replace('date_gt', 'periodStartUnix_gt');
+    expect(parsePoolHourDatasQuery(query)).toEqual({
+      pool: '0xpool',
+      first: 5,
+      periodStartUnixGt: 100,
+      orderDirection: 'asc',
+    });
+    expect(parsePoolHourDatasQuery(poolDayDatasQuery('0xpool'))).toBeNull();
+  });
+});
+
+describe('createMockUpstream', () => {
+  const marketChartUrl = (address, days = 30) =>
+    `/coins/ethereum/contract/${address}/market_chart?vs_currency=usd&days=${days}&interval=daily`;
+
+  it('should serve a DeFi Llama chart', async () => {
+    const response = await supertest(
+      createMockUpstream({ historyDays: 20 }),
+    ).get('/chart/pool-id');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveLength(20);
+  });
+
+  it('should serve a CoinGecko market chart to requests with an API key', async () => {
+    const request = supertest(createMockUpstream());
+
+    const response = await request
+      .get(marketChartUrl('0xweth', 7))
+      .set('x-cg-demo-api-key', 'key');
+    expect(response.status).toBe(200);
+    expect(response.body.prices).toHaveLength(8);
+
+    expect((await request.get(marketChartUrl('0xweth'))).status).toBe(401);
+    expect(
+      (
+        await request
+          .get('/coins/ethereum/contract/0xweth/market_chart?days=7')
+          .set('x-cg-demo-api-key', 'key')
+      ).status,
+    ).toBe(400);
+  });
+
+  it('should serve hourly prices for up to 90 days without an interval', async () => {
+    const request = supertest(createMockUpstream());
+    const get = (query) =>
+      request
+        .get(`/coins/ethereum/contract/0xweth/market_chart?${query}`)
+        .set('x-cg-demo-api-key', 'key');
+
+    const hourly = await get('vs_currency=usd&days=2');
+    const [first, second] = hourly.body.prices;
+    expect(hourly.body.prices).toHaveLength(49);
+    expect(second[0] - first[0]).toBe(60 * 60 * 1000);
+    expect((await get('vs_currency=usd&days=91')).body.prices).toHaveLength(92);
+  });
+
+  it('should serve DeFi Llama coins prices that follow the CoinGecko prices', async () => {
+    const request = supertest(createMockUpstream());
+    const start = Math.floor(Date.now() / 86400000) * 86400 - 2 * 86400;
+
+    const response = await request.get(
+      `/llama-coins/chart/ethereum:0xweth?start=${start}&span=3&period=1d`,
+    );
+    const marketChart = await request
+      .get(marketChartUrl('0xweth', 2))
+      .set('x-cg-demo-api-key', 'key');
+
+    expect(response.status).toBe(200);
+    expect(
+      response.body.coins['ethereum:0xweth'].prices.map(
+        ({ timestamp, price }) => [timestamp * 1000, price],
+      ),
+    ).toEqual(marketChart.body.prices);
+    expect(
+      (await request.get('/llama-coins/chart/0xweth?start=0&span=3&period=1d'))
+        .status,
+    ).toBe(400);
+  });
+
+  it('should serve subgraph poolDayDatas and reject other queries', async () => {
+    const request = supertest(createMockUpstream());
+
+    const response = await request
+      .post('/subgraph')
+      .send({ query: poolDayDatasQuery('0xpool') });
+    expect(response.body.data.poolDayDatas).toHaveLength(5);
+
+    const hourResponse = await request.post('/subgraph').send({
+      query: poolDayDatasQuery('0xpool')
+        .replace('poolDayDatas', 'poolHourDatas')
+        .replace('date_gt', 'periodStartUnix_gt'),
+    });
+    expect(hourResponse.body.data.poolHourDatas).toHaveLength(5);
+    expect(hourResponse.body.data.poolHourDatas[0]).toHaveProperty('tvlUSD');
+
+    const invalidResponse = await request
+      .post('/subgraph')
+      .send({ query: '{ pools { id } }' });
+    expect(invalidResponse.body.errors).toHaveLength(1);
+  });
+
+  it('should fail the first requests of a series as configured', async () => {
+    const request = supertest(
+      createMockUpstream({ series: { 'pool-id': { failures: 2 } } }),
+    );
+
+    const first = await request.get('/chart/pool-id');
+    expect(first.status).toBe(429);
+    expect(first.headers['retry-after']).toBe('1');
+    expect((await request.get('/chart/POOL-ID')).status).toBe(429);
+    expect((await request.get('/chart/pool-id')).status).toBe(200);
+    expect((await request.get('/chart/other-id')).status).toBe(200);
+  });
+
+  it('should inject errors and malformed payloads at the configured rates', async () => {
+    const request = supertest(createMockUpstream());
+
+    await request
+      .put('/__config')
+      .send({ errorRate: 1, errorStatuses: [503] })
+      .expect(200);
+    expect((await request.get('/chart/pool-id')).status).toBe(503);
+
+    await request.put('/__config').send({ malformedRate: 1 }).expect(200);
+    expect((await request.get('/chart/pool-id')).body.data).toEqual({
+      message: 'malformed',
+    });
+    expect(
+      (
+        await request
+          .get(marketChartUrl('0xweth'))
+          .set('x-cg-demo-api-key', 'key')
+      ).body,
+    ).toEqual({ prices: 'malformed' });
+    expect(
+      (
+        await request
+          .post('/subgraph')
+          .send({ query: poolDayDatasQuery('0xpool') })
+      ).body,
+    ).toEqual({ data: { poolDayDatas: null } });
+  });
+
+  it('should reject an invalid configuration', async () => {
+    const request = supertest(createMockUpstream());
+
+    const response = await request.put('/__config').send({ gapRate: 2 });
+
+    expect(response.status).toBe(400);
+    expect((await request.get('/__config')).body.gapRate).toBe(0);
+  });
+});
@@ -0,0 +1,60 @@
+import {
+  DEFAULT_MOCK_CONFIG,
+  createMockConfig,
+  loadMockConfig,
+  getSeriesConfig,
+} from '../../../src/mockUpstream/config.js';
+
+describe('createMockConfig', () => {
+  it('should default to well-formed series without errors', () => {
+    expect(createMockConfig()).toEqual(DEFAULT_MOCK_CONFIG);
+  });
+
+  it('should merge settings and lowercase series keys', () => {
+    const config = createMockConfig({
+      gapRate: 0.1,
+      series: { '0xABC': { failures: 2 } },
+    });
+    expect(config.gapRate).toBe(0.1);
+    expect(config.series).toEqual({ '0xabc': { failures: 2 } });
+  });
+
+  it.each([
+    [{ gapRate: 1.5 }, 'Invalid gapRate in mock upstream config: 1.5'],
+    [{ failures: -1 }, 'Invalid failures in mock upstream config: -1'],
+    [{ errorStatuses: [200] }, 'Invalid errorStatuses in mock upstream config'],
+    [
+      { series: { x: { errorRate: 'high' } } },
+      "Invalid errorRate in series 'x'",
+    ],
+  ])('should throw for %j', (settings, message) => {
+    expect(() => createMockConfig(settings)).toThrow(message);
+  });
+});
+
+describe('loadMockConfig', () => {
+  afterEach(() => {
+    delete process.env.MOCK_UPSTREAM_CONFIG;
+  });
+
+  it('should read settings from MOCK_UPSTREAM_CONFIG', () => {
+    process.env.MOCK_UPSTREAM_CONFIG = '{"errorRate":0.2}';
+    expect(loadMockConfig().errorRate).toBe(0.2);
+  });
+
+  it('should throw for invalid JSON', () => {
+    process.env.MOCK_UPSTREAM_CONFIG = '{errorRate';
+    expect(() => loadMockConfig()).toThrow('Invalid MOCK_UPSTREAM_CONFIG');
+  });
+});
+
+describe('getSeriesConfig', () => {
+  it('should apply the overrides of a series case-insensitively', () => {
+    const config = createMockConfig({
+      gapRate: 0.1,
+      series: { '0xabc': { gapRate: 0.5 } },
+    });
+    expect(getSeriesConfig(config, '0xABC').gapRate).toBe(0.5);
+    expect(getSeriesConfig(config, '0xdef').gapRate).toBe(0.1);
+  });
+});
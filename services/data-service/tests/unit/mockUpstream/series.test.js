@@ -0,0 +1,172 @@
+import { createMockConfig } from '../../../src/mockUpstream/config.js';
+import {
+  generateSeries,
+  toDefiLlamaChart,
+  toCoinGeckoMarketChart,
+  toLlamaCoinsChart,
+  toPoolDayDatas,
+  toPoolHourDatas,
+} from '../../../src/mockUpstream/series.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2024-01-10T12:00:00.000Z');
+
+describe('generateSeries', () => {
+  const settings = createMockConfig({ historyDays: 10 });
+
+  it('should generate one record per day ending today', () => {
+    const records = generateSeries('0xpool', settings, now);
+
+    expect(records).toHaveLength(10);
+    expect(records.at(-1).time).toBe(Date.parse('2024-01-10T00:00:00.000Z'));
+    records.slice(1).forEach((record, i) => {
+      expect(record.time - records[i].time).toBe(DAY_MS);
+      expect(record.tvlUsd).toBeGreaterThan(0);
+      expect(record.feesUSD).toBeLessThan(record.volumeUSD);
+    });
+  });
+
+  it('should generate one record per hour ending this hour', () => {
+    const records = generateSeries('0xpool', settings, now, DAY_MS / 24);
+
+    expect(records).toHaveLength(240);
+    expect(records.at(-1).time).toBe(Date.parse('2024-01-10T12:00:00.000Z'));
+    expect(records[1].time - records[0].time).toBe(DAY_MS / 24);
+  });
+
+  it('should be deterministic per key and seed', () => {
+    expect(generateSeries('0xpool', settings, now)).toEqual(
+      generateSeries('0xPOOL', settings, now),
+    );
+    expect(generateSeries('0xpool', settings, now)).not.toEqual(
+      generateSeries('0xother', settings, now),
+    );
+    expect(generateSeries('0xpool', settings, now)).not.toEqual(
+      generateSeries('0xpool', { ...settings, seed: 2 }, now),
+    );
+  });
+
+  it('should keep earlier days unchanged as the series grows', () => {
+    const today = generateSeries('0xpool', settings, now);
+    const tomorrow = generateSeries(
+      '0xpool',
+      { ...settings, historyDays: 11 },
+      new Date(now.getTime() + DAY_MS),
+    );
+    expect(tomorrow.slice(0, 10)).toEqual(today);
+  });
+
+  it('should add gaps, duplicates and invalid days', () => {
+    const records = generateSeries(
+      '0xpool',
+      createMockConfig({
+        historyDays: 1000,
+        gapRate: 0.1,
+        duplicateRate: 0.1,
+        invalidRecordRate: 0.1,
+      }),
+      now,
+    );
+    const uniqueDays = new Set(records.map((record) => record.time)).size;
+
+    expect(uniqueDays).toBeGreaterThan(850);
+    expect(uniqueDays).toBeLessThan(950);
+    expect(records.length - uniqueDays).toBeGreaterThan(50);
+    expect(records.filter((record) => record.isInvalid).length).toBeGreaterThan(
+      50,
+    );
+  });
+});
+
+describe('response formats', () => {
+  const records = [
+    {
+      time: Date.parse('2024-01-09T00:00:00.000Z'),
+      tvlUsd: 1000.4,
+      apy: 3.123456,
+      priceUsd: 2000,
+      volumeUSD: 500,
+      feesUSD: 1.5,
+    },
+    {
+      time: Date.parse('2024-01-10T00:00:00.000Z'),
+      tvlUsd: 1010,
+      apy: 3.2,
+      priceUsd: 2010,
+      volumeUSD: 510,
+      feesUSD: 1.53,
+      isInvalid: true,
+    },
+  ];
+
+  it('should format a DeFi Llama chart', () => {
+    const chart = toDefiLlamaChart(records);
+    expect(chart.status).toBe('success');
+    expect(chart.data[0]).toEqual(
+      expect.objectContaining({
+        timestamp: '2024-01-09T00:07:00.000Z',
+        tvlUsd: 1000,
+        apy: 3.12346,
+      }),
+    );
+    expect(chart.data[1]).toEqual(
+      expect.objectContaining({ tvlUsd: null, apy: 'n/a' }),
+    );
+  });
+
+  it('should format a CoinGecko market chart with the requested days', () => {
+    expect(toCoinGeckoMarketChart(records, 0).prices).toEqual([
+      [Date.parse('2024-01-10T00:00:00.000Z'), null],
+    ]);
+    expect(toCoinGeckoMarketChart(records, 'max').prices).toHaveLength(2);
+  });
+
+  it('should format a DeFi Llama coins chart from the start for the span', () => {
+    const coin = 'ethereum:0xweth';
+    expect(
+      toLlamaCoinsChart(records, coin, { start: 1704844800, span: 5 }).coins[
+        coin
+      ].prices,
+    ).toEqual([{ timestamp: 1704844800, price: null }]);
+    expect(
+      toLlamaCoinsChart(records, coin, { start: 0, span: 1 }).coins[coin]
+        .prices,
+    ).toEqual([{ timestamp: 1704758400, price: 2000 }]);
+  });
+
+  it('should page and order poolDayDatas', () => {
+    expect(
+      toPoolDayDatas(records, {
+        first: 1,
+        dateGt: 0,
+        orderDirection: 'desc',
+      }),
+    ).toEqual([
+      { date: 1704844800, feesUSD: null, volumeUSD: '510.0000000000' },
+    ]);
+    expect(
+      toPoolDayDatas(records, {
+        first: 5,
+        dateGt: 1704758400,
+        orderDirection: 'asc',
+      }),
+    ).toHaveLength(1);
+  });
+
+  it('should page and order poolHourDatas', () => {
+    expect(
+      toPoolHourDatas(records, {
+        first: 5,
+        periodStartUnixGt: 1704758400,
+        orderDirection: 'asc',
+      }),
+    ).toEqual([
+      {
+        periodStartUnix: 1704844800,
+        feesUSD: null,
+        volumeUSD: '510.0000000000',
+        tvlUSD: '1010.0000000000',
+      },
+    ]);
+  });
+});
@@ -30,6 +30,16 @@ describe('Sequelize Models', () => {
       expect(Token.primaryKeyAttributes).toEqual(['token_symbol']);
     });
 
+    it('should have registry field definitions', () => {
+      const attributes = models.Token.getAttributes();
+      expect(attributes.name.type).toBeInstanceOf(DataTypes.TEXT);
+      expect(attributes.decimals.type).toBeInstanceOf(DataTypes.INTEGER);
+      expect(attributes.chain.defaultValue).toBe('ethereum');
+      expect(attributes.coingecko_address.type).toBeInstanceOf(DataTypes.TEXT);
+      expect(attributes.is_active.type).toBeInstanceOf(DataTypes.BOOLEAN);
+      expect(attributes.is_active.defaultValue).toBe(true);
+    });
+
     it('should have two hasMany associations with Pool', () => {
       const { Token } = models;
       const hasManyAssociations = Object.values(Token.associations).filter(
@@ -87,6 +97,17 @@ describe('Sequelize Models', () => {
       expect(Pool.primaryKeyAttributes).toEqual(['pool_address']);
     });
 
+    it('should have registry field definitions', () => {
+      const attributes = models.Pool.getAttributes();
+      expect(attributes.pool_name.allowNull).toBe(false);
+      expect(attributes.pool_name.unique).toBe(true);
+      expect(attributes.chain.defaultValue).toBe('ethereum');
+      expect(attributes.fee_tier.type).toBeInstanceOf(DataTypes.INTEGER);
+      expect(attributes.defillama_id.allowNull).toBe(false);
+      expect(attributes.subgraph_address.type).toBeInstanceOf(DataTypes.TEXT);
+      expect(attributes.is_active.defaultValue).toBe(true);
+    });
+
     it('should have two belongsTo associations with Token', () => {
       const { Pool } = models;
       const belongsToAssociations = Object.values(Pool.associations).filter(
@@ -138,9 +159,14 @@ describe('Sequelize Models', () => {
       );
       expect(TokenPrice.getAttributes()).toHaveProperty('price_usd');
       expect(TokenPrice.getAttributes().price_usd.type).toEqual(
-        DataTypes.DECIMAL(18, 6),
+        DataTypes.DECIMAL(),
       );
       expect(TokenPrice.getAttributes().price_usd.allowNull).toBe(false);
+      expect(TokenPrice.getAttributes().is_imputed.type).toBeInstanceOf(
+        DataTypes.BOOLEAN,
+      );
+      expect(TokenPrice.getAttributes().is_imputed.allowNull).toBe(false);
+      expect(TokenPrice.getAttributes().is_imputed.defaultValue).toBe(false);
       expect(TokenPrice.primaryKeyAttributes).toEqual([
         'timestamp',
         'token_symbol',
@@ -181,16 +207,21 @@ describe('Sequelize Models', () => {
       );
       expect(LPHistorical.getAttributes()).toHaveProperty('tvl_usd');
       expect(LPHistorical.getAttributes().tvl_usd.type).toEqual(
-        DataTypes.DECIMAL(18, 6),
+        DataTypes.DECIMAL(),
       );
       expect(LPHistorical.getAttributes()).toHaveProperty('volume_24h_usd');
       expect(LPHistorical.getAttributes().volume_24h_usd.type).toEqual(
-        DataTypes.DECIMAL(18, 6),
+        DataTypes.DECIMAL(),
       );
       expect(LPHistorical.getAttributes()).toHaveProperty('fees_24h_usd');
       expect(LPHistorical.getAttributes().fees_24h_usd.type).toEqual(
-        DataTypes.DECIMAL(18, 6),
+        DataTypes.DECIMAL(),
       );
+      expect(LPHistorical.getAttributes().is_imputed.type).toBeInstanceOf(
+        DataTypes.BOOLEAN,
+      );
+      expect(LPHistorical.getAttributes().is_imputed.allowNull).toBe(false);
+      expect(LPHistorical.getAttributes().is_imputed.defaultValue).toBe(false);
       expect(LPHistorical.primaryKeyAttributes).toEqual([
         'timestamp',
         'pool_address',
@@ -207,6 +238,45 @@ describe('Sequelize Models', () => {
     });
   });
 
+  describe('TokenPriceHourly Model', () => {
+    it('should have the fields of TokenPrice in its own table', () => {
+      const { TokenPrice, TokenPriceHourly } = models;
+      expect(TokenPriceHourly.tableName).toBe('token_prices_hourly');
+      expect(TokenPriceHourly.options.timestamps).toBe(false);
+      expect(Object.keys(TokenPriceHourly.getAttributes())).toEqual(
+        Object.keys(TokenPrice.getAttributes()),
+      );
+      expect(TokenPriceHourly.primaryKeyAttributes).toEqual([
+        'timestamp',
+        'token_symbol',
+      ]);
+      expect(TokenPriceHourly.associations.Token.foreignKey).toBe(
+        'token_symbol',
+      );
+    });
+  });
+
+  describe('LPHistoricalHourly Model', () => {
+    it('should have correct field definitions', () => {
+      const { LPHistoricalHourly } = models;
+      const attributes = LPHistoricalHourly.getAttributes();
+      expect(LPHistoricalHourly.tableName).toBe('lp_historical_hourly');
+      expect(LPHistoricalHourly.options.timestamps).toBe(false);
+      expect(attributes.pool_address.references.model).toBe('pools');
+      expect(attributes.volume_1h_usd.type).toEqual(DataTypes.DECIMAL());
+      expect(attributes.fees_1h_usd.type).toEqual(DataTypes.DECIMAL());
+      expect(attributes).not.toHaveProperty('volume_24h_usd');
+      expect(attributes.is_imputed.defaultValue).toBe(false);
+      expect(LPHistoricalHourly.primaryKeyAttributes).toEqual([
+        'timestamp',
+        'pool_address',
+      ]);
+      expect(LPHistoricalHourly.associations.Pool.foreignKey).toBe(
+        'pool_address',
+      );
+    });
+  });
+
   describe('ETHStakingHistorical Model', () => {
     it('should have correct field definitions', () => {
       const { ETHStakingHistorical } = models;
@@ -223,9 +293,57 @@ describe('Sequelize Models', () => {
         'apy_percentage',
       );
       expect(ETHStakingHistorical.getAttributes().apy_percentage.type).toEqual(
-        DataTypes.DECIMAL(5, 2),
+        DataTypes.DECIMAL(),
+      );
+      expect(
+        ETHStakingHistorical.getAttributes().is_imputed.type,
+      ).toBeInstanceOf(DataTypes.BOOLEAN);
+      expect(ETHStakingHistorical.getAttributes().is_imputed.defaultValue).toBe(
+        false,
       );
       expect(ETHStakingHistorical.primaryKeyAttributes).toEqual(['timestamp']);
     });
   });
+
+  describe('IngestionRun Model', () => {
+    it('should have correct field definitions', () => {
+      const { IngestionRun } = models;
+      const attributes = IngestionRun.getAttributes();
+      expect(IngestionRun.tableName).toBe('ingestion_runs');
+      expect(IngestionRun.options.timestamps).toBe(false);
+      expect(IngestionRun.primaryKeyAttributes).toEqual(['id']);
+      expect(attributes.id.autoIncrement).toBe(true);
+      expect(attributes.trigger.allowNull).toBe(false);
+      expect(attributes.status.defaultValue).toBe('running');
+      expect(attributes.started_at.type).toBeInstanceOf(DataTypes.DATE);
+      expect(attributes.started_at.allowNull).toBe(false);
+      expect(attributes.finished_at.type).toBeInstanceOf(DataTypes.DATE);
+      expect(attributes.sources.type).toBeInstanceOf(DataTypes.JSONB);
+      expect(attributes.failed_series.defaultValue).toEqual([]);
+      expect(attributes.divergences.defaultValue).toEqual([]);
+      expect(attributes.rows_written.defaultValue).toEqual({});
+      expect(attributes.error_message.type).toBeInstanceOf(DataTypes.TEXT);
+      expect(attributes.resolution.defaultValue).toBe('daily');
+    });
+
+    it('should only accept known triggers and statuses', () => {
+      const { IngestionRun } = models;
+      const run = IngestionRun.build({
+        trigger: 'webhook',
+        status: 'done',
+        started_at: new Date(),
+      });
+      return expect(run.validate()).rejects.toThrow(/trigger[\s\S]*status/);
+    });
+
+    it('should only accept known resolutions', () => {
+      const { IngestionRun } = models;
+      const run = IngestionRun.build({
+        trigger: 'cron',
+        resolution: 'weekly',
+        started_at: new Date(),
+      });
+      return expect(run.validate()).rejects.toThrow(/resolution/);
+    });
+  });
 });
@@ -0,0 +1,376 @@
+import { UniqueConstraintError } from 'sequelize';
+import router from '../../../src/routes/adminRoutes.js';
+import requireApiKey from '../../../src/middleware/requireApiKey.js';
+
+beforeAll(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+function getHandler(method, path) {
+  const layer = router.stack.find(
+    (l) => l.route && l.route.path === path && l.route.methods[method],
+  );
+  if (!layer) throw new Error(`Route ${method} ${path} not found`);
+  return layer.route.stack[0].handle;
+}
+
+function createResponse() {
+  return {
+    json: jest.fn(),
+    status: jest.fn().mockReturnThis(),
+  };
+}
+
+describe('requireApiKey', () => {
+  let res;
+  let next;
+
+  beforeEach(() => {
+    res = createResponse();
+    next = jest.fn();
+    process.env.ADMIN_API_KEY = 'secret';
+  });
+
+  afterEach(() => {
+    delete process.env.ADMIN_API_KEY;
+  });
+
+  it('should be applied to every admin route', () => {
+    expect(router.stack[0].handle).toBe(requireApiKey);
+  });
+
+  it('should call next when the key matches', () => {
+    requireApiKey({ get: () => 'secret' }, res, next);
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should return 401 when the key does not match', () => {
+    requireApiKey({ get: () => 'wrong' }, res, next);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({ message: 'Unauthorized' });
+  });
+
+  it('should return 401 when the key only differs in length', () => {
+    requireApiKey({ get: () => 'secret-suffix' }, res, next);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('should return 401 when no key is sent', () => {
+    requireApiKey({ get: () => undefined }, res, next);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('should return 503 when no key is configured', () => {
+    delete process.env.ADMIN_API_KEY;
+    requireApiKey({ get: () => undefined }, res, next);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(503);
+  });
+});
+
+describe('adminRoutes', () => {
+  let models;
+  let req;
+  let res;
+
+  beforeEach(() => {
+    models = {
+      Token: { findByPk: jest.fn(), create: jest.fn() },
+      Pool: { findByPk: jest.fn(), create: jest.fn() },
+    };
+    req = { body: {}, params: {}, app: { locals: { models } } };
+    res = createResponse();
+  });
+
+  describe('POST /tokens', () => {
+    const handler = getHandler('post', '/tokens');
+
+    it('should return 400 if token_symbol is missing', async () => {
+      await handler(req, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'Missing token_symbol',
+      });
+    });
+
+    it('should return 400 if decimals is invalid', async () => {
+      req.body = { token_symbol: 'weth', decimals: -1 };
+      await handler(req, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'decimals must be a non-negative integer',
+      });
+    });
+
+    it.each([
+      [{ name: null }, 'name must be a non-empty string'],
+      [{ chain: 1 }, 'chain must be a non-empty string'],
+      [
+        { coingecko_address: ' ' },
+        'coingecko_address must be a non-empty string',
+      ],
+    ])('should return 400 for %j', async (fields, message) => {
+      req.body = { token_symbol: 'weth', ...fields };
+      await handler(req, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message });
+      expect(models.Token.findByPk).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 if the token conflicts with another one', async () => {
+      req.body = { token_symbol: 'weth' };
+      models.Token.findByPk.mockResolvedValue(null);
+      models.Token.create.mockRejectedValue(
+        new UniqueConstraintError({ fields: { token_symbol: 'WETH' } }),
+      );
+
+      await handler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'token_symbol already used by another token',
+      });
+    });
+
+    it('should create a new token with an uppercase symbol', async () => {
+      req.body = {
+        token_symbol: 'weth',
+        decimals: 18,
+        coingecko_address: '0x1',
+      };
+      models.Token.findByPk.mockResolvedValue(null);
+      models.Token.create.mockImplementation(async (values) => values);
+
+      await handler(req, res);
+
+      expect(models.Token.create).toHaveBeenCalledWith({
+        token_symbol: 'WETH',
+        decimals: 18,
+        coingecko_address: '0x1',
+        is_active: true,
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should update and reactivate an existing token', async () => {
+      req.body = { token_symbol: 'WETH', name: 'Wrapped Ether' };
+      const existing = { update: jest.fn().mockResolvedValue({ ok: true }) };
+      models.Token.findByPk.mockResolvedValue(existing);
+
+      await handler(req, res);
+
+      expect(existing.update).toHaveBeenCalledWith({
+        token_symbol: 'WETH',
+        name: 'Wrapped Ether',
+        is_active: true,
+      });
+      expect(models.Token.create).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith({ token: { ok: true } });
+    });
+
+    it('should return 500 if the model is not available', async () => {
+      req.body = { token_symbol: 'WETH' };
+      req.app.locals.models = undefined;
+      await handler(req, res);
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('DELETE /tokens/:symbol', () => {
+    const handler = getHandler('delete', '/tokens/:symbol');
+
+    it('should return 404 for an unknown token', async () => {
+      req.params.symbol = 'abc';
+      models.Token.findByPk.mockResolvedValue(null);
+      await handler(req, res);
+      expect(models.Token.findByPk).toHaveBeenCalledWith('ABC');
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('should deactivate a registered token', async () => {
+      req.params.symbol = 'weth';
+      const existing = { update: jest.fn().mockResolvedValue({ ok: true }) };
+      models.Token.findByPk.mockResolvedValue(existing);
+      await handler(req, res);
+      expect(existing.update).toHaveBeenCalledWith({ is_active: false });
+      expect(res.json).toHaveBeenCalledWith({ token: { ok: true } });
+    });
+  });
+
+  describe('POST /pools', () => {
+    const handler = getHandler('post', '/pools');
+    const body = {
+      pool_address: '0xABC',
+      pool_name: 'wethUsdc',
+      token0_symbol: 'weth',
+      token1_symbol: 'usdc',
+      defillama_id: 'llama-id',
+      fee_tier: 500,
+    };
+
+    it('should return 400 if a required field is missing', async () => {
+      req.body = { ...body, defillama_id: undefined };
+      await handler(req, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'Missing defillama_id',
+      });
+    });
+
+    it('should return 400 if fee_tier is invalid', async () => {
+      req.body = { ...body, fee_tier: 0.3 };
+      await handler(req, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'fee_tier must be a non-negative integer',
+      });
+    });
+
+    it.each([
+      [{ chain: null }, 'chain must be a non-empty string'],
+      [
+        { subgraph_address: ['0xdef'] },
+        'subgraph_address must be a non-empty string',
+      ],
+    ])('should return 400 for %j', async (fields, message) => {
+      req.body = { ...body, ...fields };
+      await handler(req, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message });
+      expect(models.Pool.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 if pool_name is reserved for a staking series', async () => {
+      req.body = { ...body, pool_name: 'lidoEth' };
+      await handler(req, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'pool_name lidoEth is reserved for a staking series',
+      });
+      expect(models.Pool.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 if pool_name is taken by another pool', async () => {
+      req.body = body;
+      models.Token.findByPk.mockResolvedValue({});
+      models.Pool.findByPk.mockResolvedValue(null);
+      models.Pool.create.mockRejectedValue(
+        new UniqueConstraintError({ fields: { pool_name: 'wethUsdc' } }),
+      );
+
+      await handler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'pool_name already used by another pool',
+      });
+    });
+
+    it('should return 400 if a token is not registered', async () => {
+      req.body = body;
+      models.Token.findByPk.mockImplementation(async (symbol) => {
+        if (symbol === 'WETH') return {};
+        return null;
+      });
+      await handler(req, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'Pool tokens must be registered',
+      });
+    });
+
+    it('should create a new pool', async () => {
+      req.body = body;
+      models.Token.findByPk.mockResolvedValue({});
+      models.Pool.findByPk.mockResolvedValue(null);
+      models.Pool.create.mockImplementation(async (values) => values);
+
+      await handler(req, res);
+
+      expect(models.Pool.create).toHaveBeenCalledWith({
+        pool_address: '0xabc',
+        pool_name: 'wethUsdc',
+        token0_symbol: 'WETH',
+        token1_symbol: 'USDC',
+        defillama_id: 'llama-id',
+        fee_tier: 500,
+        is_active: true,
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should update and reactivate an existing pool', async () => {
+      req.body = body;
+      const existing = { update: jest.fn().mockResolvedValue({ ok: true }) };
+      models.Token.findByPk.mockResolvedValue({});
+      models.Pool.findByPk.mockResolvedValue(existing);
+
+      await handler(req, res);
+
+      expect(existing.update).toHaveBeenCalledWith(
+        expect.objectContaining({ pool_address: '0xabc', is_active: true }),
+      );
+      expect(res.json).toHaveBeenCalledWith({ pool: { ok: true } });
+    });
+  });
+
+  describe('DELETE /pools/:address', () => {
+    const handler = getHandler('delete', '/pools/:address');
+
+    it('should return 404 for an unknown pool', async () => {
+      req.params.address = '0xABC';
+      models.Pool.findByPk.mockResolvedValue(null);
+      await handler(req, res);
+      expect(models.Pool.findByPk).toHaveBeenCalledWith('0xabc');
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('should deactivate a registered pool', async () => {
+      req.params.address = '0xabc';
+      const existing = { update: jest.fn().mockResolvedValue({ ok: true }) };
+      models.Pool.findByPk.mockResolvedValue(existing);
+      await handler(req, res);
+      expect(existing.update).toHaveBeenCalledWith({ is_active: false });
+      expect(res.json).toHaveBeenCalledWith({ pool: { ok: true } });
+    });
+
+    it('should return 500 if the database query fails', async () => {
+      req.params.address = '0xabc';
+      models.Pool.findByPk.mockRejectedValue(new Error('Database error'));
+      await handler(req, res);
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('GET /database', () => {
+    const handler = getHandler('get', '/database');
+
+    it('should report vanilla Postgres', async () => {
+      req.app.locals.sequelize = { query: jest.fn().mockResolvedValue([]) };
+      await handler(req, res);
+      expect(res.json).toHaveBeenCalledWith({
+        timescale: expect.objectContaining({
+          available: false,
+          hypertables: [],
+          warnings: [expect.stringContaining('not installed')],
+        }),
+      });
+    });
+
+    it('should return 500 without a database connection', async () => {
+      await handler(req, res);
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(console.error).toHaveBeenCalledWith(
+        'Error in GET /admin/database:',
+        new Error('Database connection is not available'),
+      );
+    });
+  });
+});
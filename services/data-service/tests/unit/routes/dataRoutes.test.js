@@ -1,6 +1,9 @@
-import { Op } from 'sequelize';
+import { Op, QueryTypes } from 'sequelize';
 import router from '../../../src/routes/dataRoutes.js';
-import { poolAddresses, tokenAddresses } from '../../../src/config/pools.js';
+import {
+  buildResampleQuery,
+  buildContinuousAggregateQuery,
+} from '../../../src/data/resampling.js';
 
 beforeAll(() => {
   jest.spyOn(console, 'error').mockImplementation(() => {});
@@ -10,6 +13,16 @@ afterAll(() => {
   jest.restoreAllMocks();
 });
 
+// Query of the whole history, requested without a limit or a cursor
+const page = { order: 'asc', cursor: undefined, limit: undefined };
+
+const fullHistory = (rows) => ({
+  count: rows.length,
+  limit: null,
+  order: 'asc',
+  nextCursor: null,
+});
+
 function getHandler(path) {
   const layer = router.stack.find((l) => l.route && l.route.path === path);
   if (!layer) throw new Error(`Route ${path} not found`);
@@ -30,6 +43,7 @@ describe('dataRoutes', () => {
       };
       req = {
         query: {},
+        headers: {},
         app: {
           locals: {
             models,
@@ -56,7 +70,10 @@ describe('dataRoutes', () => {
         where: {},
         order: [['timestamp', 'ASC']],
       });
-      expect(res.json).toHaveBeenCalledWith({ apyHistory: sampleData });
+      expect(res.json).toHaveBeenCalledWith({
+        apyHistory: sampleData,
+        meta: fullHistory(sampleData),
+      });
     });
 
     it('should return APY history with valid start and end dates', async () => {
@@ -76,7 +93,10 @@ describe('dataRoutes', () => {
         },
         order: [['timestamp', 'ASC']],
       });
-      expect(res.json).toHaveBeenCalledWith({ apyHistory: sampleData });
+      expect(res.json).toHaveBeenCalledWith({
+        apyHistory: sampleData,
+        meta: fullHistory(sampleData),
+      });
     });
 
     it('should return APY history with only end date', async () => {
@@ -95,7 +115,10 @@ describe('dataRoutes', () => {
         },
         order: [['timestamp', 'ASC']],
       });
-      expect(res.json).toHaveBeenCalledWith({ apyHistory: sampleData });
+      expect(res.json).toHaveBeenCalledWith({
+        apyHistory: sampleData,
+        meta: fullHistory(sampleData),
+      });
     });
 
     it('should return 400 for invalid start date', async () => {
@@ -127,6 +150,155 @@ describe('dataRoutes', () => {
       });
     });
 
+    describe('days', () => {
+      afterEach(() => {
+        delete process.env.HISTORY_DAYS;
+        jest.useRealTimers();
+      });
+
+      it('should return the days before the end date', async () => {
+        req.query = { days: '7', end: '2023-01-31' };
+        models.ETHStakingHistorical.findAll.mockResolvedValue([]);
+
+        await handler(req, res);
+
+        expect(models.ETHStakingHistorical.findAll).toHaveBeenCalledWith({
+          where: {
+            timestamp: {
+              [Op.gte]: new Date('2023-01-24'),
+              [Op.lte]: new Date('2023-01-31'),
+            },
+          },
+          order: [['timestamp', 'ASC']],
+        });
+      });
+
+      it('should return the days before now without an end date', async () => {
+        jest.useFakeTimers().setSystemTime(new Date('2024-03-10T12:00:00Z'));
+        req.query = { days: '30' };
+        models.ETHStakingHistorical.findAll.mockResolvedValue([]);
+
+        await handler(req, res);
+
+        expect(models.ETHStakingHistorical.findAll).toHaveBeenCalledWith({
+          where: {
+            timestamp: { [Op.gte]: new Date('2024-02-09T12:00:00Z') },
+          },
+          order: [['timestamp', 'ASC']],
+        });
+      });
+
+      it('should accept any number of days when HISTORY_DAYS is max', async () => {
+        process.env.HISTORY_DAYS = 'max';
+        req.query = { days: '3650', end: '2023-01-31' };
+        models.ETHStakingHistorical.findAll.mockResolvedValue([]);
+
+        await handler(req, res);
+
+        expect(res.status).not.toHaveBeenCalled();
+        expect(models.ETHStakingHistorical.findAll).toHaveBeenCalled();
+      });
+
+      it.each([
+        [
+          { days: '366' },
+          'Invalid days parameter, must be an integer between 1 and 365',
+        ],
+        [
+          { days: '0' },
+          'Invalid days parameter, must be an integer between 1 and 365',
+        ],
+        [
+          { days: '1.5' },
+          'Invalid days parameter, must be an integer between 1 and 365',
+        ],
+        [
+          { days: '7', start: '2023-01-01' },
+          'The start and days parameters cannot be combined',
+        ],
+      ])('should return 400 for %j', async (query, message) => {
+        req.query = query;
+
+        await handler(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({ message });
+        expect(models.ETHStakingHistorical.findAll).not.toHaveBeenCalled();
+      });
+
+      it('should bound days by HISTORY_DAYS', async () => {
+        process.env.HISTORY_DAYS = '30';
+        req.query = { days: '31' };
+
+        await handler(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+          message:
+            'Invalid days parameter, must be an integer between 1 and 30',
+        });
+      });
+    });
+
+    it('should exclude imputed rows when excludeImputed is true', async () => {
+      req.query = { excludeImputed: 'true' };
+      models.ETHStakingHistorical.findAll.mockResolvedValue([]);
+
+      await handler(req, res);
+
+      expect(models.ETHStakingHistorical.findAll).toHaveBeenCalledWith({
+        where: { is_imputed: false },
+        order: [['timestamp', 'ASC']],
+      });
+    });
+
+    it('should include imputed rows when excludeImputed is false', async () => {
+      req.query = { excludeImputed: 'false' };
+      models.ETHStakingHistorical.findAll.mockResolvedValue([]);
+
+      await handler(req, res);
+
+      expect(models.ETHStakingHistorical.findAll).toHaveBeenCalledWith({
+        where: {},
+        order: [['timestamp', 'ASC']],
+      });
+    });
+
+    it('should resample APY history to the mean of each bucket', async () => {
+      req.query = { interval: '1M' };
+      models.ETHStakingHistorical.findAll.mockResolvedValue([]);
+
+      await handler(req, res);
+
+      expect(models.ETHStakingHistorical.findAll).toHaveBeenCalledWith({
+        where: {},
+        ...buildResampleQuery('ETHStakingHistorical', '1M', 'mean', page),
+      });
+    });
+
+    it('should return 400 for an aggregation without an interval', async () => {
+      req.query = { agg: 'last' };
+
+      await handler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'The agg parameter requires an interval parameter',
+      });
+      expect(models.ETHStakingHistorical.findAll).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for invalid excludeImputed', async () => {
+      req.query = { excludeImputed: 'yes' };
+
+      await handler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'Invalid excludeImputed parameter',
+      });
+    });
+
     it('should return 500 if model is not available', async () => {
       req.app.locals.models = undefined;
 
@@ -156,16 +328,75 @@ describe('dataRoutes', () => {
     let req;
     let res;
     let models;
+    let sequelize;
+
+    const token0 = {
+      token_symbol: 'USDC',
+      name: 'USD Coin',
+      decimals: 6,
+      chain: 'ethereum',
+      coingecko_address: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48',
+    };
+    const createPool = (poolAddress) => ({
+      pool_address: poolAddress,
+      toJSON: () => ({
+        pool_address: poolAddress,
+        token0_symbol: 'USDC',
+        token0,
+      }),
+    });
+    const metricsRow = {
+      pool_address: '0x123',
+      timestamp: new Date('2023-01-31'),
+      tvl_usd: '1000000',
+      volume_24h_usd: '500000',
+      fees_24h_usd: '250',
+      fee_apr_percentage: '9.1250',
+      tvl_usd_7d: '990000.000000',
+      volume_24h_usd_7d: '450000.000000',
+      fees_24h_usd_7d: '225.000000',
+      fee_apr_percentage_7d: '8.2955',
+      tvl_usd_30d: '950000.000000',
+      volume_24h_usd_30d: '400000.000000',
+      fees_24h_usd_30d: '200.000000',
+      fee_apr_percentage_30d: '7.6842',
+    };
+    const metrics = {
+      timestamp: new Date('2023-01-31'),
+      tvl_usd: '1000000',
+      volume_24h_usd: '500000',
+      fees_24h_usd: '250',
+      fee_apr_percentage: '9.1250',
+      averages: {
+        '7d': {
+          tvl_usd: '990000.000000',
+          volume_24h_usd: '450000.000000',
+          fees_24h_usd: '225.000000',
+          fee_apr_percentage: '8.2955',
+        },
+        '30d': {
+          tvl_usd: '950000.000000',
+          volume_24h_usd: '400000.000000',
+          fees_24h_usd: '200.000000',
+          fee_apr_percentage: '7.6842',
+        },
+      },
+    };
 
     beforeEach(() => {
       models = {
         Pool: {
           findAll: jest.fn(),
+          findByPk: jest.fn(),
         },
+        Token: {},
       };
+      sequelize = { query: jest.fn().mockResolvedValue([metricsRow]) };
       req = {
+        params: {},
         app: {
           locals: {
+            sequelize,
             models,
           },
         },
@@ -176,39 +407,154 @@ describe('dataRoutes', () => {
       };
     });
 
-    const handler = getHandler('/pools');
+    describe('list', () => {
+      const handler = getHandler('/pools');
+
+      it('should return pools with their tokens and latest metrics', async () => {
+        models.Pool.findAll.mockResolvedValue([
+          createPool('0x123'),
+          createPool('0x456'),
+        ]);
+
+        await handler(req, res);
+
+        expect(models.Pool.findAll).toHaveBeenCalledWith({
+          where: { is_active: true },
+          order: [['pool_address', 'ASC']],
+          include: [
+            {
+              model: models.Token,
+              as: 'token0',
+              attributes: [
+                'token_symbol',
+                'name',
+                'decimals',
+                'chain',
+                'coingecko_address',
+              ],
+            },
+            expect.objectContaining({ model: models.Token, as: 'token1' }),
+          ],
+        });
+        expect(sequelize.query).toHaveBeenCalledWith(
+          expect.stringContaining('FROM lp_historical'),
+          {
+            replacements: { addresses: ['0x123', '0x456'] },
+            type: QueryTypes.SELECT,
+          },
+        );
+        expect(res.json).toHaveBeenCalledWith({
+          pools: [
+            {
+              pool_address: '0x123',
+              token0_symbol: 'USDC',
+              token0,
+              metrics,
+            },
+            {
+              pool_address: '0x456',
+              token0_symbol: 'USDC',
+              token0,
+              metrics: null,
+            },
+          ],
+        });
+      });
 
-    it('should return pools', async () => {
-      const samplePools = [
-        { pool_address: '0x123', token0_symbol: 'WETH', token1_symbol: 'USDC' },
-      ];
-      models.Pool.findAll.mockResolvedValue(samplePools);
+      it('should not query metrics without active pools', async () => {
+        models.Pool.findAll.mockResolvedValue([]);
 
-      await handler(req, res);
+        await handler(req, res);
 
-      expect(models.Pool.findAll).toHaveBeenCalledWith();
-      expect(res.json).toHaveBeenCalledWith({ pools: samplePools });
-    });
+        expect(sequelize.query).not.toHaveBeenCalled();
+        expect(res.json).toHaveBeenCalledWith({ pools: [] });
+      });
 
-    it('should return 500 if model is not available', async () => {
-      req.app.locals.models = undefined;
+      it('should return 500 if model is not available', async () => {
+        req.app.locals.models = undefined;
 
-      await handler(req, res);
+        await handler(req, res);
 
-      expect(res.status).toHaveBeenCalledWith(500);
-      expect(res.json).toHaveBeenCalledWith({
-        message: 'An unexpected error occurred.',
+        expect(res.status).toHaveBeenCalledWith(500);
+        expect(res.json).toHaveBeenCalledWith({
+          message: 'An unexpected error occurred.',
+        });
+      });
+
+      it('should return 500 if database query fails', async () => {
+        models.Pool.findAll.mockRejectedValue(new Error('Database error'));
+
+        await handler(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+        expect(res.json).toHaveBeenCalledWith({
+          message: 'An unexpected error occurred.',
+        });
       });
     });
 
-    it('should return 500 if database query fails', async () => {
-      models.Pool.findAll.mockRejectedValue(new Error('Database error'));
+    describe('detail', () => {
+      const handler = getHandler('/pools/:address');
+
+      it('should return a pool with its tokens and latest metrics', async () => {
+        req.params.address = '0x123';
+        models.Pool.findByPk.mockResolvedValue(createPool('0x123'));
+
+        await handler(req, res);
+
+        expect(models.Pool.findByPk).toHaveBeenCalledWith('0x123', {
+          include: [
+            expect.objectContaining({ model: models.Token, as: 'token0' }),
+            expect.objectContaining({ model: models.Token, as: 'token1' }),
+          ],
+        });
+        expect(res.json).toHaveBeenCalledWith({
+          pool: {
+            pool_address: '0x123',
+            token0_symbol: 'USDC',
+            token0,
+            metrics,
+          },
+        });
+      });
 
-      await handler(req, res);
+      it('should look up a mixed-case address in lower case', async () => {
+        req.params.address = '0xABC';
+        models.Pool.findByPk.mockResolvedValue(createPool('0xabc'));
 
-      expect(res.status).toHaveBeenCalledWith(500);
-      expect(res.json).toHaveBeenCalledWith({
-        message: 'An unexpected error occurred.',
+        await handler(req, res);
+
+        expect(models.Pool.findByPk).toHaveBeenCalledWith(
+          '0xabc',
+          expect.any(Object),
+        );
+        expect(res.json).toHaveBeenCalledWith({
+          pool: expect.objectContaining({ pool_address: '0xabc' }),
+        });
+      });
+
+      it('should return 404 if the pool is not registered', async () => {
+        req.params.address = '0x999';
+        models.Pool.findByPk.mockResolvedValue(null);
+
+        await handler(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(res.json).toHaveBeenCalledWith({ message: 'Pool not found' });
+        expect(sequelize.query).not.toHaveBeenCalled();
+      });
+
+      it('should return 500 if the metrics cannot be read', async () => {
+        req.params.address = '0x123';
+        models.Pool.findByPk.mockResolvedValue(createPool('0x123'));
+        sequelize.query.mockRejectedValue(new Error('Database error'));
+
+        await handler(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+        expect(res.json).toHaveBeenCalledWith({
+          message: 'An unexpected error occurred.',
+        });
       });
     });
   });
@@ -217,17 +563,25 @@ describe('dataRoutes', () => {
     let req;
     let res;
     let models;
-    const validAddress = Object.values(poolAddresses)[0];
+    const validAddress = '0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640';
     const invalidAddress = 'invalid_address';
 
     beforeEach(() => {
       models = {
+        Pool: {
+          findByPk: jest.fn((address) =>
+            Promise.resolve(
+              address === validAddress ? { pool_address: address } : null,
+            ),
+          ),
+        },
         LPHistorical: {
           findAll: jest.fn(),
         },
       };
       req = {
         query: { address: validAddress },
+        headers: {},
         app: {
           locals: {
             models,
@@ -283,7 +637,24 @@ describe('dataRoutes', () => {
         where: { pool_address: validAddress },
         order: [['timestamp', 'ASC']],
       });
-      expect(res.json).toHaveBeenCalledWith({ poolData: sampleData });
+      expect(res.json).toHaveBeenCalledWith({
+        poolData: sampleData,
+        meta: fullHistory(sampleData),
+      });
+    });
+
+    it('should return the pool data of a mixed-case address', async () => {
+      req.query.address = '0x88E6A0c2dDD26FEEb64F039a2c41296FcB3f5640';
+      models.LPHistorical.findAll.mockResolvedValue([]);
+
+      await handler(req, res);
+
+      expect(models.Pool.findByPk).toHaveBeenCalledWith(validAddress);
+      expect(models.LPHistorical.findAll).toHaveBeenCalledWith({
+        where: { pool_address: validAddress },
+        order: [['timestamp', 'ASC']],
+      });
+      expect(res.status).not.toHaveBeenCalled();
     });
 
     it('should return pool data with valid start and end dates', async () => {
@@ -314,7 +685,10 @@ describe('dataRoutes', () => {
         },
         order: [['timestamp', 'ASC']],
       });
-      expect(res.json).toHaveBeenCalledWith({ poolData: sampleData });
+      expect(res.json).toHaveBeenCalledWith({
+        poolData: sampleData,
+        meta: fullHistory(sampleData),
+      });
     });
 
     it('should return pool data with only end date', async () => {
@@ -340,7 +714,10 @@ describe('dataRoutes', () => {
         },
         order: [['timestamp', 'ASC']],
       });
-      expect(res.json).toHaveBeenCalledWith({ poolData: sampleData });
+      expect(res.json).toHaveBeenCalledWith({
+        poolData: sampleData,
+        meta: fullHistory(sampleData),
+      });
     });
 
     it('should return 400 for invalid start date', async () => {
@@ -376,6 +753,37 @@ describe('dataRoutes', () => {
       });
     });
 
+    it('should exclude imputed rows when excludeImputed is true', async () => {
+      req.query = {
+        address: validAddress,
+        start: '2023-01-01',
+        excludeImputed: 'true',
+      };
+      models.LPHistorical.findAll.mockResolvedValue([]);
+
+      await handler(req, res);
+
+      expect(models.LPHistorical.findAll).toHaveBeenCalledWith({
+        where: {
+          pool_address: validAddress,
+          timestamp: { [Op.gte]: new Date('2023-01-01') },
+          is_imputed: false,
+        },
+        order: [['timestamp', 'ASC']],
+      });
+    });
+
+    it('should return 400 for invalid excludeImputed', async () => {
+      req.query.excludeImputed = '1';
+
+      await handler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'Invalid excludeImputed parameter',
+      });
+    });
+
     it('should return 500 if model is not available', async () => {
       req.app.locals.models = undefined;
 
@@ -387,6 +795,106 @@ describe('dataRoutes', () => {
       });
     });
 
+    it('should return hourly pool data at the hourly resolution', async () => {
+      const sampleData = [
+        { timestamp: new Date('2023-01-01T01:00:00Z'), volume_1h_usd: 10 },
+      ];
+      models.LPHistoricalHourly = {
+        findAll: jest.fn().mockResolvedValue(sampleData),
+      };
+      req.query.resolution = 'hourly';
+
+      await handler(req, res);
+
+      expect(models.LPHistoricalHourly.findAll).toHaveBeenCalledWith({
+        where: { pool_address: validAddress },
+        order: [['timestamp', 'ASC']],
+      });
+      expect(models.LPHistorical.findAll).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith({
+        poolData: sampleData,
+        meta: fullHistory(sampleData),
+      });
+    });
+
+    it('should resample pool data with summed volumes and fees', async () => {
+      const sampleData = [
+        {
+          timestamp: new Date('2023-01-02'),
+          pool_address: validAddress,
+          tvl_usd: '1000',
+          volume_24h_usd: '700',
+          fees_24h_usd: '7',
+          is_imputed: false,
+        },
+      ];
+      models.LPHistorical.findAll.mockResolvedValue(sampleData);
+      req.query.interval = '1w';
+
+      await handler(req, res);
+
+      expect(models.LPHistorical.findAll).toHaveBeenCalledWith({
+        where: { pool_address: validAddress },
+        ...buildResampleQuery('LPHistorical', '1w', 'sum', page),
+      });
+      expect(res.json).toHaveBeenCalledWith({
+        poolData: sampleData,
+        meta: fullHistory(sampleData),
+      });
+    });
+
+    it('should resample hourly pool data to the requested aggregation', async () => {
+      models.LPHistoricalHourly = {
+        findAll: jest.fn().mockResolvedValue([]),
+      };
+      req.query = {
+        ...req.query,
+        resolution: 'hourly',
+        interval: '4h',
+        agg: 'last',
+      };
+
+      await handler(req, res);
+
+      expect(models.LPHistoricalHourly.findAll).toHaveBeenCalledWith({
+        where: { pool_address: validAddress },
+        ...buildResampleQuery('LPHistoricalHourly', '4h', 'last', page),
+      });
+    });
+
+    it('should return 400 for an interval shorter than the resolution', async () => {
+      req.query.interval = '1h';
+
+      await handler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'Interval 1h is shorter than the daily resolution',
+      });
+    });
+
+    it('should return 400 for invalid resolution', async () => {
+      req.query.resolution = 'weekly';
+
+      await handler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'Invalid resolution parameter',
+      });
+    });
+
+    it('should bound days by HOURLY_HISTORY_DAYS at the hourly resolution', async () => {
+      req.query = { address: validAddress, resolution: 'hourly', days: '31' };
+
+      await handler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'Invalid days parameter, must be an integer between 1 and 30',
+      });
+    });
+
     it('should return 500 if database query fails', async () => {
       models.LPHistorical.findAll.mockRejectedValue(
         new Error('Database error'),
@@ -405,17 +913,25 @@ describe('dataRoutes', () => {
     let req;
     let res;
     let models;
-    const validToken = Object.keys(tokenAddresses)[0]?.toLowerCase();
+    const validToken = 'weth';
     const invalidToken = 'invalid_token';
 
     beforeEach(() => {
       models = {
+        Token: {
+          findByPk: jest.fn((symbol) =>
+            Promise.resolve(
+              symbol === 'WETH' ? { token_symbol: symbol } : null,
+            ),
+          ),
+        },
         TokenPrice: {
           findAll: jest.fn(),
         },
       };
       req = {
         query: { token: validToken },
+        headers: {},
         app: {
           locals: {
             models,
@@ -469,7 +985,10 @@ describe('dataRoutes', () => {
         where: { token_symbol: validToken.toUpperCase() },
         order: [['timestamp', 'ASC']],
       });
-      expect(res.json).toHaveBeenCalledWith({ priceData: sampleData });
+      expect(res.json).toHaveBeenCalledWith({
+        priceData: sampleData,
+        meta: fullHistory(sampleData),
+      });
     });
 
     it('should return price data with valid start and end dates', async () => {
@@ -498,7 +1017,10 @@ describe('dataRoutes', () => {
         },
         order: [['timestamp', 'ASC']],
       });
-      expect(res.json).toHaveBeenCalledWith({ priceData: sampleData });
+      expect(res.json).toHaveBeenCalledWith({
+        priceData: sampleData,
+        meta: fullHistory(sampleData),
+      });
     });
 
     it('should return price history with only end date', async () => {
@@ -522,7 +1044,10 @@ describe('dataRoutes', () => {
         },
         order: [['timestamp', 'ASC']],
       });
-      expect(res.json).toHaveBeenCalledWith({ priceData: sampleData });
+      expect(res.json).toHaveBeenCalledWith({
+        priceData: sampleData,
+        meta: fullHistory(sampleData),
+      });
     });
 
     it('should handle token case insensitivity', async () => {
@@ -542,7 +1067,10 @@ describe('dataRoutes', () => {
         where: { token_symbol: validToken.toUpperCase() },
         order: [['timestamp', 'ASC']],
       });
-      expect(res.json).toHaveBeenCalledWith({ priceData: sampleData });
+      expect(res.json).toHaveBeenCalledWith({
+        priceData: sampleData,
+        meta: fullHistory(sampleData),
+      });
     });
 
     it('should return 400 for invalid start date', async () => {
@@ -574,6 +1102,29 @@ describe('dataRoutes', () => {
       });
     });
 
+    it('should exclude imputed rows when excludeImputed is true', async () => {
+      req.query = { token: validToken, excludeImputed: 'true' };
+      models.TokenPrice.findAll.mockResolvedValue([]);
+
+      await handler(req, res);
+
+      expect(models.TokenPrice.findAll).toHaveBeenCalledWith({
+        where: { token_symbol: 'WETH', is_imputed: false },
+        order: [['timestamp', 'ASC']],
+      });
+    });
+
+    it('should return 400 for invalid excludeImputed', async () => {
+      req.query.excludeImputed = 'TRUE';
+
+      await handler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'Invalid excludeImputed parameter',
+      });
+    });
+
     it('should return 500 if model is not available', async () => {
       req.app.locals.models = undefined;
 
@@ -585,6 +1136,1044 @@ describe('dataRoutes', () => {
       });
     });
 
+    it('should return hourly prices at the hourly resolution', async () => {
+      const sampleData = [
+        { timestamp: new Date('2023-01-01T01:00:00Z'), price_usd: 1500 },
+      ];
+      models.TokenPriceHourly = {
+        findAll: jest.fn().mockResolvedValue(sampleData),
+      };
+      req.query.resolution = 'hourly';
+
+      await handler(req, res);
+
+      expect(models.TokenPriceHourly.findAll).toHaveBeenCalledWith({
+        where: { token_symbol: 'WETH' },
+        order: [['timestamp', 'ASC']],
+      });
+      expect(res.json).toHaveBeenCalledWith({
+        priceData: sampleData,
+        meta: fullHistory(sampleData),
+      });
+    });
+
+    it('should return the last days of hourly prices', async () => {
+      models.TokenPriceHourly = { findAll: jest.fn().mockResolvedValue([]) };
+      req.query = {
+        ...req.query,
+        resolution: 'hourly',
+        days: '2',
+        end: '2023-01-10T06:00:00Z',
+      };
+
+      await handler(req, res);
+
+      expect(models.TokenPriceHourly.findAll).toHaveBeenCalledWith({
+        where: {
+          token_symbol: 'WETH',
+          timestamp: {
+            [Op.gte]: new Date('2023-01-08T06:00:00Z'),
+            [Op.lte]: new Date('2023-01-10T06:00:00Z'),
+          },
+        },
+        order: [['timestamp', 'ASC']],
+      });
+    });
+
+    it('should read the full resampled history from a continuous aggregate', async () => {
+      const sampleData = [{ timestamp: new Date('2023-01-02'), close: '1250' }];
+      req.app.locals.sequelize = {
+        query: jest.fn().mockResolvedValue(sampleData),
+      };
+      req.app.locals.timescale = {
+        available: true,
+        continuousAggregates: ['token_prices_weekly'],
+      };
+      req.query.interval = '1w';
+
+      await handler(req, res);
+
+      const { sql, replacements } = buildContinuousAggregateQuery(
+        'token_prices_weekly',
+        'TokenPrice',
+        'ohlc',
+        'WETH',
+        page,
+      );
+      expect(req.app.locals.sequelize.query).toHaveBeenCalledWith(sql, {
+        replacements,
+        type: QueryTypes.SELECT,
+      });
+      expect(models.TokenPrice.findAll).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith({
+        priceData: sampleData,
+        meta: fullHistory(sampleData),
+      });
+    });
+
+    it('should resample a date range from the raw rows', async () => {
+      req.app.locals.sequelize = { query: jest.fn() };
+      req.app.locals.timescale = {
+        available: true,
+        continuousAggregates: ['token_prices_weekly'],
+      };
+      models.TokenPrice.findAll.mockResolvedValue([]);
+      req.query = { ...req.query, interval: '1w', start: '2023-01-01' };
+
+      await handler(req, res);
+
+      expect(models.TokenPrice.findAll).toHaveBeenCalledWith({
+        where: {
+          token_symbol: 'WETH',
+          timestamp: { [Op.gte]: new Date('2023-01-01') },
+        },
+        ...buildResampleQuery('TokenPrice', '1w', 'ohlc', page),
+      });
+      expect(req.app.locals.sequelize.query).not.toHaveBeenCalled();
+    });
+
+    it('should return 501 for resampling without TimescaleDB', async () => {
+      req.app.locals.timescale = { available: false };
+      req.query.interval = '1w';
+
+      await handler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(501);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'Resampling requires the TimescaleDB extension',
+      });
+      expect(models.TokenPrice.findAll).not.toHaveBeenCalled();
+    });
+
+    it('should resample prices to OHLC candles', async () => {
+      const sampleData = [
+        {
+          timestamp: new Date('2023-01-01'),
+          token_symbol: 'WETH',
+          open: '1200',
+          high: '1300',
+          low: '1150',
+          close: '1250',
+          is_imputed: false,
+        },
+      ];
+      models.TokenPrice.findAll.mockResolvedValue(sampleData);
+      req.query.interval = '1M';
+
+      await handler(req, res);
+
+      expect(models.TokenPrice.findAll).toHaveBeenCalledWith({
+        where: { token_symbol: 'WETH' },
+        ...buildResampleQuery('TokenPrice', '1M', 'ohlc', page),
+      });
+      expect(res.json).toHaveBeenCalledWith({
+        priceData: sampleData,
+        meta: fullHistory(sampleData),
+      });
+    });
+
+    it.each([
+      [
+        { interval: '1d', agg: 'sum' },
+        'Invalid agg parameter, must be one of last, mean, ohlc',
+      ],
+      [
+        { interval: '1week' },
+        'Invalid interval parameter, must be one of 1h, 4h, 1d, 1w, 1M, 3M, 1y',
+      ],
+    ])('should return 400 for the resampling %j', async (query, message) => {
+      req.query = { ...req.query, ...query };
+
+      await handler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message });
+      expect(models.TokenPrice.findAll).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for invalid resolution', async () => {
+      req.query.resolution = 'Hourly';
+
+      await handler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'Invalid resolution parameter',
+      });
+    });
+
+    it('should return 500 if the hourly model is not available', async () => {
+      req.query.resolution = 'hourly';
+
+      await handler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(console.error).toHaveBeenCalledWith(
+        'Error in /price-history for token weth:',
+        new Error('TokenPriceHourly model is not available'),
+      );
+    });
+
+    it('should return a page with the cursor of the next one', async () => {
+      const rows = ['2023-01-03', '2023-01-02', '2023-01-01'].map((day) => ({
+        timestamp: new Date(day),
+        token_symbol: 'WETH',
+        price_usd: '1200',
+        is_imputed: false,
+      }));
+      models.TokenPrice.findAll.mockResolvedValue(rows);
+      req.query = {
+        ...req.query,
+        limit: '2',
+        cursor: '2023-01-04T00:00:00.000Z',
+        order: 'desc',
+        fields: 'timestamp,price_usd',
+      };
+
+      await handler(req, res);
+
+      expect(models.TokenPrice.findAll).toHaveBeenCalledWith({
+        where: {
+          token_symbol: 'WETH',
+          timestamp: { [Op.lt]: new Date('2023-01-04T00:00:00.000Z') },
+        },
+        order: [['timestamp', 'DESC']],
+        limit: 3,
+      });
+      expect(res.json).toHaveBeenCalledWith({
+        priceData: [
+          { timestamp: new Date('2023-01-03'), price_usd: '1200' },
+          { timestamp: new Date('2023-01-02'), price_usd: '1200' },
+        ],
+        meta: {
+          count: 2,
+          limit: 2,
+          order: 'desc',
+          nextCursor: '2023-01-02T00:00:00.000Z',
+        },
+      });
+    });
+
+    it('should return every row without a limit or a cursor', async () => {
+      const rows = Array.from({ length: 1500 }, (_, day) => ({
+        timestamp: new Date(Date.UTC(2020, 0, day + 1)),
+        token_symbol: 'WETH',
+        price_usd: '1200',
+        is_imputed: false,
+      }));
+      models.TokenPrice.findAll.mockResolvedValue(rows);
+
+      await handler(req, res);
+
+      expect(models.TokenPrice.findAll).toHaveBeenCalledWith({
+        where: { token_symbol: 'WETH' },
+        order: [['timestamp', 'ASC']],
+      });
+      expect(models.TokenPrice.findAll.mock.calls[0][0].limit).toBeUndefined();
+      expect(res.json).toHaveBeenCalledWith({
+        priceData: rows,
+        meta: fullHistory(rows),
+      });
+    });
+
+    it('should page with the default limit after a cursor', async () => {
+      models.TokenPrice.findAll.mockResolvedValue([]);
+      req.query = {
+        ...req.query,
+        start: '2023-01-01',
+        end: '2023-01-31',
+        cursor: '2023-01-10',
+      };
+
+      await handler(req, res);
+
+      expect(models.TokenPrice.findAll).toHaveBeenCalledWith({
+        where: {
+          token_symbol: 'WETH',
+          timestamp: {
+            [Op.gte]: new Date('2023-01-01'),
+            [Op.lte]: new Date('2023-01-31'),
+            [Op.gt]: new Date('2023-01-10'),
+          },
+        },
+        order: [['timestamp', 'ASC']],
+        limit: 1001,
+      });
+    });
+
+    it('should page resampled buckets', async () => {
+      models.TokenPrice.findAll.mockResolvedValue([]);
+      req.query = {
+        ...req.query,
+        interval: '1w',
+        limit: '10',
+        cursor: '2023-01-02',
+        fields: 'timestamp,close',
+      };
+
+      await handler(req, res);
+
+      expect(models.TokenPrice.findAll).toHaveBeenCalledWith({
+        where: { token_symbol: 'WETH' },
+        ...buildResampleQuery('TokenPrice', '1w', 'ohlc', {
+          order: 'asc',
+          cursor: new Date('2023-01-02'),
+          limit: 11,
+        }),
+      });
+    });
+
+    it.each([
+      [
+        { limit: '0' },
+        'Invalid limit parameter, must be an integer between 1 and 10000',
+      ],
+      [{ cursor: 'yesterday' }, 'Invalid cursor parameter'],
+      [{ order: 'up' }, 'Invalid order parameter, must be one of asc, desc'],
+      [
+        { format: 'xml' },
+        'Invalid format parameter, must be one of json, csv, ndjson',
+      ],
+      [
+        { fields: 'timestamp,open' },
+        'Invalid fields parameter, must be a comma-separated list of timestamp, token_symbol, price_usd, is_imputed',
+      ],
+    ])('should return 400 for %j', async (query, message) => {
+      req.query = { ...req.query, ...query };
+
+      await handler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message });
+      expect(models.TokenPrice.findAll).not.toHaveBeenCalled();
+    });
+
+    describe('exports', () => {
+      beforeEach(() => {
+        res.set = jest.fn();
+        res.write = jest.fn().mockReturnValue(true);
+        res.end = jest.fn();
+      });
+
+      it('should stream the history as CSV when the Accept header asks for it', async () => {
+        req.headers.accept = 'text/csv, application/json;q=0.9';
+        req.query.fields = 'timestamp,price_usd';
+        models.TokenPrice.findAll.mockResolvedValue([
+          { timestamp: new Date('2023-01-01'), price_usd: '1500.5' },
+          { timestamp: new Date('2023-01-02'), price_usd: '1510' },
+        ]);
+
+        await handler(req, res);
+
+        expect(models.TokenPrice.findAll).toHaveBeenCalledWith({
+          where: { token_symbol: 'WETH' },
+          order: [['timestamp', 'ASC']],
+          limit: 1000,
+        });
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.set).toHaveBeenCalledWith({
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition':
+            'attachment; filename="price-history-WETH.csv"',
+        });
+        expect(res.write.mock.calls.map(([chunk]) => chunk).join('')).toBe(
+          'timestamp,price_usd\r\n2023-01-01T00:00:00.000Z,1500.5\r\n2023-01-02T00:00:00.000Z,1510\r\n',
+        );
+        expect(res.end).toHaveBeenCalled();
+        expect(res.json).not.toHaveBeenCalled();
+      });
+
+      it('should stream up to the limit as NDJSON', async () => {
+        req.query = { ...req.query, format: 'ndjson', limit: '1' };
+        models.TokenPrice.findAll.mockResolvedValue([
+          {
+            timestamp: new Date('2023-01-01'),
+            token_symbol: 'WETH',
+            price_usd: '1500.5',
+            is_imputed: false,
+          },
+        ]);
+
+        await handler(req, res);
+
+        expect(models.TokenPrice.findAll).toHaveBeenCalledWith(
+          expect.objectContaining({ limit: 1 }),
+        );
+        expect(res.write).toHaveBeenCalledWith(
+          '{"timestamp":"2023-01-01T00:00:00.000Z","token_symbol":"WETH","price_usd":"1500.5","is_imputed":false}\n',
+        );
+        expect(res.end).toHaveBeenCalled();
+      });
+
+      it('should return 500 if the first batch cannot be read', async () => {
+        req.query.format = 'csv';
+        models.TokenPrice.findAll.mockRejectedValue(new Error('Database error'));
+
+        await handler(req, res);
+
+        expect(res.set).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(500);
+      });
+    });
+
+    it('should return 500 if database query fails', async () => {
+      models.TokenPrice.findAll.mockRejectedValue(new Error('Database error'));
+
+      await handler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'An unexpected error occurred.',
+      });
+    });
+  });
+
+  describe('GET /series', () => {
+    let req;
+    let res;
+    let models;
+    const poolAddress = '0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640';
+
+    beforeEach(() => {
+      models = {
+        Token: {
+          findByPk: jest.fn((symbol) =>
+            Promise.resolve(
+              symbol === 'WETH' ? { token_symbol: symbol } : null,
+            ),
+          ),
+        },
+        Pool: {
+          findByPk: jest.fn((address) =>
+            Promise.resolve(
+              address === poolAddress
+                ? { pool_address: poolAddress }
+                : null,
+            ),
+          ),
+        },
+        TokenPrice: { findAll: jest.fn().mockResolvedValue([]) },
+        TokenPriceHourly: { findAll: jest.fn().mockResolvedValue([]) },
+        LPHistorical: { findAll: jest.fn().mockResolvedValue([]) },
+        ETHStakingHistorical: { findAll: jest.fn().mockResolvedValue([]) },
+      };
+      req = {
+        query: { series: `price:weth,pool:${poolAddress},staking` },
+        headers: {},
+        app: {
+          locals: {
+            models,
+          },
+        },
+      };
+      res = {
+        json: jest.fn(),
+        status: jest.fn().mockReturnThis(),
+      };
+    });
+
+    const handler = getHandler('/series');
+
+    it('should return the series aligned on their timestamps', async () => {
+      req.query = {
+        ...req.query,
+        start: '2023-01-01',
+        end: '2023-01-31',
+        excludeImputed: 'true',
+      };
+      models.TokenPrice.findAll.mockResolvedValue([
+        {
+          timestamp: new Date('2023-01-01'),
+          price_usd: '1200',
+          is_imputed: false,
+        },
+        {
+          timestamp: new Date('2023-01-02'),
+          price_usd: '1210',
+          is_imputed: false,
+        },
+      ]);
+      models.ETHStakingHistorical.findAll.mockResolvedValue([
+        {
+          timestamp: new Date('2023-01-02'),
+          apy_percentage: '5.1',
+          is_imputed: false,
+        },
+      ]);
+
+      await handler(req, res);
+
+      expect(models.TokenPrice.findAll).toHaveBeenCalledWith({
+        attributes: ['timestamp', 'price_usd', 'is_imputed'],
+        where: {
+          token_symbol: 'WETH',
+          timestamp: {
+            [Op.gte]: new Date('2023-01-01'),
+            [Op.lte]: new Date('2023-01-31'),
+          },
+          is_imputed: false,
+        },
+        order: [['timestamp', 'ASC']],
+        raw: true,
+      });
+      expect(models.LPHistorical.findAll).toHaveBeenCalledWith(
+        expect.objectContaining({
+          attributes: [
+            'timestamp',
+            'tvl_usd',
+            'volume_24h_usd',
+            'fees_24h_usd',
+            'is_imputed',
+          ],
+        }),
+      );
+      expect(res.json).toHaveBeenCalledWith({
+        series: [
+          {
+            name: 'price:WETH',
+            type: 'price',
+            key: 'WETH',
+            fields: ['price_usd', 'is_imputed'],
+            count: 2,
+            gaps: [],
+          },
+          {
+            name: `pool:${poolAddress}`,
+            type: 'pool',
+            key: poolAddress,
+            fields: ['tvl_usd', 'volume_24h_usd', 'fees_24h_usd', 'is_imputed'],
+            count: 0,
+            gaps: [
+              {
+                start: '2023-01-01T00:00:00.000Z',
+                end: '2023-01-02T00:00:00.000Z',
+                count: 2,
+              },
+            ],
+          },
+          {
+            name: 'staking',
+            type: 'staking',
+            key: null,
+            fields: ['apy_percentage', 'is_imputed'],
+            count: 1,
+            gaps: [
+              {
+                start: '2023-01-01T00:00:00.000Z',
+                end: '2023-01-01T00:00:00.000Z',
+                count: 1,
+              },
+            ],
+          },
+        ],
+        rows: [
+          {
+            timestamp: '2023-01-01T00:00:00.000Z',
+            'price:WETH': { price_usd: '1200', is_imputed: false },
+            [`pool:${poolAddress}`]: null,
+            staking: null,
+          },
+          {
+            timestamp: '2023-01-02T00:00:00.000Z',
+            'price:WETH': { price_usd: '1210', is_imputed: false },
+            [`pool:${poolAddress}`]: null,
+            staking: { apy_percentage: '5.1', is_imputed: false },
+          },
+        ],
+      });
+    });
+
+    it('should look up checksummed pool addresses in lower case', async () => {
+      req.query.series = 'pool:0x88E6A0c2dDD26FEEb64F039a2c41296FcB3f5640';
+
+      await handler(req, res);
+
+      expect(models.Pool.findByPk).toHaveBeenCalledWith(poolAddress);
+      expect(models.LPHistorical.findAll).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { pool_address: poolAddress } }),
+      );
+      expect(res.json.mock.calls[0][0].series[0].name).toBe(
+        `pool:${poolAddress}`,
+      );
+    });
+
+    it('should read the hourly tables at the hourly resolution', async () => {
+      req.query = { series: 'price:WETH', resolution: 'hourly' };
+
+      await handler(req, res);
+
+      expect(models.TokenPriceHourly.findAll).toHaveBeenCalled();
+      expect(models.TokenPrice.findAll).not.toHaveBeenCalled();
+    });
+
+    it('should return the days before the end date', async () => {
+      req.query = {
+        series: 'price:WETH',
+        resolution: 'hourly',
+        days: '2',
+        end: '2023-01-10T06:00:00Z',
+      };
+
+      await handler(req, res);
+
+      expect(models.TokenPriceHourly.findAll).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: {
+            token_symbol: 'WETH',
+            timestamp: {
+              [Op.gte]: new Date('2023-01-08T06:00:00Z'),
+              [Op.lte]: new Date('2023-01-10T06:00:00Z'),
+            },
+          },
+        }),
+      );
+    });
+
+    it.each([
+      [{ series: undefined }, 'Missing series parameter'],
+      [
+        { series: 'apy' },
+        'Invalid series parameter, must be a comma-separated list of price:<token>, pool:<address> or staking',
+      ],
+      [{ start: 'invalid-date' }, 'Invalid start date'],
+      [
+        { days: '366' },
+        'Invalid days parameter, must be an integer between 1 and 365',
+      ],
+      [
+        { series: 'price:WETH', resolution: 'hourly', days: '31' },
+        'Invalid days parameter, must be an integer between 1 and 30',
+      ],
+      [
+        { days: '7', start: '2023-01-01' },
+        'The start and days parameters cannot be combined',
+      ],
+      [{ excludeImputed: 'yes' }, 'Invalid excludeImputed parameter'],
+      [{ resolution: 'weekly' }, 'Invalid resolution parameter'],
+      [{ resolution: 'hourly' }, 'Series staking has no hourly resolution'],
+      [
+        { series: 'price:WETH,price:XYZ,pool:0x0' },
+        'Unknown series: price:XYZ, pool:0x0',
+      ],
+    ])('should return 400 for %j', async (query, message) => {
+      req.query = { ...req.query, ...query };
+
+      await handler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message });
+      expect(models.TokenPrice.findAll).not.toHaveBeenCalled();
+    });
+
+    it('should return 500 if a model is missing', async () => {
+      delete models.ETHStakingHistorical;
+
+      await handler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'An unexpected error occurred.',
+      });
+    });
+
+    it('should return 500 if database query fails', async () => {
+      models.LPHistorical.findAll.mockRejectedValue(new Error('Database error'));
+
+      await handler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'An unexpected error occurred.',
+      });
+    });
+  });
+
+  describe('latest snapshots', () => {
+    let req;
+    let res;
+    let models;
+
+    beforeEach(() => {
+      jest.useFakeTimers({ now: new Date('2023-01-04T01:30:00.000Z') });
+      models = {
+        ETHStakingHistorical: { findOne: jest.fn() },
+        Token: {
+          findAll: jest.fn(({ where }) =>
+            Promise.resolve(
+              ['USDC', 'WBTC', 'WETH']
+                .filter(
+                  (symbol) =>
+                    !where.token_symbol || where.token_symbol.includes(symbol),
+                )
+                .map((symbol) => ({ token_symbol: symbol })),
+            ),
+          ),
+        },
+        TokenPrice: { findOne: jest.fn().mockResolvedValue(null) },
+        TokenPriceHourly: { findOne: jest.fn().mockResolvedValue(null) },
+        Pool: {
+          findAll: jest.fn().mockResolvedValue([
+            { pool_address: '0x123', pool_name: 'wethUsdc' },
+          ]),
+        },
+        LPHistorical: { findOne: jest.fn().mockResolvedValue(null) },
+      };
+      req = {
+        query: {},
+        app: {
+          locals: {
+            models,
+          },
+        },
+      };
+      res = {
+        json: jest.fn(),
+        status: jest.fn().mockReturnThis(),
+      };
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    describe('GET /apy/latest', () => {
+      const handler = getHandler('/apy/latest');
+
+      it('should return the latest APY with its age', async () => {
+        models.ETHStakingHistorical.findOne.mockResolvedValue({
+          timestamp: new Date('2023-01-03T00:00:00.000Z'),
+          apy_percentage: '3.1',
+          is_imputed: false,
+        });
+
+        await handler(req, res);
+
+        expect(models.ETHStakingHistorical.findOne).toHaveBeenCalledWith({
+          where: {},
+          order: [['timestamp', 'DESC']],
+          raw: true,
+        });
+        expect(res.json).toHaveBeenCalledWith({
+          apy: {
+            timestamp: new Date('2023-01-03T00:00:00.000Z'),
+            apy_percentage: '3.1',
+            is_imputed: false,
+            age_seconds: 91800,
+            is_stale: false,
+          },
+        });
+      });
+
+      it('should return 500 if database query fails', async () => {
+        models.ETHStakingHistorical.findOne.mockRejectedValue(
+          new Error('Database error'),
+        );
+
+        await handler(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+      });
+    });
+
+    describe('GET /prices/latest', () => {
+      const handler = getHandler('/prices/latest');
+
+      it('should return the latest price of the requested tokens in order', async () => {
+        req.query.tokens = 'weth,WBTC';
+        models.TokenPrice.findOne.mockImplementation(({ where }) =>
+          Promise.resolve(
+            where.token_symbol === 'WETH'
+              ? {
+                  timestamp: new Date('2022-12-31T00:00:00.000Z'),
+                  token_symbol: 'WETH',
+                  price_usd: '1200',
+                  is_imputed: false,
+                }
+              : null,
+          ),
+        );
+
+        await handler(req, res);
+
+        expect(models.Token.findAll).toHaveBeenCalledWith({
+          where: { token_symbol: ['WETH', 'WBTC'] },
+          order: [['token_symbol', 'ASC']],
+        });
+        expect(res.json).toHaveBeenCalledWith({
+          prices: [
+            {
+              timestamp: new Date('2022-12-31T00:00:00.000Z'),
+              token_symbol: 'WETH',
+              price_usd: '1200',
+              is_imputed: false,
+              age_seconds: 351000,
+              is_stale: true,
+            },
+            {
+              timestamp: null,
+              token_symbol: 'WBTC',
+              price_usd: null,
+              is_imputed: null,
+              age_seconds: null,
+              is_stale: true,
+            },
+          ],
+        });
+      });
+
+      it('should return every active token at the hourly resolution', async () => {
+        req.query.resolution = 'hourly';
+
+        await handler(req, res);
+
+        expect(models.Token.findAll).toHaveBeenCalledWith({
+          where: { is_active: true },
+          order: [['token_symbol', 'ASC']],
+        });
+        expect(models.TokenPriceHourly.findOne).toHaveBeenCalledTimes(3);
+        expect(
+          res.json.mock.calls[0][0].prices.map(
+            ({ token_symbol: symbol }) => symbol,
+          ),
+        ).toEqual(['USDC', 'WBTC', 'WETH']);
+      });
+
+      it.each([
+        [{ tokens: 'WETH,' }, 'Invalid tokens parameter'],
+        [{ tokens: 'WETH,XYZ' }, 'Unknown tokens: XYZ'],
+        [{ resolution: 'weekly' }, 'Invalid resolution parameter'],
+      ])('should return 400 for %j', async (query, message) => {
+        req.query = query;
+
+        await handler(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({ message });
+        expect(models.TokenPrice.findOne).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('GET /pools/latest', () => {
+      const handler = getHandler('/pools/latest');
+
+      it('should return the latest row of each active pool', async () => {
+        models.LPHistorical.findOne.mockResolvedValue({
+          timestamp: new Date('2023-01-03T00:00:00.000Z'),
+          pool_address: '0x123',
+          tvl_usd: '1000',
+          volume_24h_usd: '100',
+          fees_24h_usd: '1',
+          is_imputed: false,
+        });
+
+        await handler(req, res);
+
+        expect(models.Pool.findAll).toHaveBeenCalledWith({
+          where: { is_active: true },
+          order: [['pool_address', 'ASC']],
+        });
+        expect(models.LPHistorical.findOne).toHaveBeenCalledWith({
+          where: { pool_address: '0x123' },
+          order: [['timestamp', 'DESC']],
+          raw: true,
+        });
+        expect(res.json).toHaveBeenCalledWith({
+          pools: [
+            {
+              timestamp: new Date('2023-01-03T00:00:00.000Z'),
+              pool_address: '0x123',
+              pool_name: 'wethUsdc',
+              tvl_usd: '1000',
+              volume_24h_usd: '100',
+              fees_24h_usd: '1',
+              is_imputed: false,
+              age_seconds: 91800,
+              is_stale: false,
+            },
+          ],
+        });
+      });
+
+      it('should return 500 if the hourly model is not available', async () => {
+        req.query.resolution = 'hourly';
+
+        await handler(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+      });
+    });
+  });
+
+  describe('GET /analytics/price', () => {
+    let req;
+    let res;
+    let models;
+
+    beforeEach(() => {
+      models = {
+        Token: {
+          findAll: jest.fn(({ where }) =>
+            Promise.resolve(
+              where.token_symbol
+                .filter((symbol) => ['WETH', 'WBTC'].includes(symbol))
+                .map((symbol) => ({ token_symbol: symbol })),
+            ),
+          ),
+        },
+        TokenPrice: {
+          findAll: jest.fn().mockResolvedValue([
+            {
+              timestamp: new Date('2023-01-01'),
+              token_symbol: 'WETH',
+              price_usd: '100',
+            },
+            {
+              timestamp: new Date('2023-01-01'),
+              token_symbol: 'WBTC',
+              price_usd: '200',
+            },
+            {
+              timestamp: new Date('2023-01-02'),
+              token_symbol: 'WETH',
+              price_usd: '110',
+            },
+            {
+              timestamp: new Date('2023-01-02'),
+              token_symbol: 'WBTC',
+              price_usd: '180',
+            },
+            {
+              timestamp: new Date('2023-01-03'),
+              token_symbol: 'WETH',
+              price_usd: '99',
+            },
+            {
+              timestamp: new Date('2023-01-03'),
+              token_symbol: 'WBTC',
+              price_usd: '198',
+            },
+          ]),
+        },
+      };
+      req = {
+        query: { tokens: 'weth,WBTC' },
+        app: {
+          locals: {
+            models,
+          },
+        },
+      };
+      res = {
+        json: jest.fn(),
+        status: jest.fn().mockReturnThis(),
+      };
+    });
+
+    const handler = getHandler('/analytics/price');
+
+    it('should compute returns, volatility, drawdowns and correlations', async () => {
+      req.query = {
+        ...req.query,
+        start: '2023-01-01',
+        end: '2023-01-31',
+        excludeImputed: 'true',
+        windows: '2',
+      };
+
+      await handler(req, res);
+
+      expect(models.TokenPrice.findAll).toHaveBeenCalledWith({
+        attributes: ['timestamp', 'token_symbol', 'price_usd'],
+        where: {
+          token_symbol: ['WETH', 'WBTC'],
+          timestamp: {
+            [Op.gte]: new Date('2023-01-01'),
+            [Op.lte]: new Date('2023-01-31'),
+          },
+          is_imputed: false,
+        },
+        order: [['timestamp', 'ASC']],
+        raw: true,
+      });
+      const body = res.json.mock.calls[0][0];
+      expect(body.windows).toEqual([2]);
+      expect(body.tokens.map(({ token_symbol: symbol }) => symbol)).toEqual([
+        'WETH',
+        'WBTC',
+      ]);
+      const [weth] = body.tokens;
+      expect(weth.count).toBe(3);
+      expect(weth.returns).toHaveLength(2);
+      expect(weth.returns[0].log_return).toBeCloseTo(Math.log(1.1), 12);
+      expect(weth.volatility['2d']).toHaveLength(1);
+      expect(weth.max_drawdown).toEqual({
+        value: expect.closeTo(0.1, 12),
+        peak: '2023-01-02T00:00:00.000Z',
+        trough: '2023-01-03T00:00:00.000Z',
+      });
+      expect(body.correlations.WETH.WBTC).toBeCloseTo(-1, 12);
+    });
+
+    it('should analyze the days before the end date', async () => {
+      req.query = { ...req.query, days: '7', end: '2023-01-31' };
+
+      await handler(req, res);
+
+      expect(models.TokenPrice.findAll).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: {
+            token_symbol: ['WETH', 'WBTC'],
+            timestamp: {
+              [Op.gte]: new Date('2023-01-24'),
+              [Op.lte]: new Date('2023-01-31'),
+            },
+          },
+        }),
+      );
+    });
+
+    it('should use the default volatility windows', async () => {
+      await handler(req, res);
+
+      expect(res.json.mock.calls[0][0].windows).toEqual([7, 30]);
+      expect(res.json.mock.calls[0][0].tokens[0].volatility).toEqual({
+        '7d': [],
+        '30d': [],
+      });
+    });
+
+    it.each([
+      [{ tokens: undefined }, 'Missing tokens parameter'],
+      [{ tokens: ',WETH' }, 'Invalid tokens parameter'],
+      [{ tokens: 'WETH,XYZ' }, 'Unknown tokens: XYZ'],
+      [{ start: 'invalid-date' }, 'Invalid start date'],
+      [
+        { start: '2023-02-01', end: '2023-01-01' },
+        'Start date must be before end date',
+      ],
+      [
+        { days: '366' },
+        'Invalid days parameter, must be an integer between 1 and 365',
+      ],
+      [
+        { days: '7', start: '2023-01-01' },
+        'The start and days parameters cannot be combined',
+      ],
+      [{ excludeImputed: 'maybe' }, 'Invalid excludeImputed parameter'],
+      [
+        { windows: '1' },
+        'Invalid windows parameter, must be a comma-separated list of integers between 2 and 365',
+      ],
+    ])('should return 400 for %j', async (query, message) => {
+      req.query = { ...req.query, ...query };
+
+      await handler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message });
+      expect(models.TokenPrice.findAll).not.toHaveBeenCalled();
+    });
+
     it('should return 500 if database query fails', async () => {
       models.TokenPrice.findAll.mockRejectedValue(new Error('Database error'));
 
@@ -0,0 +1,326 @@
+import router from '../../../src/routes/ingestionRoutes.js';
+import requireApiKey from '../../../src/middleware/requireApiKey.js';
+
+beforeAll(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+function getRoute(method, path) {
+  const layer = router.stack.find(
+    (l) => l.route && l.route.path === path && l.route.methods[method],
+  );
+  if (!layer) throw new Error(`Route ${method} ${path} not found`);
+  return layer.route;
+}
+
+function getHandler(method, path) {
+  const { stack } = getRoute(method, path);
+  return stack[stack.length - 1].handle;
+}
+
+describe('Ingestion Routes', () => {
+  let res;
+  let IngestionRun;
+  let Token;
+  let Pool;
+  let startDataFetch;
+
+  beforeEach(() => {
+    res = {
+      json: jest.fn(),
+      status: jest.fn().mockReturnThis(),
+    };
+    IngestionRun = {
+      findAll: jest.fn(),
+      findByPk: jest.fn(),
+    };
+    Token = {
+      findAll: jest
+        .fn()
+        .mockResolvedValue([
+          { token_symbol: 'WETH', coingecko_address: '0xweth' },
+        ]),
+    };
+    Pool = {
+      findAll: jest.fn().mockResolvedValue([
+        {
+          pool_name: 'wethUsdc',
+          pool_address: '0xpool',
+          defillama_id: 'llama-id',
+        },
+      ]),
+    };
+    startDataFetch = jest.fn();
+  });
+
+  function createRequest(overrides = {}) {
+    return {
+      query: {},
+      params: {},
+      body: {},
+      baseUrl: '/api/data/ingestion',
+      app: {
+        locals: { models: { IngestionRun, Token, Pool }, startDataFetch },
+      },
+      ...overrides,
+    };
+  }
+
+  describe('GET /runs', () => {
+    const handler = getHandler('get', '/runs');
+
+    it('should return the latest 20 runs by default', async () => {
+      const runs = [{ id: 2 }, { id: 1 }];
+      IngestionRun.findAll.mockResolvedValue(runs);
+
+      await handler(createRequest(), res);
+
+      expect(IngestionRun.findAll).toHaveBeenCalledWith({
+        where: {},
+        order: [
+          ['started_at', 'DESC'],
+          ['id', 'DESC'],
+        ],
+        limit: 20,
+      });
+      expect(res.json).toHaveBeenCalledWith({ runs });
+    });
+
+    it('should filter by status and trigger and apply the limit', async () => {
+      IngestionRun.findAll.mockResolvedValue([]);
+
+      await handler(
+        createRequest({
+          query: { limit: '5', status: 'partial', trigger: 'cron' },
+        }),
+        res,
+      );
+
+      expect(IngestionRun.findAll).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { status: 'partial', trigger: 'cron' },
+          limit: 5,
+        }),
+      );
+    });
+
+    it.each(['0', '101', '2.5', 'abc'])(
+      'should return 400 for limit %s',
+      async (limit) => {
+        await handler(createRequest({ query: { limit } }), res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+          message: 'limit must be an integer between 1 and 100',
+        });
+        expect(IngestionRun.findAll).not.toHaveBeenCalled();
+      },
+    );
+
+    it('should return 400 for an invalid status', async () => {
+      await handler(createRequest({ query: { status: 'done' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'Invalid status parameter',
+      });
+    });
+
+    it('should return 400 for an invalid trigger', async () => {
+      await handler(createRequest({ query: { trigger: 'webhook' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'Invalid trigger parameter',
+      });
+    });
+
+    it('should return 500 if the model is not available', async () => {
+      await handler(createRequest({ app: { locals: {} } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'An unexpected error occurred.',
+      });
+    });
+  });
+
+  describe('GET /runs/:id', () => {
+    const handler = getHandler('get', '/runs/:id');
+
+    it('should return the run', async () => {
+      const run = { id: 3, status: 'succeeded' };
+      IngestionRun.findByPk.mockResolvedValue(run);
+
+      await handler(createRequest({ params: { id: '3' } }), res);
+
+      expect(IngestionRun.findByPk).toHaveBeenCalledWith(3);
+      expect(res.json).toHaveBeenCalledWith({ run });
+    });
+
+    it('should return 404 if the run does not exist', async () => {
+      IngestionRun.findByPk.mockResolvedValue(null);
+
+      await handler(createRequest({ params: { id: '99' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'Ingestion run not found',
+      });
+    });
+
+    it('should return 400 for an invalid id', async () => {
+      await handler(createRequest({ params: { id: 'abc' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'Invalid id parameter',
+      });
+      expect(IngestionRun.findByPk).not.toHaveBeenCalled();
+    });
+
+    it('should return 500 if the query fails', async () => {
+      IngestionRun.findByPk.mockRejectedValue(new Error('Database error'));
+
+      await handler(createRequest({ params: { id: '1' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('POST /', () => {
+    const handler = getHandler('post', '/');
+
+    it('should require the admin API key', () => {
+      expect(getRoute('post', '/').stack[0].handle).toBe(requireApiKey);
+    });
+
+    it('should start an incremental manual run of the full pipeline', async () => {
+      const run = { id: 7, status: 'running' };
+      startDataFetch.mockResolvedValue({ run, completion: Promise.resolve() });
+
+      await handler(createRequest(), res);
+
+      expect(startDataFetch).toHaveBeenCalledWith('manual', {
+        incremental: true,
+      });
+      expect(res.status).toHaveBeenCalledWith(202);
+      expect(res.json).toHaveBeenCalledWith({
+        run,
+        statusUrl: '/api/data/ingestion/runs/7',
+      });
+    });
+
+    it('should pass the selected series and date range to the run', async () => {
+      startDataFetch.mockResolvedValue({ run: { id: 8 } });
+
+      await handler(
+        createRequest({
+          body: {
+            sources: ['coingecko'],
+            tokens: ['WETH'],
+            start: '2023-01-01',
+            end: '2023-01-31',
+            onConflict: 'overwrite',
+          },
+        }),
+        res,
+      );
+
+      expect(startDataFetch).toHaveBeenCalledWith('manual', {
+        incremental: false,
+        sources: ['coingecko'],
+        tokens: ['WETH'],
+        start: new Date('2023-01-01'),
+        end: new Date('2023-01-31'),
+        onConflict: 'overwrite',
+      });
+    });
+
+    it.each([
+      [{ tokens: ['WETH', 'XYZ'] }, 'Unknown or inactive tokens: XYZ'],
+      [
+        { pools: ['0xPOOL', 'unknownPool'] },
+        'Unknown or inactive pools: unknownPool',
+      ],
+    ])(
+      'should return 400 for the unregistered series %j',
+      async (body, message) => {
+        await handler(createRequest({ body }), res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({ message });
+        expect(startDataFetch).not.toHaveBeenCalled();
+      },
+    );
+
+    it('should start an hourly run from the hourly sources', async () => {
+      startDataFetch.mockResolvedValue({ run: { id: 9 } });
+
+      await handler(
+        createRequest({
+          body: { resolution: 'hourly', sources: ['uniswap-hourly'] },
+        }),
+        res,
+      );
+
+      expect(startDataFetch).toHaveBeenCalledWith('manual', {
+        incremental: true,
+        resolution: 'hourly',
+        sources: ['uniswap-hourly'],
+      });
+    });
+
+    it('should return 409 if a run is already in progress', async () => {
+      startDataFetch.mockResolvedValue(null);
+
+      await handler(createRequest(), res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'An ingestion run is already in progress',
+      });
+    });
+
+    it.each([
+      [{ sources: ['binance'] }, 'Invalid sources parameter'],
+      [{ sources: [] }, 'Invalid sources parameter'],
+      [{ sources: ['coingecko-hourly'] }, 'Invalid sources parameter'],
+      [
+        { resolution: 'hourly', sources: ['coingecko'] },
+        'Invalid sources parameter',
+      ],
+      [{ resolution: 'minutely' }, 'Invalid resolution parameter'],
+      [{ tokens: 'WETH' }, 'Invalid tokens parameter'],
+      [{ pools: [''] }, 'Invalid pools parameter'],
+      [{ start: 'yesterday' }, 'Invalid start date'],
+      [{ end: 20230101 }, 'Invalid end date'],
+      [
+        { start: '2023-02-01', end: '2023-01-01' },
+        'Start date must be before end date',
+      ],
+      [{ onConflict: 'replace' }, 'Invalid onConflict parameter'],
+    ])('should return 400 for %j', async (body, message) => {
+      await handler(createRequest({ body }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message });
+      expect(startDataFetch).not.toHaveBeenCalled();
+    });
+
+    it('should return 500 if the run cannot be started', async () => {
+      startDataFetch.mockRejectedValue(new Error('Database error'));
+
+      await handler(createRequest(), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'An unexpected error occurred.',
+      });
+    });
+  });
+});
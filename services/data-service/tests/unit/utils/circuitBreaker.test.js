@@ -0,0 +1,132 @@
+import {
+  CIRCUIT_OPEN,
+  createCircuitBreaker,
+  getCircuitBreaker,
+  resetCircuitBreakers,
+} from '../../../src/utils/circuitBreaker.js';
+
+describe('createCircuitBreaker', () => {
+  let time;
+  const now = () => time;
+  const fail = () => Promise.reject(new Error('fail'));
+
+  const trip = async (breaker, times) => {
+    for (let i = 0; i < times; i += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      await expect(breaker.call(fail)).rejects.toThrow('fail');
+    }
+  };
+
+  beforeEach(() => {
+    time = Date.parse('2024-01-01T00:00:00Z');
+  });
+
+  it('should pass calls through while closed', async () => {
+    const breaker = createCircuitBreaker({ now });
+    await expect(breaker.call(async () => 'done')).resolves.toBe('done');
+    await trip(breaker, 4);
+    expect(breaker.getState()).toBe('closed');
+  });
+
+  it('should open after consecutive failures and reject calls', async () => {
+    const breaker = createCircuitBreaker({
+      name: 'subgraph',
+      failureThreshold: 3,
+      now,
+    });
+    await trip(breaker, 3);
+    expect(breaker.getState()).toBe('open');
+
+    const fn = jest.fn();
+    const error = await breaker.call(fn).catch((e) => e);
+    expect(fn).not.toHaveBeenCalled();
+    expect(error.code).toBe(CIRCUIT_OPEN);
+    expect(error.message).toBe(
+      'Circuit open for subgraph, retrying after 2024-01-01T00:00:30.000Z',
+    );
+  });
+
+  it('should reset the failure count on success', async () => {
+    const breaker = createCircuitBreaker({ failureThreshold: 2, now });
+    await trip(breaker, 1);
+    await breaker.call(async () => 'done');
+    await trip(breaker, 1);
+    expect(breaker.getState()).toBe('closed');
+  });
+
+  it('should only count errors the predicate accepts as failures', async () => {
+    const breaker = createCircuitBreaker({ failureThreshold: 1, now });
+    await expect(breaker.call(fail, () => false)).rejects.toThrow('fail');
+    expect(breaker.getState()).toBe('closed');
+  });
+
+  it('should half-open after the reset timeout and close after a successful trial', async () => {
+    const breaker = createCircuitBreaker({
+      failureThreshold: 1,
+      resetTimeout: 1000,
+      now,
+    });
+    await trip(breaker, 1);
+    time += 999;
+    expect(breaker.getState()).toBe('open');
+    time += 1;
+    expect(breaker.getState()).toBe('half-open');
+
+    let finishTrial;
+    const trial = breaker.call(
+      () =>
+        new Promise((resolve) => {
+          finishTrial = resolve;
+        }),
+    );
+    await expect(breaker.call(async () => 'other')).rejects.toMatchObject({
+      code: CIRCUIT_OPEN,
+    });
+    finishTrial('done');
+    await expect(trial).resolves.toBe('done');
+    expect(breaker.getState()).toBe('closed');
+  });
+
+  it('should open again when the trial fails', async () => {
+    const breaker = createCircuitBreaker({
+      failureThreshold: 3,
+      resetTimeout: 1000,
+      now,
+    });
+    await trip(breaker, 3);
+    time += 1000;
+    await trip(breaker, 1);
+    expect(breaker.getState()).toBe('open');
+    time += 999;
+    expect(breaker.getState()).toBe('open');
+  });
+});
+
+describe('getCircuitBreaker', () => {
+  afterEach(() => {
+    resetCircuitBreakers();
+    delete process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD;
+  });
+
+  it('should share a circuit breaker per endpoint', () => {
+    const breaker = getCircuitBreaker('https://yields.llama.fi/chart/');
+    expect(getCircuitBreaker('https://yields.llama.fi/chart/')).toBe(breaker);
+    expect(getCircuitBreaker('https://coins.llama.fi/chart/')).not.toBe(
+      breaker,
+    );
+  });
+
+  it('should use the configured settings', async () => {
+    process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD = '1';
+    const breaker = getCircuitBreaker('https://yields.llama.fi/chart/');
+    await expect(
+      breaker.call(() => Promise.reject(new Error('fail'))),
+    ).rejects.toThrow('fail');
+    expect(breaker.getState()).toBe('open');
+
+    resetCircuitBreakers();
+    expect(getCircuitBreaker('https://yields.llama.fi/chart/').getState()).toBe(
+      'closed',
+    );
+  });
+});
@@ -1,4 +1,21 @@
-import retry from '../../../src/utils/retry.js';
+import retry, {
+  getRetryAfter,
+  isRetryableError,
+} from '../../../src/utils/retry.js';
+import {
+  CIRCUIT_OPEN,
+  createCircuitBreaker,
+} from '../../../src/utils/circuitBreaker.js';
+
+const httpError = (status, headers = {}) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, headers },
+  });
+
+const graphQLError = (...errors) =>
+  Object.assign(new Error(errors[0].message), {
+    response: { status: 200, headers: {}, errors },
+  });
 
 describe('retry function', () => {
   it('should succeed on the first try', async () => {
@@ -106,4 +123,301 @@ describe('retry function', () => {
     expect(consoleSpy).not.toHaveBeenCalled();
     consoleSpy.mockRestore();
   });
+
+  it('should not retry errors that are not retryable', async () => {
+    const error = httpError(400);
+    const fn = jest.fn().mockRejectedValue(error);
+    await expect(retry(fn, { retries: 3, initialDelay: 1 })).rejects.toBe(
+      error,
+    );
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it('should use a custom shouldRetry predicate', async () => {
+    const fn = jest
+      .fn()
+      .mockRejectedValueOnce(httpError(404))
+      .mockResolvedValueOnce('success');
+    const result = await retry(fn, {
+      retries: 3,
+      initialDelay: 1,
+      shouldRetry: () => true,
+    });
+    expect(result).toBe('success');
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  it('should wait for the Retry-After delay of a 429', async () => {
+    const fn = jest
+      .fn()
+      .mockRejectedValueOnce(httpError(429, { 'retry-after': '0.01' }))
+      .mockResolvedValueOnce('success');
+    const consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const result = await retry(fn, {
+      retries: 3,
+      initialDelay: 1,
+      verbose: true,
+    });
+    expect(result).toBe('success');
+    expect(consoleSpy).toHaveBeenCalledWith(
+      'Attempt 1/3 failed, retrying in 0.01 seconds...',
+    );
+    consoleSpy.mockRestore();
+  });
+
+  it('should give up on a Retry-After above maxDelay instead of retrying early', async () => {
+    const error = httpError(429, { 'retry-after': '3600' });
+    const fn = jest
+      .fn()
+      .mockRejectedValueOnce(error)
+      .mockResolvedValue('success');
+    const scheduler = {
+      schedule: jest.fn((task) => task()),
+      pause: jest.fn(),
+    };
+
+    const promise = retry(fn, { retries: 3, maxDelay: 5, scheduler });
+
+    await expect(promise).rejects.toThrow(
+      'Retry-After of 3600 seconds exceeds the maximum retry delay of 0.005 seconds, giving up: Request failed with status code 429',
+    );
+    await expect(promise).rejects.toMatchObject({
+      cause: error,
+      response: { status: 429 },
+    });
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(scheduler.pause).toHaveBeenCalledWith(3600000);
+  });
+
+  it('should wait a Retry-After up to maxDelay', async () => {
+    const fn = jest
+      .fn()
+      .mockRejectedValueOnce(httpError(429, { 'retry-after': '0.01' }))
+      .mockResolvedValueOnce('success');
+    const onRetry = jest.fn();
+
+    await retry(fn, { retries: 3, maxDelay: 10, onRetry });
+
+    expect(onRetry).toHaveBeenCalledWith(
+      expect.objectContaining({ delay: 10 }),
+    );
+  });
+
+  it('should run each attempt through the scheduler and pause it on Retry-After', async () => {
+    const scheduler = {
+      schedule: jest.fn((task) => task()),
+      pause: jest.fn(),
+    };
+    const fn = jest
+      .fn()
+      .mockRejectedValueOnce(httpError(503, { 'retry-after': '0' }))
+      .mockRejectedValueOnce(new Error('fail'))
+      .mockResolvedValueOnce('success');
+    const result = await retry(fn, { retries: 3, initialDelay: 1, scheduler });
+    expect(result).toBe('success');
+    expect(scheduler.schedule).toHaveBeenCalledTimes(3);
+    expect(scheduler.schedule).toHaveBeenCalledWith(fn);
+    expect(scheduler.pause).toHaveBeenCalledTimes(1);
+    expect(scheduler.pause).toHaveBeenCalledWith(0);
+  });
+
+  describe('jitter', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    const delays = async (options) => {
+      const onRetry = jest.fn();
+      await retry(jest.fn().mockRejectedValue(new Error('fail')), {
+        retries: 4,
+        initialDelay: 2,
+        onRetry,
+        ...options,
+      }).catch(() => {});
+      return onRetry.mock.calls.map(([{ delay }]) => delay);
+    };
+
+    it('should double the delay without jitter', async () => {
+      expect(await delays({})).toEqual([2, 4, 8]);
+    });
+
+    it('should cap the doubled delay at maxDelay', async () => {
+      expect(await delays({ maxDelay: 5 })).toEqual([2, 4, 5]);
+    });
+
+    it('should pick a random delay up to the doubled delay with full jitter', async () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0.5);
+      expect(await delays({ jitter: 'full' })).toEqual([1, 2, 4]);
+    });
+
+    it('should pick a random delay up to three times the previous one with decorrelated jitter', async () => {
+      jest.spyOn(Math, 'random').mockReturnValue(1);
+      expect(await delays({ jitter: 'decorrelated' })).toEqual([6, 18, 54]);
+      expect(await delays({ jitter: 'decorrelated', maxDelay: 10 })).toEqual([
+        6, 10, 10,
+      ]);
+    });
+
+    it('should throw for an unknown jitter mode', async () => {
+      await expect(retry(jest.fn(), { jitter: 'random' })).rejects.toThrow(
+        'Invalid jitter: random, must be one of none, full, decorrelated',
+      );
+    });
+  });
+
+  it('should call onRetry before each retry', async () => {
+    const error = new Error('fail');
+    const onRetry = jest.fn();
+    await retry(
+      jest.fn().mockRejectedValueOnce(error).mockResolvedValueOnce('success'),
+      { retries: 3, initialDelay: 1, onRetry },
+    );
+    expect(onRetry).toHaveBeenCalledTimes(1);
+    expect(onRetry).toHaveBeenCalledWith({
+      attempt: 1,
+      retries: 3,
+      delay: 1,
+      error,
+    });
+  });
+
+  it('should not start when the signal is already aborted', async () => {
+    const fn = jest.fn();
+    const controller = new AbortController();
+    controller.abort(new Error('stopped'));
+    await expect(retry(fn, { signal: controller.signal })).rejects.toThrow(
+      'stopped',
+    );
+    expect(fn).not.toHaveBeenCalled();
+  });
+
+  it('should stop waiting for the next attempt when aborted', async () => {
+    const controller = new AbortController();
+    const fn = jest.fn().mockRejectedValue(new Error('fail'));
+    const result = retry(fn, {
+      retries: 3,
+      initialDelay: 60000,
+      signal: controller.signal,
+      onRetry: () => controller.abort(new Error('stopped')),
+    });
+    await expect(result).rejects.toThrow('stopped');
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it('should stop retrying once the circuit opens', async () => {
+    const circuitBreaker = createCircuitBreaker({ failureThreshold: 2 });
+    const fn = jest.fn().mockRejectedValue(new Error('fail'));
+    const error = await retry(fn, {
+      retries: 5,
+      initialDelay: 1,
+      circuitBreaker,
+    }).catch((e) => e);
+    expect(error.code).toBe(CIRCUIT_OPEN);
+    expect(fn).toHaveBeenCalledTimes(2);
+    expect(circuitBreaker.getState()).toBe('open');
+  });
+
+  it('should not count errors that are not retryable against the circuit', async () => {
+    const circuitBreaker = createCircuitBreaker({ failureThreshold: 1 });
+    await expect(
+      retry(jest.fn().mockRejectedValue(httpError(404)), { circuitBreaker }),
+    ).rejects.toThrow('Request failed with status code 404');
+    expect(circuitBreaker.getState()).toBe('closed');
+  });
+});
+
+describe('isRetryableError', () => {
+  it('should retry errors without a response', () => {
+    expect(isRetryableError(new Error('socket hang up'))).toBe(true);
+  });
+
+  it('should not retry requests rejected by an open circuit or aborted', () => {
+    const circuitOpen = Object.assign(new Error('open'), {
+      code: CIRCUIT_OPEN,
+    });
+    const aborted = new DOMException('aborted', 'AbortError');
+    expect(isRetryableError(circuitOpen)).toBe(false);
+    expect(isRetryableError(aborted)).toBe(false);
+  });
+
+  it.each([408, 425, 429, 500, 502, 503, 504])(
+    'should retry the status %i',
+    (status) => {
+      expect(isRetryableError(httpError(status))).toBe(true);
+    },
+  );
+
+  it.each([400, 401, 403, 404, 422])(
+    'should not retry the status %i',
+    (status) => {
+      expect(isRetryableError(httpError(status))).toBe(false);
+    },
+  );
+
+  it('should retry GraphQL errors returned with a 200 status', () => {
+    expect(isRetryableError(graphQLError({ message: 'indexing_error' }))).toBe(
+      true,
+    );
+    expect(
+      isRetryableError(
+        graphQLError({
+          message: 'Store error: database unavailable',
+          extensions: { code: 'INTERNAL_SERVER_ERROR' },
+        }),
+      ),
+    ).toBe(true);
+  });
+
+  it.each([
+    { message: 'Type `Pool` has no field `tvl`' },
+    { message: 'Syntax Error: Expected Name, found <EOF>' },
+    { message: 'Cannot query field "foo" on type "Query".' },
+    { message: 'invalid', extensions: { code: 'GRAPHQL_VALIDATION_FAILED' } },
+  ])('should not retry the GraphQL validation error $message', (error) => {
+    expect(isRetryableError(graphQLError({ message: 'timeout' }, error))).toBe(
+      false,
+    );
+  });
+});
+
+describe('getRetryAfter', () => {
+  it('should read a number of seconds', () => {
+    expect(getRetryAfter(httpError(429, { 'retry-after': '120' }))).toBe(
+      120000,
+    );
+  });
+
+  it('should read an HTTP date', () => {
+    const now = () => Date.parse('2024-01-01T00:00:00Z');
+    expect(
+      getRetryAfter(
+        httpError(429, { 'retry-after': 'Mon, 01 Jan 2024 00:00:30 GMT' }),
+        now,
+      ),
+    ).toBe(30000);
+    expect(
+      getRetryAfter(
+        httpError(429, { 'retry-after': 'Sun, 31 Dec 2023 23:59:00 GMT' }),
+        now,
+      ),
+    ).toBe(0);
+  });
+
+  it('should read headers with a get method', () => {
+    const headers = new Map([['retry-after', '5']]);
+    expect(getRetryAfter(httpError(429, headers))).toBe(5000);
+  });
+
+  it.each([undefined, '', '-1', 'later'])(
+    'should ignore the header %p',
+    (value) => {
+      expect(
+        getRetryAfter(httpError(429, { 'retry-after': value })),
+      ).toBeUndefined();
+    },
+  );
+
+  it('should ignore errors without a response', () => {
+    expect(getRetryAfter(new Error('fail'))).toBeUndefined();
+  });
 });
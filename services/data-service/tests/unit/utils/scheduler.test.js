@@ -0,0 +1,135 @@
+import {
+  createRequestScheduler,
+  getHostScheduler,
+  resetHostSchedulers,
+} from '../../../src/utils/scheduler.js';
+
+describe('createRequestScheduler', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  // Lets the promise callbacks of started and finished tasks run.
+  const flush = async () => {
+    for (let i = 0; i < 5; i += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      await Promise.resolve();
+    }
+  };
+
+  const deferred = () => {
+    let resolve;
+    const promise = new Promise((res) => {
+      resolve = res;
+    });
+    return { promise, resolve };
+  };
+
+  it('should resolve and reject with the results of the tasks', async () => {
+    const scheduler = createRequestScheduler();
+    await expect(scheduler.schedule(async () => 'done')).resolves.toBe('done');
+    await expect(
+      scheduler.schedule(async () => {
+        throw new Error('fail');
+      }),
+    ).rejects.toThrow('fail');
+    expect(scheduler.pending()).toBe(0);
+  });
+
+  it('should limit the number of tasks running at once', async () => {
+    const scheduler = createRequestScheduler({
+      concurrency: 2,
+      requestsPerSecond: 100,
+      burst: 100,
+    });
+    const tasks = [deferred(), deferred(), deferred()];
+    const started = [];
+    const results = tasks.map((task, i) =>
+      scheduler.schedule(() => {
+        started.push(i);
+        return task.promise;
+      }),
+    );
+    await flush();
+    expect(started).toEqual([0, 1]);
+    expect(scheduler.pending()).toBe(3);
+
+    tasks[0].resolve('a');
+    await flush();
+    expect(started).toEqual([0, 1, 2]);
+
+    tasks[1].resolve('b');
+    tasks[2].resolve('c');
+    await expect(Promise.all(results)).resolves.toEqual(['a', 'b', 'c']);
+  });
+
+  it('should start tasks at the refill rate once the burst is used', async () => {
+    const scheduler = createRequestScheduler({
+      concurrency: 10,
+      requestsPerSecond: 2,
+      burst: 2,
+    });
+    const started = [];
+    [0, 1, 2, 3].forEach((i) => {
+      scheduler.schedule(async () => started.push(i));
+    });
+    await flush();
+    expect(started).toEqual([0, 1]);
+
+    jest.advanceTimersByTime(499);
+    await flush();
+    expect(started).toEqual([0, 1]);
+
+    jest.advanceTimersByTime(1);
+    await flush();
+    expect(started).toEqual([0, 1, 2]);
+
+    jest.advanceTimersByTime(500);
+    await flush();
+    expect(started).toEqual([0, 1, 2, 3]);
+  });
+
+  it('should not start tasks while paused', async () => {
+    const scheduler = createRequestScheduler();
+    scheduler.pause(3000);
+    const task = jest.fn().mockResolvedValue('done');
+    const result = scheduler.schedule(task);
+    await flush();
+    jest.advanceTimersByTime(2999);
+    await flush();
+    expect(task).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1);
+    await flush();
+    expect(task).toHaveBeenCalledTimes(1);
+    await expect(result).resolves.toBe('done');
+  });
+});
+
+describe('getHostScheduler', () => {
+  afterEach(() => {
+    resetHostSchedulers();
+  });
+
+  it('should share a scheduler between the URLs of a host', () => {
+    const scheduler = getHostScheduler('https://api.coingecko.com/a');
+    expect(getHostScheduler('https://api.coingecko.com/b')).toBe(scheduler);
+    expect(getHostScheduler('https://yields.llama.fi/chart/1')).not.toBe(
+      scheduler,
+    );
+  });
+
+  it('should create new schedulers after a reset', () => {
+    const scheduler = getHostScheduler('https://api.coingecko.com/a');
+    resetHostSchedulers();
+    expect(getHostScheduler('https://api.coingecko.com/a')).not.toBe(scheduler);
+  });
+
+  it('should throw for an invalid URL', () => {
+    expect(() => getHostScheduler('not a url')).toThrow();
+  });
+});